@@ -14,9 +14,12 @@ class BibleAPIService: ObservableObject, BibleAPIServiceProtocol {
         self.supabase = supabase
     }
 
-    // MARK: - Backend proxy transport
-    // All Bible calls go through the Netlify bible-api proxy, which holds the
-    // API.Bible key server-side. The client no longer ships the key (TAB-48).
+    // MARK: - Backend transport
+    // All Bible calls go through Netlify, which holds the API.Bible key
+    // server-side. The client no longer ships the key (TAB-48). Verses,
+    // passages and search use the typed /bible endpoint, which resolves
+    // references itself; only the book list still goes through the raw
+    // bible-api proxy.
 
     private func getAuthToken() async throws -> String {
         do {
@@ -30,6 +33,47 @@ class BibleAPIService: ObservableObject, BibleAPIServiceProtocol {
         }
     }
 
+    /// Performs a GET against the typed /bible endpoint and decodes its payload.
+    private func lookupGet<T: Codable>(_ queryItems: [URLQueryItem], as type: T.Type) async throws -> T {
+        guard var components = URLComponents(string: "\(apiBaseUrl)/bible") else {
+            throw BibleAPIError.invalidRequest
+        }
+        components.queryItems = queryItems
+        guard let url = components.url else {
+            throw BibleAPIError.invalidRequest
+        }
+
+        let token = try await getAuthToken()
+        var request = URLRequest(url: url)
+        request.httpMethod = "GET"
+        request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+
+        let (data, response) = try await session.data(for: request)
+
+        guard let httpResponse = response as? HTTPURLResponse else {
+            throw BibleAPIError.networkError(URLError(.badServerResponse))
+        }
+        guard (200...299).contains(httpResponse.statusCode) else {
+            switch httpResponse.statusCode {
+            case 401:
+                throw BibleAPIError.apiError("Please sign in to use Bible lookups.")
+            case 400:
+                throw BibleAPIError.apiError("That doesn't look like a Bible reference.")
+            case 404:
+                throw BibleAPIError.apiError("Verse not found")
+            default:
+                throw BibleAPIError.apiError("HTTP \(httpResponse.statusCode)")
+            }
+        }
+
+        // Envelope: { success, data: <payload> }.
+        do {
+            return try JSONDecoder().decode(BibleAPIResponse<T>.self, from: data).data
+        } catch {
+            throw BibleAPIError.decodingError(error)
+        }
+    }
+
     /// Performs a GET against the bible-api proxy and decodes the inner
     /// api.bible payload. `endpoint` is a relative api.bible path (query values
     /// already percent-encoded); it is encoded again here so '/', '?', '&', '='
@@ -80,21 +124,51 @@ class BibleAPIService: ObservableObject, BibleAPIServiceProtocol {
     // MARK: - BibleAPIServiceProtocol Implementation
 
     func fetchVerse(reference: String, bibleId: String) async throws -> BibleVerse {
-        let verseId = formatReferenceForAPI(reference)
-        let response = try await proxyGet("bibles/\(bibleId)/verses/\(verseId)", as: BibleAPIResponse<BibleVerse>.self)
-        return response.data
+        let passage = try await lookupPassage(reference: reference, bibleId: bibleId)
+        return BibleVerse(
+            id: passage.reference.passageId,
+            orgId: passage.reference.passageId,
+            bookId: String(passage.reference.passageId.prefix { $0 != "." }),
+            chapterId: passage.verses.first.map { String($0.id.split(separator: ".").prefix(2).joined(separator: ".")) } ?? "",
+            content: passage.text,
+            reference: passage.reference.display,
+            verseCount: passage.verses.count,
+            copyright: passage.copyright
+        )
     }
 
     func fetchPassage(reference: String, bibleId: String) async throws -> BiblePassage {
-        let passageId = formatReferenceForAPI(reference)
-        let response = try await proxyGet("bibles/\(bibleId)/passages/\(passageId)", as: BibleAPIResponse<BiblePassage>.self)
-        return response.data
+        let passage = try await lookupPassage(reference: reference, bibleId: bibleId)
+        return BiblePassage(
+            id: passage.reference.passageId,
+            orgId: passage.reference.passageId,
+            content: passage.text,
+            reference: passage.reference.display,
+            verseCount: passage.verses.count,
+            copyright: passage.copyright
+        )
     }
 
     func searchVerses(query: String, bibleId: String, limit: Int = 10) async throws -> [BibleVerse] {
-        let encodedQuery = query.addingPercentEncoding(withAllowedCharacters: .alphanumerics) ?? query
-        let response = try await proxyGet("bibles/\(bibleId)/search?query=\(encodedQuery)&limit=\(limit)", as: BibleAPIResponse<BibleSearchResult>.self)
-        return response.data.verses
+        let response = try await lookupGet([
+            URLQueryItem(name: "action", value: "search"),
+            URLQueryItem(name: "query", value: query),
+            URLQueryItem(name: "bibleId", value: bibleId),
+            URLQueryItem(name: "limit", value: String(limit))
+        ], as: BibleLookupSearchResponse.self)
+        return response.results.map { result in
+            let parts = result.id.split(separator: ".")
+            return BibleVerse(
+                id: result.id,
+                orgId: result.id,
+                bookId: parts.first.map(String.init) ?? "",
+                chapterId: parts.prefix(2).joined(separator: "."),
+                content: result.text,
+                reference: result.reference ?? result.id,
+                verseCount: 1,
+                copyright: nil
+            )
+        }
     }
 
     func fetchBooks(bibleId: String) async throws -> [BibleBook] {
@@ -102,98 +176,42 @@ class BibleAPIService: ObservableObject, BibleAPIServiceProtocol {
         return response.data
     }
 
-    // MARK: - Private Methods
-
-    private func formatReferenceForAPI(_ reference: String) -> String {
-        // API.Bible uses standard format: BOOK.CHAPTER.VERSE
-        // Convert "John 3:16" to "JHN.3.16"
+    // MARK: - Preferred translation
 
-        print("[BibleAPIService] Formatting reference: '\(reference)'")
-
-        // Handle different input formats
-        let normalizedReference = reference.trimmingCharacters(in: .whitespacesAndNewlines)
-
-        // Split by space to separate book name from chapter:verse
-        let components = normalizedReference.components(separatedBy: " ")
-        guard components.count >= 2 else {
-            print("[BibleAPIService] Invalid reference format: \(reference)")
-            return reference
+    /// Saves the user's translation server-side so summaries quote verses in it.
+    /// The local choice (ApiBibleConfig) stays the source of truth for lookups.
+    func savePreferredTranslation(_ bibleId: String) async throws {
+        guard let url = URL(string: "\(apiBaseUrl)/bible-preference") else {
+            throw BibleAPIError.invalidRequest
         }
 
-        // Everything except the last component is the book name
-        let book = components.dropLast().joined(separator: " ")
-        let chapterVerse = components.last ?? ""
+        let token = try await getAuthToken()
+        var request = URLRequest(url: url)
+        request.httpMethod = "PUT"
+        request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+        request.httpBody = try JSONSerialization.data(withJSONObject: ["bibleId": bibleId])
 
-        print("[BibleAPIService] Parsed book: '\(book)', chapterVerse: '\(chapterVerse)'")
+        let (_, response) = try await session.data(for: request)
 
-        // Split chapter:verse
-        let chapterVerseComponents = chapterVerse.components(separatedBy: ":")
-        guard chapterVerseComponents.count == 2 else {
-            print("[BibleAPIService] Invalid chapter:verse format: \(chapterVerse)")
-            return reference
+        guard let httpResponse = response as? HTTPURLResponse else {
+            throw BibleAPIError.networkError(URLError(.badServerResponse))
         }
-
-        let chapter = chapterVerseComponents[0]
-        let verseRange = chapterVerseComponents[1]
-
-        let bookAbbreviation = convertBookNameToAPIBibleFormat(book)
-
-        print("[BibleAPIService] Book abbreviation: '\(bookAbbreviation)', chapter: '\(chapter)', verse: '\(verseRange)'")
-
-        // Handle verse ranges like "16-18"
-        if verseRange.contains("-") {
-            let verseComponents = verseRange.components(separatedBy: "-")
-            guard verseComponents.count == 2 else {
-                let result = "\(bookAbbreviation).\(chapter).\(verseRange)"
-                print("[BibleAPIService] Formatted result (range): \(result)")
-                return result
-            }
-            let result = "\(bookAbbreviation).\(chapter).\(verseComponents[0])-\(bookAbbreviation).\(chapter).\(verseComponents[1])"
-            print("[BibleAPIService] Formatted result (range): \(result)")
-            return result
+        guard (200...299).contains(httpResponse.statusCode) else {
+            throw BibleAPIError.apiError("HTTP \(httpResponse.statusCode)")
         }
-
-        let result = "\(bookAbbreviation).\(chapter).\(verseRange)"
-        print("[BibleAPIService] Formatted result: \(result)")
-        return result
     }
-    
-    private func convertBookNameToAPIBibleFormat(_ bookName: String) -> String {
-        // API.Bible standard 3-letter book codes
-        let bookMapping: [String: String] = [
-            // Old Testament
-            "Genesis": "GEN", "Exodus": "EXO", "Leviticus": "LEV", "Numbers": "NUM", "Deuteronomy": "DEU",
-            "Joshua": "JOS", "Judges": "JDG", "Ruth": "RUT", "1 Samuel": "1SA", "2 Samuel": "2SA",
-            "1 Kings": "1KI", "2 Kings": "2KI", "1 Chronicles": "1CH", "2 Chronicles": "2CH",
-            "Ezra": "EZR", "Nehemiah": "NEH", "Esther": "EST", "Job": "JOB", "Psalms": "PSA",
-            "Proverbs": "PRO", "Ecclesiastes": "ECC", "Song of Songs": "SNG", "Song of Solomon": "SNG", 
-            "Isaiah": "ISA", "Jeremiah": "JER", "Lamentations": "LAM", "Ezekiel": "EZK", "Daniel": "DAN",
-            "Hosea": "HOS", "Joel": "JOL", "Amos": "AMO", "Obadiah": "OBA", "Jonah": "JON",
-            "Micah": "MIC", "Nahum": "NAM", "Habakkuk": "HAB", "Zephaniah": "ZEP", "Haggai": "HAG",
-            "Zechariah": "ZEC", "Malachi": "MAL",
-            // New Testament
-            "Matthew": "MAT", "Mark": "MRK", "Luke": "LUK", "John": "JHN", "Acts": "ACT",
-            "Romans": "ROM", "1 Corinthians": "1CO", "2 Corinthians": "2CO", "Galatians": "GAL",
-            "Ephesians": "EPH", "Philippians": "PHP", "Colossians": "COL", "1 Thessalonians": "1TH",
-            "2 Thessalonians": "2TH", "1 Timothy": "1TI", "2 Timothy": "2TI", "Titus": "TIT",
-            "Philemon": "PHM", "Hebrews": "HEB", "James": "JAS", "1 Peter": "1PE", "2 Peter": "2PE",
-            "1 John": "1JN", "2 John": "2JN", "3 John": "3JN", "Jude": "JUD", "Revelation": "REV"
-        ]
-        
-        // Try exact match first
-        if let abbreviation = bookMapping[bookName] {
-            return abbreviation
-        }
-        
-        // Try partial matches for common variations
-        for (fullName, abbreviation) in bookMapping {
-            if fullName.lowercased().contains(bookName.lowercased()) ||
-               bookName.lowercased().contains(fullName.lowercased()) {
-                return abbreviation
-            }
-        }
-        
-        // Fallback: use first 3 letters uppercase
-        return String(bookName.prefix(3)).uppercased()
+
+    // MARK: - Private Methods
+
+    /// The server parses `reference` ("John 3:16", "rom 8:28-30") and resolves
+    /// it to API.Bible ids, so nothing here needs to know book codes.
+    private func lookupPassage(reference: String, bibleId: String) async throws -> BibleLookupPassage {
+        let response = try await lookupGet([
+            URLQueryItem(name: "action", value: "passage"),
+            URLQueryItem(name: "reference", value: reference.trimmingCharacters(in: .whitespacesAndNewlines)),
+            URLQueryItem(name: "bibleId", value: bibleId)
+        ], as: BibleLookupPassageResponse.self)
+        return response.passage
     }
-}
\ No newline at end of file
+}
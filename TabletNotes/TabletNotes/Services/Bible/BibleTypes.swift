@@ -34,6 +34,47 @@ struct BiblePassage: Codable {
     let copyright: String?
 }
 
+// MARK: - Typed lookup models (GET /bible)
+
+struct BibleLookupReference: Codable {
+    let osis: String
+    let passageId: String
+    let display: String
+}
+
+struct BibleLookupVerse: Codable {
+    let id: String
+    let osis: String?
+    let chapter: Int?
+    let verse: Int?
+    let text: String
+}
+
+struct BibleLookupPassage: Codable {
+    let reference: BibleLookupReference
+    let bibleId: String
+    let verses: [BibleLookupVerse]
+    let text: String
+    let copyright: String?
+}
+
+struct BibleLookupPassageResponse: Codable {
+    let passage: BibleLookupPassage
+}
+
+struct BibleLookupSearchResult: Codable {
+    let id: String
+    let osis: String?
+    let reference: String?
+    let text: String
+}
+
+struct BibleLookupSearchResponse: Codable {
+    let query: String
+    let total: Int
+    let results: [BibleLookupSearchResult]
+}
+
 struct BibleBook: Codable, Identifiable {
     let id: String
     let bibleId: String
@@ -187,18 +187,15 @@ class ChatService: ChatServiceProtocol {
             // Get auth token
             let accessToken = try await getAuthToken()
 
-            // Build context from sermon data
-            let context = buildContext(for: sermon)
-
             // Build conversation history
             let conversationHistory = sermon.chatMessages
                 .sorted { $0.timestamp < $1.timestamp }
                 .map { ["role": $0.role, "content": $0.content] }
 
-            // Create request body
+            // Create request body. The server builds the sermon context from
+            // its own copy of the sermon, so only the id is sent.
             let requestBody: [String: Any] = [
                 "message": trimmedMessage,
-                "context": context,
                 "conversationHistory": conversationHistory,
                 "sermonId": sermon.id.uuidString
             ]
@@ -313,11 +310,10 @@ class ChatService: ChatServiceProtocol {
 
         do {
             let accessToken = try await getAuthToken()
-            let context = buildContext(for: sermon)
 
             let requestBody: [String: Any] = [
                 "action": "generateQuestions",
-                "context": context,
+                "sermonId": sermon.id.uuidString,
                 "count": 3
             ]
 
@@ -379,30 +375,6 @@ class ChatService: ChatServiceProtocol {
     }
 
     // MARK: - Helper Methods
-    private func buildContext(for sermon: Sermon) -> [String: Any] {
-        var context: [String: Any] = [
-            "title": sermon.title,
-            "serviceType": sermon.serviceType,
-            "date": sermon.date.ISO8601Format()
-        ]
-
-        if let speaker = sermon.speaker {
-            context["speaker"] = speaker
-        }
-
-        if let summary = sermon.summary?.text {
-            context["summary"] = summary
-        }
-
-        if let transcript = sermon.transcript?.text {
-            // Limit transcript size to prevent token overflow
-            let maxLength = 8000
-            context["transcript"] = String(transcript.prefix(maxLength))
-        }
-
-        return context
-    }
-
     // MARK: - Mock Response Generator (for testing)
     private func generateMockResponse(for question: String, sermon: Sermon) -> String {
         let responses = [
@@ -1296,6 +1296,9 @@ struct BibleTranslationSettingRow: View {
                 onSelectionChanged: { translationId in
                     selectedTranslationId = translationId
                     ApiBibleConfig.setPreferredBibleTranslation(translationId)
+                    Task {
+                        try? await BibleAPIService().savePreferredTranslation(translationId)
+                    }
                 }
             )
         }
@@ -0,0 +1,19 @@
+-- Structured summaries: persist the validated JSON sections next to the
+-- markdown `summaries.text`.
+--
+-- summarize.js can now return a summary as JSON (title, overview, main points,
+-- scripture references, application points, quotes, discussion questions)
+-- validated by utils/structuredSummary.js. `text` stays NOT NULL and keeps
+-- holding markdown — it is rendered from these sections — so shipped clients
+-- that only read `text` are unaffected.
+--
+-- Nullable with no default: rows written before this, and rows a client pushes
+-- through create-sermon / update-sermon, have no sections and must say so
+-- rather than carry an empty object that looks like "the model found nothing".
+-- The object carries its own `schemaVersion` so a reader can tell which shape
+-- it holds without a second column.
+
+alter table public.summaries add column if not exists structured jsonb;
+
+comment on column public.summaries.structured is
+    'Validated structured summary sections (utils/structuredSummary.js). NULL for markdown-only summaries. `text` is rendered from this when present.';
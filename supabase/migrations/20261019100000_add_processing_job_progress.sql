@@ -0,0 +1,20 @@
+-- Processing job progress: durable state for work that spans reaper sweeps.
+--
+-- Summary jobs over long transcripts are now map-reduced
+-- (netlify/functions/utils/chunkedSummary.js): the transcript is split into
+-- sections, each sweep condenses a few of them into notes, and a final call
+-- summarizes the notes. The split and the notes taken so far live here, so a
+-- job handed back to the queue between sweeps — or retried after one section
+-- failed — resumes rather than paying for every section again.
+--
+-- Nullable with no default: most jobs finish in one step and never write it,
+-- and the summary job clears it once the summary is saved. The object carries
+-- its own `version` and the transcript length it was planned against, so stale
+-- progress from a re-transcribed sermon is detected and replanned, not merged.
+--
+-- Written only by the service role, like every other processing_jobs column.
+
+alter table public.processing_jobs add column if not exists progress jsonb;
+
+comment on column public.processing_jobs.progress is
+    'Resumable multi-sweep state (e.g. map-reduce summary section notes). NULL when the job has none.';
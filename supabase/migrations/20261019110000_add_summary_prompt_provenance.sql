@@ -0,0 +1,23 @@
+-- Summary provenance: record which prompt version and model wrote each summary.
+--
+-- Prompts now come from a versioned registry
+-- (netlify/functions/utils/promptRegistry.js) and can be pinned, overridden per
+-- service type or tier, or run as an experiment. That is only useful if a row
+-- says which one produced it: "find every summary written by summary@v3" is
+-- how a bad prompt's damage is measured and re-run after a rollback.
+--
+-- Nullable with no default: rows written before this, and summaries a client
+-- pushes through create-sermon / update-sermon, have no recorded provenance and
+-- must say so rather than claim the current version.
+
+alter table public.summaries add column if not exists prompt_version text;
+alter table public.summaries add column if not exists model text;
+
+comment on column public.summaries.prompt_version is
+    'Registry id of the prompt that generated text, e.g. summary@v1. NULL when unknown.';
+comment on column public.summaries.model is
+    'Model that generated text, e.g. gpt-4o-mini. NULL when unknown.';
+
+create index if not exists idx_summaries_prompt_version
+    on public.summaries (prompt_version)
+    where prompt_version is not null;
@@ -0,0 +1,84 @@
+-- Server-side sermon chat conversations (chat_threads / chat_messages).
+--
+-- Problem: chat.js is stateless. The client replays `conversationHistory` on
+-- every call and nothing is saved, so a conversation is lost on reinstall and
+-- never reaches the user's other devices. Worse, the replayed history is taken
+-- at its word: a client could send `{ role: 'system', content: ... }` pairs and
+-- have them forwarded to the model as instructions.
+--
+-- With a thread, chat.js loads history from chat_messages instead of the
+-- request, and appends the user's message and the reply once the reply is
+-- complete. Threads belong to a sermon and go with it (ON DELETE CASCADE).
+--
+-- Ownership model: same as processing_jobs. Rows are written ONLY by the
+-- service role (/chat and /chat-threads, which check that the caller owns the
+-- thread or sermon first). Clients may SELECT their own rows, which is enough
+-- for Realtime sync between devices; a client-writable chat_messages would put
+-- the injection hole straight back.
+
+create table if not exists public.chat_threads (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users(id) on delete cascade,
+    sermon_id uuid not null references public.sermons(id) on delete cascade,
+    -- First user message, trimmed, unless the client named the thread.
+    title text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    -- Drives the thread list order; NULL until the first exchange.
+    last_message_at timestamptz
+);
+
+create table if not exists public.chat_messages (
+    id uuid primary key default gen_random_uuid(),
+    thread_id uuid not null references public.chat_threads(id) on delete cascade,
+    user_id uuid not null references auth.users(id) on delete cascade,
+    -- No 'system': system prompts come from the prompt registry on every call
+    -- and are never stored or replayed.
+    role text not null check (role in ('user', 'assistant')),
+    content text not null,
+    -- Provenance of assistant replies; NULL on user messages.
+    prompt_version text,
+    model text,
+    usage jsonb,
+    created_at timestamptz not null default now()
+);
+
+comment on table public.chat_threads is
+    'A sermon chat conversation. Written by the service role only; clients read their own rows.';
+comment on table public.chat_messages is
+    'Messages of a chat thread, oldest first by created_at. chat.js builds model history from these, never from the request.';
+
+create index if not exists idx_chat_threads_user_sermon
+    on public.chat_threads (user_id, sermon_id, last_message_at desc);
+create index if not exists idx_chat_messages_thread_created
+    on public.chat_messages (thread_id, created_at);
+create index if not exists idx_chat_messages_user_id
+    on public.chat_messages (user_id);
+
+alter table public.chat_threads enable row level security;
+alter table public.chat_messages enable row level security;
+
+drop policy if exists "Users can view own chat threads" on public.chat_threads;
+create policy "Users can view own chat threads"
+    on public.chat_threads for select
+    using (auth.uid() = user_id);
+
+drop policy if exists "Users can view own chat messages" on public.chat_messages;
+create policy "Users can view own chat messages"
+    on public.chat_messages for select
+    using (auth.uid() = user_id);
+
+create or replace function public.touch_chat_threads_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.updated_at = now();
+    return new;
+end;
+$$;
+
+drop trigger if exists trg_chat_threads_updated_at on public.chat_threads;
+create trigger trg_chat_threads_updated_at
+    before update on public.chat_threads
+    for each row execute function public.touch_chat_threads_updated_at();
@@ -0,0 +1,109 @@
+-- Library-wide "ask my sermons" search (search_chunks + search_index jobs).
+--
+-- chat.js could only answer about the one sermon whose text the client pasted
+-- into the request. Library mode searches everything the user has recorded:
+-- each sermon's transcript, summary and notes are cut into passages of about a
+-- paragraph (netlify/functions/utils/searchIndex.js), stored here with their
+-- offsets into the recording, and matched by Postgres full-text search. The
+-- answer cites passages by number, which map back to sermon and timestamp.
+--
+-- Rows are rebuilt per sermon by a new processing_jobs kind, `search_index`,
+-- queued when a transcription completes and again when its summary is written.
+-- Sermons transcribed before this migration have no rows until something
+-- re-queues their job; they are simply absent from library answers until then.
+--
+-- Ownership model: service role writes (the reaper), clients may SELECT their
+-- own rows. Search goes through search_sermon_chunks, called by /chat with the
+-- service role and an explicit user id; it is not granted to clients.
+
+-- ---------------------------------------------------------------------------
+-- processing_jobs: allow the new kind
+-- ---------------------------------------------------------------------------
+
+alter table public.processing_jobs drop constraint if exists processing_jobs_kind_check;
+alter table public.processing_jobs add constraint processing_jobs_kind_check
+    check (kind in ('transcription', 'summary', 'search_index'));
+
+-- ---------------------------------------------------------------------------
+-- search_chunks
+-- ---------------------------------------------------------------------------
+
+create table if not exists public.search_chunks (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users(id) on delete cascade,
+    sermon_id uuid not null references public.sermons(id) on delete cascade,
+    source text not null check (source in ('transcript', 'summary', 'note')),
+    -- Position within its source, for stable ordering of a sermon's passages.
+    chunk_index integer not null,
+    content text not null,
+    -- Offsets into the recording; NULL for summaries and untimed transcripts.
+    start_ms integer,
+    end_ms integer,
+    fts tsvector generated always as (to_tsvector('english', content)) stored,
+    created_at timestamptz not null default now()
+);
+
+comment on table public.search_chunks is
+    'Searchable passages of each sermon, rebuilt by search_index jobs. Service role writes only.';
+
+create index if not exists idx_search_chunks_fts
+    on public.search_chunks using gin (fts);
+create index if not exists idx_search_chunks_user_id
+    on public.search_chunks (user_id);
+create index if not exists idx_search_chunks_sermon_id
+    on public.search_chunks (sermon_id);
+
+alter table public.search_chunks enable row level security;
+
+drop policy if exists "Users can view own search chunks" on public.search_chunks;
+create policy "Users can view own search chunks"
+    on public.search_chunks for select
+    using (auth.uid() = user_id);
+
+-- ---------------------------------------------------------------------------
+-- search_sermon_chunks: best passages for a question's keywords
+-- ---------------------------------------------------------------------------
+
+-- `p_terms` are keywords already reduced to [a-z0-9] by the caller; any one of
+-- them matching is enough (OR), and ts_rank_cd rewards passages that match
+-- several close together. websearch_to_tsquery would AND every word of a
+-- natural-language question and find almost nothing.
+create or replace function public.search_sermon_chunks(
+    p_user_id uuid,
+    p_terms text[],
+    p_limit integer default 6
+)
+returns table (
+    id uuid,
+    sermon_id uuid,
+    sermon_title text,
+    source text,
+    chunk_index integer,
+    content text,
+    start_ms integer,
+    end_ms integer,
+    rank real
+)
+language sql
+stable
+as $$
+    with query as (
+        select to_tsquery('english', array_to_string(
+            array(select quote_literal(term) from unnest(p_terms) as term where term ~ '^[a-z0-9]+$'),
+            ' | '
+        )) as q
+    )
+    select c.id, c.sermon_id, s.title, c.source, c.chunk_index, c.content,
+           c.start_ms, c.end_ms, ts_rank_cd(c.fts, query.q) as rank
+    from public.search_chunks c
+    join public.sermons s on s.id = c.sermon_id
+    cross join query
+    where c.user_id = p_user_id
+      and c.fts @@ query.q
+    order by rank desc, c.sermon_id, c.source, c.chunk_index
+    limit least(greatest(coalesce(p_limit, 6), 1), 20);
+$$;
+
+revoke all on function public.search_sermon_chunks(uuid, text[], integer) from public;
+revoke all on function public.search_sermon_chunks(uuid, text[], integer) from anon, authenticated;
+grant execute on function public.search_sermon_chunks(uuid, text[], integer) to service_role;
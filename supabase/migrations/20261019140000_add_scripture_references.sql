@@ -0,0 +1,57 @@
+-- Scripture references detected in transcripts (scripture_references).
+--
+-- Transcripts are full of spoken references ("John three sixteen", "first
+-- Corinthians thirteen verses four through seven") that nothing parsed. When a
+-- transcription completes, netlify/functions/utils/scriptureReferences.js
+-- finds every mention, normalizes it to a canonical passage, and stores it
+-- here with its time in the recording, so the app can list the verses a sermon
+-- mentioned, seek to each, and open it through bible-api.js.
+--
+-- One row per mention, not per passage: a verse read three times is three
+-- rows with three timestamps. Group by `osis` for a distinct list.
+--
+-- Rows are replaced wholesale on every completed transcription. Sermons
+-- transcribed before this migration have none until they are re-transcribed.
+--
+-- Ownership model: service role writes, clients may SELECT their own rows.
+
+create table if not exists public.scripture_references (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users(id) on delete cascade,
+    sermon_id uuid not null references public.sermons(id) on delete cascade,
+    -- Order of the mention within the transcript.
+    mention_index integer not null,
+    -- OSIS-style id, e.g. 'John.3.16' or '1Cor.13.4-1Cor.13.7'.
+    osis text not null,
+    -- The same passage in API.Bible's form, e.g. 'JHN.3.16'.
+    passage_id text not null,
+    book text not null,
+    -- Display form, e.g. 'John 3:16-18'.
+    display text not null,
+    chapter_start integer not null,
+    verse_start integer,
+    chapter_end integer not null,
+    verse_end integer,
+    -- The words as transcribed, e.g. 'John three sixteen'.
+    spoken_text text not null,
+    -- Offsets into the recording; NULL when the transcript had no word timings.
+    start_ms integer,
+    end_ms integer,
+    created_at timestamptz not null default now(),
+    constraint scripture_references_sermon_mention_unique unique (sermon_id, mention_index)
+);
+
+comment on table public.scripture_references is
+    'Scripture references mentioned in each transcript, with their times. Service role writes only.';
+
+create index if not exists idx_scripture_references_user_id
+    on public.scripture_references (user_id);
+create index if not exists idx_scripture_references_user_osis
+    on public.scripture_references (user_id, osis);
+
+alter table public.scripture_references enable row level security;
+
+drop policy if exists "Users can view own scripture references" on public.scripture_references;
+create policy "Users can view own scripture references"
+    on public.scripture_references for select
+    using (auth.uid() = user_id);
@@ -0,0 +1,31 @@
+-- Verse text for the passages a summary cites (summaries.scripture_passages),
+-- and the translation to read them in (profiles.preferred_bible_id).
+--
+-- Summaries name passages ("Romans 8:28-30") but never quoted them, so users
+-- left the app to read them. After a summary job writes the summary, the
+-- reaper resolves each cited passage through the Bible source layer and
+-- stores the text alongside it (netlify/functions/utils/summaryPassages.js):
+--
+--   { "bibleId": "de4e12af7f28f599-01", "tier": "paid", "capped": false,
+--     "passages": [{ "osis": "Rom.8.28-Rom.8.30", "passageId": "ROM.8.28-ROM.8.30",
+--                    "display": "Romans 8:28-30", "text": "...", "truncated": false,
+--                    "verses": [{ "osis": "Rom.8.28", "chapter": 8, "verse": 28, "text": "..." }] }] }
+--
+-- Paid tiers get whole passages, free the first verses of each; every
+-- summary is capped in total verses. NULL when enrichment didn't run: rows
+-- written before this, with enrichment off, or when it failed.
+--
+-- preferred_bible_id is the API.Bible id of the user's translation, set from
+-- the app through /bible-preference. NULL means the default (KJV). Unlike the
+-- subscription columns it is a preference, not an entitlement, but it is still
+-- written only by the service role: profiles has no client UPDATE policy.
+
+alter table public.summaries add column if not exists scripture_passages jsonb;
+
+comment on column public.summaries.scripture_passages is
+    'Verse text of the passages the summary cites, in the user''s translation. NULL when not enriched.';
+
+alter table public.profiles add column if not exists preferred_bible_id text;
+
+comment on column public.profiles.preferred_bible_id is
+    'API.Bible id of the user''s preferred translation. NULL means the default.';
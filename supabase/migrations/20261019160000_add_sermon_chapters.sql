@@ -0,0 +1,48 @@
+-- Sermon chapters (sermon_chapters): a titled outline of each recording with
+-- start and end times.
+--
+-- Every sermon has the same shape (introduction, a few main points, an
+-- application, a closing prayer) but the app only offered one long transcript.
+-- When a transcription completes, netlify/functions/utils/sermonChapters.js
+-- builds the outline, either from AssemblyAI's auto chapters
+-- (SERMON_CHAPTERS=provider) or from our own segmentation of the stored word
+-- timings (the default), and stores it here. get-sermons returns it with the
+-- sermon so the app can show the outline and seek to each part.
+--
+-- `kind` is one of intro, point, application, prayer; `source` records which
+-- of the two produced the row. Rows are replaced wholesale on every completed
+-- transcription. Sermons transcribed before this migration, recordings under
+-- five minutes and transcripts without word timings have none.
+--
+-- Ownership model: service role writes, clients may SELECT their own rows.
+
+create table if not exists public.sermon_chapters (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users(id) on delete cascade,
+    sermon_id uuid not null references public.sermons(id) on delete cascade,
+    -- Position in the outline, from 0.
+    chapter_index integer not null,
+    kind text not null check (kind in ('intro', 'point', 'application', 'prayer')),
+    title text not null,
+    -- The provider's chapter summary; NULL for segmented chapters.
+    summary text,
+    -- Offsets into the recording.
+    start_ms integer not null,
+    end_ms integer not null,
+    source text not null check (source in ('provider', 'segmented')),
+    created_at timestamptz not null default now(),
+    constraint sermon_chapters_sermon_index_unique unique (sermon_id, chapter_index)
+);
+
+comment on table public.sermon_chapters is
+    'Titled outline of each sermon recording with times. Service role writes only.';
+
+create index if not exists idx_sermon_chapters_user_id
+    on public.sermon_chapters (user_id);
+
+alter table public.sermon_chapters enable row level security;
+
+drop policy if exists "Users can view own sermon chapters" on public.sermon_chapters;
+create policy "Users can view own sermon chapters"
+    on public.sermon_chapters for select
+    using (auth.uid() = user_id);
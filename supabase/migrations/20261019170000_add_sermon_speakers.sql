@@ -0,0 +1,50 @@
+-- Speaker turns (transcripts.speaker_turns) and the people behind the speaker
+-- labels (sermon_speakers).
+--
+-- Transcripts are submitted with speaker labels, but only the flat text was
+-- kept in a usable form, so announcements, worship and the sermon all ran
+-- together. A completed transcription now stores who spoke when:
+--
+--   [{ "speaker": "A", "startMs": 0, "endMs": 252000, "text": "Good morning..." }, ...]
+--
+-- (NULL without speaker labels), and the user can name each label per sermon
+-- through /sermon-speakers: "A" is Pastor Dan, the preacher; "B" does the
+-- announcements. The summary job reads only the preacher when one is named
+-- and leaves out announcers and worship leaders otherwise
+-- (netlify/functions/utils/sermonSpeakers.js).
+--
+-- Labels are per recording (AssemblyAI's "A" in one sermon is unrelated to
+-- "A" in the next), so names are per sermon too.
+--
+-- Ownership model: service role writes, clients may SELECT their own rows.
+
+alter table public.transcripts add column if not exists speaker_turns jsonb;
+
+comment on column public.transcripts.speaker_turns is
+    'Speaker turns with times and text, from the provider''s speaker labels. NULL without labels.';
+
+create table if not exists public.sermon_speakers (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users(id) on delete cascade,
+    sermon_id uuid not null references public.sermons(id) on delete cascade,
+    -- The provider's label, e.g. 'A'.
+    label text not null,
+    name text,
+    role text check (role in ('preacher', 'worship_leader', 'announcer', 'reader', 'other')),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    constraint sermon_speakers_sermon_label_unique unique (sermon_id, label)
+);
+
+comment on table public.sermon_speakers is
+    'Names and roles for the speaker labels in each sermon recording. Service role writes only.';
+
+create index if not exists idx_sermon_speakers_user_id
+    on public.sermon_speakers (user_id);
+
+alter table public.sermon_speakers enable row level security;
+
+drop policy if exists "Users can view own sermon speakers" on public.sermon_speakers;
+create policy "Users can view own sermon speakers"
+    on public.sermon_speakers for select
+    using (auth.uid() = user_id);
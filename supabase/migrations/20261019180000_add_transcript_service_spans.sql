@@ -0,0 +1,23 @@
+-- Worship, announcements, prayer and sermon spans of each recording
+-- (transcripts.service_spans).
+--
+-- Sunday recordings often carry twenty minutes or more of music and
+-- announcements around the sermon, and the summary read all of it. When a
+-- transcription completes, netlify/functions/utils/serviceSegments.js
+-- classifies the timed words, using speaker labels where there are any, and
+-- stores:
+--
+--   { "sermonStartMs": 960000, "sermonEndMs": 2640000,
+--     "spans": [{ "kind": "worship", "startMs": 0, "endMs": 600000 },
+--               { "kind": "announcements", "startMs": 600000, "endMs": 960000 },
+--               { "kind": "sermon", "startMs": 960000, "endMs": 2640000 }, ...] }
+--
+-- get-sermons returns it so the app can jump to the sermon, and the summary
+-- job summarizes only the sermon span (SUMMARY_SERMON_ONLY=off to read it
+-- all). NULL when no sermon-length run of speech stands out, for transcripts
+-- without word timings, and for rows written before this migration.
+
+alter table public.transcripts add column if not exists service_spans jsonb;
+
+comment on column public.transcripts.service_spans is
+    'Worship, announcements, prayer and sermon spans with the sermon''s start and end. NULL when not detected.';
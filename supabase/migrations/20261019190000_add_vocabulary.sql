@@ -0,0 +1,95 @@
+-- Custom vocabulary (vocabulary_terms) and the organizations that share one
+-- (organizations, organization_members).
+--
+-- Pastors' names, church names, Greek and Hebrew words and book names come
+-- back misspelled from a general speech model. A user lists the terms they
+-- use, each with the ways it tends to be misheard:
+--
+--   term 'Habakkuk', sounds_like {'have a cook', 'habba cook'}
+--
+-- and a church can keep one list for all of its members. Terms are sent to
+-- AssemblyAI as key terms when a transcription is submitted, and applied as
+-- a find-and-replace pass when it completes
+-- (netlify/functions/utils/vocabulary.js). Managed through /vocabulary.
+--
+-- A term belongs to exactly one user or one organization. Organization terms
+-- are added and removed by the organization's admins; membership itself is
+-- managed by the service role.
+--
+-- Ownership model: service role writes, clients may SELECT their own rows and
+-- their organizations'.
+
+create table if not exists public.organizations (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    created_at timestamptz not null default now()
+);
+
+comment on table public.organizations is
+    'Churches and ministries whose members share a vocabulary. Service role writes only.';
+
+create table if not exists public.organization_members (
+    organization_id uuid not null references public.organizations(id) on delete cascade,
+    user_id uuid not null references auth.users(id) on delete cascade,
+    role text not null default 'member' check (role in ('admin', 'member')),
+    created_at timestamptz not null default now(),
+    primary key (organization_id, user_id)
+);
+
+comment on table public.organization_members is
+    'Who belongs to each organization. Admins manage its vocabulary. Service role writes only.';
+
+create index if not exists idx_organization_members_user_id
+    on public.organization_members (user_id);
+
+create table if not exists public.vocabulary_terms (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid references auth.users(id) on delete cascade,
+    organization_id uuid references public.organizations(id) on delete cascade,
+    -- The term as it should be written.
+    term text not null check (char_length(term) between 1 and 100),
+    -- How the model tends to write it instead.
+    sounds_like text[] not null default '{}',
+    created_by uuid references auth.users(id) on delete set null,
+    created_at timestamptz not null default now(),
+    constraint vocabulary_terms_one_owner check ((user_id is null) <> (organization_id is null))
+);
+
+comment on table public.vocabulary_terms is
+    'Custom transcription vocabulary per user or organization. Service role writes only.';
+
+create unique index if not exists idx_vocabulary_terms_user_term
+    on public.vocabulary_terms (user_id, lower(term))
+    where user_id is not null;
+
+create unique index if not exists idx_vocabulary_terms_organization_term
+    on public.vocabulary_terms (organization_id, lower(term))
+    where organization_id is not null;
+
+alter table public.organizations enable row level security;
+alter table public.organization_members enable row level security;
+alter table public.vocabulary_terms enable row level security;
+
+drop policy if exists "Members can view their organizations" on public.organizations;
+create policy "Members can view their organizations"
+    on public.organizations for select
+    using (exists (
+        select 1 from public.organization_members m
+        where m.organization_id = organizations.id and m.user_id = auth.uid()
+    ));
+
+drop policy if exists "Users can view own memberships" on public.organization_members;
+create policy "Users can view own memberships"
+    on public.organization_members for select
+    using (auth.uid() = user_id);
+
+drop policy if exists "Users can view own and organization vocabulary" on public.vocabulary_terms;
+create policy "Users can view own and organization vocabulary"
+    on public.vocabulary_terms for select
+    using (
+        auth.uid() = user_id
+        or exists (
+            select 1 from public.organization_members m
+            where m.organization_id = vocabulary_terms.organization_id and m.user_id = auth.uid()
+        )
+    );
@@ -0,0 +1,42 @@
+-- The language a sermon is preached in (sermons.language), the language its
+-- summary is written in (summaries.language), the job's transcription
+-- language (processing_jobs.language), and the user's defaults for both
+-- (profiles.transcription_language, profiles.summary_language).
+--
+-- Every transcription was submitted as English and every summary written in
+-- English. A transcription job is now submitted in the language the user asked
+-- for, or their default, or with automatic language detection; the language
+-- AssemblyAI reports is stored on the sermon when it completes. The summary is
+-- then written in the user's chosen summary language, or the sermon's own
+-- (netlify/functions/utils/sermonLanguage.js).
+--
+-- Codes are ISO 639-1 ('en', 'es', 'pt'). NULL means unknown on sermons and
+-- summaries (rows written before this, or a provider that didn't say), and on
+-- processing_jobs that the language is detected. On profiles NULL means
+-- "detect" and "the sermon's language". The preferences are set from the app
+-- through /language-preference; profiles has no client UPDATE policy.
+
+alter table public.sermons add column if not exists language text;
+
+comment on column public.sermons.language is
+    'ISO 639-1 code of the language the sermon is preached in. NULL when unknown.';
+
+alter table public.summaries add column if not exists language text;
+
+comment on column public.summaries.language is
+    'ISO 639-1 code of the language the summary is written in. NULL when the sermon''s was unknown.';
+
+alter table public.processing_jobs add column if not exists language text;
+
+comment on column public.processing_jobs.language is
+    'Transcription language the job was submitted with. NULL means automatic detection.';
+
+alter table public.profiles add column if not exists transcription_language text;
+
+comment on column public.profiles.transcription_language is
+    'Default language to transcribe in. NULL means automatic detection.';
+
+alter table public.profiles add column if not exists summary_language text;
+
+comment on column public.profiles.summary_language is
+    'Language to write summaries in. NULL means each sermon''s own language.';
@@ -0,0 +1,22 @@
+-- The transcription provider a job was sent to (processing_jobs.provider).
+--
+-- Every transcription went to AssemblyAI. A job is now sent to the configured
+-- provider — AssemblyAI, or a self-hosted Whisper-compatible server — or to
+-- the fallback while the primary is failing, and the reaper resubmits and
+-- reconciles it with the provider recorded here
+-- (netlify/functions/utils/transcriptionProviders.js). A job whose submit
+-- provably never reached its provider is moved to the fallback by rewriting
+-- this column.
+--
+-- 'assemblyai' | 'whisper'. NULL on summary and search index jobs, which no
+-- provider runs; existing transcription jobs were all AssemblyAI's.
+
+alter table public.processing_jobs add column if not exists provider text;
+
+update public.processing_jobs
+   set provider = 'assemblyai'
+ where kind = 'transcription'
+   and provider is null;
+
+comment on column public.processing_jobs.provider is
+    'Transcription provider the job is sent to (assemblyai | whisper). NULL for jobs no provider runs.';
@@ -0,0 +1,43 @@
+-- Word-level transcript segments (transcript_segments), served per sermon by
+-- /transcript-detail.
+--
+-- The table was documented but never written: a completed transcription kept
+-- its words only in transcripts.segments, which get-sermons must strip because
+-- shipped clients decode that field as a string (TAB-93). Each completion now
+-- replaces the transcript's rows here, one per word, so the app can highlight
+-- words as the recording plays and seek to a tapped one without the library
+-- sync carrying them (netlify/functions/utils/transcriptSegments.js).
+--
+-- Created here if it does not exist yet, in its documented shape. Times are
+-- in seconds, as the app's TranscriptSegment has them.
+--
+-- Ownership model: service role writes, clients may SELECT the segments of
+-- their own transcripts.
+
+create table if not exists public.transcript_segments (
+    id uuid primary key default gen_random_uuid(),
+    transcript_id uuid not null references public.transcripts(id) on delete cascade,
+    text text not null,
+    start_time double precision not null,
+    end_time double precision not null,
+    confidence double precision,
+    speaker text,
+    created_at timestamptz not null default now()
+);
+
+comment on table public.transcript_segments is
+    'One row per transcribed word with its time in seconds. Replaced on every transcription. Service role writes only.';
+
+create index if not exists idx_transcript_segments_transcript_start
+    on public.transcript_segments (transcript_id, start_time);
+
+alter table public.transcript_segments enable row level security;
+
+drop policy if exists "Users can view own transcript segments" on public.transcript_segments;
+create policy "Users can view own transcript segments"
+    on public.transcript_segments for select
+    using (exists (
+        select 1 from public.transcripts t
+         where t.id = transcript_segments.transcript_id
+           and t.user_id = auth.uid()
+    ));
@@ -0,0 +1,43 @@
+-- User corrections to transcripts (transcript_edits, transcripts.edited_at),
+-- saved by /transcript-edits.
+--
+-- Users fix misheard words in the app, but the server had no way to take the
+-- fix, and a re-transcription upserted over the whole transcript row. An edit
+-- now replaces spans of the stored words, re-timed within the words they
+-- replace, and each save is kept here with the before and after text of every
+-- span (netlify/functions/utils/transcriptEdits.js).
+--
+-- transcripts.edited_at marks a transcript the user has corrected. Once it is
+-- set, completeTranscriptionJob keeps the edited text and words on a reaper
+-- re-run or a retry instead of silently replacing them with the provider's.
+--
+-- Ownership model: service role writes, clients may SELECT their own edits.
+
+alter table public.transcripts
+    add column if not exists edited_at timestamptz;
+
+comment on column public.transcripts.edited_at is
+    'When the user last corrected this transcript. Set: re-transcription keeps the edited text and words.';
+
+create table if not exists public.transcript_edits (
+    id uuid primary key default gen_random_uuid(),
+    transcript_id uuid not null references public.transcripts(id) on delete cascade,
+    sermon_id uuid not null references public.sermons(id) on delete cascade,
+    user_id uuid not null references auth.users(id) on delete cascade,
+    base_updated_at timestamptz not null,
+    edits jsonb not null,
+    created_at timestamptz not null default now()
+);
+
+comment on table public.transcript_edits is
+    'One row per saved transcript correction: [{fromWord, toWord, before, after, startMs, endMs}]. Service role writes only.';
+
+create index if not exists idx_transcript_edits_sermon_created
+    on public.transcript_edits (sermon_id, created_at desc);
+
+alter table public.transcript_edits enable row level security;
+
+drop policy if exists "Users can view own transcript edits" on public.transcript_edits;
+create policy "Users can view own transcript edits"
+    on public.transcript_edits for select
+    using (auth.uid() = user_id);
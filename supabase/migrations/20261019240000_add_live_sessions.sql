@@ -0,0 +1,81 @@
+-- Live transcription sessions (live_sessions, live_session_checkpoints),
+-- managed by /live-sessions.
+--
+-- assemblyai-live-token minted a streaming token and the server forgot the
+-- session: live captions existed only on the device, and a phone that died
+-- mid-service lost them. A session now ties the captions to a sermon; the app
+-- checkpoints the turns it has so far, and finalizing writes them as the
+-- sermon's transcript through the normal completion path — transcripts row,
+-- sermon statuses, summary job (netlify/functions/utils/liveSessions.js). The
+-- reaper finalizes sessions whose phone stopped checkpointing.
+--
+-- The transcription job a finalize writes carries provider 'assemblyai-live'
+-- (processing_jobs.provider). The recording's own transcription replaces it
+-- when the audio arrives.
+--
+-- Ownership model: service role writes, clients may SELECT their own sessions
+-- and their checkpoints.
+
+create table if not exists public.live_sessions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users(id) on delete cascade,
+    sermon_id uuid not null references public.sermons(id) on delete cascade,
+    status text not null default 'active' check (status in ('active', 'finalized')),
+    language text,
+    -- What finalizing did: transcribed, superseded (the recording's
+    -- transcription owns the sermon) or empty.
+    outcome text check (outcome in ('transcribed', 'superseded', 'empty')),
+    last_sequence integer,
+    last_checkpoint_at timestamptz,
+    finalized_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+comment on table public.live_sessions is
+    'A sermon''s live transcription session. At most one active per sermon. Service role writes only.';
+
+-- One active session per sermon: a retried start gets the same one back.
+create unique index if not exists idx_live_sessions_active_sermon
+    on public.live_sessions (sermon_id)
+    where status = 'active';
+
+create index if not exists idx_live_sessions_sermon_created
+    on public.live_sessions (sermon_id, created_at);
+
+-- The reaper's abandoned-session sweep.
+create index if not exists idx_live_sessions_active_updated
+    on public.live_sessions (updated_at)
+    where status = 'active';
+
+create table if not exists public.live_session_checkpoints (
+    id uuid primary key default gen_random_uuid(),
+    session_id uuid not null references public.live_sessions(id) on delete cascade,
+    sequence integer not null check (sequence >= 0),
+    text text not null default '',
+    -- [{text, start, end, confidence}], ms from the start of the recording.
+    words jsonb not null default '[]'::jsonb,
+    created_at timestamptz not null default now(),
+    -- A retried checkpoint is stored once.
+    constraint live_session_checkpoints_sequence_unique unique (session_id, sequence)
+);
+
+comment on table public.live_session_checkpoints is
+    'Turns a live session checkpointed, in sequence order. Service role writes only.';
+
+alter table public.live_sessions enable row level security;
+alter table public.live_session_checkpoints enable row level security;
+
+drop policy if exists "Users can view own live sessions" on public.live_sessions;
+create policy "Users can view own live sessions"
+    on public.live_sessions for select
+    using (auth.uid() = user_id);
+
+drop policy if exists "Users can view own live session checkpoints" on public.live_session_checkpoints;
+create policy "Users can view own live session checkpoints"
+    on public.live_session_checkpoints for select
+    using (exists (
+        select 1 from public.live_sessions s
+         where s.id = live_session_checkpoints.session_id
+           and s.user_id = auth.uid()
+    ));
@@ -0,0 +1,37 @@
+-- Word order for transcript_segments.
+--
+-- Segments were read back ordered by start_time alone. Words often share a
+-- start: a corrected span re-timed by /transcript-edits gives its new words
+-- one start each when they replace fewer, and Whisper emits equal timestamps
+-- of its own. With ties Postgres may return those words in any order, and
+-- paging with a range may repeat or skip them at a page boundary — while
+-- /transcript-edits and /transcript-review address words by index into that
+-- list. Each row now carries its word's position in the transcript, and reads
+-- order and page by it (netlify/functions/utils/transcriptSegments.js).
+--
+-- Existing rows are numbered by time, ties broken by when they were written.
+
+alter table public.transcript_segments
+    add column if not exists position integer;
+
+update public.transcript_segments s
+   set position = numbered.position
+  from (
+        select id,
+               (row_number() over (
+                    partition by transcript_id
+                    order by start_time, created_at, id
+               ) - 1)::integer as position
+          from public.transcript_segments
+       ) numbered
+ where s.id = numbered.id
+   and s.position is null;
+
+alter table public.transcript_segments
+    alter column position set not null;
+
+comment on column public.transcript_segments.position is
+    'The word''s 0-based index in its transcript. Reads order and page by it.';
+
+create unique index if not exists idx_transcript_segments_transcript_position
+    on public.transcript_segments (transcript_id, position);
@@ -0,0 +1,89 @@
+-- Transactional writes of transcript_segments.
+--
+-- A transcript's segments were replaced with a delete and then one insert per
+-- thousand words, each its own request. A failure part-way left the table
+-- empty or cut short, and a transcript edit saved its text first and its
+-- segments after, logging a failed segment write. The next edit reads its
+-- words from this table, so it then wrote the stale or truncated list over the
+-- transcript — undoing the last edit, or dropping most of the sermon — and the
+-- updated_at check could not tell.
+--
+-- replace_transcript_segments swaps a transcript's rows in one transaction:
+-- either every word is replaced or none is. save_transcript_edit applies an
+-- edit's compare-and-set on transcripts.updated_at and the segment swap
+-- together: nothing is saved on a conflict or when the segments cannot be
+-- written (netlify/functions/utils/transcriptSegments.js, transcriptEdits.js).
+--
+-- p_rows is segmentRows()'s output: [{position, text, start_time, end_time,
+-- confidence, speaker}]. Service role only, like search_sermon_chunks.
+
+create or replace function public.replace_transcript_segments(
+    p_transcript_id uuid,
+    p_rows jsonb
+)
+returns integer
+language plpgsql
+as $$
+declare
+    written integer;
+begin
+    delete from public.transcript_segments where transcript_id = p_transcript_id;
+
+    insert into public.transcript_segments
+        (transcript_id, position, text, start_time, end_time, confidence, speaker)
+    select p_transcript_id, r.position, r.text, r.start_time, r.end_time, r.confidence, r.speaker
+      from jsonb_to_recordset(coalesce(p_rows, '[]'::jsonb)) as r(
+            position integer,
+            text text,
+            start_time double precision,
+            end_time double precision,
+            confidence double precision,
+            speaker text
+      );
+
+    get diagnostics written = row_count;
+    return written;
+end;
+$$;
+
+create or replace function public.save_transcript_edit(
+    p_transcript_id uuid,
+    p_base_updated_at timestamptz,
+    p_text text,
+    p_segments jsonb,
+    p_speaker_turns jsonb,
+    p_rows jsonb
+)
+returns setof public.transcripts
+language plpgsql
+as $$
+declare
+    saved public.transcripts;
+begin
+    update public.transcripts
+       set text = p_text,
+           segments = p_segments,
+           speaker_turns = p_speaker_turns,
+           edited_at = now(),
+           updated_at = now()
+     where id = p_transcript_id
+       and updated_at = p_base_updated_at
+    returning * into saved;
+
+    -- Changed since the caller read it: their conflict, nothing written.
+    if not found then
+        return;
+    end if;
+
+    perform public.replace_transcript_segments(p_transcript_id, p_rows);
+    return next saved;
+end;
+$$;
+
+revoke all on function public.replace_transcript_segments(uuid, jsonb) from public;
+revoke all on function public.replace_transcript_segments(uuid, jsonb) from anon, authenticated;
+grant execute on function public.replace_transcript_segments(uuid, jsonb) to service_role;
+
+revoke all on function public.save_transcript_edit(uuid, timestamptz, text, jsonb, jsonb, jsonb) from public;
+revoke all on function public.save_transcript_edit(uuid, timestamptz, text, jsonb, jsonb, jsonb) from anon, authenticated;
+grant execute on function public.save_transcript_edit(uuid, timestamptz, text, jsonb, jsonb, jsonb) to service_role;
@@ -0,0 +1,15 @@
+-- Provenance for the section notes a long summary is merged from.
+--
+-- A transcript too long for one completion is summarized in two stages
+-- (netlify/functions/utils/chunkedSummary.js): each section is condensed into
+-- notes with the summary.section-notes prompt, then the notes are merged with
+-- the summary prompt. prompt_version records only the merge, so a bad
+-- section-notes version could not be traced to the summaries it fed.
+--
+-- Nullable with no default: single-pass summaries, client-pushed ones and rows
+-- written before this have no section notes to record.
+
+alter table public.summaries add column if not exists section_prompt_version text;
+
+comment on column public.summaries.section_prompt_version is
+    'Registry id of the prompt the section notes were taken with when text was merged from them, e.g. summary.section-notes@v1. NULL for a single-pass summary.';
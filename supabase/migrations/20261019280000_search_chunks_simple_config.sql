@@ -0,0 +1,67 @@
+-- Library search in every language a sermon can be preached in.
+--
+-- search_chunks.fts was built with the 'english' configuration, and
+-- search_sermon_chunks only accepted keywords made of [a-z0-9]. A Spanish
+-- sermon was stemmed by English rules, and a question about "ἀγάπη" or
+-- "שָׁלוֹם" had no keywords left to search with.
+--
+-- Passages are now indexed with 'simple': lower-cased words, no stemming and
+-- no stopwords, the same in every language. The caller already reduces a
+-- question to lower-case keywords of Unicode letters and digits and drops
+-- English stopwords (netlify/functions/utils/searchIndex.js), which is what
+-- the memory backend has always matched on. English questions lose stemming
+-- ("forgive" no longer finds "forgiven"); a per-sermon configuration would
+-- keep it for English but could not search a library that mixes languages
+-- with one query.
+--
+-- Dropping the generated column drops its index; both are rebuilt from
+-- content, so no search_index job needs to run again.
+
+alter table public.search_chunks drop column if exists fts;
+alter table public.search_chunks
+    add column fts tsvector generated always as (to_tsvector('simple', content)) stored;
+
+create index if not exists idx_search_chunks_fts
+    on public.search_chunks using gin (fts);
+
+-- `p_terms` are keywords the caller reduced to letters and digits; quote_literal
+-- keeps anything else from being read as tsquery syntax.
+create or replace function public.search_sermon_chunks(
+    p_user_id uuid,
+    p_terms text[],
+    p_limit integer default 6
+)
+returns table (
+    id uuid,
+    sermon_id uuid,
+    sermon_title text,
+    source text,
+    chunk_index integer,
+    content text,
+    start_ms integer,
+    end_ms integer,
+    rank real
+)
+language sql
+stable
+as $$
+    with query as (
+        select to_tsquery('simple', array_to_string(
+            array(select quote_literal(term) from unnest(p_terms) as term where term !~ '[[:space:]]' and term <> ''),
+            ' | '
+        )) as q
+    )
+    select c.id, c.sermon_id, s.title, c.source, c.chunk_index, c.content,
+           c.start_ms, c.end_ms, ts_rank_cd(c.fts, query.q) as rank
+    from public.search_chunks c
+    join public.sermons s on s.id = c.sermon_id
+    cross join query
+    where c.user_id = p_user_id
+      and c.fts @@ query.q
+    order by rank desc, c.sermon_id, c.source, c.chunk_index
+    limit least(greatest(coalesce(p_limit, 6), 1), 20);
+$$;
+
+revoke all on function public.search_sermon_chunks(uuid, text[], integer) from public;
+revoke all on function public.search_sermon_chunks(uuid, text[], integer) from anon, authenticated;
+grant execute on function public.search_sermon_chunks(uuid, text[], integer) to service_role;
@@ -0,0 +1,54 @@
+-- save_transcript_edit also rewrites transcripts.service_spans.
+--
+-- An edit replaced the words, text, segments and speaker turns, but left the
+-- worship / announcements / prayer / sermon spans as completion detected them
+-- from the provider's words. Inserting or deleting words moves what the spans
+-- were measured over, and the summary job reads only the sermon span
+-- (netlify/functions/utils/serviceSegments.js).
+--
+-- The caller now detects the spans from the edited words, as completion does,
+-- and passes them with the speaker turns it already recomputes: every column
+-- derived from the words is written in the same transaction as the words.
+-- p_service_spans is null when no sermon is detected, which clears the column.
+
+drop function if exists public.save_transcript_edit(uuid, timestamptz, text, jsonb, jsonb, jsonb);
+
+create or replace function public.save_transcript_edit(
+    p_transcript_id uuid,
+    p_base_updated_at timestamptz,
+    p_text text,
+    p_segments jsonb,
+    p_speaker_turns jsonb,
+    p_service_spans jsonb,
+    p_rows jsonb
+)
+returns setof public.transcripts
+language plpgsql
+as $$
+declare
+    saved public.transcripts;
+begin
+    update public.transcripts
+       set text = p_text,
+           segments = p_segments,
+           speaker_turns = p_speaker_turns,
+           service_spans = p_service_spans,
+           edited_at = now(),
+           updated_at = now()
+     where id = p_transcript_id
+       and updated_at = p_base_updated_at
+    returning * into saved;
+
+    -- Changed since the caller read it: their conflict, nothing written.
+    if not found then
+        return;
+    end if;
+
+    perform public.replace_transcript_segments(p_transcript_id, p_rows);
+    return next saved;
+end;
+$$;
+
+revoke all on function public.save_transcript_edit(uuid, timestamptz, text, jsonb, jsonb, jsonb, jsonb) from public;
+revoke all on function public.save_transcript_edit(uuid, timestamptz, text, jsonb, jsonb, jsonb, jsonb) from anon, authenticated;
+grant execute on function public.save_transcript_edit(uuid, timestamptz, text, jsonb, jsonb, jsonb, jsonb) to service_role;
@@ -0,0 +1,81 @@
+-- A completed transcription writes its transcript row and segments together.
+--
+-- completeTranscriptionJob wrote the transcripts row, then swapped its
+-- transcript_segments with replace_transcript_segments: two requests. A
+-- failure between them left new text over the old words. The job was retried,
+-- but until then /transcript-edits and /transcript-review addressed the old
+-- words by index and saved them over the new text.
+--
+-- save_completed_transcript does both in one transaction, the way
+-- save_transcript_edit does for an edit (20261019260000):
+--
+--   - p_base_updated_at null: no transcript existed when the caller read, so
+--     the row is upserted on sermon_id.
+--   - otherwise the row is rewritten only while updated_at is still the one
+--     read. An edit saved in between makes this return no row and write
+--     nothing; the caller reads again and keeps the edit
+--     (netlify/functions/utils/completeTranscription.js).
+--
+-- p_row carries the transcripts columns the caller writes: local_id, user_id,
+-- text, segments, speaker_turns, service_spans, status, updated_at. p_rows is
+-- segmentRows()'s output; the function numbers them for the row it wrote.
+-- Service role only.
+
+create or replace function public.save_completed_transcript(
+    p_sermon_id uuid,
+    p_base_updated_at timestamptz,
+    p_row jsonb,
+    p_rows jsonb
+)
+returns setof public.transcripts
+language plpgsql
+as $$
+declare
+    r public.transcripts;
+    saved public.transcripts;
+begin
+    r := jsonb_populate_record(null::public.transcripts, p_row);
+
+    if p_base_updated_at is null then
+        insert into public.transcripts
+            (local_id, sermon_id, user_id, text, segments, speaker_turns, service_spans, status, updated_at)
+        values
+            (r.local_id, p_sermon_id, r.user_id, r.text, r.segments, r.speaker_turns, r.service_spans, r.status, r.updated_at)
+        on conflict (sermon_id) do update
+           set local_id = excluded.local_id,
+               user_id = excluded.user_id,
+               text = excluded.text,
+               segments = excluded.segments,
+               speaker_turns = excluded.speaker_turns,
+               service_spans = excluded.service_spans,
+               status = excluded.status,
+               updated_at = excluded.updated_at
+        returning * into saved;
+    else
+        update public.transcripts
+           set local_id = r.local_id,
+               user_id = r.user_id,
+               text = r.text,
+               segments = r.segments,
+               speaker_turns = r.speaker_turns,
+               service_spans = r.service_spans,
+               status = r.status,
+               updated_at = r.updated_at
+         where sermon_id = p_sermon_id
+           and updated_at = p_base_updated_at
+        returning * into saved;
+
+        -- Changed since the caller read it: nothing written, read again.
+        if not found then
+            return;
+        end if;
+    end if;
+
+    perform public.replace_transcript_segments(saved.id, p_rows);
+    return next saved;
+end;
+$$;
+
+revoke all on function public.save_completed_transcript(uuid, timestamptz, jsonb, jsonb) from public;
+revoke all on function public.save_completed_transcript(uuid, timestamptz, jsonb, jsonb) from anon, authenticated;
+grant execute on function public.save_completed_transcript(uuid, timestamptz, jsonb, jsonb) to service_role;
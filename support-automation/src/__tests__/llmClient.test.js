@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createFakeProvider,
+  createCompletionClient,
+  getCompletionClient,
+  isCompletionConfigured
+} = require('../llmClient');
+const { SupportAgent } = require('../supportAgent');
+
+const decision = {
+  category: 'how_to',
+  priority: 4,
+  labels: ['support'],
+  summary: 'Asks how to export notes.',
+  shouldCreateLinearIssue: false,
+  shouldStartEngineeringWork: false,
+  draftReply: 'Hi Jordan,\n\nYou can export from the share menu.\n\nThanks,\nTablet Notes Support'
+};
+
+const fallbackTriage = {
+  category: 'needs_review',
+  priority: 3,
+  labels: ['support'],
+  summary: 'Needs review.',
+  shouldCreateLinearIssue: false,
+  shouldStartEngineeringWork: false
+};
+
+const context = {
+  productName: 'Tablet Notes',
+  supportSignature: 'Tablet Notes Support',
+  agentGuidance: '',
+  subject: 'Export',
+  customer: { firstName: 'Jordan' },
+  latestCustomerMessage: 'How do I export?'
+};
+
+test('the agent runs on any configured provider', async () => {
+  const seen = [];
+  const completionClient = createCompletionClient({
+    primary: createFakeProvider({
+      respond: (params) => {
+        seen.push(params);
+        return JSON.stringify(decision);
+      }
+    })
+  });
+  const agent = new SupportAgent({ completionClient, model: 'test-model', apiKey: null });
+
+  const result = await agent.analyze(context, fallbackTriage);
+  assert.equal(result.triage.category, 'how_to');
+  assert.equal(seen[0].model, 'test-model');
+  assert.equal(seen[0].response_format.type, 'json_object');
+});
+
+test('the fallback answers while the primary breaker is open', async () => {
+  let primaryCalls = 0;
+  const client = createCompletionClient({
+    env: { LLM_FALLBACK_MODEL: 'backup-model' },
+    primary: {
+      name: 'openai',
+      resolveModel: (requested) => requested,
+      complete: async () => {
+        primaryCalls += 1;
+        throw new Error('upstream 503');
+      }
+    },
+    fallback: createFakeProvider({ respond: () => '{"ok":true}' }),
+    threshold: 1
+  });
+
+  await assert.rejects(client.complete({ model: 'gpt-4o-mini', messages: [] }), /upstream 503/);
+  const completion = await client.complete({ model: 'gpt-4o-mini', messages: [] });
+  assert.equal(completion.choices[0].message.content, '{"ok":true}');
+  assert.equal(completion.model, 'backup-model');
+  assert.equal(primaryCalls, 1);
+});
+
+test('a local provider needs no OpenAI key, and clients are shared per configuration', () => {
+  const env = { LLM_PROVIDER: 'local', LLM_LOCAL_BASE_URL: 'http://localhost:11434/v1', LLM_LOCAL_MODEL: 'llama3.1:8b' };
+  assert.equal(isCompletionConfigured(env), true);
+  assert.equal(isCompletionConfigured({}), false);
+  assert.equal(isCompletionConfigured({ OPENAI_API_KEY: 'sk-test' }), true);
+
+  assert.equal(getCompletionClient(env), getCompletionClient({ ...env }));
+  assert.notEqual(getCompletionClient(env), getCompletionClient({ ...env, LLM_LOCAL_MODEL: 'qwen2.5' }));
+  assert.throws(() => getCompletionClient({ LLM_PROVIDER: 'nope' }), /Unknown LLM provider/);
+});
@@ -0,0 +1,186 @@
+const OpenAI = require('openai');
+
+// Completion client for the support agent. Same configuration and behavior as
+// tablet-notes-api's netlify/functions/utils/llmClient.js — this package
+// deploys on its own, so it carries its own copy:
+//
+//   LLM_PROVIDER           openai (default) | local | fake
+//   LLM_LOCAL_BASE_URL     OpenAI-compatible server (llama.cpp, Ollama, vLLM)
+//   LLM_LOCAL_MODEL        model name the local server serves
+//   LLM_LOCAL_API_KEY      optional
+//   LLM_FALLBACK_PROVIDER  provider to use while the primary's breaker is open
+//   LLM_FALLBACK_MODEL     model for the fallback
+//
+// Requests and responses keep the OpenAI chat-completions shape; responses are
+// stamped with the `provider` and `model` that answered.
+
+const PROVIDERS = ['openai', 'local', 'fake'];
+const SETTINGS = [
+  'LLM_PROVIDER',
+  'LLM_LOCAL_BASE_URL',
+  'LLM_LOCAL_MODEL',
+  'LLM_LOCAL_API_KEY',
+  'LLM_FALLBACK_PROVIDER',
+  'LLM_FALLBACK_MODEL',
+  'OPENAI_API_KEY'
+];
+
+class CircuitBreaker {
+  constructor({ threshold = 5, timeout = 30000 } = {}) {
+    this.threshold = threshold;
+    this.timeout = timeout;
+    this.failureCount = 0;
+    this.openedUntil = 0;
+  }
+
+  isOpen() {
+    return this.failureCount >= this.threshold && Date.now() < this.openedUntil;
+  }
+
+  async execute(fn) {
+    if (this.isOpen()) {
+      throw new Error('Circuit breaker is OPEN');
+    }
+
+    try {
+      const result = await fn();
+      this.failureCount = 0;
+      return result;
+    } catch (error) {
+      this.failureCount += 1;
+      if (this.failureCount >= this.threshold) {
+        this.openedUntil = Date.now() + this.timeout;
+      }
+      throw error;
+    }
+  }
+}
+
+function createOpenAIProvider({ apiKey, client = null } = {}) {
+  let openai = client;
+  return {
+    name: 'openai',
+    resolveModel: (requested) => requested,
+    async complete(params) {
+      openai = openai || new OpenAI({ apiKey });
+      return openai.chat.completions.create(params);
+    }
+  };
+}
+
+function createLocalProvider({ baseURL, model, apiKey, client = null } = {}) {
+  if (!client && !baseURL) {
+    throw new Error('LLM_LOCAL_BASE_URL is required for the local LLM provider');
+  }
+  if (!model) {
+    throw new Error('LLM_LOCAL_MODEL is required for the local LLM provider');
+  }
+
+  let openai = client;
+  return {
+    name: 'local',
+    resolveModel: () => model,
+    async complete(params) {
+      openai = openai || new OpenAI({ apiKey: apiKey || 'local', baseURL });
+      return openai.chat.completions.create(params);
+    }
+  };
+}
+
+function createFakeProvider({ respond } = {}) {
+  const contentFor = respond || ((params) => (
+    params.response_format?.type === 'json_object' ? '{}' : 'FAKE COMPLETION'
+  ));
+
+  return {
+    name: 'fake',
+    resolveModel: (requested) => requested || 'fake',
+    async complete(params) {
+      return {
+        choices: [{ index: 0, message: { role: 'assistant', content: await contentFor(params) }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      };
+    }
+  };
+}
+
+function createProvider(name, env) {
+  if (name === 'openai') {
+    return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY });
+  }
+  if (name === 'local') {
+    return createLocalProvider({
+      baseURL: env.LLM_LOCAL_BASE_URL,
+      model: env.LLM_LOCAL_MODEL,
+      apiKey: env.LLM_LOCAL_API_KEY
+    });
+  }
+  if (name === 'fake') {
+    return createFakeProvider();
+  }
+  throw new Error(`Unknown LLM provider "${name}" (expected one of: ${PROVIDERS.join(', ')})`);
+}
+
+function createCompletionClient({ env = {}, primary, fallback, threshold, timeout } = {}) {
+  const primaryTarget = {
+    provider: primary || createProvider(env.LLM_PROVIDER || 'openai', env),
+    breaker: new CircuitBreaker({ threshold, timeout }),
+    model: null
+  };
+
+  const wantsFallback = fallback || env.LLM_FALLBACK_PROVIDER || env.LLM_FALLBACK_MODEL;
+  const fallbackTarget = wantsFallback
+    ? {
+      provider: fallback || createProvider(env.LLM_FALLBACK_PROVIDER || primaryTarget.provider.name, env),
+      breaker: new CircuitBreaker({ threshold, timeout }),
+      model: env.LLM_FALLBACK_MODEL || null
+    }
+    : null;
+
+  async function run(target, params) {
+    const model = target.model || target.provider.resolveModel(params.model);
+    const completion = await target.breaker.execute(() => target.provider.complete({ ...params, model }));
+    return { ...completion, provider: target.provider.name, model };
+  }
+
+  return {
+    primary: primaryTarget,
+    fallback: fallbackTarget,
+    complete(params) {
+      if (fallbackTarget && primaryTarget.breaker.isOpen()) {
+        return run(fallbackTarget, params);
+      }
+      return run(primaryTarget, params);
+    }
+  };
+}
+
+// True when the environment can reach some model: OpenAI needs its key, the
+// other providers carry their own configuration.
+function isCompletionConfigured(env = {}) {
+  return (env.LLM_PROVIDER && env.LLM_PROVIDER !== 'openai') || Boolean(env.OPENAI_API_KEY);
+}
+
+// Breakers only help if they outlive a single webhook, so warm instances share
+// one client per configuration.
+let sharedClient = null;
+let sharedClientKey = null;
+
+function getCompletionClient(env = {}) {
+  const key = JSON.stringify(SETTINGS.map((name) => env[name] || ''));
+  if (!sharedClient || sharedClientKey !== key) {
+    sharedClient = createCompletionClient({ env });
+    sharedClientKey = key;
+  }
+  return sharedClient;
+}
+
+module.exports = {
+  CircuitBreaker,
+  createOpenAIProvider,
+  createLocalProvider,
+  createFakeProvider,
+  createCompletionClient,
+  getCompletionClient,
+  isCompletionConfigured
+};
@@ -1,4 +1,4 @@
-const OpenAI = require('openai');
+const { createCompletionClient, createOpenAIProvider } = require('./llmClient');
 const { buildHelpScoutDraftReply } = require('./supportAutomation');
 
 const VALID_CATEGORIES = new Set([
@@ -15,19 +15,22 @@ class SupportAgent {
   constructor({
     apiKey = process.env.OPENAI_API_KEY,
     model = process.env.SUPPORT_AGENT_MODEL || 'gpt-4o-mini',
-    openAIClient = null
+    openAIClient = null,
+    completionClient = null
   } = {}) {
-    if (!openAIClient && !apiKey) {
+    if (!completionClient && !openAIClient && !apiKey) {
       throw new Error('OpenAI API key is required for SupportAgent');
     }
 
     this.model = model;
-    this.openAIClient = openAIClient || new OpenAI({ apiKey });
+    this.completionClient = completionClient || createCompletionClient({
+      primary: createOpenAIProvider({ apiKey, client: openAIClient })
+    });
   }
 
   async analyze(context, fallbackTriage) {
     const { productName, supportSignature, agentGuidance } = context;
-    const response = await this.openAIClient.chat.completions.create({
+    const response = await this.completionClient.complete({
       model: this.model,
       messages: [
         {
@@ -1,6 +1,7 @@
 const { HelpScoutClient } = require('./helpScoutClient');
 const { LinearClient } = require('./linearClient');
 const { SupportAgent } = require('./supportAgent');
+const { getCompletionClient, isCompletionConfigured } = require('./llmClient');
 const { parseSupportInboxRoutes } = require('./supportInboxRouting');
 const {
   isProcessableHelpScoutEvent,
@@ -58,9 +59,16 @@ async function handleSupportWebhook(request, options = {}) {
     });
   }
 
-  const supportAgent = env.OPENAI_API_KEY
-    ? new SupportAgent({ apiKey: env.OPENAI_API_KEY, model: env.SUPPORT_AGENT_MODEL })
-    : null;
+  let supportAgent = null;
+  if (isCompletionConfigured(env)) {
+    try {
+      supportAgent = new SupportAgent({ model: env.SUPPORT_AGENT_MODEL, completionClient: getCompletionClient(env) });
+    } catch (error) {
+      // A bad LLM_* setting costs the agent, not the ticket: the workflow
+      // still triages with its rules and drafts the templated reply.
+      logger.error('Support agent configuration failed', { error: error.message });
+    }
+  }
   const startedAt = Date.now();
 
   try {
@@ -53,6 +53,8 @@ async function fetchProviderError(transcriptId, logger) {
 
 /**
  * POST /api/assemblyai-webhook — AssemblyAI completion callback (TAB-72).
+ * Only jobs on the AssemblyAI provider get here; a job on an inline provider
+ * (utils/transcriptionProviders.js) is completed by the reaper instead.
  *
  * This is deliberately the ONLY function in the codebase without
  * createAuthMiddleware: the caller is AssemblyAI, not a signed-in user, so it
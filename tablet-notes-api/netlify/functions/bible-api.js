@@ -11,10 +11,48 @@ const {
 } = require('./utils/security');
 const { withLogging } = require('./utils/logger');
 const { isValidBibleEndpoint } = require('./utils/bibleEndpoint');
+const { createBibleCache } = require('./utils/bibleCache');
+const { passageRequestFromEndpoint, toApiBibleBody } = require('./utils/bibleService');
+const { createLocalBibleSource } = require('./utils/localBibleSource');
 
 // Circuit breaker for Bible API
 const bibleAPIBreaker = new CircuitBreaker(3, 60000);
 
+// Responses to GET lookups, shared across containers when Redis is configured.
+// A fresh hit is answered before rate limiting: it costs API.Bible nothing.
+// A stale one is served only when the upstream request fails.
+const bibleCache = createBibleCache();
+
+// Public-domain text deployed with the functions (localBibleSource.js). Verse
+// and passage paths for its translations are answered from it when there is
+// no API key, or when API.Bible fails with nothing cached.
+const localBible = createLocalBibleSource();
+
+async function localApiBibleBody(endpoint) {
+  const request = passageRequestFromEndpoint(endpoint);
+  if (!request || !localBible.hasTranslation(request.bibleId)) return null;
+  const passage = await localBible.getPassage(request);
+  return passage ? toApiBibleBody(passage) : null;
+}
+
+function apiBibleResponse({ data, user, endpoint, logger, cached = null, source = 'api.bible', headers }) {
+  const responseData = {
+    data,
+    userId: user.id,
+    endpoint: endpoint,
+    metadata: {
+      responseTime: Date.now() - logger.startTime,
+      apiVersion: 'v1',
+      source,
+      cached: !!cached,
+      ...(cached && { cachedAt: new Date(cached.cachedAt).toISOString(), stale: cached.stale })
+    }
+  };
+
+  const cacheStatus = !cached ? 'MISS' : cached.stale ? 'STALE' : 'HIT';
+  return createSuccessResponse(responseData, 200, { ...headers, 'X-Cache': cacheStatus });
+}
+
 exports.handler = withLogging('bible-api', async (event, context) => {
   const logger = event.logger;
   
@@ -33,17 +71,8 @@ exports.handler = withLogging('bible-api', async (event, context) => {
     return createErrorResponse(new Error('Method Not Allowed'), 405);
   }
   
-  // Apply rate limiting
-  const rateLimitMiddleware = createRateLimitMiddleware('bible');
-  const rateLimitResponse = await rateLimitMiddleware(event, context);
-  if (rateLimitResponse) {
-    logger.rateLimit(event.user?.id || 'anonymous', 'bible', false, {
-      statusCode: rateLimitResponse.statusCode
-    });
-    return rateLimitResponse;
-  }
-  
-  // Apply authentication
+  // Apply authentication. It comes before rate limiting here so that cache
+  // hits, which skip the limiter, are still only served to signed-in users.
   const authMiddleware = createAuthMiddleware();
   const authResponse = await authMiddleware(event);
   if (authResponse) {
@@ -54,22 +83,16 @@ exports.handler = withLogging('bible-api', async (event, context) => {
     return authResponse;
   }
 
+  let endpoint, requestMethod = 'GET';
+  let cached = null;
+
   try {
     const user = event.user; // User was authenticated by middleware
     logger.info('User authenticated successfully', { userId: user.id });
 
-    // Get the Bible API key from environment variables
-    const bibleApiKey = process.env.BIBLE_API_KEY;
-    if (!bibleApiKey) {
-      logger.error('Bible API key not configured');
-      return createErrorResponse(new Error('Bible API service not available'), 503);
-    }
-
     const baseURL = 'https://api.scripture.api.bible/v1';
     
     // Parse and validate request parameters
-    let endpoint, requestMethod = 'GET';
-    
     if (event.httpMethod === 'GET') {
       // Extract endpoint from query parameters
       endpoint = event.queryStringParameters?.endpoint;
@@ -105,6 +128,36 @@ exports.handler = withLogging('bible-api', async (event, context) => {
       return createErrorResponse(new Error('Invalid endpoint'), 400);
     }
 
+    if (requestMethod === 'GET') {
+      cached = await bibleCache.get(endpoint);
+      if (cached && !cached.stale) {
+        logger.info('Bible API cache hit', { userId: user.id, endpoint });
+        return apiBibleResponse({ data: cached.data, user, endpoint, logger, cached, headers: { origin: event.headers.origin } });
+      }
+    }
+
+    // Get the Bible API key from environment variables
+    const bibleApiKey = process.env.BIBLE_API_KEY;
+    if (!bibleApiKey) {
+      const local = requestMethod === 'GET' ? await localApiBibleBody(endpoint) : null;
+      if (local) {
+        logger.info('Bible API key not configured, answered from local data', { userId: user.id, endpoint });
+        return apiBibleResponse({ data: local, user, endpoint, logger, source: 'local', headers: { origin: event.headers.origin } });
+      }
+      logger.error('Bible API key not configured');
+      return createErrorResponse(new Error('Bible API service not available'), 503);
+    }
+
+    // Apply rate limiting (cache misses only)
+    const rateLimitMiddleware = createRateLimitMiddleware('bible');
+    const rateLimitResponse = await rateLimitMiddleware(event, context);
+    if (rateLimitResponse) {
+      logger.rateLimit(user.id, 'bible', false, {
+        statusCode: rateLimitResponse.statusCode
+      });
+      return rateLimitResponse;
+    }
+
     // Construct full URL
     const url = `${baseURL}/${endpoint}`;
     
@@ -187,25 +240,50 @@ exports.handler = withLogging('bible-api', async (event, context) => {
       responseSize: JSON.stringify(data).length,
       hasData: !!data.data
     });
-    
-    const responseData = {
-      data,
-      userId: user.id,
-      endpoint: endpoint,
-      metadata: {
-        responseTime: Date.now() - logger.startTime,
-        apiVersion: 'v1',
-        cached: false
-      }
-    };
+
+    if (requestMethod === 'GET') {
+      await bibleCache.set(endpoint, data);
+    }
     
     // Add rate limit headers if available
     const additionalHeaders = context.rateLimitHeaders || {};
     additionalHeaders.origin = event.headers.origin;
     
-    return createSuccessResponse(responseData, 200, additionalHeaders);
+    return apiBibleResponse({ data, user, endpoint, logger, headers: additionalHeaders });
 
   } catch (error) {
+    // API.Bible is down, timing out or behind an open breaker: the text we
+    // already have is still the text.
+    if (cached) {
+      logger.warn('Bible API request failed, serving stale cache', {
+        userId: event.user.id,
+        endpoint,
+        cachedAt: new Date(cached.cachedAt).toISOString(),
+        error: error.message
+      });
+      return apiBibleResponse({
+        data: cached.data,
+        user: event.user,
+        endpoint,
+        logger,
+        cached,
+        headers: { ...(context.rateLimitHeaders || {}), origin: event.headers.origin }
+      });
+    }
+
+    const local = requestMethod === 'GET' && endpoint ? await localApiBibleBody(endpoint).catch(() => null) : null;
+    if (local) {
+      logger.warn('Bible API request failed, serving local data', { userId: event.user.id, endpoint, error: error.message });
+      return apiBibleResponse({
+        data: local,
+        user: event.user,
+        endpoint,
+        logger,
+        source: 'local',
+        headers: { ...(context.rateLimitHeaders || {}), origin: event.headers.origin }
+      });
+    }
+
     logger.error('Bible API request failed', {
       userId: event.user?.id,
       endpoint: event.queryStringParameters?.endpoint || event.validatedData?.endpoint,
@@ -0,0 +1,92 @@
+const { createClient } = require('@supabase/supabase-js');
+const { Validator } = require('./utils/validator');
+const {
+  handleCORS,
+  createAuthMiddleware,
+  createErrorResponse,
+  createSuccessResponse
+} = require('./utils/security');
+const { withLogging } = require('./utils/logger');
+const { DEFAULT_BIBLE_ID } = require('./utils/bibleService');
+
+// The user's preferred Bible translation, which server-side features read
+// (summary verse text, utils/summaryPassages.js).
+//
+//   GET                       { preferredBibleId, defaultBibleId }
+//   PUT { bibleId }           set it; { bibleId: null } goes back to the default
+//
+// Stored in profiles.preferred_bible_id. profiles has no client write policy,
+// so the app sets it here.
+
+exports.handler = withLogging('bible-preference', async (event, context) => {
+  const logger = event.logger;
+
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'PUT') {
+    return createErrorResponse(new Error('Method Not Allowed'), 405);
+  }
+
+  // Apply authentication
+  const authMiddleware = createAuthMiddleware();
+  const authResponse = await authMiddleware(event);
+  if (authResponse) {
+    return authResponse;
+  }
+
+  try {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      logger.error('Missing Supabase configuration');
+      return createErrorResponse(new Error('Server configuration error'), 500);
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseKey);
+    const user = event.user;
+    const origin = event.headers.origin;
+
+    if (event.httpMethod === 'PUT') {
+      const validationMiddleware = Validator.createValidationMiddleware('biblePreference', 'body');
+      const validationResponse = validationMiddleware(event);
+      if (validationResponse) {
+        return validationResponse;
+      }
+
+      const { bibleId } = event.validatedData;
+      const { error } = await supabase
+        .from('profiles')
+        .upsert({ id: user.id, preferred_bible_id: bibleId, updated_at: new Date().toISOString() }, { onConflict: 'id' });
+
+      if (error) {
+        logger.error('Failed to save Bible preference', { userId: user.id, error: error.message, code: error.code });
+        return createErrorResponse(new Error('Failed to save Bible preference'), 500);
+      }
+
+      logger.info('Bible preference saved', { userId: user.id, bibleId });
+      return createSuccessResponse({ preferredBibleId: bibleId, defaultBibleId: DEFAULT_BIBLE_ID }, 200, { origin });
+    }
+
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .select('preferred_bible_id')
+      .eq('id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Failed to load Bible preference', { userId: user.id, error: error.message, code: error.code });
+      return createErrorResponse(new Error('Failed to load Bible preference'), 500);
+    }
+
+    return createSuccessResponse({
+      preferredBibleId: profile?.preferred_bible_id || null,
+      defaultBibleId: DEFAULT_BIBLE_ID
+    }, 200, { origin });
+  } catch (error) {
+    logger.error('Bible preference request failed', { userId: event.user?.id }, error);
+    return createErrorResponse(error, 500);
+  }
+});
@@ -0,0 +1,115 @@
+const { createRateLimitMiddleware } = require('./utils/rateLimiter');
+const { Validator } = require('./utils/validator');
+const {
+  handleCORS,
+  createAuthMiddleware,
+  createErrorResponse,
+  createSuccessResponse
+} = require('./utils/security');
+const { withLogging } = require('./utils/logger');
+const { createBibleSource } = require('./utils/bibleService');
+const { createBibleCache } = require('./utils/bibleCache');
+
+// Typed Bible lookups. References are resolved to API.Bible ids here, so the
+// app never builds API.Bible paths (bible-api.js still proxies those for older
+// versions).
+//
+//   GET ?action=passage&reference=Rom 8:28-30[&bibleId=...]
+//   GET ?action=translations[&language=eng]
+//   GET ?action=search&query=...[&bibleId=...&limit=10&offset=0]
+//
+// bibleId defaults to BIBLE_DEFAULT_ID (KJV unless configured). Text comes
+// from API.Bible or the deployed public-domain data (BIBLE_SOURCE; see
+// bibleService.js). API.Bible responses are cached (bibleCache.js); while it
+// is failing, a stale entry or the local data answers instead.
+
+// One source per warm instance, so its circuit breaker outlives a request.
+let bibleSource = null;
+function getBibleSource() {
+  bibleSource = bibleSource || createBibleSource({ cache: createBibleCache() });
+  return bibleSource;
+}
+
+exports.handler = withLogging('bible', async (event, context) => {
+  const logger = event.logger;
+
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (event.httpMethod !== 'GET') {
+    return createErrorResponse(new Error('Method Not Allowed'), 405);
+  }
+
+  // Apply rate limiting
+  const rateLimitMiddleware = createRateLimitMiddleware('bible');
+  const rateLimitResponse = await rateLimitMiddleware(event, context);
+  if (rateLimitResponse) {
+    logger.rateLimit(event.user?.id || 'anonymous', 'bible', false, {
+      statusCode: rateLimitResponse.statusCode
+    });
+    return rateLimitResponse;
+  }
+
+  // Apply authentication
+  const authMiddleware = createAuthMiddleware();
+  const authResponse = await authMiddleware(event);
+  if (authResponse) {
+    logger.security('authentication_failed', {
+      reason: 'missing_or_invalid_token',
+      ip: event.headers['x-forwarded-for']
+    });
+    return authResponse;
+  }
+
+  const validationMiddleware = Validator.createValidationMiddleware('bibleLookup', 'query');
+  const validationResponse = validationMiddleware(event);
+  if (validationResponse) {
+    logger.validationError(JSON.parse(validationResponse.body).details || [], { userId: event.user.id });
+    return validationResponse;
+  }
+
+  const { action, reference, query, bibleId, language, limit, offset } = event.validatedData;
+
+  try {
+    const client = getBibleSource();
+    const headers = { ...(context.rateLimitHeaders || {}), origin: event.headers.origin };
+    logger.apiCall(client.name, action, { userId: event.user.id, bibleId });
+
+    if (action === 'translations') {
+      const translations = await client.listTranslations({ language });
+      return createSuccessResponse({ translations }, 200, headers);
+    }
+
+    if (action === 'search') {
+      const results = await client.search({ bibleId, query, limit, offset });
+      logger.info('Bible search completed', { userId: event.user.id, total: results.total });
+      return createSuccessResponse(results, 200, headers);
+    }
+
+    const passage = await client.getPassage({ bibleId, reference });
+    if (!passage) {
+      return createErrorResponse(new Error('Passage not found'), 404);
+    }
+
+    logger.info('Bible passage fetched', { userId: event.user.id, osis: passage.reference.osis, verses: passage.verses.length });
+    return createSuccessResponse({ passage }, 200, headers);
+  } catch (error) {
+    logger.error('Bible lookup failed', { userId: event.user.id, action, bibleId }, error);
+
+    let statusCode = 500;
+    if (error.message.includes('Unrecognized scripture reference')) {
+      statusCode = 400;
+    } else if (error.message.includes('not available locally')) {
+      statusCode = 404;
+    } else if (error.message.includes('Circuit breaker')) {
+      statusCode = 503; // Service Unavailable
+    } else if (error.message.includes('timed out')) {
+      statusCode = 408; // Request Timeout
+    } else if (error.message.includes('Bible API client error')) {
+      statusCode = 400;
+    }
+
+    return createErrorResponse(error, statusCode);
+  }
+});
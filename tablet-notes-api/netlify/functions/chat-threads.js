@@ -0,0 +1,213 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createRateLimitMiddleware } = require('./utils/rateLimiter');
+const {
+  handleCORS,
+  createAuthMiddleware,
+  createErrorResponse,
+  createSuccessResponse
+} = require('./utils/security');
+const { withLogging } = require('./utils/logger');
+const {
+  THREAD_COLUMNS,
+  MESSAGE_COLUMNS,
+  threadTitleFrom,
+  transformThread,
+  transformMessage,
+  loadOwnedThread
+} = require('./utils/chatThreads');
+
+// Stored sermon chat conversations.
+//
+//   GET    ?sermonId=...   threads for a sermon, most recently active first
+//   GET    ?threadId=...   one thread with its messages, oldest first
+//   POST   { sermonId, title? }   create a thread
+//   DELETE ?threadId=...   delete a thread and its messages
+//
+// Messages are appended by POST /chat with a `threadId`: the user's message and
+// the reply are stored together once the reply is complete.
+
+const MAX_THREAD_MESSAGES = 500;
+
+exports.handler = withLogging('chat-threads', async (event, context) => {
+  const logger = event.logger;
+
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (!['GET', 'POST', 'DELETE'].includes(event.httpMethod)) {
+    return createErrorResponse(new Error('Method Not Allowed'), 405);
+  }
+
+  // Apply rate limiting: every call reads or writes the database, and a thread
+  // list can be paged through as fast as a client can ask.
+  const rateLimitMiddleware = createRateLimitMiddleware('general');
+  const rateLimitResponse = await rateLimitMiddleware(event, context);
+  if (rateLimitResponse) {
+    logger.rateLimit(event.user?.id || 'anonymous', 'general', false);
+    return rateLimitResponse;
+  }
+
+  // Apply authentication
+  const authMiddleware = createAuthMiddleware();
+  const authResponse = await authMiddleware(event);
+  if (authResponse) {
+    return authResponse;
+  }
+
+  try {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      logger.error('Missing Supabase configuration');
+      return createErrorResponse(new Error('Server configuration error'), 500);
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseKey);
+    const user = event.user;
+    const origin = event.headers.origin;
+    const query = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      if (!body.sermonId) {
+        return createErrorResponse(new Error('Missing required field: sermonId'), 400);
+      }
+
+      const sermonCheck = await checkSermonOwner({ supabase, sermonId: body.sermonId, user, logger });
+      if (sermonCheck) return sermonCheck;
+
+      const { data: thread, error } = await supabase
+        .from('chat_threads')
+        .insert({
+          user_id: user.id,
+          sermon_id: body.sermonId,
+          title: typeof body.title === 'string' ? threadTitleFrom(body.title) : null
+        })
+        .select(THREAD_COLUMNS)
+        .single();
+
+      if (error) {
+        logger.error('Failed to create chat thread', { sermonId: body.sermonId, error: error.message, code: error.code });
+        return createErrorResponse(new Error('Failed to create chat thread'), 500);
+      }
+
+      logger.info('Chat thread created', { userId: user.id, sermonId: body.sermonId, threadId: thread.id });
+      return createSuccessResponse({ thread: transformThread(thread) }, 201, { origin });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (!query.threadId) {
+        return createErrorResponse(new Error('Missing required parameter: threadId'), 400);
+      }
+
+      const threadCheck = await checkThreadOwner({ supabase, threadId: query.threadId, user, logger });
+      if (threadCheck.response) return threadCheck.response;
+
+      // Messages go with it (ON DELETE CASCADE).
+      const { error } = await supabase
+        .from('chat_threads')
+        .delete()
+        .eq('id', query.threadId)
+        .eq('user_id', user.id);
+
+      if (error) {
+        logger.error('Failed to delete chat thread', { threadId: query.threadId, error: error.message, code: error.code });
+        return createErrorResponse(new Error('Failed to delete chat thread'), 500);
+      }
+
+      logger.info('Chat thread deleted', { userId: user.id, threadId: query.threadId });
+      return createSuccessResponse({ deleted: true, threadId: query.threadId }, 200, { origin });
+    }
+
+    // GET
+    if (query.threadId) {
+      const threadCheck = await checkThreadOwner({ supabase, threadId: query.threadId, user, logger });
+      if (threadCheck.response) return threadCheck.response;
+
+      const { data: messages, error } = await supabase
+        .from('chat_messages')
+        .select(MESSAGE_COLUMNS)
+        .eq('thread_id', query.threadId)
+        .order('created_at', { ascending: true })
+        .limit(MAX_THREAD_MESSAGES);
+
+      if (error) {
+        logger.error('Failed to load chat messages', { threadId: query.threadId, error: error.message });
+        return createErrorResponse(new Error('Failed to load chat messages'), 500);
+      }
+
+      return createSuccessResponse({
+        thread: transformThread(threadCheck.thread),
+        messages: (messages || []).map(transformMessage)
+      }, 200, { origin });
+    }
+
+    if (!query.sermonId) {
+      return createErrorResponse(new Error('Missing required parameter: sermonId or threadId'), 400);
+    }
+
+    const { data: threads, error } = await supabase
+      .from('chat_threads')
+      .select(THREAD_COLUMNS)
+      .eq('user_id', user.id)
+      .eq('sermon_id', query.sermonId)
+      .order('last_message_at', { ascending: false, nullsFirst: false })
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Failed to list chat threads', { sermonId: query.sermonId, error: error.message });
+      return createErrorResponse(new Error('Failed to list chat threads'), 500);
+    }
+
+    return createSuccessResponse({ threads: (threads || []).map(transformThread) }, 200, { origin });
+  } catch (error) {
+    logger.error('Chat thread request failed', {
+      userId: event.user?.id,
+      method: event.httpMethod,
+      error: error.message,
+      stack: error.stack
+    });
+    return createErrorResponse(error, 500);
+  }
+});
+
+// An error response when the caller may not attach threads to the sermon.
+async function checkSermonOwner({ supabase, sermonId, user, logger }) {
+  const { data: sermon, error } = await supabase
+    .from('sermons')
+    .select('id, user_id')
+    .eq('id', sermonId)
+    .single();
+
+  if (error || !sermon) {
+    logger.warn('Sermon not found', { sermonId });
+    return createErrorResponse(new Error('Sermon not found'), 404);
+  }
+
+  if (sermon.user_id !== user.id) {
+    logger.security('unauthorized_chat_thread_attempt', {
+      userId: user.id,
+      sermonUserId: sermon.user_id,
+      sermonId
+    });
+    return createErrorResponse(new Error('Unauthorized'), 403);
+  }
+
+  return null;
+}
+
+async function checkThreadOwner({ supabase, threadId, user, logger }) {
+  const { thread, error } = await loadOwnedThread({ supabase, threadId, userId: user.id });
+
+  if (error === 'not_found') {
+    logger.warn('Chat thread not found', { threadId });
+    return { response: createErrorResponse(new Error('Chat thread not found'), 404) };
+  }
+  if (error === 'forbidden') {
+    logger.security('unauthorized_chat_thread_access', { userId: user.id, threadId });
+    return { response: createErrorResponse(new Error('Unauthorized'), 403) };
+  }
+  return { thread };
+}
@@ -1,41 +1,36 @@
-const OpenAI = require('openai');
 const { createRateLimitMiddleware } = require('./utils/rateLimiter');
 const { Validator } = require('./utils/validator');
 const {
   handleCORS,
   createAuthMiddleware,
-  CircuitBreaker,
   createErrorResponse,
-  createSuccessResponse
+  createSuccessResponse,
+  createCORSHeaders,
+  createSecurityHeaders
 } = require('./utils/security');
+const { randomUUID } = require('crypto');
+const { stream } = require('@netlify/functions');
+const { createClient } = require('@supabase/supabase-js');
 const { withLogging } = require('./utils/logger');
-
-// Circuit breaker for OpenAI API
-const openAIBreaker = new CircuitBreaker(5, 30000); // 5 failures, 30 second timeout
-
-const SYSTEM_PROMPT = `You are a helpful AI assistant for TabletNotes, specializing in helping users understand and engage with sermon content.
-
-STRICT GUIDELINES:
-1. ONLY answer questions directly related to:
-   - The sermon content (transcript/summary provided)
-   - Biblical topics and theology
-   - Christian faith and spiritual growth
-   - Scripture interpretation and application
-
-2. If asked about unrelated topics (politics, current events, entertainment, etc.), politely redirect:
-   "I'm designed to help with sermon content and biblical questions. Could you ask something related to this sermon or a biblical topic?"
-
-3. Provide thoughtful, biblically-grounded responses
-4. Reference specific parts of the sermon when applicable
-5. Be concise but comprehensive
-6. Maintain a respectful, pastoral tone
-
-You have access to:
-- Sermon title, date, speaker, service type
-- Full transcript (if available)
-- AI-generated summary (if available)`;
-
-exports.handler = withLogging('chat', async (event, context) => {
+const { resolvePrompt } = require('./utils/promptRegistry');
+const { createCompletionClient } = require('./utils/llmClient');
+const { SSE_HEADERS, wantsEventStream, createChatEventStream } = require('./utils/chatStream');
+const {
+  sanitizeClientHistory,
+  historyFromStoredMessages,
+  loadOwnedThread,
+  loadThreadMessages,
+  appendChatExchange
+} = require('./utils/chatThreads');
+const { searchLibrary, buildLibraryContext, citedIn } = require('./utils/searchIndex');
+const { timestampCitations } = require('./utils/chatCitations');
+const { isSermonId, loadSermonContext, clientSermonContext, buildSermonContext } = require('./utils/chatContext');
+
+// Provider chosen by LLM_PROVIDER, behind circuit breakers (5 failures, 30
+// second timeout) with the LLM_FALLBACK_* provider taking over while open.
+const llm = createCompletionClient();
+
+const chatHandler = withLogging('chat', async (event, context) => {
   const logger = event.logger;
 
   // Handle CORS preflight
@@ -80,35 +75,43 @@ exports.handler = withLogging('chat', async (event, context) => {
 
     const body = JSON.parse(event.body || '{}');
 
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!supabaseUrl || !supabaseKey) {
+      logger.error('Missing Supabase configuration');
+      return createErrorResponse(new Error('Server configuration error'), 500);
+    }
+    const supabase = createClient(supabaseUrl, supabaseKey);
+
     // Handle question generation
     if (body.action === 'generateQuestions') {
       logger.info('Generating suggested questions', { userId: user.id });
 
-      const contextText = buildContextText(body.context);
-      const count = body.count || 3;
+      const built = await sermonContextFor({ supabase, user, sermonId: body.sermonId, clientContext: body.context, logger });
+      if (built.response) return built.response;
 
-      const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
+      const contextText = built.contextText;
+      const count = body.count || 3;
+      const prompt = resolvePrompt('chat.questions', {
+        serviceType: built.sermon.service_type,
+        bucketKey: user.id
       });
 
-      // Use circuit breaker for OpenAI call
-      const response = await openAIBreaker.execute(async () => {
-        return await openai.chat.completions.create({
-          model: 'gpt-4o-mini', // Using gpt-4o-mini for cost efficiency and JSON support
-          messages: [
-            {
-              role: 'system',
-              content: `Generate ${count} thought-provoking questions about this sermon that would help someone reflect deeper on the content. Return ONLY a JSON object with a "questions" array containing exactly ${count} question strings. No additional text or formatting.`,
-            },
-            {
-              role: 'user',
-              content: `Sermon context:\n${contextText}\n\nGenerate ${count} questions.`,
-            },
-          ],
-          temperature: 0.7,
-          max_tokens: 500,
-          response_format: { type: 'json_object' },
-        });
+      const response = await llm.complete({
+        model: prompt.model,
+        messages: [
+          {
+            role: 'system',
+            content: prompt.system({ count }),
+          },
+          {
+            role: 'user',
+            content: prompt.user({ contextText, count }),
+          },
+        ],
+        temperature: 0.7,
+        max_tokens: 500,
+        response_format: { type: 'json_object' },
       });
 
       const questionsData = JSON.parse(response.choices[0].message.content || '{"questions":[]}');
@@ -116,7 +119,10 @@ exports.handler = withLogging('chat', async (event, context) => {
 
       logger.info('Generated questions successfully', {
         userId: user.id,
-        questionCount: questions.length
+        questionCount: questions.length,
+        prompt: prompt.id,
+        provider: response.provider,
+        model: response.model
       });
 
       return createSuccessResponse({ questions });
@@ -127,31 +133,94 @@ exports.handler = withLogging('chat', async (event, context) => {
       return createErrorResponse(new Error('Message is required'), 400);
     }
 
+    // "Ask my sermons": answer from the user's whole library instead of one
+    // sermon, citing the passages it used.
+    const isLibrary = body.mode === 'library';
+
     logger.info('Processing chat message', {
       userId: user.id,
       messageLength: body.message.length,
-      hasConversationHistory: !!body.conversationHistory
+      hasConversationHistory: !!body.conversationHistory,
+      threadId: body.threadId,
+      mode: isLibrary ? 'library' : 'sermon'
     });
 
-    // Build context
-    const contextText = buildContextText(body.context);
+    if (isLibrary && body.threadId) {
+      // Threads belong to one sermon; a library question has none.
+      return createErrorResponse(new Error('threadId is not supported in library mode'), 400);
+    }
+
+    // A stored thread supplies the history and receives the exchange. Its
+    // ownership is checked before anything reaches the model.
+    let thread = null;
+    if (body.threadId) {
+      const owned = await loadOwnedThread({ supabase, threadId: body.threadId, userId: user.id });
+      if (owned.error === 'not_found') {
+        return createErrorResponse(new Error('Chat thread not found'), 404);
+      }
+      if (owned.error === 'forbidden') {
+        logger.security('unauthorized_chat_thread_access', { userId: user.id, threadId: body.threadId });
+        return createErrorResponse(new Error('Unauthorized'), 403);
+      }
+      thread = owned.thread;
+    }
+
+    // Build context: the sermon's stored rows (a thread's sermon, else the one
+    // named by sermonId; an older client's own `context` without one), or the
+    // library passages that best match the question. Either way `citeReply`
+    // maps the reply's citation markers back to the recording. Rows are read
+    // with the service role, limited to the caller's own.
+    let prompt;
+    let systemContent;
+    let citeReply;
+    if (isLibrary) {
+      const passages = await searchLibrary({ supabase, userId: user.id, question: body.message });
+      const library = buildLibraryContext(passages);
+      citeReply = (response) => citedIn(response, library.citations);
+      prompt = resolvePrompt('chat.library', { bucketKey: user.id });
+      systemContent = prompt.system({ passagesText: library.passagesText });
+      logger.info('Library passages retrieved', { userId: user.id, passageCount: passages.length });
+    } else {
+      const built = await sermonContextFor({
+        supabase,
+        user,
+        sermonId: thread ? thread.sermon_id : body.sermonId,
+        clientContext: thread ? null : body.context,
+        logger
+      });
+      if (built.response) return built.response;
+
+      const { sermon, timed } = built;
+      prompt = resolvePrompt('chat', {
+        serviceType: sermon.service_type,
+        bucketKey: user.id
+      });
+      systemContent = prompt.system({ contextText: built.contextText });
+      citeReply = (response) => (timed ? timestampCitations(response, timed.anchors, { sermonId: sermon.id }) : []);
+    }
 
-    // Build messages for OpenAI
+    // Build messages for the model
     const messages = [
       {
         role: 'system',
-        content: `${SYSTEM_PROMPT}\n\nCurrent sermon context:\n${contextText}`,
+        content: systemContent,
       },
     ];
 
-    // Add conversation history
-    if (body.conversationHistory && body.conversationHistory.length > 0) {
-      // Limit to last 10 messages to avoid token overflow
-      const recentHistory = body.conversationHistory.slice(-10);
-      messages.push(...recentHistory.map(msg => ({
-        role: msg.role,
-        content: msg.content,
-      })));
+    // Add conversation history: the stored thread's when there is one, and
+    // otherwise the client's, reduced to its user turns. Either way the only
+    // system message is the one above, and every assistant turn is a reply
+    // this server wrote.
+    if (thread) {
+      messages.push(...historyFromStoredMessages(
+        await loadThreadMessages({ supabase, threadId: thread.id })
+      ));
+    } else {
+      const history = sanitizeClientHistory(body.conversationHistory);
+      if (history.dropped > 0) {
+        logger.security('chat_history_messages_dropped', { userId: user.id, dropped: history.dropped });
+      }
+      messages.push(...history.messages);
     }
 
     // Add current message
@@ -160,28 +229,97 @@ exports.handler = withLogging('chat', async (event, context) => {
       content: body.message,
     });
 
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    // Stores the finished exchange. A failure is logged and reported as
+    // `saved: false` rather than failing a reply the user already has.
+    const saveExchange = async ({ messageId, content, model, usage }) => {
+      if (!thread) return {};
+      try {
+        await appendChatExchange({
+          supabase,
+          thread,
+          userContent: body.message,
+          reply: { id: messageId, content, model, promptVersion: prompt.id, usage }
+        });
+        return { threadId: thread.id, saved: true };
+      } catch (error) {
+        logger.error('Failed to save chat exchange', { userId: user.id, threadId: thread.id, error: error.message });
+        return { threadId: thread.id, saved: false };
+      }
+    };
+
+    const completionParams = {
+      model: prompt.model,
+      messages,
+      temperature: 0.7,
+      max_tokens: 1000,
+    };
+
+    if (wantsEventStream(event, body)) {
+      // Awaiting the stream's opening keeps rate limiting, auth and the breaker
+      // in front of it: anything that fails here is still a JSON error.
+      const { chunks, provider, model } = await llm.stream(completionParams);
+      const messageId = randomUUID();
+
+      logger.info('Streaming chat response', { userId: user.id, messageId, prompt: prompt.id, provider, model });
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...createCORSHeaders(event.headers.origin),
+          ...createSecurityHeaders(),
+          ...(context.rateLimitHeaders || {}),
+          ...SSE_HEADERS
+        },
+        body: createChatEventStream({
+          chunks,
+          messageId,
+          model,
+          onComplete: ({ response, usage }) => {
+            logger.info('Chat response streamed successfully', {
+              userId: user.id,
+              messageId,
+              responseLength: response.length,
+              tokensUsed: usage?.total_tokens,
+              prompt: prompt.id,
+              provider,
+              model
+            });
+            return saveExchange({ messageId, content: response, model, usage })
+              .then((saved) => ({ ...saved, citations: citeReply(response) }));
+          },
+          onError: (error) => {
+            logger.error('Chat stream interrupted', { userId: user.id, messageId, error: error.message });
+          }
+        })
+      };
+    }
 
-    // Call OpenAI with circuit breaker
-    const response = await openAIBreaker.execute(async () => {
-      return await openai.chat.completions.create({
-        model: 'gpt-4o-mini', // Using gpt-4o-mini for cost efficiency while maintaining quality
-        messages,
-        temperature: 0.7,
-        max_tokens: 1000,
-      });
-    });
+    const response = await llm.complete(completionParams);
 
     const aiResponse = response.choices[0].message.content;
 
     logger.info('Chat response generated successfully', {
       userId: user.id,
-      responseLength: aiResponse.length
+      responseLength: aiResponse.length,
+      prompt: prompt.id,
+      provider: response.provider,
+      model: response.model
     });
 
-    return createSuccessResponse({ response: aiResponse });
+    const citations = citeReply(aiResponse);
+
+    if (!thread) {
+      return createSuccessResponse({ response: aiResponse, citations });
+    }
+
+    const messageId = randomUUID();
+    const saved = await saveExchange({
+      messageId,
+      content: aiResponse,
+      model: response.model,
+      usage: response.usage
+    });
+    return createSuccessResponse({ response: aiResponse, messageId, ...saved, citations });
   } catch (error) {
     logger.error('Chat error', {
       error: error.message,
@@ -202,26 +340,53 @@ exports.handler = withLogging('chat', async (event, context) => {
   }
 });
 
-function buildContextText(context) {
-  if (!context) {
-    return 'No context available';
+// Wrapped in stream() so a chat reply can be sent as server-sent events. JSON
+// responses (every error, and replies to clients that don't ask for a stream)
+// are string bodies, which it writes out unchanged. stream() needs the
+// `awslambda` global only Lambda's runtime defines; anywhere else (tests,
+// plain node) the handler is exported unwrapped and returns the stream body.
+exports.handler = typeof awslambda === 'undefined' ? chatHandler : stream(chatHandler);
+exports.chatHandler = chatHandler;
+
+// The sermon's chat context, built from its stored rows, or the error
+// response to send instead. A sermon id always wins; only a request without
+// one (a build from before ids were sent, a sermon not yet synced) is answered
+// from the `context` it uploaded, trimmed to the same budget.
+async function sermonContextFor({ supabase, user, sermonId, clientContext, logger }) {
+  if (!sermonId) {
+    const uploaded = clientSermonContext(clientContext);
+    if (!uploaded) {
+      return { response: createErrorResponse(new Error('sermonId is required'), 400) };
+    }
+    const built = buildSermonContext(uploaded);
+    logger.info('Chat context built from the client', {
+      userId: user.id,
+      estimatedTokens: built.estimatedTokens,
+      trimmed: built.trimmed
+    });
+    return { sermon: uploaded.sermon, ...built, timed: null };
   }
-
-  let text = `Title: ${context.title || 'Unknown'}\n`;
-  text += `Service Type: ${context.serviceType || 'Unknown'}\n`;
-  text += `Date: ${context.date || 'Unknown'}\n`;
-
-  if (context.speaker) {
-    text += `Speaker: ${context.speaker}\n`;
+  if (!isSermonId(sermonId)) {
+    return { response: createErrorResponse(new Error('sermonId must be a UUID'), 400) };
   }
 
-  if (context.summary) {
-    text += `\nSummary:\n${context.summary}\n`;
+  const loaded = await loadSermonContext({ supabase, userId: user.id, sermonId });
+  if (loaded.error === 'not_found') {
+    return { response: createErrorResponse(new Error('Sermon not found'), 404) };
   }
-
-  if (context.transcript) {
-    text += `\nTranscript:\n${context.transcript}\n`;
+  if (loaded.error === 'forbidden') {
+    logger.security('unauthorized_chat_sermon_access', { userId: user.id, sermonId });
+    return { response: createErrorResponse(new Error('Unauthorized'), 403) };
   }
 
-  return text;
+  const built = buildSermonContext(loaded);
+  logger.info('Chat context built', {
+    userId: user.id,
+    sermonId: loaded.sermon.id,
+    estimatedTokens: built.estimatedTokens,
+    trimmed: built.trimmed,
+    timed: !!built.timed
+  });
+
+  return { sermon: loaded.sermon, ...built };
 }
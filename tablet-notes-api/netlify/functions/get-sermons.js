@@ -46,6 +46,7 @@ exports.handler = withLogging('get-sermons', async (event, context) => {
         date,
         service_type,
         speaker,
+        language,
         transcription_status,
         summary_status,
         is_archived,
@@ -62,7 +63,8 @@ exports.handler = withLogging('get-sermons', async (event, context) => {
           id,
           local_id,
           text,
-          status
+          status,
+          service_spans
         ),
         summaries (
           id,
@@ -70,7 +72,38 @@ exports.handler = withLogging('get-sermons', async (event, context) => {
           title,
           text,
           type,
-          status
+          status,
+          structured,
+          scripture_passages,
+          language
+        ),
+        scripture_references (
+          osis,
+          passage_id,
+          display,
+          book,
+          chapter_start,
+          verse_start,
+          chapter_end,
+          verse_end,
+          spoken_text,
+          start_ms,
+          end_ms,
+          mention_index
+        ),
+        sermon_chapters (
+          chapter_index,
+          kind,
+          title,
+          summary,
+          start_ms,
+          end_ms,
+          source
+        ),
+        sermon_speakers (
+          label,
+          name,
+          role
         )
       `)
       .eq('user_id', userId)
@@ -106,7 +139,10 @@ exports.handler = withLogging('get-sermons', async (event, context) => {
         sermonId: sermon.id,
         notes: childCount(sermon.notes),
         transcripts: childCount(sermon.transcripts),
-        summaries: childCount(sermon.summaries)
+        summaries: childCount(sermon.summaries),
+        scriptureReferences: childCount(sermon.scripture_references),
+        chapters: childCount(sermon.sermon_chapters),
+        speakers: childCount(sermon.sermon_speakers)
       }))
     });
 
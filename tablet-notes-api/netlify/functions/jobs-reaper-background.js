@@ -1,10 +1,11 @@
+const path = require('path');
 const { randomUUID } = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
-const { AssemblyAI } = require('assemblyai');
 const { withLogging } = require('./utils/logger');
 const {
   buildSummaryUpsertRow,
-  missingRequiredSummaryColumns
+  missingRequiredSummaryColumns,
+  summaryCoversTranscript
 } = require('./utils/summaryRow');
 const { withTimeout } = require('./utils/security');
 const {
@@ -24,6 +25,43 @@ const {
 const { completeTranscriptionJob } = require('./utils/completeTranscription');
 const { applySermonStageTerminal } = require('./utils/sermonStatus');
 const { claimJob, releaseClaim, markUncertainHandoff } = require('./utils/jobClaim');
+const {
+  rebuildSermonSearchIndex,
+  queueSearchIndexJob,
+  markSearchIndexJobDone
+} = require('./utils/searchIndex');
+const { enrichSummaryPassages } = require('./utils/summaryPassages');
+const { createBibleSource } = require('./utils/bibleService');
+const { createBibleCache } = require('./utils/bibleCache');
+const { getSubscriptionState } = require('./utils/subscriptionTier');
+const { submissionVocabulary } = require('./utils/vocabulary');
+const { summaryLanguage } = require('./utils/sermonLanguage');
+const { createTranscriptionProviders, WHISPER_TIMEOUT_MS } = require('./utils/transcriptionProviders');
+const { createSweep, sweepHasTimeFor } = require('./utils/sweepBudget');
+const {
+  planChunkedTranscription,
+  progressMatchesAudio,
+  nextAudioChunk,
+  chunkLanguage,
+  recordChunkTranscript,
+  mergeChunkTranscripts
+} = require('./utils/chunkedTranscription');
+const { cutAudioChunk } = require('./utils/fragmentedAudio');
+const { isLiveTranscriptionJob, finalizeAbandonedLiveSessions } = require('./utils/liveSessions');
+const { focusTranscript, loadSermonSpeakers } = require('./utils/sermonSpeakers');
+const { sermonOnlyTranscript } = require('./utils/serviceSegments');
+const {
+  shouldChunkSummary,
+  planChunkedSummary,
+  progressMatchesTranscript,
+  renderChunkText,
+  pendingChunkIndexes,
+  recordChunkSummary,
+  sectionPromptVersion,
+  isMapComplete,
+  buildMergeInput,
+  MAX_CHUNKS_PER_SWEEP
+} = require('./utils/chunkedSummary');
 
 /**
  * Scheduled reaper for processing_jobs (TAB-72).
@@ -32,39 +70,54 @@ const { claimJob, releaseClaim, markUncertainHandoff } = require('./utils/jobCla
  * submit call failed after the row was written. This sweep is the safety net
  * that makes "no job is ever silently lost" true rather than aspirational:
  *
- *   1. queued transcription jobs whose backoff elapsed  -> (re)submit to AssemblyAI
+ *   1. queued transcription jobs whose backoff elapsed  -> (re)submit to the
+ *      job's provider, or on an inline one transcribe the next few minutes of
+ *      the recording (utils/transcriptionProviders.js,
+ *      utils/chunkedTranscription.js), one job per sweep
  *   2. submitted/running jobs past the stale window     -> reconcile against the
  *      provider's actual state, completing or failing them
  *   3. queued summary jobs                              -> generate and persist
+ *      in the sermon's or the user's chosen language (utils/sermonLanguage.js)
+ *      from the sermon span only (utils/serviceSegments.js), long transcripts a
+ *      few sections per sweep (utils/chunkedSummary.js),
+ *      then store the text of the passages it cites (utils/summaryPassages.js)
+ *   4. queued search_index jobs                         -> rebuild the sermon's
+ *      library search passages (utils/searchIndex.js)
+ *   5. live sessions whose phone stopped checkpointing  -> finalize them into
+ *      the sermon's transcript (utils/liveSessions.js)
  *
  * A `-background` function (15-minute budget) rather than a plain scheduled one:
  * summary generation alone can take ~55s and a sweep may handle several jobs.
- * Schedule is configured in netlify.toml.
+ * A sweep only claims work that fits what is left of that budget
+ * (utils/sweepBudget.js). Schedule is configured in netlify.toml.
  */
 
 const BATCH_LIMIT = 20;
+const INLINE_TRANSCRIPTIONS_PER_SWEEP = 1;
+const SUMMARY_REQUEST_TIMEOUT_MS = 120000;
+// Fetching a recording for an inline provider; fits beside WHISPER_TIMEOUT_MS
+// in the sweep's budget.
+const AUDIO_DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Worst case for one summary job in one sweep: its sections, then the merge.
+const SUMMARY_WORK_MS = (MAX_CHUNKS_PER_SWEEP + 1) * SUMMARY_REQUEST_TIMEOUT_MS;
 
 function supabaseClient() {
   return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 }
 
-async function resubmitTranscription({ supabase, assembly, job, logger }) {
-  if (!job.audio_file_path) {
-    const failure = planFailure(job, 'no audio_file_path recorded; cannot resubmit');
-    await persistJobFailure({ supabase, job, failure, logger });
-    return;
-  }
-
-  // Claim BEFORE spending money (PR #37 review round 2). Two overlapping
-  // sweeps — or a sweep racing POST /api/jobs — could otherwise both submit
-  // this row to AssemblyAI, billing twice and leaving one provider job
-  // unreconcilable when the second id overwrote the first.
-  const claimed = await claimJob({ supabase, jobId: job.id });
-  if (!claimed) {
-    logger.info('Reaper skipping job claimed by another worker', { jobId: job.id });
-    return;
-  }
+// Built on first use: most sweeps write no summary.
+let bibleSource = null;
+function getBibleSource() {
+  bibleSource = bibleSource || createBibleSource({ cache: createBibleCache() });
+  return bibleSource;
+}
 
+/**
+ * Sign the job's audio for the provider to read, or release the claim and
+ * return null so a later sweep tries again.
+ */
+async function signJobAudio({ supabase, job }) {
   const { data: signed, error: signedError } = await supabase
     .storage.from('sermon-audio')
     // Safe without a re-check here: a processing_jobs row can only be created
@@ -78,25 +131,91 @@ async function resubmitTranscription({ supabase, assembly, job, logger }) {
       jobId: job.id,
       error: `signed url failed: ${signedError?.message || 'unknown'}`
     });
+    return null;
+  }
+  return signed.signedUrl;
+}
+
+/**
+ * Re-queue a job whose call provably never reached its provider on the
+ * configured fallback, without spending an attempt. False when there is no
+ * fallback to move to.
+ */
+async function failOver({ supabase, transcription, target, job, error, logger }) {
+  const failover = transcription.failoverFrom(target.provider.name);
+  if (!failover) return false;
+
+  await releaseClaim({
+    supabase,
+    jobId: job.id,
+    error,
+    retryDelayMs: 0,
+    patch: { provider: failover.provider.name }
+  });
+  logger.warn('Transcription failed over to the fallback provider', {
+    jobId: job.id,
+    from: target.provider.name,
+    to: failover.provider.name
+  });
+  return true;
+}
+
+async function resubmitTranscription({ supabase, transcription, job, sweep, logger }) {
+  if (!job.audio_file_path) {
+    const failure = planFailure(job, 'no audio_file_path recorded; cannot resubmit');
+    await persistJobFailure({ supabase, job, failure, logger });
+    return;
+  }
+
+  let target;
+  try {
+    target = transcription.forJob(job);
+  } catch (error) {
+    // The job names a provider this deploy cannot build. Retried within the
+    // attempt limit, in case the configuration is being fixed.
+    const failure = planFailure(job, error);
+    await persistJobFailure({ supabase, job, failure, logger });
+    return;
+  }
+
+  if (target.provider.mode === 'inline') {
+    if (sweep.inlineRemaining <= 0 || !sweepHasTimeFor(sweep, AUDIO_DOWNLOAD_TIMEOUT_MS + WHISPER_TIMEOUT_MS)) {
+      logger.info('Inline transcription waits for the next sweep', { jobId: job.id });
+      return;
+    }
+    sweep.inlineRemaining -= 1;
+    await transcribeInline({ supabase, transcription, target, job, sweep, logger });
+    return;
+  }
+
+  // Claim BEFORE spending money (PR #37 review round 2). Two overlapping
+  // sweeps — or a sweep racing POST /api/jobs — could otherwise both submit
+  // this row to the provider, billing twice and leaving one provider job
+  // unreconcilable when the second id overwrote the first.
+  const claimed = await claimJob({ supabase, jobId: job.id });
+  if (!claimed) {
+    logger.info('Reaper skipping job claimed by another worker', { jobId: job.id });
     return;
   }
 
+  const audioUrl = await signJobAudio({ supabase, job });
+  if (!audioUrl) return;
+
   const webhookUrl = webhookUrlFor(
     process.env.PUBLIC_API_BASE_URL || 'https://comfy-daffodil-7ecc55.netlify.app',
     job.id
   );
+  // The language jobs.js resolved for this job; null detects it.
+  const vocabulary = await submissionVocabulary({ supabase, userId: job.user_id, language: job.language, logger });
 
   try {
-    const transcript = await assembly.transcripts.submit({
-      audio: signed.signedUrl,
-      speaker_labels: true,
-      auto_chapters: false,
-      filter_profanity: false,
-      format_text: true,
-      webhook_url: webhookUrl,
-      webhook_auth_header_name: 'x-tabletnotes-webhook-secret',
-      webhook_auth_header_value: process.env.ASSEMBLYAI_WEBHOOK_SECRET
-    });
+    const transcript = await target.breaker.execute(() => target.provider.submit({
+      audioUrl,
+      language: job.language,
+      vocabulary,
+      webhookUrl,
+      webhookSecret: process.env.ASSEMBLYAI_WEBHOOK_SECRET
+    }));
 
     // Already claimed as 'submitted'; record the provider id and attempt count.
     const { error: recordError } = await supabase
@@ -119,7 +238,11 @@ async function resubmitTranscription({ supabase, assembly, job, logger }) {
       return;
     }
 
-    logger.info('Reaper resubmitted transcription', { jobId: job.id, providerJobId: transcript.id });
+    logger.info('Reaper resubmitted transcription', {
+      jobId: job.id,
+      providerJobId: transcript.id,
+      provider: target.provider.name
+    });
   } catch (error) {
     // Only re-queue a submission that provably never left this process. An
     // uncertain one stays 'submitted' — resubmitting it would bill twice and
@@ -130,6 +253,8 @@ async function resubmitTranscription({ supabase, assembly, job, logger }) {
       return;
     }
 
+    if (await failOver({ supabase, transcription, target, job, error, logger })) return;
+
     const failure = planFailure(job, error);
     // submitted_at is cleared alongside the failure: this job never reached the
     // provider, so the stale submission time would make it look in-flight.
@@ -143,11 +268,113 @@ async function resubmitTranscription({ supabase, assembly, job, logger }) {
   }
 }
 
+/**
+ * Transcribe a job on an inline provider (a Whisper server) a piece of the
+ * recording at a time (utils/chunkedTranscription.js): as many pieces as this
+ * sweep has time for, then back to the queue with the rest recorded on the
+ * job. Once every piece is in, the job completes here, through the same
+ * completion path the webhook uses. There is no callback and no per-job bill,
+ * so a failed piece is simply retried within the attempt limit — the
+ * double-billing care above does not apply.
+ */
+async function transcribeInline({ supabase, transcription, target, job, sweep, logger }) {
+  const claimed = await claimJob({ supabase, jobId: job.id, toStatus: JOB_STATUS.RUNNING });
+  if (!claimed) {
+    logger.info('Reaper skipping job claimed by another worker', { jobId: job.id });
+    return;
+  }
+
+  const audioUrl = await signJobAudio({ supabase, job });
+  if (!audioUrl) return;
+
+  let progress = null;
+  try {
+    const response = await fetch(audioUrl, { signal: AbortSignal.timeout(AUDIO_DOWNLOAD_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`audio download returned ${response.status}`);
+    }
+    const audio = Buffer.from(await response.arrayBuffer());
+    const audioPath = job.audio_file_path;
+    progress = progressMatchesAudio(job.progress, audio, { audioPath })
+      ? job.progress
+      : planChunkedTranscription(audio, { audioPath });
+
+    // The caller already found time for the first piece.
+    let index = nextAudioChunk(progress);
+    while (index !== -1) {
+      const chunk = progress.chunks[index];
+      const transcript = await target.breaker.execute(() => target.provider.transcribe({
+        audio: cutAudioChunk(audio, { init: progress.init, chunk }),
+        fileName: path.basename(audioPath),
+        language: chunkLanguage(progress, job.language)
+      }));
+      progress = recordChunkTranscript(progress, index, transcript);
+      index = nextAudioChunk(progress);
+      if (index !== -1 && !sweepHasTimeFor(sweep, WHISPER_TIMEOUT_MS)) break;
+    }
+
+    if (index !== -1) {
+      const { error } = await supabase
+        .from('processing_jobs')
+        .update({ status: JOB_STATUS.QUEUED, submitted_at: null, next_attempt_at: null, progress })
+        .eq('id', job.id);
+      if (error) {
+        logger.warn('Could not re-queue chunked transcription job', { jobId: job.id, error: error.message });
+      } else {
+        logger.info('Chunked transcription job re-queued for its next pieces', {
+          jobId: job.id,
+          done: index,
+          pieces: progress.chunks.length
+        });
+      }
+      return;
+    }
+
+    const transcript = mergeChunkTranscripts(progress);
+    const attempts = (job.attempts || 0) + 1;
+    await supabase
+      .from('processing_jobs')
+      .update({ provider_job_id: transcript.id, attempts })
+      .eq('id', job.id);
+
+    const result = await completeTranscriptionJob({
+      supabase,
+      job: { ...job, provider_job_id: transcript.id, attempts },
+      transcript,
+      logger
+    });
+    if (result.ok) {
+      logger.info('Reaper transcribed inline', {
+        jobId: job.id,
+        provider: target.provider.name,
+        pieces: progress.chunks.length,
+        summaryChained: result.summaryChained
+      });
+    }
+  } catch (error) {
+    if (classifySubmitFailure(error) === 'not-sent' &&
+      await failOver({ supabase, transcription, target, job, error, logger })) {
+      return;
+    }
+
+    // Pieces already transcribed are saved with the failure, so the retry
+    // redoes only the piece that failed.
+    const failure = planFailure(job, error);
+    await persistJobFailure({
+      supabase,
+      job,
+      failure: { ...failure, submitted_at: null, ...(progress ? { progress } : {}) },
+      logger
+    });
+    logger.warn('Reaper inline transcription failed', { jobId: job.id, status: failure.status });
+  }
+}
+
 const LOOKUP_PAGE_SIZE = 100;
 const LOOKUP_MAX_PAGES = 20;
 
 /**
- * Ask AssemblyAI whether this job's audio was already submitted, for the case
+ * Ask the provider whether this job's audio was already submitted, for the case
  * where we lost the provider id (or never got one back).
  *
  * Returns `{ transcript, conclusive }`. The second half is the important half
@@ -159,7 +386,7 @@ const LOOKUP_MAX_PAGES = 20;
  * until it passes the moment this job was submitted — at which point absence is
  * proven — or until it runs out of pages, which is not proof.
  */
-async function findExistingProviderJob({ assembly, job, logger }) {
+async function findExistingProviderJob({ provider, job, logger }) {
   if (!job.audio_file_path) return { transcript: null, conclusive: true };
 
   const cutoff = job.submitted_at || job.created_at;
@@ -171,7 +398,7 @@ async function findExistingProviderJob({ assembly, job, logger }) {
       const params = { limit: LOOKUP_PAGE_SIZE };
       if (beforeId) params.before_id = beforeId;
 
-      const response = await assembly.transcripts.list(params);
+      const response = await provider.list(params);
       const transcripts = response?.transcripts || [];
       scanned += transcripts.length;
 
@@ -201,7 +428,25 @@ async function findExistingProviderJob({ assembly, job, logger }) {
   }
 }
 
-async function reconcileStale({ supabase, assembly, job, logger }) {
+async function reconcileStale({ supabase, transcription, job, logger }) {
+  let target;
+  try {
+    target = transcription.forJob(job);
+  } catch (error) {
+    logger.warn('Reaper cannot reach this job’s provider', { jobId: job.id, error: error.message });
+    return;
+  }
+
+  if (target.provider.mode === 'inline') {
+    // The sweep transcribing it ran out of time or died: no callback is
+    // coming, and an inline provider keeps nothing to reconcile against. Run
+    // it again, within the attempt limit.
+    const failure = planFailure(job, 'transcription did not finish before its sweep ended');
+    await persistJobFailure({ supabase, job, failure: { ...failure, submitted_at: null }, logger });
+    return;
+  }
+  const { provider } = target;
+
   if (!job.provider_job_id) {
     // Submitted with no provider id: either the submit never landed, or it
     // landed and we failed to record the id. We cannot tell them apart from
@@ -223,7 +468,7 @@ async function reconcileStale({ supabase, assembly, job, logger }) {
     // key both sides share — signed-URL tokens differ per mint, the object path
     // does not.
     const { transcript: adopted, conclusive } = await findExistingProviderJob({
-      assembly,
+      provider,
       job,
       logger
     });
@@ -238,7 +483,7 @@ async function reconcileStale({ supabase, assembly, job, logger }) {
         .update({ provider_job_id: adopted.id })
         .eq('id', job.id);
       // Reconcile it now that we know who it is, rather than waiting a sweep.
-      await reconcileStale({ supabase, assembly, job: { ...job, provider_job_id: adopted.id }, logger });
+      await reconcileStale({ supabase, transcription, job: { ...job, provider_job_id: adopted.id }, logger });
       return;
     }
 
@@ -282,7 +527,7 @@ async function reconcileStale({ supabase, assembly, job, logger }) {
   }
 
   try {
-    const transcript = await assembly.transcripts.get(job.provider_job_id);
+    const transcript = await provider.get(job.provider_job_id);
 
     if (transcript.status === 'completed') {
       // The webhook was lost. Run the SAME completion path the webhook runs —
@@ -337,13 +582,114 @@ async function markSummaryJobDone({ supabase, jobId, sermonId, title, logger })
       status: JOB_STATUS.DONE,
       completed_at: new Date().toISOString(),
       last_error: null,
-      next_attempt_at: null
+      next_attempt_at: null,
+      // Section notes are only needed until the merge; don't keep them around.
+      progress: null
     })
     .eq('id', jobId);
 
   return error || null;
 }
 
+/**
+ * POST to /api/summarize over its internal service path and return the parsed
+ * payload. Reuses the real endpoint (shared secret + explicit acting user):
+ * PR #37 review correctly caught that the endpoint this used to call,
+ * /api/summarize-internal, did not exist — every summary job would have retried
+ * into 'dead'. Calling the live endpoint also keeps exactly one copy of the
+ * summarization prompt.
+ */
+async function requestSummary(body) {
+  const response = await withTimeout(
+    () => fetch(`${process.env.PUBLIC_API_BASE_URL || 'https://comfy-daffodil-7ecc55.netlify.app'}/api/summarize`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-tabletnotes-internal-secret': process.env.ASSEMBLYAI_WEBHOOK_SECRET || ''
+      },
+      body: JSON.stringify(body)
+    }),
+    SUMMARY_REQUEST_TIMEOUT_MS
+  )();
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`summarize returned ${response.status}: ${text.slice(0, 200)}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Map step for a transcript too long for one completion: condense up to
+ * MAX_CHUNKS_PER_SWEEP more sections into notes, recording them on the job.
+ *
+ * Returns `{ ready: true, progress }` once every section has notes, so the
+ * caller can merge them this sweep. Otherwise the job has been handed back to
+ * the queue (or failed with backoff) with its progress saved, and the caller
+ * must stop: the next sweep claims it again and picks up where this one left
+ * off. Re-queuing between sweeps is not a failure and costs no attempt.
+ */
+async function advanceChunkedSummary({ supabase, job, text, words, serviceType, logger }) {
+  let progress = progressMatchesTranscript(job.progress, { text, words })
+    ? job.progress
+    : planChunkedSummary({ text, words });
+
+  for (const index of pendingChunkIndexes(progress)) {
+    try {
+      const payload = await requestSummary({
+        text: renderChunkText(progress, index, { text, words }),
+        serviceType,
+        stage: 'section',
+        section: { index, count: progress.chunks.length },
+        userId: job.user_id
+      });
+      const notes = payload?.data?.summary || '';
+      if (!notes.trim()) {
+        throw new Error(`summarize returned empty notes for section ${index + 1}`);
+      }
+      progress = recordChunkSummary(progress, index, notes, payload?.data?.metadata?.prompt?.id);
+    } catch (error) {
+      // Notes already taken this sweep are saved with the failure, so the retry
+      // redoes only the section that failed.
+      const failure = planFailure(job, error);
+      await persistJobFailure({ supabase, job, failure: { ...failure, progress }, logger });
+      logger.warn('Reaper section summary failed', {
+        jobId: job.id,
+        section: index + 1,
+        sections: progress.chunks.length,
+        status: failure.status
+      });
+      return { ready: false };
+    }
+  }
+
+  if (isMapComplete(progress)) {
+    return { ready: true, progress };
+  }
+
+  const { error } = await supabase
+    .from('processing_jobs')
+    .update({
+      status: JOB_STATUS.QUEUED,
+      submitted_at: null,
+      next_attempt_at: null,
+      progress
+    })
+    .eq('id', job.id);
+
+  if (error) {
+    logger.warn('Could not re-queue chunked summary job', { jobId: job.id, error: error.message });
+  } else {
+    logger.info('Chunked summary job re-queued for its next sections', {
+      jobId: job.id,
+      done: progress.partials.filter(Boolean).length,
+      sections: progress.chunks.length
+    });
+  }
+  return { ready: false };
+}
+
 async function runSummary({ supabase, job, logger }) {
   // Same claim discipline as transcription: OpenAI calls cost money, and two
   // overlapping sweeps must not both generate a summary for one job.
@@ -353,16 +699,24 @@ async function runSummary({ supabase, job, logger }) {
     return;
   }
 
+  const { data: transcript } = await supabase
+    .from('transcripts')
+    .select('text, segments, speaker_turns, updated_at')
+    .eq('sermon_id', job.sermon_id)
+    .maybeSingle();
+
   // If the summary already exists, the only thing left to do is mark the job.
   // This is what makes a retry after a failed completion-update free rather than
-  // a second paid OpenAI call for output already sitting in the database.
+  // a second paid OpenAI call for output already sitting in the database. A
+  // summary older than the transcript was written from words since replaced,
+  // and is written again (summaryCoversTranscript).
   const { data: priorSummary } = await supabase
     .from('summaries')
-    .select('text, title')
+    .select('text, title, updated_at')
     .eq('sermon_id', job.sermon_id)
     .maybeSingle();
 
-  if (priorSummary?.text?.trim()) {
+  if (summaryCoversTranscript(priorSummary, transcript)) {
     const completionError = await markSummaryJobDone({
       supabase,
       jobId: job.id,
@@ -383,55 +737,100 @@ async function runSummary({ supabase, job, logger }) {
     return;
   }
 
-  const { data: transcript } = await supabase
-    .from('transcripts')
-    .select('text')
-    .eq('sermon_id', job.sermon_id)
-    .maybeSingle();
-
-  const text = transcript?.text || '';
-  if (text.trim().length < 50) {
+  if ((transcript?.text || '').trim().length < 50) {
     const failure = planFailure(job, 'transcript too short to summarize');
     await persistJobFailure({ supabase, job, failure, logger });
     return;
   }
 
+  // Only the preacher when the user has said who that is, and never the
+  // speakers they marked as announcements or worship (utils/sermonSpeakers.js).
+  // Otherwise only the detected sermon span, leaving out the music and
+  // announcements around it (utils/serviceSegments.js).
+  let focus = { text: transcript.text, words: transcript.segments, focused: false, labels: null };
+  let speakers = [];
+  if (transcript.speaker_turns) {
+    try {
+      speakers = await loadSermonSpeakers({ supabase, sermonId: job.sermon_id });
+      focus = focusTranscript({ text: transcript.text, words: transcript.segments, turns: transcript.speaker_turns, speakers });
+    } catch (speakerError) {
+      logger.warn('Summary speaker focus skipped', { jobId: job.id, error: speakerError.message });
+    }
+  }
+  if (focus.focused) {
+    logger.info('Summarizing named speakers only', { jobId: job.id, speakers: focus.labels, textLength: focus.text.length });
+  } else {
+    const sermonOnly = sermonOnlyTranscript({ text: transcript.text, words: transcript.segments, speakers });
+    if (sermonOnly.trimmed && sermonOnly.text.trim().length >= 50) {
+      focus = { ...focus, text: sermonOnly.text, words: sermonOnly.words };
+      logger.info('Summarizing the sermon span only', {
+        jobId: job.id,
+        sermonStartMs: sermonOnly.sermonStartMs,
+        sermonEndMs: sermonOnly.sermonEndMs,
+        textLength: sermonOnly.text.length
+      });
+    }
+  }
+  const text = focus.text;
+
   const { data: sermon } = await supabase
     .from('sermons')
-    .select('service_type')
+    .select('service_type, language')
     .eq('id', job.sermon_id)
     .maybeSingle();
 
-  try {
-    // Reuses the real /api/summarize endpoint over its internal service path
-    // (shared secret + explicit acting user). PR #37 review correctly caught
-    // that the endpoint this used to call, /api/summarize-internal, did not
-    // exist — every summary job would have retried into 'dead'. Calling the
-    // live endpoint also keeps exactly one copy of the summarization prompt.
-    const response = await withTimeout(
-      () => fetch(`${process.env.PUBLIC_API_BASE_URL || 'https://comfy-daffodil-7ecc55.netlify.app'}/api/summarize`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-tabletnotes-internal-secret': process.env.ASSEMBLYAI_WEBHOOK_SECRET || ''
-        },
-        body: JSON.stringify({
-          text,
-          serviceType: sermon?.service_type || 'Sermon',
-          userId: job.user_id
-        })
-      }),
-      120000
-    )();
+  const serviceType = sermon?.service_type || 'Sermon';
 
-    if (!response.ok) {
-      const body = await response.text().catch(() => '');
-      throw new Error(`summarize returned ${response.status}: ${body.slice(0, 200)}`);
-    }
+  // The sermon's own language unless the user asked for summaries in another
+  // (utils/sermonLanguage.js). Null for sermons whose language was never
+  // recorded: those are summarized as they always were.
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('summary_language')
+    .eq('id', job.user_id)
+    .maybeSingle();
+  if (profileError) {
+    logger.warn('Summary language preference unavailable', { jobId: job.id, error: profileError.message });
+  }
+  const language = summaryLanguage({ sermonLanguage: sermon?.language, preferredLanguage: profile?.summary_language });
+  const languageFields = {
+    ...(language && { language }),
+    ...(sermon?.language && { sermonLanguage: sermon.language })
+  };
 
-    const payload = await response.json();
+  // Long transcripts are summarized from per-section notes, gathered over as
+  // many sweeps as it takes; only once every section is in does this sweep go
+  // on to the single merge call below.
+  let input = { text, stage: 'full' };
+  let progress = null;
+  if (shouldChunkSummary(text)) {
+    const mapped = await advanceChunkedSummary({
+      supabase,
+      job,
+      text,
+      words: focus.words,
+      serviceType,
+      logger
+    });
+    if (!mapped.ready) return;
+    progress = mapped.progress;
+    input = { text: buildMergeInput(progress), stage: 'merge' };
+  }
+
+  try {
+    const payload = await requestSummary({
+      ...input,
+      serviceType,
+      ...languageFields,
+      // Sections are persisted alongside the markdown `text`, which the
+      // endpoint renders from them for clients that only read prose.
+      format: 'structured',
+      userId: job.user_id
+    });
     const title = payload?.data?.title || null;
     const summaryText = payload?.data?.summary || '';
+    const structured = payload?.data?.structured || null;
+    const prompt = payload?.data?.metadata?.prompt || null;
 
     if (!summaryText.trim()) {
       throw new Error('summarize returned an empty summary');
@@ -452,6 +851,11 @@ async function runSummary({ supabase, job, logger }) {
       title,
       text: summaryText,
       serviceType: sermon?.service_type,
+      structured,
+      promptVersion: prompt?.id,
+      sectionPromptVersion: progress ? sectionPromptVersion(progress) : null,
+      model: prompt?.model,
+      language,
       existingSummary
     });
 
@@ -473,6 +877,25 @@ async function runSummary({ supabase, job, logger }) {
       throw new Error(`summary persist failed: ${summaryError.message}`);
     }
 
+    // Verse text for the passages the summary cites, before 'done' so a client
+    // reacting to it finds them. Optional: a failure only leaves them out.
+    let passageCount = null;
+    try {
+      const { isPaid } = await getSubscriptionState({ supabase, userId: job.user_id, logger });
+      passageCount = await enrichSummaryPassages({
+        supabase,
+        sermonId: job.sermon_id,
+        userId: job.user_id,
+        summary: summaryText,
+        structured,
+        isPaid,
+        source: getBibleSource(),
+        logger
+      });
+    } catch (enrichError) {
+      logger.warn('Summary passage enrichment failed', { jobId: job.id, error: enrichError.message });
+    }
+
     // markSummaryJobDone writes the sermon's summary_status and the generated
     // title (worth keeping, mirroring the client's SummaryRetryService). That
     // update previously carried ONLY the title, which is how a summary could
@@ -491,14 +914,58 @@ async function runSummary({ supabase, job, logger }) {
       throw new Error(`summary completion update failed: ${completionError.message}`);
     }
 
-    logger.info('Reaper completed summary job', { jobId: job.id, hasTitle: !!title });
+    // The summary joins the sermon's library search passages.
+    await queueSearchIndexJob({ supabase, job, logger });
+
+    logger.info('Reaper completed summary job', {
+      jobId: job.id,
+      hasTitle: !!title,
+      structured: !!structured,
+      prompt: prompt?.id || null,
+      sections: progress ? progress.chunks.length : null,
+      passages: passageCount
+    });
   } catch (error) {
     const failure = planFailure(job, error);
-    await persistJobFailure({ supabase, job, failure, logger });
+    // A failed merge keeps the section notes it was built from; the retry
+    // merges again without condensing the transcript a second time.
+    await persistJobFailure({
+      supabase,
+      job,
+      failure: progress ? { ...failure, progress } : failure,
+      logger
+    });
     logger.warn('Reaper summary failed', { jobId: job.id, status: failure.status });
   }
 }
 
+async function runSearchIndex({ supabase, job, logger }) {
+  const claimed = await claimJob({ supabase, jobId: job.id, toStatus: JOB_STATUS.RUNNING });
+  if (!claimed) {
+    logger.info('Reaper skipping search index job claimed by another worker', { jobId: job.id });
+    return;
+  }
+
+  try {
+    const chunkCount = await rebuildSermonSearchIndex({
+      supabase,
+      sermonId: job.sermon_id,
+      userId: job.user_id
+    });
+
+    const error = await markSearchIndexJobDone({ supabase, jobId: job.id });
+    if (error) {
+      throw new Error(`search index completion update failed: ${error.message}`);
+    }
+
+    logger.info('Reaper rebuilt search index', { jobId: job.id, sermonId: job.sermon_id, chunkCount });
+  } catch (error) {
+    const failure = planFailure(job, error);
+    await persistJobFailure({ supabase, job, failure, logger });
+    logger.warn('Reaper search index failed', { jobId: job.id, status: failure.status });
+  }
+}
+
 exports.handler = withLogging('jobs-reaper', async () => {
   const logger = { info: console.log, warn: console.warn, error: console.error };
 
@@ -507,8 +974,15 @@ exports.handler = withLogging('jobs-reaper', async () => {
     return { statusCode: 500, body: 'not configured' };
   }
 
+  let transcription;
+  try {
+    transcription = createTranscriptionProviders();
+  } catch (error) {
+    console.error('[jobs-reaper] Transcription provider misconfigured', error);
+    return { statusCode: 500, body: 'not configured' };
+  }
+
   const supabase = supabaseClient();
-  const assembly = new AssemblyAI({ apiKey: process.env.ASSEMBLYAI_API_KEY });
   const nowIso = new Date().toISOString();
 
   const { data: jobs, error } = await supabase
@@ -525,19 +999,53 @@ exports.handler = withLogging('jobs-reaper', async () => {
   }
 
   let handled = 0;
+  // An inline transcription takes whatever of the 15-minute budget its pieces
+  // fit, so a sweep starts only one; the rest wait for the next. Every job is
+  // claimed only while its work still fits before the deadline.
+  const sweep = createSweep({ inlineTranscriptions: INLINE_TRANSCRIPTIONS_PER_SWEEP });
   for (const job of jobs || []) {
-    if (job.kind === JOB_KINDS.SUMMARY && job.status === JOB_STATUS.QUEUED) {
+    if (job.kind === JOB_KINDS.SEARCH_INDEX) {
+      if (job.status === JOB_STATUS.QUEUED) {
+        if (!sweepHasTimeFor(sweep)) continue;
+        await runSearchIndex({ supabase, job, logger });
+        handled += 1;
+      } else if (isStale(job)) {
+        // No provider to reconcile against: a rebuild that never finished is
+        // simply run again.
+        await releaseClaim({ supabase, jobId: job.id, error: 'search index rebuild stalled', retryDelayMs: 0 });
+        handled += 1;
+      }
+    } else if (job.kind === JOB_KINDS.SUMMARY && job.status === JOB_STATUS.QUEUED) {
+      if (!sweepHasTimeFor(sweep, SUMMARY_WORK_MS)) continue;
       await runSummary({ supabase, job, logger });
       handled += 1;
+    } else if (isLiveTranscriptionJob(job)) {
+      // Written by a live session's finalize, which has no provider to
+      // reconcile against and no audio to resubmit. One that never finished
+      // is failed; the next finalize takes it over.
+      if (isStale(job)) {
+        const failure = planFailure(job, 'live session finalize did not finish');
+        await persistJobFailure({ supabase, job, failure, logger });
+        handled += 1;
+      }
     } else if (job.kind === JOB_KINDS.TRANSCRIPTION && job.status === JOB_STATUS.QUEUED) {
-      await resubmitTranscription({ supabase, assembly, job, logger });
+      if (!sweepHasTimeFor(sweep)) continue;
+      await resubmitTranscription({ supabase, transcription, job, sweep, logger });
       handled += 1;
     } else if (isStale(job)) {
-      await reconcileStale({ supabase, assembly, job, logger });
+      if (!sweepHasTimeFor(sweep)) continue;
+      await reconcileStale({ supabase, transcription, job, logger });
       handled += 1;
     }
   }
 
-  console.log(`[jobs-reaper] Swept ${jobs?.length || 0} candidate job(s), acted on ${handled}`);
-  return { statusCode: 200, body: JSON.stringify({ candidates: jobs?.length || 0, handled }) };
+  const liveSessionsFinalized = sweepHasTimeFor(sweep)
+    ? await finalizeAbandonedLiveSessions({ supabase, logger })
+    : 0;
+
+  console.log(`[jobs-reaper] Swept ${jobs?.length || 0} candidate job(s), acted on ${handled}, deferred ${sweep.deferred} to the next sweep, finalized ${liveSessionsFinalized} live session(s)`);
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ candidates: jobs?.length || 0, handled, deferred: sweep.deferred, liveSessionsFinalized })
+  };
 });
@@ -1,11 +1,9 @@
 const { createClient } = require('@supabase/supabase-js');
-const { AssemblyAI } = require('assemblyai');
 const { withDefaults } = require('./utils/withDefaults');
 const { isOwnedObjectPath } = require('./utils/audioObjectPath');
 const {
   checkResourceOwnership,
   withTimeout,
-  CircuitBreaker,
   createErrorResponse,
   createSuccessResponse
 } = require('./utils/security');
@@ -14,17 +12,31 @@ const {
   JOB_STATUS,
   idempotencyKey,
   isExhaustedWithoutRetry,
+  DEFAULT_MAX_ATTEMPTS,
   webhookUrlFor,
   classifySubmitFailure
 } = require('./utils/processingJobs');
 const { claimJob, releaseClaim, markUncertainHandoff } = require('./utils/jobClaim');
 const { prepareStageForDeliberateRetry } = require('./utils/sermonStatus');
-
-const assemblyAIBreaker = new CircuitBreaker(3, 60000);
+const { submissionVocabulary } = require('./utils/vocabulary');
+const { resolveTranscriptionLanguage } = require('./utils/sermonLanguage');
+const { createTranscriptionProviders } = require('./utils/transcriptionProviders');
+const {
+  isLiveTranscriptionJob,
+  supersedableLiveJob,
+  queueRecordingBehindLiveJob
+} = require('./utils/liveSessions');
+
+// Module scope so each provider's breaker outlives a single invocation.
+let transcription = null;
+function transcriptionProviders() {
+  transcription = transcription || createTranscriptionProviders();
+  return transcription;
+}
 
 /**
  * POST /api/jobs — create (or return) the durable processing job for a sermon
- * and submit it to AssemblyAI with a webhook (TAB-72).
+ * and submit it to its transcription provider (TAB-72).
  *
  * Replaces the fire-and-forget /api/transcribe + client-polling flow: the job
  * row is written to Postgres BEFORE the provider is called, so a job can never
@@ -42,6 +54,7 @@ exports.handler = withDefaults(
       sermonLocalId,
       filePath: requestedFilePath,
       kind = JOB_KINDS.TRANSCRIPTION,
+      language: requestedLanguage,
       retry = false
     } = event.validatedData;
 
@@ -72,6 +85,14 @@ exports.handler = withDefaults(
       return createErrorResponse(new Error('Access denied: You can only transcribe your own files'), 403);
     }
 
+    let providers;
+    try {
+      providers = transcriptionProviders();
+    } catch (error) {
+      logger.error('Transcription provider misconfigured', {}, error);
+      return createErrorResponse(new Error('Transcription service not available'), 503);
+    }
+
     const supabase = createClient(supabaseUrl, supabaseKey);
 
     // Resolve the server-side sermon row from the client's local id. The sermon
@@ -127,13 +148,22 @@ exports.handler = withDefaults(
     // Idempotency: if a job already exists for this (sermon, kind), return it
     // rather than billing a second provider job. This is what makes the client
     // safe to retry after a lost response.
-    const { data: existing } = await supabase
+    let { data: existing } = await supabase
       .from('processing_jobs')
       .select('*')
       .eq('idempotency_key', key)
       .maybeSingle();
 
-    if (existing && existing.status !== JOB_STATUS.DEAD && existing.status !== JOB_STATUS.FAILED) {
+    // A live session's transcript (utils/liveSessions.js) holds the sermon's
+    // transcription job until its recording arrives; the recording's own
+    // transcription then replaces it, automatic dispatch or not. One a
+    // finalize is still writing is not reused either: the recording is queued
+    // behind it below.
+    let supersedesLive = supersedableLiveJob(existing);
+    const behindLive = isLiveTranscriptionJob(existing) && !supersedesLive;
+
+    if (existing && existing.status !== JOB_STATUS.DEAD && existing.status !== JOB_STATUS.FAILED &&
+      !supersedesLive && !behindLive) {
       logger.info('Returning existing processing job', {
         jobId: existing.id,
         status: existing.status,
@@ -145,6 +175,38 @@ exports.handler = withDefaults(
       });
     }
 
+    // The language to transcribe in, null to let the provider detect it. Kept
+    // on the job so the reaper's resubmit asks for the same thing.
+    const language = kind === JOB_KINDS.TRANSCRIPTION
+      ? await resolveTranscriptionLanguage({ supabase, sermonId: sermon.id, userId: user.id, requested: requestedLanguage, logger })
+      : null;
+    // Chosen now and recorded on the job (utils/transcriptionProviders.js):
+    // the fallback while the primary is failing. The reaper resubmits and
+    // reconciles with whatever the row names.
+    const provider = providers.select().provider.name;
+
+    if (behindLive) {
+      const queued = await queueRecordingBehindLiveJob({
+        supabase,
+        job: existing,
+        recording: { audio_file_path: filePath, language, provider }
+      });
+      if (queued) {
+        logger.info('Recording queued behind a live finalize', { jobId: queued.id, userId: user.id });
+        return createSuccessResponse({ job: queued, reused: false }, 202, {
+          ...(context.rateLimitHeaders || {}),
+          origin: event.headers.origin
+        });
+      }
+      // The finalize finished in between; revive its job as usual.
+      ({ data: existing } = await supabase
+        .from('processing_jobs')
+        .select('*')
+        .eq('id', existing.id)
+        .maybeSingle());
+      supersedesLive = supersedableLiveJob(existing);
+    }
+
     // Write the durable row FIRST. If the provider submit below fails, the row
     // remains queued and the reaper drives it — the job is never lost.
     const jobPayload = {
@@ -154,6 +216,8 @@ exports.handler = withDefaults(
       kind,
       status: JOB_STATUS.QUEUED,
       audio_file_path: filePath,
+      language,
+      provider,
       idempotency_key: key,
       attempts: 0
     };
@@ -179,7 +243,7 @@ exports.handler = withDefaults(
     // (TAB-91). The revive update below resets `attempts` to 0 for that one
     // user-initiated budget; the automatic sweep still cannot revive, so
     // tapping Retry on dead audio cannot recreate the unbounded loop on its own.
-    if (isExhaustedWithoutRetry(existing, retry)) {
+    if (isExhaustedWithoutRetry(existing, retry) && !supersedesLive) {
       logger.info('Not reviving an exhausted job for an automatic dispatch', {
         jobId: existing.id,
         attempts: existing.attempts
@@ -207,23 +271,29 @@ exports.handler = withDefaults(
     }
 
     if (existing) {
-      // Reached only for a dead/failed row (active ones returned above). Revive
-      // it, but conditionally: `.in('status', [...])` means a row someone else
-      // has already revived and claimed is left alone.
-      const { data: revived } = await supabase
+      // Reached only for a dead/failed row or a live one (active ones returned
+      // above). Revive it, but conditionally: `.in('status', [...])` means a row
+      // someone else has already revived and claimed is left alone. A live job
+      // had a single attempt; the recording gets the usual budget.
+      const revive = supabase
         .from('processing_jobs')
         .update({
           status: JOB_STATUS.QUEUED,
           audio_file_path: filePath,
+          language,
+          provider,
           attempts: 0,
           last_error: null,
           next_attempt_at: null,
           provider_job_id: null,
           submitted_at: null,
-          completed_at: null
+          completed_at: null,
+          ...(supersedesLive ? { max_attempts: DEFAULT_MAX_ATTEMPTS } : {})
         })
-        .eq('id', existing.id)
-        .in('status', [JOB_STATUS.DEAD, JOB_STATUS.FAILED])
+        .eq('id', existing.id);
+      const { data: revived } = await (supersedesLive
+        ? revive.eq('status', existing.status)
+        : revive.in('status', [JOB_STATUS.DEAD, JOB_STATUS.FAILED]))
         .select()
         .maybeSingle();
 
@@ -278,6 +348,23 @@ exports.handler = withDefaults(
       return createErrorResponse(new Error('Could not create processing job'), 500);
     }
 
+    const target = providers.forJob(job);
+
+    // An inline provider (self-hosted Whisper) transcribes for as long as the
+    // recording takes, which only the reaper's background budget allows. The
+    // job stays queued and the next sweep runs it.
+    if (target.provider.mode === 'inline') {
+      logger.info('Processing job queued for inline transcription', {
+        jobId: job.id,
+        provider: target.provider.name,
+        userId: user.id
+      });
+      return createSuccessResponse({ job, reused: false }, 202, {
+        ...(context.rateLimitHeaders || {}),
+        origin: event.headers.origin
+      });
+    }
+
     // Atomically CLAIM the job before spending money (PR #37 review). Shared
     // with the reaper's two submit paths so the three racing writers cannot
     // drift — round 2 of review found this claim present here but missing
@@ -317,27 +404,25 @@ exports.handler = withDefaults(
       return createErrorResponse(new Error('Failed to access audio file in storage'), 500);
     }
 
-    const assembly = new AssemblyAI({ apiKey: process.env.ASSEMBLYAI_API_KEY });
     // Carries OUR job id, so completion never depends on us having successfully
     // written the provider's id back.
     const webhookUrl = webhookUrlFor(
       process.env.PUBLIC_API_BASE_URL || 'https://comfy-daffodil-7ecc55.netlify.app',
       job.id
     );
+    // The user's and their organizations' terms as provider key terms
+    // (utils/vocabulary.js). Empty when they have none, can't be read, or the
+    // job is in a language other than English.
+    const vocabulary = await submissionVocabulary({ supabase, userId: user.id, language: job.language, logger });
 
     try {
       const transcript = await withTimeout(
-        () => assemblyAIBreaker.execute(() => assembly.transcripts.submit({
-          audio: signedUrlData.signedUrl,
-          speaker_labels: true,
-          auto_chapters: false,
-          filter_profanity: false,
-          format_text: true,
-          // The completion path. Without this the job would still need polling —
-          // this single option is what removes the client from the loop.
-          webhook_url: webhookUrl,
-          webhook_auth_header_name: 'x-tabletnotes-webhook-secret',
-          webhook_auth_header_value: webhookSecret
+        () => target.breaker.execute(() => target.provider.submit({
+          audioUrl: signedUrlData.signedUrl,
+          language: job.language,
+          vocabulary,
+          webhookUrl,
+          webhookSecret
         })),
         20000
       )();
@@ -365,6 +450,7 @@ exports.handler = withDefaults(
       logger.info('Processing job submitted', {
         jobId: job.id,
         providerJobId: transcript.id,
+        provider: target.provider.name,
         userId: user.id
       });
 
@@ -373,13 +459,24 @@ exports.handler = withDefaults(
         origin: event.headers.origin
       });
     } catch (error) {
-      // Only re-queue when the request provably never reached AssemblyAI. A
+      // Only re-queue when the request provably never reached the provider. A
       // timeout is NOT proof of that: the submit may have been accepted and
       // answered slowly, in which case re-queuing bills a second transcription
       // and orphans the first. Uncertain handoffs stay 'submitted' and are
       // governed by the reaper's grace window instead.
       const classification = classifySubmitFailure(error);
-      if (classification === 'not-sent') {
+      // Only a submit that never arrived can move to the fallback, for the
+      // same reason: an uncertain one may already be transcribing.
+      const failover = classification === 'not-sent' ? providers.failoverFrom(target.provider.name) : null;
+      if (failover) {
+        await releaseClaim({
+          supabase,
+          jobId: job.id,
+          error,
+          retryDelayMs: 0,
+          patch: { provider: failover.provider.name }
+        });
+      } else if (classification === 'not-sent') {
         await releaseClaim({ supabase, jobId: job.id, error });
       } else {
         await markUncertainHandoff({ supabase, jobId: job.id, error });
@@ -389,7 +486,8 @@ exports.handler = withDefaults(
         jobId: job.id,
         userId: user.id,
         classification,
-        requeued: classification === 'not-sent'
+        requeued: classification === 'not-sent',
+        failoverTo: failover?.provider.name || null
       }, error);
 
       let statusCode = 502;
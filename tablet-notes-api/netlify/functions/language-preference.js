@@ -0,0 +1,107 @@
+const { createClient } = require('@supabase/supabase-js');
+const { Validator } = require('./utils/validator');
+const {
+  handleCORS,
+  createAuthMiddleware,
+  createErrorResponse,
+  createSuccessResponse
+} = require('./utils/security');
+const { withLogging } = require('./utils/logger');
+const { SUPPORTED_LANGUAGES } = require('./utils/sermonLanguage');
+
+// The user's default languages (utils/sermonLanguage.js).
+//
+//   GET                                              { transcriptionLanguage,
+//                                                      summaryLanguage,
+//                                                      supportedLanguages }
+//   PUT { transcriptionLanguage?, summaryLanguage? } set either; null goes back
+//                                                    to detection / each
+//                                                    sermon's own language
+//
+// Stored in profiles.transcription_language and profiles.summary_language.
+// profiles has no client write policy, so the app sets them here.
+
+exports.handler = withLogging('language-preference', async (event, context) => {
+  const logger = event.logger;
+
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'PUT') {
+    return createErrorResponse(new Error('Method Not Allowed'), 405);
+  }
+
+  // Apply authentication
+  const authMiddleware = createAuthMiddleware();
+  const authResponse = await authMiddleware(event);
+  if (authResponse) {
+    return authResponse;
+  }
+
+  try {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      logger.error('Missing Supabase configuration');
+      return createErrorResponse(new Error('Server configuration error'), 500);
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseKey);
+    const user = event.user;
+    const origin = event.headers.origin;
+
+    if (event.httpMethod === 'PUT') {
+      const validationMiddleware = Validator.createValidationMiddleware('languagePreference', 'body');
+      const validationResponse = validationMiddleware(event);
+      if (validationResponse) {
+        return validationResponse;
+      }
+
+      const { transcriptionLanguage, summaryLanguage } = event.validatedData;
+      const { data: profile, error } = await supabase
+        .from('profiles')
+        .upsert({
+          id: user.id,
+          ...(transcriptionLanguage !== undefined && { transcription_language: transcriptionLanguage }),
+          ...(summaryLanguage !== undefined && { summary_language: summaryLanguage }),
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'id' })
+        .select('transcription_language, summary_language')
+        .single();
+
+      if (error) {
+        logger.error('Failed to save language preference', { userId: user.id, error: error.message, code: error.code });
+        return createErrorResponse(new Error('Failed to save language preference'), 500);
+      }
+
+      logger.info('Language preference saved', { userId: user.id, transcriptionLanguage, summaryLanguage });
+      return createSuccessResponse({
+        transcriptionLanguage: profile?.transcription_language || null,
+        summaryLanguage: profile?.summary_language || null,
+        supportedLanguages: SUPPORTED_LANGUAGES
+      }, 200, { origin });
+    }
+
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .select('transcription_language, summary_language')
+      .eq('id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Failed to load language preference', { userId: user.id, error: error.message, code: error.code });
+      return createErrorResponse(new Error('Failed to load language preference'), 500);
+    }
+
+    return createSuccessResponse({
+      transcriptionLanguage: profile?.transcription_language || null,
+      summaryLanguage: profile?.summary_language || null,
+      supportedLanguages: SUPPORTED_LANGUAGES
+    }, 200, { origin });
+  } catch (error) {
+    logger.error('Language preference request failed', { userId: event.user?.id }, error);
+    return createErrorResponse(error, 500);
+  }
+});
@@ -0,0 +1,180 @@
+const { createClient } = require('@supabase/supabase-js');
+const { Validator } = require('./utils/validator');
+const {
+  handleCORS,
+  createAuthMiddleware,
+  createErrorResponse,
+  createSuccessResponse
+} = require('./utils/security');
+const { withLogging } = require('./utils/logger');
+const { getSubscriptionState } = require('./utils/subscriptionTier');
+const {
+  LIVE_SESSION_STATUS,
+  transformSession,
+  loadOwnedSession,
+  startLiveSession,
+  recordCheckpoint,
+  loadLiveTranscript,
+  finalizeLiveSession
+} = require('./utils/liveSessions');
+
+// Live transcription sessions, so a sermon's live captions outlive the phone.
+//
+//   GET ?sessionId=...                          the session and its transcript
+//                                               so far
+//   POST { sermonId, language? }                start a session (or get the
+//                                               sermon's active one back)
+//   PUT  { sessionId, sequence, turns,          checkpoint the turns finalized
+//          finalize? }                          since the last one; finalize
+//                                               writes the sermon's transcript
+//                                               and chains its summary
+//
+// Each turn is { text, words? }, word times in ms from the start of the
+// recording. A sequence already stored is acknowledged without storing it
+// twice. See utils/liveSessions.js, including how the recording's own
+// transcription takes over from a live one.
+
+// Schema and source validated for each method.
+const VALIDATION = {
+  GET: ['liveSessionQuery', 'query'],
+  POST: ['liveSessionStart', 'body'],
+  PUT: ['liveSessionCheckpoint', 'body']
+};
+
+exports.handler = withLogging('live-sessions', async (event, context) => {
+  const logger = event.logger;
+
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (!VALIDATION[event.httpMethod]) {
+    return createErrorResponse(new Error('Method Not Allowed'), 405);
+  }
+
+  // Apply authentication
+  const authMiddleware = createAuthMiddleware();
+  const authResponse = await authMiddleware(event);
+  if (authResponse) {
+    return authResponse;
+  }
+
+  const validationMiddleware = Validator.createValidationMiddleware(...VALIDATION[event.httpMethod]);
+  const validationResponse = validationMiddleware(event);
+  if (validationResponse) {
+    return validationResponse;
+  }
+
+  try {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      logger.error('Missing Supabase configuration');
+      return createErrorResponse(new Error('Server configuration error'), 500);
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseKey);
+    const user = event.user;
+    const origin = event.headers.origin;
+
+    if (event.httpMethod === 'POST') {
+      const { sermonId, language } = event.validatedData;
+
+      const { data: sermon, error: sermonError } = await supabase
+        .from('sermons')
+        .select('id, user_id')
+        .eq('id', sermonId)
+        .single();
+
+      if (sermonError || !sermon) {
+        logger.warn('Sermon not found', { sermonId });
+        return createErrorResponse(new Error('Sermon not found'), 404);
+      }
+
+      if (sermon.user_id !== user.id) {
+        logger.security('unauthorized_live_session_attempt', {
+          userId: user.id,
+          sermonUserId: sermon.user_id,
+          sermonId
+        });
+        return createErrorResponse(new Error('Unauthorized'), 403);
+      }
+
+      // Live transcription is paid-only, as assemblyai-live-token.js enforces.
+      const subscription = await getSubscriptionState({ supabase, userId: user.id, logger });
+      if (!subscription.isPaid) {
+        logger.warn('Live session denied', { userId: user.id, tier: subscription.tier });
+        return createErrorResponse(
+          new Error('Live transcription requires an active Pro or Premium subscription'),
+          403
+        );
+      }
+
+      const { session, reused } = await startLiveSession({ supabase, sermonId, userId: user.id, language: language || null });
+      logger.info('Live session started', { userId: user.id, sermonId, sessionId: session.id, reused });
+      return createSuccessResponse({ session: transformSession(session), reused }, reused ? 200 : 201, { origin });
+    }
+
+    const { sessionId } = event.validatedData;
+    const owned = await loadOwnedSession({ supabase, sessionId, userId: user.id });
+    if (owned.error === 'not_found') {
+      return createErrorResponse(new Error('Live session not found'), 404);
+    }
+    if (owned.error === 'forbidden') {
+      logger.security('unauthorized_live_session_attempt', { userId: user.id, sessionId });
+      return createErrorResponse(new Error('Unauthorized'), 403);
+    }
+    let session = owned.session;
+
+    if (event.httpMethod === 'GET') {
+      const live = await loadLiveTranscript({ supabase, sessionIds: [session.id] });
+      return createSuccessResponse({
+        session: transformSession(session),
+        transcript: { text: live.text, wordCount: live.words.length, checkpoints: live.checkpoints }
+      }, 200, { origin });
+    }
+
+    const { sequence, turns, finalize } = event.validatedData;
+    const finalized = session.status === LIVE_SESSION_STATUS.FINALIZED;
+
+    if (finalized && turns.length > 0) {
+      return createErrorResponse(new Error('Live session is already finalized'), 409);
+    }
+
+    let duplicate = false;
+    if (turns.length > 0) {
+      ({ session, duplicate } = await recordCheckpoint({ supabase, session, sequence, turns }));
+      logger.info('Live session checkpoint', { userId: user.id, sessionId, sequence, turns: turns.length, duplicate });
+    }
+
+    if (!finalize) {
+      return createSuccessResponse({ session: transformSession(session), duplicate }, 200, { origin });
+    }
+
+    const result = await finalizeLiveSession({ supabase, session, logger });
+    if (result.busy) {
+      return createErrorResponse(new Error('Live session is already being finalized'), 409);
+    }
+    if (result.error) {
+      // The checkpoints are kept: a later finalize, by the app or the reaper,
+      // tries again.
+      logger.error('Live session finalize failed', { userId: user.id, sessionId, error: result.error });
+      return createErrorResponse(new Error('Failed to finalize live session'), 500);
+    }
+
+    return createSuccessResponse({
+      session: transformSession(result.session),
+      duplicate,
+      outcome: result.outcome
+    }, 200, { origin });
+  } catch (error) {
+    logger.error('Live session request failed', {
+      userId: event.user?.id,
+      method: event.httpMethod,
+      error: error.message,
+      stack: error.stack
+    });
+    return createErrorResponse(new Error('Failed to process live session request'), 500);
+  }
+});
@@ -0,0 +1,138 @@
+const { createClient } = require('@supabase/supabase-js');
+const { Validator } = require('./utils/validator');
+const {
+  handleCORS,
+  createAuthMiddleware,
+  createErrorResponse,
+  createSuccessResponse
+} = require('./utils/security');
+const { withLogging } = require('./utils/logger');
+const {
+  speakerSummaries,
+  namedTurns,
+  loadSermonSpeakers,
+  saveSermonSpeaker,
+  transformSpeaker
+} = require('./utils/sermonSpeakers');
+
+// The people speaking in a sermon's recording.
+//
+//   GET ?sermonId=...                          each speaker label with its name,
+//                                              role and talk time, and the
+//                                              transcript as named turns
+//   PUT { sermonId, label, name, role? }       name a label; name and role both
+//                                              null forget it
+//
+// Roles (preacher, worship_leader, announcer, reader, other) decide what the
+// summary reads: see utils/sermonSpeakers.js. They apply to summaries
+// generated afterwards; an existing summary is not rewritten.
+
+exports.handler = withLogging('sermon-speakers', async (event, context) => {
+  const logger = event.logger;
+
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'PUT') {
+    return createErrorResponse(new Error('Method Not Allowed'), 405);
+  }
+
+  // Apply authentication
+  const authMiddleware = createAuthMiddleware();
+  const authResponse = await authMiddleware(event);
+  if (authResponse) {
+    return authResponse;
+  }
+
+  const validationMiddleware = event.httpMethod === 'PUT'
+    ? Validator.createValidationMiddleware('sermonSpeaker', 'body')
+    : Validator.createValidationMiddleware('sermonSpeakersQuery', 'query');
+  const validationResponse = validationMiddleware(event);
+  if (validationResponse) {
+    return validationResponse;
+  }
+
+  try {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      logger.error('Missing Supabase configuration');
+      return createErrorResponse(new Error('Server configuration error'), 500);
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseKey);
+    const user = event.user;
+    const origin = event.headers.origin;
+    const { sermonId } = event.validatedData;
+
+    const sermonCheck = await checkSermonOwner({ supabase, sermonId, user, logger });
+    if (sermonCheck) return sermonCheck;
+
+    const { data: transcript, error: transcriptError } = await supabase
+      .from('transcripts')
+      .select('speaker_turns')
+      .eq('sermon_id', sermonId)
+      .maybeSingle();
+
+    if (transcriptError) {
+      logger.error('Failed to load speaker turns', { sermonId, error: transcriptError.message });
+      return createErrorResponse(new Error('Failed to load speakers'), 500);
+    }
+    const turns = transcript?.speaker_turns || [];
+
+    if (event.httpMethod === 'PUT') {
+      const { label, name, role } = event.validatedData;
+      if (!turns.some((turn) => turn.speaker === label)) {
+        return createErrorResponse(new Error('Speaker not found'), 404);
+      }
+
+      const saved = await saveSermonSpeaker({ supabase, sermonId, userId: user.id, label, name, role });
+      logger.info('Sermon speaker saved', { userId: user.id, sermonId, label, role, cleared: saved === null });
+      return createSuccessResponse({
+        speaker: saved ? transformSpeaker(saved) : { label, name: null, role: null }
+      }, 200, { origin });
+    }
+
+    const speakers = await loadSermonSpeakers({ supabase, sermonId });
+    return createSuccessResponse({
+      sermonId,
+      speakers: speakerSummaries(turns, speakers),
+      turns: namedTurns(turns, speakers)
+    }, 200, { origin });
+  } catch (error) {
+    logger.error('Sermon speakers request failed', {
+      userId: event.user?.id,
+      method: event.httpMethod,
+      error: error.message,
+      stack: error.stack
+    });
+    return createErrorResponse(new Error('Failed to process speakers request'), 500);
+  }
+});
+
+// An error response when the caller does not own the sermon.
+async function checkSermonOwner({ supabase, sermonId, user, logger }) {
+  const { data: sermon, error } = await supabase
+    .from('sermons')
+    .select('id, user_id')
+    .eq('id', sermonId)
+    .single();
+
+  if (error || !sermon) {
+    logger.warn('Sermon not found', { sermonId });
+    return createErrorResponse(new Error('Sermon not found'), 404);
+  }
+
+  if (sermon.user_id !== user.id) {
+    logger.security('unauthorized_sermon_speakers_attempt', {
+      userId: user.id,
+      sermonUserId: sermon.user_id,
+      sermonId
+    });
+    return createErrorResponse(new Error('Unauthorized'), 403);
+  }
+
+  return null;
+}
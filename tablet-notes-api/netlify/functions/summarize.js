@@ -1,21 +1,24 @@
 const { createClient } = require('@supabase/supabase-js');
-const OpenAI = require('openai');
 const { createRateLimitMiddleware } = require('./utils/rateLimiter');
 const { Validator, LIMITS } = require('./utils/validator');
 const { 
   handleCORS, 
   createAuthMiddleware, 
   withTimeout,
-  CircuitBreaker,
   createErrorResponse,
   createSuccessResponse
 } = require('./utils/security');
 const { withLogging } = require('./utils/logger');
 const { getSubscriptionState } = require('./utils/subscriptionTier');
 const { secretMatches } = require('./utils/processingJobs');
+const { generateSummary } = require('./utils/summaryGeneration');
+const { resolvePrompt } = require('./utils/promptRegistry');
+const { createCompletionClient } = require('./utils/llmClient');
 
-// Circuit breaker for OpenAI API
-const openAIBreaker = new CircuitBreaker(5, 30000); // 5 failures, 30 second timeout
+// Provider chosen by LLM_PROVIDER, each behind its own circuit breaker (5
+// failures, 30 second timeout), with LLM_FALLBACK_* taking over while the
+// primary's is open.
+const llm = createCompletionClient();
 
 exports.handler = withLogging('summarize', async (event, context) => {
   const logger = event.logger;
@@ -110,7 +113,25 @@ exports.handler = withLogging('summarize', async (event, context) => {
       return validationResponse;
     }
     
-    const { text, type = 'sermon', serviceType, length = 'medium', includeScripture = true, tone = 'conversational' } = event.validatedData;
+    const {
+      text,
+      type = 'sermon',
+      serviceType,
+      length = 'medium',
+      includeScripture = true,
+      tone = 'conversational',
+      format = 'markdown',
+      stage = 'full',
+      section,
+      language,
+      sermonLanguage
+    } = event.validatedData;
+
+    // Section notes and merges only mean something inside a summary job's
+    // map-reduce run; a client asking for them would get an unfinished summary.
+    if (stage !== 'full' && !isInternalCall) {
+      return createErrorResponse(new Error('stage is only available to summary jobs'), 400);
+    }
     
     // Use serviceType if provided, otherwise fall back to type
     const actualServiceType = serviceType || type;
@@ -126,7 +147,11 @@ exports.handler = withLogging('summarize', async (event, context) => {
       actualServiceType,
       length,
       includeScripture,
-      tone
+      tone,
+      format,
+      stage,
+      language,
+      sermonLanguage
     });
     
     // Sanitize input text for the LLM sink: length bound + control-character
@@ -163,17 +188,6 @@ exports.handler = withLogging('summarize', async (event, context) => {
       tone
     });
 
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
-    logger.apiCall('OpenAI', 'chat.completions.create', {
-      model: 'gpt-4o-mini',
-      textLength: sanitizedText.length,
-      type: actualServiceType,
-      userId: user.id
-    });
-
     // Initialize Supabase client to fetch user profile
     const supabaseUrl = process.env.SUPABASE_URL;
     const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -198,343 +212,116 @@ exports.handler = withLogging('summarize', async (event, context) => {
       transcriptLength: text.length
     });
 
-    // Create completion with circuit breaker and timeout
-    const completionWithTimeout = withTimeout(
-      () => openAIBreaker.execute(() => openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "system",
-            content: `# Tiered Sermon Summary System Prompt
-
-You are a theological assistant designed to create accurate, faithful summaries of Christian messages based on transcripts. Your role is to serve attendees who were present during the live recording by providing a structured summary that captures exactly what was taught, tailored to both the service type and user tier.
-
-**CRITICAL REQUIREMENT**: You MUST begin your response with a concise, descriptive title (5-10 words) on the first line, formatted as "TITLE: [Your Title Here]", followed by a blank line, then the full summary content. The title should capture the essence of the message, main theme, or key scripture reference.
-
-**User Tier: ${userTier}**
-**Service Type: ${actualServiceType}**
-
-## Core Principles:
-- **Faithfulness**: Summarize only what the speaker actually said. Never add interpretations, explanations, or content not present in the transcript.
-- **Accuracy**: If you cannot verify a factual claim or historical reference from the transcript, omit it rather than risk inaccuracy.
-- **Theological Neutrality**: Maintain the speaker's specific theological perspective without adding your own interpretations or denominational assumptions.
-- **Scripture-Centered**: Always prioritize biblical references and scriptural content as presented by the speaker.
-- **Message Focus**: Concentrate on the main teaching content, excluding opening prayers, preliminary remarks, and non-essential introductory elements.
-
-## Content Prioritization Guidelines:
-**EXCLUDE from summary:**
-- Opening prayers and invocations
-- General acknowledgments and greetings
-- Administrative announcements
-- Anecdotes and stories unless directly tied to the main message points
-- Lengthy introductions that don't advance the core teaching
-- Casual remarks or filler content
-
-**PRIORITIZE in summary:**
-- Main scripture text (typically referenced at the beginning of the teaching portion)
-- Core message points and supporting arguments
-- Conclusion and call to action
-- Stories and illustrations that directly support the main teaching points
-- Cross-references and commentary insights when provided by the speaker
-
-**INCLUDE when integral to the message:**
-- **Biblical Stories**: Narratives from scripture used to illustrate or support main points
-- **Personal Stories**: Testimonies or experiences that directly reinforce the teaching
-- **Important Statements**: Key declarations, memorable phrases, or quotable moments that encapsulate the message
-- **Metaphors & Illustrations**: Analogies, word pictures, or comparative illustrations that clarify theological concepts
-- **Impact Statements**: Powerful declarations about life change, transformation, or the consequences of applying the teaching
-
-## Service Type Adaptations:
-
-You will be provided with one of the following service types. Tailor your summary approach accordingly:
-
-### Basic Sunday Morning Sermon
-- Focus on the main message and congregational application
-- Emphasize practical life applications for diverse audience
-- Include pastoral encouragement and challenges
-- Note any worship or communion connections mentioned
-
-### Bible Study
-- Emphasize verse-by-verse exposition and deeper textual analysis
-- Include discussion questions or points of inquiry raised
-- Highlight exegetical insights and interpretive methods used
-- Note any study tools or resources referenced
-- Focus on learning objectives and educational content
-
-### Youth Groups
-- Emphasize relatable applications and age-appropriate challenges
-- Include interactive elements, games, or activities mentioned
-- Highlight practical life applications for young people
-- Note any contemporary illustrations or cultural references
-- Focus on engagement strategies and youth-specific concerns
-
-### Conference
-- Emphasize the broader theme or conference topic connection
-- Include speaker credentials or expertise if mentioned
-- Note any conference-specific resources or follow-up materials
-- Highlight key takeaways for implementation
-- Focus on specialized content and expert insights
-
-## User Tier Output Specifications:
-
-### BASIC TIER OUTPUT:
-
-**Main Scripture Text**
-Identify and present the primary scripture passage that serves as the foundation for the message (typically referenced at the beginning of the teaching portion, not during opening prayer).
-
-**Brief Summary (4-5 sentences)**
-Provide a concise overview of the main message, capturing the central theme and primary scriptural focus as presented by the speaker. Focus on the core teaching content, excluding opening prayers and preliminary remarks. Adapt tone and emphasis based on the service type selected.
-
-**Key Points (3-5 main points)**
-- List the primary teaching points in the order presented during the message
-- Focus on substantive content that advances the main theme
-- Use the speaker's own language and emphasis where possible
-- Include only the most essential sub-points that support the main teaching
-- Include meaningful biblical stories, personal testimonies, metaphors, important statements, and impact statements when they directly support the teaching points
-
-**Memorable Elements**
-When present in the transcript, capture these powerful teaching tools:
-- **Key Quotes**: Direct quotable statements or declarations from the speaker
-- **Analogies & Metaphors**: Word pictures, comparisons, or illustrations used to clarify concepts
-- **Impact Statements**: Declarations about transformation, life change, or consequences of applying the teaching
-- **Stories & Testimonies**: Personal experiences or biblical narratives that reinforce the message
-
-**Scripture References**
-- List supporting Bible passages referenced during the main teaching (exclude opening prayer scriptures)
-- Include book, chapter, and verse when specified
-- Focus on passages that support the core message points
-
-### PREMIUM TIER OUTPUT:
-
-**Main Scripture Text**
-Identify and present the primary scripture passage that serves as the foundation for the message (typically referenced at the beginning of the teaching portion, not during opening prayer). Include translation if specified.
-
-**Brief Summary (4-5 sentences)**
-Provide a concise overview of the main message, capturing the central theme and primary scriptural focus as presented by the speaker. Focus on the core teaching content, excluding opening prayers and preliminary remarks. Adapt tone and emphasis based on the service type selected.
-
-**Key Points (Comprehensive)**
-- List all main teaching points in the order presented during the message
-- Number of points should correspond to the substantive teaching content
-- Use the speaker's own language and emphasis where possible
-- Include all significant sub-points that advance the main teaching
-- Focus on content that develops the core message, excluding introductory remarks
-- Include biblical stories, personal testimonies, metaphors, important statements, and impact statements when they directly support or illustrate teaching points
-- Service-type specific adaptations:
-  - Bible Study: emphasize teaching points and textual observations
-  - Youth Groups: highlight engaging elements and relatable applications that support the message
-  - Conference: focus on specialized insights and expert content
-
-**Memorable Elements (Comprehensive)**
-Capture all powerful teaching elements present in the transcript:
-- **Key Quotes**: Direct quotable statements, memorable phrases, or powerful declarations from the speaker
-- **Analogies & Metaphors**: All word pictures, comparisons, illustrations, or parables used to clarify theological concepts
-- **Impact Statements**: Declarations about transformation, life change, spiritual growth, or consequences of applying/not applying the teaching
-- **Stories & Testimonies**: Personal experiences, biblical narratives, historical examples, or contemporary illustrations that reinforce the message
-- **Pastoral Challenges**: Specific calls to action, encouragements, or challenges directed at the congregation
-- **Memorable Phrasing**: Unique expressions, repeated phrases, or distinctive ways the speaker communicated key truths
-
-**Scripture References (Complete)**
-- List all Bible passages referenced during the main teaching content (exclude opening prayer scriptures)
-- Include book, chapter, and verse when specified
-- Note the translation used if mentioned by the speaker
-- Organize chronologically as they appeared in the teaching portion
-- For Bible Study: include primary text being studied prominently
-- Include cross-references made by the speaker during the teaching
-
-**Application (Detailed)**
-- Summarize all practical applications as specifically stated by the speaker
-- Include any calls to action or challenges given to the audience
-- Note any specific instructions or next steps mentioned
-- Maintain the speaker's tone and approach to application
-- Adapt language and focus based on service type:
-  - Sunday Morning: broad congregational applications
-  - Bible Study: learning-focused applications and study methods
-  - Youth Groups: age-appropriate challenges and practical steps
-  - Conference: professional/ministry implementation strategies
-
-**Deeper Dive (When Available)**
-Only include this section if the transcript contains relevant material:
-- Historical context explicitly mentioned by the speaker during the main teaching
-- Original language insights shared during the message
-- Cultural background information provided by the speaker
-- References to commentaries, theologians, or scholarly sources when cited by the speaker
-- Cross-references to other biblical passages when explicitly connected by the speaker
-- Connections to church history or theological traditions when discussed
-- Commentary cross-references and scholarly insights when provided by the speaker
-- Service-type specific additions:
-  - Bible Study: exegetical methods, textual criticism, or interpretive approaches discussed
-  - Youth Groups: cultural relevance or contemporary connections made that support the teaching
-  - Conference: specialized expertise, research, or professional insights shared
-
-**Study Questions (Premium Only)**
-Generate 3-5 thoughtful questions for personal reflection or group discussion based on the message content:
-- Questions should flow directly from the speaker's main points
-- Include both reflective and application-oriented questions
-- Adapt to service type (youth-appropriate, Bible study depth, etc.)
-- Only include if sufficient content exists in the transcript
-
-**Sermon Structure (Premium Only)**
-Provide a formatted outline of the message structure:
-- Introduction/Opening (main teaching introduction, not preliminary remarks)
-- Main Points with sub-points
-- Supporting elements (key stories, metaphors, important statements, impact statements)
-- Conclusion/Call to Action
-- Note any special elements (powerful testimonies, memorable illustrations)
-- Only include if the structure is clearly discernible from the transcript
-
-**Related Insights (Premium Only)**
-When applicable, include:
-- Theological connections made by the speaker during the main teaching
-- Interpretive approaches used (literal, allegorical, typological)
-- Commentary references and scholarly sources cited by the speaker
-- Cross-references to commentaries when mentioned (author, work title when provided)
-- Historical or cultural context provided by the speaker that supports the teaching
-- Original language insights when mentioned during the teaching portion
-
-## Implementation Instructions:
-**You will receive**: A transcript, a service type designation (Basic Sunday Morning Sermon, Bible Study, Youth Groups, or Conference), and a user tier (Basic or Premium).
-
-**Your task**: Generate a summary that captures the content accurately, reflects the tone and purpose of the specified service type, and provides the appropriate level of detail for the user tier.
-
-## Guidelines:
-- **Content Focus**: Begin analysis after opening prayers and introductory remarks. Focus on the main teaching content that develops the core message
-- **Scripture Prioritization**: Always lead with the main scripture text that grounds the teaching (not opening prayer verses)
-- **Memorable Elements Priority**: Pay special attention to capturing powerful quotes, analogies, metaphors, impact statements, and memorable illustrations that make the message stick - these are often the most valuable elements for attendees to remember and apply
-- **Relevance Filter**: Include biblical stories, personal testimonies, metaphors, important statements, and impact statements only when they directly support, illustrate, or enhance the main teaching points
-- **Meaningful Elements**: Distinguish between integral illustrative content (that helps understanding or retention) versus casual remarks or filler content
-- Distinguish between allegorical and literal interpretations when the speaker makes this distinction
-- Handle colloquial language by using context to clarify meaning
-- Omit factual errors rather than correcting them
-- Include controversial topics only when they are scripturally relevant to the overall message
-- Never feel compelled to "fill in blanks" - it's better to have shorter sections than inaccurate content
-- Maintain the theological perspective and denominational approach of the speaker
-- Adapt your language and emphasis to match the service type while remaining faithful to the content
-- For Premium users: Only include premium sections when sufficient content exists in the transcript
-- **Commentary Integration**: When speakers reference commentaries, include the specific commentary author/work when provided
+    // The prompt (and the model it was written for) comes from the registry;
+    // its id is returned in metadata so the summary job can record which
+    // version produced the row it persists.
+    const prompt = resolvePrompt(stage === 'section' ? 'summary.section-notes' : 'summary', {
+      serviceType: actualServiceType,
+      tier: userTier,
+      bucketKey: user.id
+    });
 
-## Quality Check:
-Before finalizing, ensure that everything in your summary can be directly traced back to content in the transcript. If you cannot identify the source of a statement in the original message, remove it. Additionally, verify that your summary appropriately reflects the tone and purpose of the specified service type and provides the correct level of detail for the user tier.
+    logger.apiCall(llm.usingFallback() ? llm.fallback.provider.name : llm.primary.provider.name, 'chat.completions.create', {
+      model: prompt.model,
+      prompt: prompt.id,
+      promptSource: prompt.source,
+      textLength: sanitizedText.length,
+      type: actualServiceType,
+      userId: user.id
+    });
 
-**Important**: If there is insufficient material for any premium section, omit that section entirely rather than adding content not present in the transcript. It's better to provide fewer sections with accurate content than to fill sections with invented material.`
-          },
-          {
-            role: "user",
-            content: `Please summarize this ${actualServiceType} text: ${sanitizedText}`
-          }
-        ],
-        max_tokens: length === 'short' ? 1000 : length === 'long' ? 3000 : 2000,
-        temperature: tone === 'formal' ? 0.3 : tone === 'academic' ? 0.2 : 0.7
-      })),
-      // Netlify's synchronous execution limit is 60s (not configurable).
-      // The previous 120s budget could never be honored. Abort just under
-      // the platform ceiling so the client gets a clean, retryable 408
-      // instead of an opaque 502.
+    // The model behind its breaker and the platform timeout. Netlify's synchronous
+    // execution limit is 60s (not configurable). The previous 120s budget could
+    // never be honored. Abort just under the platform ceiling so the client
+    // gets a clean, retryable 408 instead of an opaque 502.
+    const complete = (params) => withTimeout(
+      () => llm.complete(params),
       55000
-    );
-    
-    const completion = await completionWithTimeout();
-
-    const fullContent = completion.choices[0].message.content;
+    )();
 
-    // Extract title from the response
-    let title = null;
-    let summary = fullContent;
+    const result = await generateSummary({
+      complete,
+      prompt,
+      text: sanitizedText,
+      serviceType: actualServiceType,
+      tier: userTier,
+      format,
+      length,
+      tone,
+      stage,
+      section,
+      language,
+      sermonLanguage
+    });
 
-    // Robust title extraction that handles multiple formats:
-    // - "TITLE: Title Text"
-    // - "**TITLE: Title Text**"
-    // - "**TITLE: Title Text**\n\n"
-    // - "TITLE: Title with **bold** text"
-    // - "**TITLE: Title with **bold** text**"
-    
-    // First, try to match the entire title line (more reliable than trying to match markdown)
-    // Match: optional opening **, "TITLE:", whitespace, then everything until end of line or closing ** + newline
-    const titleLineMatch = fullContent.match(/^(\*\*)?TITLE:\s*(.+?)(?:\n|$)/);
-    
-    if (titleLineMatch) {
-      // Extract the title text (everything after "TITLE: ")
-      let extractedTitle = titleLineMatch[2].trim();
-      
-      // Remove closing markdown formatting if present (handle cases like "Title**" or "**Title**")
-      // This handles titles that might have markdown in them or at the end
-      extractedTitle = extractedTitle.replace(/\*\*$/, '').trim();
-      
-      // Remove opening markdown if it somehow got included (defensive)
-      extractedTitle = extractedTitle.replace(/^\*\*/, '').trim();
-      
-      // Clean up any remaining markdown formatting at the edges
-      extractedTitle = extractedTitle.replace(/^\*\*|\*\*$/g, '').trim();
-      
-      title = extractedTitle;
-      
-      // Remove the entire title line (including opening ** if present) from the summary
-      const titleLineLength = titleLineMatch[0].length;
-      summary = fullContent.substring(titleLineLength).trim();
-      
-      // Also remove any leading markdown that might be left (defensive cleanup)
-      summary = summary.replace(/^\*\*/, '').trim();
-      
-      logger.info('Title extracted from TITLE: prefix', {
+    if (!result.ok) {
+      logger.warn('Summarization output rejected', {
         userId: user.id,
-        extractedTitle: title,
-        titleLength: title.length,
-        summaryStart: summary.substring(0, 50)
-      });
-    } else {
-      // Fallback: try to find title in first line or first sentence
-      // This handles cases where OpenAI doesn't follow the TITLE: format
-      const firstLine = fullContent.split('\n')[0].trim();
-      const firstSentence = fullContent.split(/[.!?]\s/)[0].trim();
-      
-      // Use first line if it's reasonable length, otherwise first sentence
-      let fallbackTitle = firstLine.length <= 80 && firstLine.length > 0 
-        ? firstLine 
-        : (firstSentence.length > 0 ? firstSentence.substring(0, 80) : 'Sermon Summary');
-      
-      // Clean markdown formatting from fallback title
-      fallbackTitle = fallbackTitle.replace(/^\*\*|\*\*$/g, '').trim();
-      
-      // Remove "TITLE:" prefix if present (case-insensitive)
-      fallbackTitle = fallbackTitle.replace(/^(\*\*)?TITLE:\s*/i, '').trim();
-      fallbackTitle = fallbackTitle.replace(/^\*\*|\*\*$/g, '').trim();
-      
-      title = fallbackTitle || 'Sermon Summary';
-      
-      logger.info('Title extracted from fallback method', {
-        userId: user.id,
-        fallbackTitle: title,
-        firstLine: firstLine.substring(0, 50),
-        usedFirstLine: firstLine.length <= 80
+        stage,
+        format,
+        errors: (result.errors || []).slice(0, 10),
+        contentPreview: result.contentPreview
       });
+      return createErrorResponse(new Error(result.message), result.statusCode);
     }
-    
-    // Final validation: ensure title is not empty
-    if (!title || title.trim().length === 0) {
-      title = 'Sermon Summary';
-      logger.warn('Title was empty after extraction, using default', {
+
+    if (stage === 'section') {
+      logger.info('Section notes completed', {
         userId: user.id,
-        fullContentPreview: fullContent.substring(0, 200)
+        section: `${section.index + 1}/${section.count}`,
+        notesLength: result.summary.length,
+        tokensUsed: result.usage?.total_tokens
       });
+
+      return createSuccessResponse({
+        summary: result.summary,
+        usage: result.usage,
+        userId: user.id,
+        metadata: {
+          type: actualServiceType,
+          stage,
+          section,
+          prompt: { id: prompt.id, model: result.model || prompt.model, provider: result.provider },
+          originalTextLength: sanitizedText.length,
+          summaryLength: result.summary.length
+        }
+      }, 200, { ...(context.rateLimitHeaders || {}), origin: event.headers.origin });
     }
 
+    const { title, summary, structured } = result;
+
     logger.info('Summarization completed successfully', {
       userId: user.id,
       title: title,
+      titleMethod: result.titleMethod,
       summaryLength: summary.length,
-      tokensUsed: completion.usage?.total_tokens,
-      model: 'gpt-4o-mini'
+      tokensUsed: result.usage?.total_tokens,
+      model: result.model || prompt.model,
+      provider: result.provider,
+      prompt: prompt.id,
+      ...(structured && {
+        mainPoints: structured.mainPoints.length,
+        scriptureReferences: structured.scriptureReferences.length
+      })
     });
 
     const responseData = {
       title,
       summary,
-      usage: completion.usage,
+      // Only present for format: 'structured'; `summary` is then its markdown
+      // rendering, so a client reading just `summary` is unaffected.
+      ...(structured && { structured }),
+      usage: result.usage,
       userId: user.id,
       metadata: {
         type: actualServiceType,
         length,
         includeScripture,
         tone,
+        format,
+        stage,
+        language: language || null,
+        prompt: { id: prompt.id, model: result.model || prompt.model, provider: result.provider },
         originalTextLength: sanitizedText.length,
         summaryLength: summary.length,
         titleLength: title?.length || 0
@@ -555,8 +342,9 @@ Before finalizing, ensure that everything in your summary can be directly traced
       errorType: error.constructor.name,
       errorMessage: error.message,
       errorStack: error.stack,
-      circuitBreakerState: openAIBreaker.state,
-      circuitBreakerFailureCount: openAIBreaker.failureCount
+      circuitBreakerState: llm.primary.breaker.state,
+      circuitBreakerFailureCount: llm.primary.breaker.failureCount,
+      ...(llm.fallback && { fallbackCircuitBreakerState: llm.fallback.breaker.state })
     };
 
     // Extract OpenAI-specific error information
@@ -609,13 +397,16 @@ Before finalizing, ensure that everything in your summary can be directly traced
       statusCode = 503; // Service Unavailable
       errorMessage = 'The summarization service is temporarily unavailable. Please try again in a moment.';
       
-      // Log circuit breaker state for debugging
+      // Log circuit breaker state for debugging. With a fallback configured,
+      // this only happens once the fallback's breaker has opened too.
+      const { provider, breaker } = llm.usingFallback() ? llm.fallback : llm.primary;
       logger.warn('Circuit breaker is OPEN', {
         userId: event.user?.id,
-        state: openAIBreaker.state,
-        failureCount: openAIBreaker.failureCount,
-        nextAttempt: openAIBreaker.nextAttempt,
-        timeUntilRetry: openAIBreaker.nextAttempt ? Math.max(0, openAIBreaker.nextAttempt - Date.now()) : 0
+        provider: provider.name,
+        state: breaker.state,
+        failureCount: breaker.failureCount,
+        nextAttempt: breaker.nextAttempt,
+        timeUntilRetry: breaker.nextAttempt ? Math.max(0, breaker.nextAttempt - Date.now()) : 0
       });
     } else if (error.message && error.message.includes('timed out')) {
       statusCode = 408; // Request Timeout
@@ -125,6 +125,9 @@ exports.handler = withLogging('transcribe', async (event, context) => {
             );
         }
 
+        // AssemblyAI only: the client polls transcribe-status with the id
+        // returned here. Other providers, and failover, are on the jobs.js
+        // path (utils/transcriptionProviders.js).
         const assembly = new AssemblyAI({
             apiKey: process.env.ASSEMBLYAI_API_KEY,
         });
@@ -138,6 +141,9 @@ exports.handler = withLogging('transcribe', async (event, context) => {
         const transcriptOptions = {
             audio: signedUrlData.signedUrl,
             speaker_labels: true,
+            // Nothing on this path stores a transcript server-side, so provider
+            // chapters would be paid for and dropped. Chapters are built when a
+            // jobs.js transcription completes (utils/sermonChapters.js).
             auto_chapters: false,
             filter_profanity: false,
             format_text: true
@@ -145,6 +151,8 @@ exports.handler = withLogging('transcribe', async (event, context) => {
 
         // AssemblyAI deprecated `word_boost` and will reject it starting May 11, 2026.
         // Keep the payload explicit so the deprecated parameter is not reintroduced.
+        // Custom vocabulary goes through `keyterms_prompt` on the jobs.js path
+        // (utils/vocabulary.js).
 
         // Submit transcription with circuit breaker and timeout. Submission with
         // a URL is a small JSON API call; keep the budget inside the platform's
@@ -0,0 +1,106 @@
+const { createClient } = require('@supabase/supabase-js');
+const { Validator } = require('./utils/validator');
+const {
+  handleCORS,
+  createAuthMiddleware,
+  createErrorResponse,
+  createSuccessResponse
+} = require('./utils/security');
+const { withLogging } = require('./utils/logger');
+const { loadTranscriptWords, transcriptDetail } = require('./utils/transcriptSegments');
+
+// One sermon's transcript with its timed segments, for highlighting the
+// words as the recording plays and seeking to a tapped one.
+//
+//   GET ?sermonId=...&granularity=word|sentence&version=1
+//
+// Each segment is { text, startTime, endTime, confidence, speaker }, times in
+// seconds. Kept out of get-sermons on purpose: see utils/transcriptSegments.js.
+
+exports.handler = withLogging('transcript-detail', async (event, context) => {
+  const logger = event.logger;
+
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (event.httpMethod !== 'GET') {
+    return createErrorResponse(new Error('Method Not Allowed'), 405);
+  }
+
+  // Apply authentication
+  const authMiddleware = createAuthMiddleware();
+  const authResponse = await authMiddleware(event);
+  if (authResponse) {
+    return authResponse;
+  }
+
+  const validationMiddleware = Validator.createValidationMiddleware('transcriptDetailQuery', 'query');
+  const validationResponse = validationMiddleware(event);
+  if (validationResponse) {
+    return validationResponse;
+  }
+
+  try {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      logger.error('Missing Supabase configuration');
+      return createErrorResponse(new Error('Server configuration error'), 500);
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseKey);
+    const user = event.user;
+    const origin = event.headers.origin;
+    const { sermonId, granularity, version } = event.validatedData;
+
+    const { data: sermon, error: sermonError } = await supabase
+      .from('sermons')
+      .select('id, user_id')
+      .eq('id', sermonId)
+      .single();
+
+    if (sermonError || !sermon) {
+      logger.warn('Sermon not found', { sermonId });
+      return createErrorResponse(new Error('Sermon not found'), 404);
+    }
+
+    if (sermon.user_id !== user.id) {
+      logger.security('unauthorized_transcript_detail_attempt', {
+        userId: user.id,
+        sermonUserId: sermon.user_id,
+        sermonId
+      });
+      return createErrorResponse(new Error('Unauthorized'), 403);
+    }
+
+    const loaded = await loadTranscriptWords({ supabase, sermonId });
+    if (!loaded) {
+      return createErrorResponse(new Error('Transcript not found'), 404);
+    }
+
+    logger.info('Transcript detail served', {
+      userId: user.id,
+      sermonId,
+      granularity,
+      words: loaded.words.length,
+      source: loaded.source
+    });
+
+    return createSuccessResponse(transcriptDetail({
+      sermonId,
+      transcript: loaded.transcript,
+      words: loaded.words,
+      granularity,
+      version
+    }), 200, { origin });
+  } catch (error) {
+    logger.error('Transcript detail request failed', {
+      userId: event.user?.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return createErrorResponse(new Error('Failed to load transcript'), 500);
+  }
+});
@@ -0,0 +1,173 @@
+const { createClient } = require('@supabase/supabase-js');
+const { Validator } = require('./utils/validator');
+const {
+  handleCORS,
+  createAuthMiddleware,
+  createErrorResponse,
+  createSuccessResponse
+} = require('./utils/security');
+const { withLogging } = require('./utils/logger');
+const {
+  segmentRows,
+  transformSegment,
+  loadTranscriptWords,
+  transcriptDetail
+} = require('./utils/transcriptSegments');
+const {
+  wordsFromSegments,
+  wordsCoverTranscript,
+  applyTranscriptEdits,
+  saveTranscriptEdits,
+  loadTranscriptEdits
+} = require('./utils/transcriptEdits');
+
+// Corrections to a sermon's transcript.
+//
+//   GET  ?sermonId=...                          the saved edits, newest first
+//   POST { sermonId, updatedAt, edits }         replace word spans; each edit is
+//                                               { fromWord, toWord, text } over
+//                                               /transcript-detail's word
+//                                               segments, toWord exclusive
+//
+// `updatedAt` is the transcript's, as /transcript-detail served it. A
+// transcript changed since answers 409 and the client re-reads before
+// editing again, as does one whose stored words don't cover all of its text.
+// The response is the edited transcript in /transcript-detail's word shape. See utils/transcriptEdits.js for how new words are timed and
+// why a re-transcription keeps them.
+
+exports.handler = withLogging('transcript-edits', async (event, context) => {
+  const logger = event.logger;
+
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return createErrorResponse(new Error('Method Not Allowed'), 405);
+  }
+
+  // Apply authentication
+  const authMiddleware = createAuthMiddleware();
+  const authResponse = await authMiddleware(event);
+  if (authResponse) {
+    return authResponse;
+  }
+
+  const validationMiddleware = event.httpMethod === 'POST'
+    ? Validator.createValidationMiddleware('transcriptEdit', 'body')
+    : Validator.createValidationMiddleware('transcriptEditsQuery', 'query');
+  const validationResponse = validationMiddleware(event);
+  if (validationResponse) {
+    return validationResponse;
+  }
+
+  try {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      logger.error('Missing Supabase configuration');
+      return createErrorResponse(new Error('Server configuration error'), 500);
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseKey);
+    const user = event.user;
+    const origin = event.headers.origin;
+    const { sermonId } = event.validatedData;
+
+    const { data: sermon, error: sermonError } = await supabase
+      .from('sermons')
+      .select('id, user_id, local_id')
+      .eq('id', sermonId)
+      .single();
+
+    if (sermonError || !sermon) {
+      logger.warn('Sermon not found', { sermonId });
+      return createErrorResponse(new Error('Sermon not found'), 404);
+    }
+
+    if (sermon.user_id !== user.id) {
+      logger.security('unauthorized_transcript_edit_attempt', {
+        userId: user.id,
+        sermonUserId: sermon.user_id,
+        sermonId,
+        method: event.httpMethod
+      });
+      return createErrorResponse(new Error('Unauthorized'), 403);
+    }
+
+    if (event.httpMethod === 'GET') {
+      const edits = await loadTranscriptEdits({ supabase, sermonId });
+      return createSuccessResponse({ sermonId, edits }, 200, { origin });
+    }
+
+    const { updatedAt, edits } = event.validatedData;
+
+    const loaded = await loadTranscriptWords({ supabase, sermonId });
+    if (!loaded) {
+      return createErrorResponse(new Error('Transcript not found'), 404);
+    }
+
+    if (Date.parse(loaded.transcript.updated_at) !== Date.parse(updatedAt)) {
+      logger.info('Transcript edit conflict', { userId: user.id, sermonId, updatedAt });
+      return createErrorResponse(new Error('Transcript has changed; reload it before editing'), 409);
+    }
+
+    // Text is rebuilt from the words on save: words that don't cover all of
+    // it would drop the rest.
+    if (!wordsCoverTranscript(loaded.transcript, loaded.words)) {
+      logger.info('Transcript edit refused: words do not cover the text', {
+        userId: user.id,
+        sermonId,
+        words: loaded.words.length
+      });
+      return createErrorResponse(new Error('Transcript has no word timings for all of its text; it cannot be edited word by word'), 409);
+    }
+
+    const applied = applyTranscriptEdits(wordsFromSegments(loaded.words), edits);
+    if (!applied.ok) {
+      return createErrorResponse(new Error(applied.message), 400);
+    }
+
+    const saved = await saveTranscriptEdits({
+      supabase,
+      sermon,
+      transcript: loaded.transcript,
+      baseUpdatedAt: loaded.transcript.updated_at,
+      words: applied.words,
+      applied: applied.applied,
+      logger
+    });
+    if (!saved) {
+      logger.info('Transcript edit conflict', { userId: user.id, sermonId, updatedAt });
+      return createErrorResponse(new Error('Transcript has changed; reload it before editing'), 409);
+    }
+
+    logger.info('Transcript edited', {
+      userId: user.id,
+      sermonId,
+      edits: applied.applied.length,
+      words: applied.words.length,
+      segments: saved.segments,
+      searchIndexQueued: saved.searchIndexQueued,
+      scriptureReferences: saved.scriptureReferences
+    });
+
+    return createSuccessResponse({
+      transcript: transcriptDetail({
+        sermonId,
+        transcript: saved.transcript,
+        words: segmentRows({ transcriptId: saved.transcript.id, words: applied.words }).map(transformSegment)
+      }),
+      edit: saved.edit
+    }, 200, { origin });
+  } catch (error) {
+    logger.error('Transcript edit request failed', {
+      userId: event.user?.id,
+      method: event.httpMethod,
+      error: error.message,
+      stack: error.stack
+    });
+    return createErrorResponse(new Error('Failed to process transcript edit'), 500);
+  }
+});
@@ -0,0 +1,192 @@
+const { createClient } = require('@supabase/supabase-js');
+const { Validator } = require('./utils/validator');
+const {
+  handleCORS,
+  createAuthMiddleware,
+  createErrorResponse,
+  createSuccessResponse
+} = require('./utils/security');
+const { withLogging } = require('./utils/logger');
+const { segmentRows, transformSegment, loadTranscriptWords } = require('./utils/transcriptSegments');
+const {
+  wordsFromSegments,
+  wordsCoverTranscript,
+  applyTranscriptEdits,
+  saveTranscriptEdits
+} = require('./utils/transcriptEdits');
+const { transcriptReview, reviewEdits } = require('./utils/transcriptReview');
+const { learnVocabulary } = require('./utils/vocabulary');
+
+// Reviewing the words a transcription was least sure of.
+//
+//   GET  ?sermonId=...&threshold=0.6            spans of words scored under the
+//                                               threshold, each with the words
+//                                               before and after it and its
+//                                               times in seconds
+//   POST { sermonId, updatedAt, decisions,      accept or correct spans; each
+//          threshold? }                         decision is { fromWord, toWord,
+//                                               action: accept|correct, text?,
+//                                               addToVocabulary? }
+//
+// Decisions are saved as transcript edits, so `updatedAt` and the 409 work as
+// in /transcript-edits. Corrections are added to the user's own vocabulary
+// unless addToVocabulary is false. The response is the review that remains,
+// at the threshold the POST names (the GET's default when it names none).
+// See utils/transcriptReview.js.
+
+exports.handler = withLogging('transcript-review', async (event, context) => {
+  const logger = event.logger;
+
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return createErrorResponse(new Error('Method Not Allowed'), 405);
+  }
+
+  // Apply authentication
+  const authMiddleware = createAuthMiddleware();
+  const authResponse = await authMiddleware(event);
+  if (authResponse) {
+    return authResponse;
+  }
+
+  const validationMiddleware = event.httpMethod === 'POST'
+    ? Validator.createValidationMiddleware('transcriptReview', 'body')
+    : Validator.createValidationMiddleware('transcriptReviewQuery', 'query');
+  const validationResponse = validationMiddleware(event);
+  if (validationResponse) {
+    return validationResponse;
+  }
+
+  try {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      logger.error('Missing Supabase configuration');
+      return createErrorResponse(new Error('Server configuration error'), 500);
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseKey);
+    const user = event.user;
+    const origin = event.headers.origin;
+    const { sermonId } = event.validatedData;
+
+    const { data: sermon, error: sermonError } = await supabase
+      .from('sermons')
+      .select('id, user_id, local_id')
+      .eq('id', sermonId)
+      .single();
+
+    if (sermonError || !sermon) {
+      logger.warn('Sermon not found', { sermonId });
+      return createErrorResponse(new Error('Sermon not found'), 404);
+    }
+
+    if (sermon.user_id !== user.id) {
+      logger.security('unauthorized_transcript_review_attempt', {
+        userId: user.id,
+        sermonUserId: sermon.user_id,
+        sermonId,
+        method: event.httpMethod
+      });
+      return createErrorResponse(new Error('Unauthorized'), 403);
+    }
+
+    const loaded = await loadTranscriptWords({ supabase, sermonId });
+    if (!loaded) {
+      return createErrorResponse(new Error('Transcript not found'), 404);
+    }
+
+    if (event.httpMethod === 'GET') {
+      const { threshold } = event.validatedData;
+      const review = transcriptReview({ sermonId, transcript: loaded.transcript, words: loaded.words, threshold });
+      logger.info('Transcript review served', {
+        userId: user.id,
+        sermonId,
+        threshold,
+        spans: review.spans.length,
+        flaggedWords: review.flaggedWords
+      });
+      return createSuccessResponse(review, 200, { origin });
+    }
+
+    const { updatedAt, decisions, threshold } = event.validatedData;
+
+    if (Date.parse(loaded.transcript.updated_at) !== Date.parse(updatedAt)) {
+      logger.info('Transcript review conflict', { userId: user.id, sermonId, updatedAt });
+      return createErrorResponse(new Error('Transcript has changed; reload it before reviewing'), 409);
+    }
+
+    // Saved as a transcript edit, so the same guard as /transcript-edits.
+    if (!wordsCoverTranscript(loaded.transcript, loaded.words)) {
+      logger.info('Transcript review refused: words do not cover the text', {
+        userId: user.id,
+        sermonId,
+        words: loaded.words.length
+      });
+      return createErrorResponse(new Error('Transcript has no word timings for all of its text; it cannot be edited word by word'), 409);
+    }
+
+    const { edits, corrections } = reviewEdits(loaded.words, decisions);
+    const applied = applyTranscriptEdits(wordsFromSegments(loaded.words), edits);
+    if (!applied.ok) {
+      return createErrorResponse(new Error(applied.message), 400);
+    }
+
+    const saved = await saveTranscriptEdits({
+      supabase,
+      sermon,
+      transcript: loaded.transcript,
+      baseUpdatedAt: loaded.transcript.updated_at,
+      words: applied.words,
+      applied: applied.applied,
+      logger
+    });
+    if (!saved) {
+      logger.info('Transcript review conflict', { userId: user.id, sermonId, updatedAt });
+      return createErrorResponse(new Error('Transcript has changed; reload it before reviewing'), 409);
+    }
+
+    // The review is saved; a vocabulary that can't be updated is logged, not
+    // reported as a failed review.
+    let vocabulary = { added: [], updated: [], skipped: corrections.length };
+    if (corrections.length > 0) {
+      try {
+        vocabulary = await learnVocabulary({ supabase, userId: user.id, corrections, logger });
+      } catch (vocabularyError) {
+        logger.error('Failed to learn vocabulary from review', { userId: user.id, sermonId, error: vocabularyError.message });
+      }
+    }
+
+    logger.info('Transcript reviewed', {
+      userId: user.id,
+      sermonId,
+      accepted: decisions.filter((decision) => decision.action === 'accept').length,
+      corrected: decisions.filter((decision) => decision.action === 'correct').length,
+      termsAdded: vocabulary.added.length,
+      termsUpdated: vocabulary.updated.length
+    });
+
+    return createSuccessResponse({
+      review: transcriptReview({
+        sermonId,
+        transcript: saved.transcript,
+        words: segmentRows({ transcriptId: saved.transcript.id, words: applied.words }).map(transformSegment),
+        threshold
+      }),
+      edit: saved.edit,
+      vocabulary
+    }, 200, { origin });
+  } catch (error) {
+    logger.error('Transcript review request failed', {
+      userId: event.user?.id,
+      method: event.httpMethod,
+      error: error.message,
+      stack: error.stack
+    });
+    return createErrorResponse(new Error('Failed to process transcript review'), 500);
+  }
+});
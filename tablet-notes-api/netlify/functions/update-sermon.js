@@ -11,6 +11,9 @@ const {
   planStageStatusWrites,
   applyStageStatusWrites
 } = require('./utils/sermonStatus');
+const { normalizeLanguage } = require('./utils/sermonLanguage');
+const { buildClientSummaryRow } = require('./utils/summaryRow');
+const { queueSearchIndexJob } = require('./utils/searchIndex');
 
 exports.handler = withLogging('update-sermon', async (event, context) => {
   const logger = event.logger;
@@ -85,6 +88,15 @@ exports.handler = withLogging('update-sermon', async (event, context) => {
     if (body.date !== undefined) updateData.date = body.date;
     if (body.serviceType !== undefined) updateData.service_type = body.serviceType;
     if (body.speaker !== undefined) updateData.speaker = body.speaker;
+    // Corrects a detected language; null forgets it. Read by the next
+    // transcription and summary (utils/sermonLanguage.js).
+    if (body.language !== undefined) {
+      const language = body.language === null ? null : normalizeLanguage(body.language);
+      if (body.language !== null && !language) {
+        return createErrorResponse(new Error('Unsupported language'), 400);
+      }
+      updateData.language = language;
+    }
     if (body.audioFileName !== undefined) updateData.audio_file_name = body.audioFileName;
     if (body.audioFileUrl !== undefined) {
       // Same ownership boundary as create-sermon (TAB-84): this value reaches
@@ -171,6 +183,10 @@ exports.handler = withLogging('update-sermon', async (event, context) => {
       return createErrorResponse(new Error(updateError.message), 500);
     }
 
+    // Set when notes, transcript or summary text was written: the sermon's
+    // library search passages are built from all three (utils/searchIndex.js).
+    let searchableTextChanged = false;
+
     // Update notes if provided
     if (body.notes && Array.isArray(body.notes)) {
       logger.info('Updating notes', { count: body.notes.length, sermonId: body.remoteId });
@@ -186,6 +202,8 @@ exports.handler = withLogging('update-sermon', async (event, context) => {
           sermonId: body.remoteId,
           error: deleteError.message
         });
+      } else {
+        searchableTextChanged = true;
       }
 
       // Insert new notes
@@ -214,6 +232,7 @@ exports.handler = withLogging('update-sermon', async (event, context) => {
             details: notesError.details
           });
         } else {
+          searchableTextChanged = true;
           logger.info('Successfully updated notes', {
             sermonId: body.remoteId,
             count: insertedNotes?.length || 0
@@ -253,6 +272,7 @@ exports.handler = withLogging('update-sermon', async (event, context) => {
           details: transcriptError.details
         });
       } else {
+        searchableTextChanged = true;
         logger.info('Successfully updated transcript', {
           sermonId: body.remoteId,
           transcriptId: upsertedTranscript?.[0]?.id
@@ -274,15 +294,26 @@ exports.handler = withLogging('update-sermon', async (event, context) => {
         title: body.summary.title || '(no title)',
         hasId: !!body.summary.id
       });
-      const summaryData = {
-        local_id: body.summary.id,
-        sermon_id: body.remoteId,
-        user_id: user.id,
-        title: body.summary.title || '',
-        text: body.summary.text,
-        type: body.summary.type || 'devotional',
-        status: body.summary.status || 'complete'
-      };
+      // New text clears the columns the summary job derived from the old one.
+      const { data: existingSummary, error: existingSummaryError } = await supabase
+        .from('summaries')
+        .select('text')
+        .eq('sermon_id', body.remoteId)
+        .maybeSingle();
+
+      if (existingSummaryError) {
+        logger.warn('Failed to read existing summary', {
+          sermonId: body.remoteId,
+          error: existingSummaryError.message
+        });
+      }
+
+      const summaryData = buildClientSummaryRow({
+        summary: body.summary,
+        sermonId: body.remoteId,
+        userId: user.id,
+        existingSummary
+      });
 
       const { data: upsertedSummary, error: summaryError } = await supabase
         .from('summaries')
@@ -299,6 +330,7 @@ exports.handler = withLogging('update-sermon', async (event, context) => {
           details: summaryError.details
         });
       } else {
+        searchableTextChanged = true;
         logger.info('Successfully updated summary', {
           sermonId: body.remoteId,
           summaryId: upsertedSummary?.[0]?.id
@@ -312,6 +344,14 @@ exports.handler = withLogging('update-sermon', async (event, context) => {
       });
     }
 
+    if (searchableTextChanged) {
+      await queueSearchIndexJob({
+        supabase,
+        job: { user_id: user.id, sermon_id: body.remoteId, sermon_local_id: sermon.local_id },
+        logger
+      });
+    }
+
     logger.info('Sermon updated successfully', {
       userId: user.id,
       sermonId: sermon.id
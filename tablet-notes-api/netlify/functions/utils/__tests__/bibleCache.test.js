@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  FRESH_MS,
+  SEARCH_FRESH_MS,
+  bibleCacheKey,
+  InMemoryBibleCache,
+  createBibleCache
+} = require('../bibleCache');
+const { createApiBibleClient } = require('../bibleService');
+const { CircuitBreaker } = require('../security');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A clock the test moves by hand.
+function clock(start = Date.UTC(2026, 9, 19)) {
+  const tick = () => tick.now;
+  tick.now = start;
+  return tick;
+}
+
+// Upstash's get/set, over a map; `failing` makes every call throw.
+function fakeRedis() {
+  const store = new Map();
+  return {
+    store,
+    failing: false,
+    async get(key) {
+      if (this.failing) throw new Error('redis down');
+      return store.has(key) ? store.get(key) : null;
+    },
+    async set(key, value, options) {
+      if (this.failing) throw new Error('redis down');
+      store.set(key, { ...value, ttl: options.ex });
+    }
+  };
+}
+
+test('keys ignore query parameter order and trailing slashes', () => {
+  assert.equal(
+    bibleCacheKey('bibles/abc/search?query=love&limit=10'),
+    bibleCacheKey(' bibles/abc/search/?limit=10&query=love')
+  );
+  assert.notEqual(bibleCacheKey('bibles/abc/verses/JHN.3.16'), bibleCacheKey('bibles/abc/verses/JHN.3.17'));
+});
+
+test('entries go stale after their freshness, sooner for search', async () => {
+  const now = clock();
+  const cache = createBibleCache({ redis: null, now });
+
+  await cache.set('bibles/abc/verses/JHN.3.16', { data: { content: 'For God so loved' } });
+  await cache.set('bibles/abc/search?query=love', { data: { verses: [] } });
+
+  now.now += SEARCH_FRESH_MS + 1;
+  assert.equal((await cache.get('bibles/abc/verses/JHN.3.16')).stale, false);
+  assert.equal((await cache.get('bibles/abc/search?query=love')).stale, true);
+
+  now.now += FRESH_MS;
+  const verse = await cache.get('bibles/abc/verses/JHN.3.16');
+  assert.equal(verse.stale, true, 'stale, but kept as a fallback');
+  assert.deepEqual(verse.data, { data: { content: 'For God so loved' } });
+
+  now.now += 90 * DAY_MS;
+  assert.equal(await cache.get('bibles/abc/verses/JHN.3.16'), null, 'and eventually dropped');
+  assert.equal(await cache.get('bibles/abc/verses/GEN.1.1'), null);
+});
+
+test('Redis holds entries when configured; its failures fall back to memory', async () => {
+  const redis = fakeRedis();
+  const cache = createBibleCache({ redis, now: clock() });
+
+  await cache.set('bibles/abc/verses/JHN.3.16', { data: 'text' });
+  const [stored] = redis.store.values();
+  assert.equal(stored.ttl, 90 * 24 * 60 * 60);
+  assert.deepEqual((await cache.get('bibles/abc/verses/JHN.3.16')).data, { data: 'text' });
+
+  redis.failing = true;
+  await cache.set('bibles/abc/verses/JHN.3.17', { data: 'more' });
+  assert.deepEqual((await cache.get('bibles/abc/verses/JHN.3.17')).data, { data: 'more' });
+  assert.equal(await cache.get('bibles/abc/verses/JHN.3.16'), null, 'memory never saw it');
+});
+
+test('the in-memory cache evicts the least recently used entry', () => {
+  const memory = new InMemoryBibleCache(2);
+  const later = Date.now() + DAY_MS;
+  memory.set('a', 1, later);
+  memory.set('b', 2, later);
+  memory.get('a');
+  memory.set('c', 3, later);
+
+  assert.equal(memory.get('a'), 1);
+  assert.equal(memory.get('b'), null);
+  assert.equal(memory.get('c'), 3);
+});
+
+test('typed lookups answer from the cache, and fall back to it while API.Bible is down', async () => {
+  const now = clock();
+  const cache = createBibleCache({ redis: null, now });
+  const breaker = new CircuitBreaker(1, 60000);
+  let status = 200;
+  let requests = 0;
+  const fetchImpl = async () => {
+    requests += 1;
+    return {
+      status,
+      ok: status < 400,
+      statusText: '',
+      json: async () => ({ data: { total: 1, verses: [{ id: 'JHN.3.16', reference: 'John 3:16', text: 'For God so loved' }] } })
+    };
+  };
+  const client = createApiBibleClient({ apiKey: 'test-key', fetchImpl, breaker, cache });
+
+  assert.equal((await client.search({ query: 'loved' })).total, 1);
+  assert.equal((await client.search({ query: 'loved' })).total, 1);
+  assert.equal(requests, 1, 'the second search was a cache hit');
+
+  now.now += SEARCH_FRESH_MS + 1;
+  status = 503;
+  assert.equal((await client.search({ query: 'loved' })).results[0].osis, 'John.3.16', 'stale beats an error');
+  assert.equal(breaker.isOpen(), true);
+  assert.equal((await client.search({ query: 'loved' })).total, 1, 'and the open breaker');
+  assert.equal(requests, 2);
+
+  await assert.rejects(client.search({ query: 'never cached' }), /Circuit breaker is OPEN/);
+});
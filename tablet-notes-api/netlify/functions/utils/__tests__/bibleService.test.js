@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createApiBibleClient } = require('../bibleService');
+const { parseReference } = require('../scriptureReferences');
+const { Validator } = require('../validator');
+const { CircuitBreaker } = require('../security');
+
+const KJV = 'de4e12af7f28f599-01';
+
+// Answers each request with `respond(url)` ({ status, body }) and records the URLs.
+function fakeFetch(respond) {
+  const urls = [];
+  const fetchImpl = async (url, options) => {
+    urls.push(url);
+    assert.equal(options.headers['api-key'], 'test-key');
+    const { status = 200, body = null } = respond(new URL(url)) || {};
+    return { status, ok: status < 400, statusText: '', json: async () => body };
+  };
+  fetchImpl.urls = urls;
+  return fetchImpl;
+}
+
+// API.Bible's JSON content: paragraphs of text leaves tagged with their verse.
+const text = (verseId, value) => ({ type: 'text', text: value, attrs: { verseId } });
+const romans = {
+  data: {
+    id: 'ROM.8.28-ROM.8.29',
+    reference: 'Romans 8:28-29',
+    copyright: 'PUBLIC DOMAIN',
+    content: [
+      { name: 'para', type: 'tag', items: [text('ROM.8.28', 'And we know that all things'), text('ROM.8.28', ' work together for good')] },
+      { name: 'para', type: 'tag', items: [{ type: 'text', text: '\n' }, text('ROM.8.29', 'For whom he did foreknow,\n he also did predestinate')] }
+    ]
+  }
+};
+
+test('typed references parse in any case, but only as the whole input', () => {
+  assert.equal(parseReference('Rom 8:28-30').osis, 'Rom.8.28-Rom.8.30');
+  assert.equal(parseReference('romans 8:28.').display, 'Romans 8:28');
+  assert.equal(parseReference('1 cor 13').passageId, '1CO.13');
+  assert.equal(parseReference('psalm twenty three').osis, 'Ps.23');
+  assert.equal(parseReference('John 3:16 and Romans 8:28'), null);
+  assert.equal(parseReference('read John 3:16'), null);
+  assert.equal(parseReference('love your enemies'), null);
+  assert.equal(parseReference(''), null);
+});
+
+test('a passage is fetched by reference and comes back verse by verse', async () => {
+  const fetchImpl = fakeFetch(() => ({ body: romans }));
+  const client = createApiBibleClient({ apiKey: 'test-key', fetchImpl });
+
+  const passage = await client.getPassage({ bibleId: KJV, reference: 'rom 8:28-29' });
+
+  const url = new URL(fetchImpl.urls[0]);
+  assert.equal(url.pathname, `/v1/bibles/${KJV}/passages/ROM.8.28-ROM.8.29`);
+  assert.equal(url.searchParams.get('content-type'), 'json');
+  assert.equal(url.searchParams.get('include-verse-numbers'), 'false');
+
+  assert.deepEqual(passage.reference, { osis: 'Rom.8.28-Rom.8.29', passageId: 'ROM.8.28-ROM.8.29', display: 'Romans 8:28-29' });
+  assert.equal(passage.bibleId, KJV);
+  assert.deepEqual(passage.verses, [
+    { id: 'ROM.8.28', osis: 'Rom.8.28', chapter: 8, verse: 28, text: 'And we know that all things work together for good' },
+    { id: 'ROM.8.29', osis: 'Rom.8.29', chapter: 8, verse: 29, text: 'For whom he did foreknow, he also did predestinate' }
+  ]);
+  assert.equal(passage.text, `${passage.verses[0].text} ${passage.verses[1].text}`);
+  assert.equal(passage.copyright, 'PUBLIC DOMAIN');
+});
+
+test('a passage the translation lacks is null; a non-reference is refused before any request', async () => {
+  const fetchImpl = fakeFetch(() => ({ status: 404 }));
+  const client = createApiBibleClient({ apiKey: 'test-key', fetchImpl });
+
+  assert.equal(await client.getPassage({ reference: 'Jude 3' }), null);
+  await assert.rejects(client.getPassage({ reference: 'grace and peace' }), /Unrecognized scripture reference/);
+  assert.equal(fetchImpl.urls.length, 1);
+});
+
+test('translations and search results are normalized', async () => {
+  const fetchImpl = fakeFetch((url) => (url.pathname.endsWith('/search')
+    ? { body: { data: { total: 42, verses: [{ id: 'JHN.3.16', orgId: 'JHN.3.16', reference: 'John 3:16', text: 'For God so  loved the world' }] } } }
+    : { body: { data: [{ id: KJV, abbreviation: 'engKJV', abbreviationLocal: 'KJV', name: 'King James (Authorised) Version', language: { id: 'eng' } }] } }));
+  const client = createApiBibleClient({ apiKey: 'test-key', fetchImpl });
+
+  assert.deepEqual(await client.listTranslations(), [
+    { id: KJV, abbreviation: 'KJV', name: 'King James (Authorised) Version', description: null, language: 'eng' }
+  ]);
+  assert.equal(new URL(fetchImpl.urls[0]).searchParams.get('language'), 'eng');
+
+  const found = await client.search({ bibleId: KJV, query: 'loved the world', limit: 5 });
+  assert.deepEqual(found, {
+    query: 'loved the world',
+    bibleId: KJV,
+    total: 42,
+    limit: 5,
+    offset: 0,
+    results: [{ id: 'JHN.3.16', osis: 'John.3.16', reference: 'John 3:16', text: 'For God so loved the world' }]
+  });
+  assert.equal(new URL(fetchImpl.urls[1]).searchParams.get('limit'), '5');
+});
+
+test('upstream outages open the breaker; bad requests do not', async () => {
+  const breaker = new CircuitBreaker(2, 60000);
+  let status = 400;
+  const client = createApiBibleClient({ apiKey: 'test-key', fetchImpl: fakeFetch(() => ({ status })), breaker });
+
+  await assert.rejects(client.search({ query: 'grace' }), /Bible API client error: 400/);
+  await assert.rejects(client.search({ query: 'grace' }), /Bible API client error: 400/);
+  assert.equal(breaker.isOpen(), false);
+
+  status = 502;
+  await assert.rejects(client.search({ query: 'grace' }), /Bible API request failed: 502/);
+  await assert.rejects(client.search({ query: 'grace' }), /Bible API request failed: 502/);
+  assert.equal(breaker.isOpen(), true);
+  await assert.rejects(client.search({ query: 'grace' }), /Circuit breaker is OPEN/);
+});
+
+test('lookups name an action and what it needs', () => {
+  assert.equal(Validator.validate({ action: 'passage', reference: 'John 3:16' }, 'bibleLookup').valid, true);
+  assert.equal(Validator.validate({ action: 'passage' }, 'bibleLookup').valid, false);
+  assert.equal(Validator.validate({ action: 'search' }, 'bibleLookup').valid, false);
+  assert.equal(Validator.validate({ action: 'verses', reference: 'John 3:16' }, 'bibleLookup').valid, false);
+  assert.equal(Validator.validate({ action: 'search', query: 'grace', bibleId: '../../x' }, 'bibleLookup').valid, false);
+
+  const { data } = Validator.validate({ action: 'search', query: 'grace', limit: '20' }, 'bibleLookup');
+  assert.deepEqual(data, { action: 'search', query: 'grace', limit: 20, offset: 0, language: 'eng' });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  TIMED_PASSAGE_MAX_CHARS,
+  parseTimestamp,
+  buildTimedTranscript,
+  timestampCitations
+} = require('../chatCitations');
+const { resolvePrompt } = require('../promptRegistry');
+
+// Words shaped like AssemblyAI's, one second apart.
+function wordsOf(text, { startMs = 0, speaker = 'A' } = {}) {
+  return text.split(' ').map((word, i) => ({
+    text: word,
+    start: startMs + i * 1000,
+    end: startMs + i * 1000 + 900,
+    speaker
+  }));
+}
+
+const sentence = 'The father saw him a long way off and ran to meet him.';
+const text = Array.from({ length: 30 }, () => sentence).join(' ');
+
+test('timestamps parse as m:ss or h:mm:ss', () => {
+  assert.equal(parseTimestamp('12:34'), 754000);
+  assert.equal(parseTimestamp('0:05'), 5000);
+  assert.equal(parseTimestamp('1:02:03'), 3723000);
+  assert.equal(parseTimestamp('75:00'), 4500000, 'minutes past the hour without an hour part');
+  assert.equal(parseTimestamp('1:75:00'), null);
+  assert.equal(parseTimestamp('12:60'), null);
+  assert.equal(parseTimestamp('12'), null);
+});
+
+test('a timed transcript is short passages, each starting with its time', () => {
+  const timed = buildTimedTranscript({ text, segments: wordsOf(text, { startMs: 65000 }) });
+
+  assert.ok(timed.anchors.length > 1);
+  assert.ok(timed.anchors.every((anchor) => anchor.content.length <= TIMED_PASSAGE_MAX_CHARS + 100));
+  assert.equal(timed.anchors[0].startMs, 65000);
+  assert.match(timed.text, /^\[1:05\] The father saw him/);
+  const paragraphs = timed.text.split('\n\n');
+  assert.equal(paragraphs.length, timed.anchors.length);
+  assert.equal(timed.truncated, false);
+});
+
+test('a long transcript is cut at the budget, and says so', () => {
+  const timed = buildTimedTranscript({ text, segments: wordsOf(text), maxChars: 1000 });
+
+  assert.equal(timed.truncated, true);
+  assert.ok(timed.text.length <= 1000, 'the note fits inside the budget too');
+  assert.match(timed.text, /\[Transcript truncated\]$/);
+});
+
+test('no word timings, no timed transcript', () => {
+  assert.equal(buildTimedTranscript({ text, segments: null }), null);
+  assert.equal(buildTimedTranscript({ text, segments: [] }), null);
+  assert.equal(buildTimedTranscript({ text, segments: [{ text: 'untimed' }] }), null);
+});
+
+test('cited times map back to their passages; invented ones are dropped', () => {
+  const timed = buildTimedTranscript({ text, segments: wordsOf(text, { startMs: 65000 }) });
+  const second = timed.anchors[1];
+  const inside = second.startMs + 3000;
+  const insideStamp = `${Math.floor(inside / 60000)}:${String(Math.floor(inside / 1000) % 60).padStart(2, '0')}`;
+
+  const citations = timestampCitations(
+    `He ran to him [1:05]. Again later [${insideStamp}], and again [1:05]. Not in this sermon [59:00].`,
+    timed.anchors,
+    { sermonId: 'sermon-1' }
+  );
+
+  assert.deepEqual(citations.map((citation) => citation.timestamp), ['1:05', insideStamp]);
+  assert.deepEqual(citations[0], {
+    sermonId: 'sermon-1',
+    source: 'transcript',
+    startMs: 65000,
+    endMs: timed.anchors[0].endMs,
+    timestamp: '1:05',
+    excerpt: timed.anchors[0].content.length > 240
+      ? `${timed.anchors[0].content.slice(0, 239).trimEnd()}…`
+      : timed.anchors[0].content
+  });
+  assert.equal(citations[1].startMs, inside, 'the client seeks to the cited moment, not the passage start');
+  assert.equal(citations[1].endMs, second.endMs);
+  assert.deepEqual(timestampCitations('No times here.', timed.anchors), []);
+});
+
+test('the active chat prompt asks for timestamp citations', () => {
+  const prompt = resolvePrompt('chat', { pins: {} });
+  assert.equal(prompt.id, 'chat@v2');
+  assert.match(prompt.system({ contextText: 'x' }), /e\.g\. \[12:34\]/);
+  assert.equal(resolvePrompt('chat', { pins: { chat: 1 } }).id, 'chat@v1', 'v1 is still there to pin back to');
+});
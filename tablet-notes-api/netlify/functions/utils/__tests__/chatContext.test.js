@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CHARS_PER_TOKEN,
+  isSermonId,
+  truncateText,
+  loadSermonContext,
+  clientSermonContext,
+  buildSermonContext
+} = require('../chatContext');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const LOCAL_ID = '22222222-2222-4222-8222-222222222222';
+
+// Words shaped like AssemblyAI's, one second apart.
+function wordsOf(text, { startMs = 0 } = {}) {
+  return text.split(' ').map((word, i) => ({
+    text: word,
+    start: startMs + i * 1000,
+    end: startMs + i * 1000 + 900,
+    speaker: 'A'
+  }));
+}
+
+// Answers `sermons` lookups from `sermons(ops)`, other tables from
+// `tables[table]`, and records every call.
+function fakeSupabase({ sermons = () => ({ data: null, error: null }), tables = {} } = {}) {
+  const calls = [];
+  return {
+    calls,
+    from(table) {
+      const call = { table, ops: [] };
+      calls.push(call);
+      const answer = () => (table === 'sermons' ? sermons(call.ops) : tables[table] || { data: null, error: null });
+      const builder = {
+        then: (resolve, reject) => Promise.resolve(answer()).then(resolve, reject),
+        maybeSingle: async () => answer()
+      };
+      for (const op of ['select', 'eq']) {
+        builder[op] = (...args) => {
+          call.ops.push([op, ...args]);
+          return builder;
+        };
+      }
+      return builder;
+    }
+  };
+}
+
+const sermon = {
+  id: 'sermon-1',
+  user_id: USER,
+  title: 'Lost and Found',
+  service_type: 'Sunday Service',
+  date: '2026-10-18T10:00:00Z',
+  speaker: 'Pastor Ruth'
+};
+
+const hasEq = (ops, column, value) => ops.some(([op, c, v]) => op === 'eq' && c === column && v === value);
+
+test('sermon ids are UUIDs', () => {
+  assert.equal(isSermonId(LOCAL_ID), true);
+  assert.equal(isSermonId('sermon-1'), false);
+  assert.equal(isSermonId(undefined), false);
+});
+
+test('truncation prefers a sentence end near the cut and says it cut', () => {
+  assert.deepEqual(truncateText('Short.', 100), { text: 'Short.', truncated: false });
+
+  const cut = truncateText('One two three. Four five six seven eight nine ten.', 30);
+  assert.equal(cut.truncated, true);
+  assert.ok(cut.text.length <= 30);
+  assert.match(cut.text, / \[Truncated\]$/);
+  assert.equal(truncateText('Anything at all', 5).text, '');
+});
+
+test("the client's local id finds the caller's sermon and its rows", async () => {
+  const supabase = fakeSupabase({
+    sermons: (ops) => (hasEq(ops, 'local_id', LOCAL_ID) ? { data: sermon, error: null } : { data: null, error: null }),
+    tables: {
+      transcripts: { data: { text: 'Grace.', segments: null }, error: null },
+      summaries: { data: { text: 'A summary.' }, error: null },
+      notes: { data: [{ text: 'Luke 15', timestamp: 12 }], error: null }
+    }
+  });
+
+  const loaded = await loadSermonContext({ supabase, userId: USER, sermonId: LOCAL_ID });
+  assert.equal(loaded.sermon, sermon);
+  assert.equal(loaded.transcript.text, 'Grace.');
+  assert.equal(loaded.summary.text, 'A summary.');
+  assert.equal(loaded.notes.length, 1);
+
+  assert.ok(hasEq(supabase.calls[0].ops, 'user_id', USER), 'the local id is looked up among the caller\'s sermons');
+  for (const call of supabase.calls.slice(1)) {
+    assert.ok(hasEq(call.ops, 'sermon_id', 'sermon-1') && hasEq(call.ops, 'user_id', USER), `${call.table} read as the caller`);
+  }
+});
+
+test("a server id works too, but not for someone else's sermon", async () => {
+  const byId = (owner) => (ops) => (hasEq(ops, 'id', 'sermon-1') ? { data: { ...sermon, user_id: owner }, error: null } : { data: null, error: null });
+
+  const mine = await loadSermonContext({ supabase: fakeSupabase({ sermons: byId(USER) }), userId: USER, sermonId: 'sermon-1' });
+  assert.equal(mine.sermon.id, 'sermon-1');
+  assert.deepEqual(mine.notes, []);
+
+  const theirs = fakeSupabase({ sermons: byId('someone-else') });
+  assert.deepEqual(await loadSermonContext({ supabase: theirs, userId: USER, sermonId: 'sermon-1' }), { error: 'forbidden' });
+  assert.equal(theirs.calls.some((call) => call.table !== 'sermons'), false, 'nothing else is read');
+
+  assert.deepEqual(
+    await loadSermonContext({ supabase: fakeSupabase(), userId: USER, sermonId: LOCAL_ID }),
+    { error: 'not_found' }
+  );
+
+  const failing = fakeSupabase({ sermons: () => ({ data: null, error: { message: 'timeout' } }) });
+  await assert.rejects(loadSermonContext({ supabase: failing, userId: USER, sermonId: LOCAL_ID }), /Failed to load sermon: timeout/);
+});
+
+test('everything fits: details, summary, notes in recording order, timed transcript', () => {
+  const text = 'The father ran to meet him. He was lost and is found.';
+  const built = buildSermonContext({
+    sermon,
+    transcript: { text, segments: wordsOf(text, { startMs: 5000 }) },
+    summary: { text: 'Grace for the lost son.' },
+    notes: [{ text: 'Read again', timestamp: 754 }, { text: 'Luke 15', timestamp: 12 }, { text: ' ', timestamp: 1 }]
+  });
+
+  assert.equal(
+    built.contextText,
+    'Title: Lost and Found\nService Type: Sunday Service\nDate: 2026-10-18T10:00:00Z\nSpeaker: Pastor Ruth\n' +
+    '\nSummary:\nGrace for the lost son.\n' +
+    '\nNotes:\n[0:12] Luke 15\n[12:34] Read again\n' +
+    `\nTranscript (each passage starts with its time in the recording):\n[0:05] ${text}\n`
+  );
+  assert.deepEqual(built.trimmed, []);
+  assert.equal(built.timed.anchors.length, 1);
+  assert.equal(built.estimatedTokens, Math.ceil(built.contextText.length / CHARS_PER_TOKEN));
+});
+
+test('over budget, the transcript gives way first and the summary is capped', () => {
+  const sentence = 'The father saw him a long way off and ran to meet him.';
+  const long = Array.from({ length: 400 }, () => sentence).join(' ');
+  const budgetTokens = 1000;
+
+  const built = buildSermonContext({
+    sermon,
+    transcript: { text: long, segments: null },
+    summary: { text: long },
+    notes: [{ text: 'Luke 15', timestamp: 12 }],
+    budgetTokens
+  });
+
+  assert.ok(built.contextText.length <= budgetTokens * CHARS_PER_TOKEN);
+  assert.deepEqual(built.trimmed, ['summary', 'transcript']);
+  const summary = built.contextText.split('\nSummary:\n')[1].split('\nNotes:\n')[0];
+  assert.ok(summary.length <= budgetTokens * CHARS_PER_TOKEN * 0.25);
+  assert.match(built.contextText, /\nNotes:\n\[0:12\] Luke 15\n/, 'short notes survive a long transcript');
+  assert.match(built.contextText, /\nTranscript:\nThe father saw him/);
+  assert.equal(built.timed, null, 'no word timings, plain transcript');
+
+  const timed = buildSermonContext({
+    sermon,
+    transcript: { text: long, segments: wordsOf(long) },
+    summary: null,
+    notes: [],
+    budgetTokens
+  });
+  assert.ok(timed.contextText.length <= budgetTokens * CHARS_PER_TOKEN);
+  assert.deepEqual(timed.trimmed, ['transcript']);
+  assert.ok(timed.timed.truncated);
+});
+
+test('a sermon with nothing stored yet is still its details', () => {
+  const built = buildSermonContext({ sermon: { ...sermon, speaker: null }, transcript: null, summary: null, notes: [] });
+  assert.equal(built.contextText, 'Title: Lost and Found\nService Type: Sunday Service\nDate: 2026-10-18T10:00:00Z\n');
+  assert.equal(built.timed, null);
+});
+
+test("an older client's uploaded context is built the same way, within the same budget", () => {
+  const uploaded = clientSermonContext({
+    title: 'Lost and Found',
+    serviceType: 'Sunday Service',
+    date: '2026-10-18',
+    speaker: { name: 'not a string' },
+    summary: 'The father runs to the son.',
+    transcript: 'word '.repeat(50000)
+  });
+  assert.deepEqual(uploaded.sermon, { title: 'Lost and Found', service_type: 'Sunday Service', date: '2026-10-18', speaker: null });
+  assert.deepEqual(uploaded.notes, []);
+
+  const built = buildSermonContext({ ...uploaded, budgetTokens: 500 });
+  assert.match(built.contextText, /^Title: Lost and Found\n/);
+  assert.match(built.contextText, /Summary:\nThe father runs to the son\./);
+  assert.deepEqual(built.trimmed, ['transcript']);
+  assert.ok(built.estimatedTokens <= 500);
+
+  assert.equal(clientSermonContext(null), null);
+  assert.equal(clientSermonContext('Title: x'), null);
+  assert.equal(clientSermonContext([]), null);
+});
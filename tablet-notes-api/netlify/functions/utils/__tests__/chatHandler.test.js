@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+
+const { fakeSupabase } = require('./helpers');
+
+// The handler reads its configuration and builds its clients when it runs;
+// the model client is built when chat.js loads, so both are set up first.
+process.env.LLM_PROVIDER = 'fake';
+process.env.SUPABASE_URL = 'https://project.supabase.test';
+process.env.SUPABASE_ANON_KEY = 'anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+process.env.LOG_LEVEL = 'ERROR';
+
+const supabaseJs = require('@supabase/supabase-js');
+
+let database = null;
+test.mock.method(supabaseJs, 'createClient', () => database);
+
+const { chatHandler } = require('../../chat');
+
+const SERMON_ID = '6f1c2f7e-2b1a-4c1e-9a55-0d4f3b2a1c00';
+
+function sermonDatabase({ sermon = { id: SERMON_ID, user_id: 'u-1', title: 'Grace', service_type: 'Sermon' } } = {}) {
+  const client = fakeSupabase({
+    sermons: { data: sermon, error: null },
+    notes: { data: [], error: null }
+  });
+  client.auth = {
+    getUser: async () => ({ data: { user: { id: 'u-1' } }, error: null })
+  };
+  return client;
+}
+
+function chatEvent(body, headers = {}) {
+  return {
+    httpMethod: 'POST',
+    headers: { authorization: 'Bearer token', ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+// Parses SSE text back into `{ event, data }` pairs.
+async function readEvents(body) {
+  let text = '';
+  for await (const piece of body) text += piece;
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+test('chat.js loads outside the Lambda streaming runtime', () => {
+  const chat = require('../../chat');
+  assert.equal(typeof chat.handler, 'function');
+  assert.equal(chat.handler, chat.chatHandler);
+});
+
+test('a reply without a stream request is one JSON response', async () => {
+  database = sermonDatabase();
+
+  const response = await chatHandler(chatEvent({ message: 'What is grace?', sermonId: SERMON_ID }), {});
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(typeof response.body, 'string');
+  const { data } = JSON.parse(response.body);
+  assert.equal(data.response, 'FAKE COMPLETION: What is grace?');
+  assert.deepEqual(data.citations, []);
+});
+
+test('a request without a sermon id is answered from the context it uploaded', async () => {
+  database = sermonDatabase();
+
+  const response = await chatHandler(chatEvent({
+    message: 'What is grace?',
+    context: { title: 'Grace', serviceType: 'Sermon', transcript: 'Grace is a gift.' }
+  }), {});
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(JSON.parse(response.body).data.response, 'FAKE COMPLETION: What is grace?');
+  assert.equal(database.calls.some((call) => call.table === 'sermons'), false, 'nothing read for it');
+
+  const neither = await chatHandler(chatEvent({ message: 'What is grace?' }), {});
+  assert.equal(neither.statusCode, 400);
+  assert.equal(JSON.parse(neither.body).message, 'sermonId is required');
+});
+
+test('a stream request is answered as server-sent events ending in done', async () => {
+  database = sermonDatabase();
+
+  const response = await chatHandler(
+    chatEvent({ message: 'What is grace?', sermonId: SERMON_ID }, { accept: 'text/event-stream' }),
+    {}
+  );
+
+  assert.equal(response.statusCode, 200);
+  assert.match(response.headers['Content-Type'], /^text\/event-stream/);
+  const events = await readEvents(response.body);
+  const done = events[events.length - 1];
+  assert.equal(done.event, 'done');
+  assert.ok(events.slice(0, -1).every((e) => e.event === 'token'));
+  assert.equal(events.slice(0, -1).map((e) => e.data.delta).join(''), 'FAKE COMPLETION: What is grace?');
+  assert.equal(done.data.response, 'FAKE COMPLETION: What is grace?');
+  assert.deepEqual(done.data.citations, []);
+});
+
+test('under the Lambda streaming runtime the stream is piped to the response', async (t) => {
+  database = sermonDatabase();
+
+  // What `stream()` from @netlify/functions needs of the runtime: netlify dev
+  // runs the unwrapped handler, so this is the only place the wrapper runs.
+  const sent = { metadata: null, text: '' };
+  globalThis.awslambda = {
+    streamifyResponse: (handler) => handler,
+    HttpResponseStream: {
+      from(responseStream, metadata) {
+        sent.metadata = metadata;
+        return responseStream;
+      }
+    }
+  };
+  const chatPath = require.resolve('../../chat');
+  const unwrapped = require.cache[chatPath];
+  delete require.cache[chatPath];
+  t.after(() => {
+    delete globalThis.awslambda;
+    require.cache[chatPath] = unwrapped;
+  });
+  const { handler } = require('../../chat');
+  assert.notEqual(handler, chatHandler);
+
+  const responseStream = new PassThrough();
+  responseStream.on('data', (piece) => { sent.text += piece; });
+  await handler(
+    chatEvent({ message: 'What is grace?', sermonId: SERMON_ID }, { accept: 'text/event-stream' }),
+    responseStream,
+    {}
+  );
+
+  assert.equal(sent.metadata.statusCode, 200);
+  assert.match(sent.metadata.headers['Content-Type'], /^text\/event-stream/);
+  const events = await readEvents([sent.text]);
+  assert.equal(events[events.length - 1].event, 'done');
+  assert.equal(events[events.length - 1].data.response, 'FAKE COMPLETION: What is grace?');
+});
+
+test('a stream request that fails before the stream opens is still a JSON error', async () => {
+  database = sermonDatabase({ sermon: null });
+
+  const response = await chatHandler(
+    chatEvent({ message: 'What is grace?', sermonId: SERMON_ID, stream: true }),
+    {}
+  );
+
+  assert.equal(response.statusCode, 404);
+  assert.equal(typeof response.body, 'string');
+  assert.equal(JSON.parse(response.body).message, 'Sermon not found');
+});
+
+test('chat-threads is rate limited like every other endpoint', async () => {
+  database = sermonDatabase();
+  const { handler } = require('../../chat-threads');
+  const { RATE_LIMITS } = require('../rateLimiter');
+  const token = ['header', Buffer.from(JSON.stringify({ sub: 'threads-user' })).toString('base64'), 'signature'].join('.');
+  const list = () => handler({
+    httpMethod: 'GET',
+    headers: { authorization: `Bearer ${token}` },
+    queryStringParameters: { sermonId: SERMON_ID }
+  }, {});
+
+  for (let i = 0; i < RATE_LIMITS.general.maxRequests; i++) {
+    assert.notEqual((await list()).statusCode, 429);
+  }
+  assert.equal((await list()).statusCode, 429);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatSSE, wantsEventStream, chatEvents, createChatEventStream } = require('../chatStream');
+const { createCompletionClient, createFakeProvider } = require('../llmClient');
+
+// Parses SSE text back into `{ event, data }` pairs.
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+async function collect(iterable) {
+  let text = '';
+  for await (const piece of iterable) text += piece;
+  return text;
+}
+
+function chunk(content) {
+  return { choices: [{ index: 0, delta: { content }, finish_reason: null }] };
+}
+
+test('events are single-line JSON even when the text has newlines', () => {
+  assert.equal(formatSSE('token', { delta: 'a\n\nb' }), 'event: token\ndata: {"delta":"a\\n\\nb"}\n\n');
+});
+
+test('streaming is opt-in by body flag or Accept header', () => {
+  assert.equal(wantsEventStream({ headers: {} }, {}), false);
+  assert.equal(wantsEventStream({ headers: {} }, { stream: 'yes' }), false);
+  assert.equal(wantsEventStream({ headers: {} }, { stream: true }), true);
+  assert.equal(wantsEventStream({ headers: { accept: 'text/event-stream' } }, {}), true);
+});
+
+test('tokens stream in order and done carries the full reply, usage and id', async () => {
+  const usage = { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 };
+  async function* chunks() {
+    yield chunk('Be ');
+    yield chunk('strong');
+    yield { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] };
+    yield { choices: [], usage };
+  }
+  const completed = [];
+
+  const events = parseEvents(await collect(chatEvents({
+    chunks: chunks(),
+    messageId: 'msg-1',
+    model: 'gpt-4o-mini',
+    onComplete: (result) => completed.push(result)
+  })));
+
+  assert.deepEqual(events.map((e) => e.event), ['token', 'token', 'done']);
+  assert.deepEqual(events.slice(0, 2).map((e) => e.data.delta), ['Be ', 'strong']);
+  assert.deepEqual(events[2].data, { messageId: 'msg-1', response: 'Be strong', usage, model: 'gpt-4o-mini' });
+  assert.deepEqual(completed, [{ response: 'Be strong', usage }]);
+});
+
+test('a stream that breaks partway ends with an error event instead of done', async () => {
+  async function* chunks() {
+    yield chunk('Be ');
+    throw new Error('socket hang up');
+  }
+  const errors = [];
+
+  const events = parseEvents(await collect(chatEvents({
+    chunks: chunks(),
+    messageId: 'msg-2',
+    onComplete: () => assert.fail('not complete'),
+    onError: (error) => errors.push(error.message)
+  })));
+
+  assert.deepEqual(events.map((e) => e.event), ['token', 'error']);
+  assert.equal(events[1].data.messageId, 'msg-2');
+  assert.doesNotMatch(events[1].data.message, /socket/);
+  assert.deepEqual(errors, ['socket hang up']);
+});
+
+test('a completion hook that throws ends the stream with an error event', async () => {
+  async function* chunks() {
+    yield chunk('Amen');
+  }
+  const errors = [];
+
+  const events = parseEvents(await collect(chatEvents({
+    chunks: chunks(),
+    messageId: 'msg-3',
+    onComplete: async () => { throw new Error('thread write failed'); },
+    onError: (error) => errors.push(error.message)
+  })));
+
+  assert.deepEqual(events.map((e) => e.event), ['token', 'error']);
+  assert.equal(events[1].data.messageId, 'msg-3');
+  assert.deepEqual(errors, ['thread write failed']);
+});
+
+test('a provider stream becomes a readable body end to end', async () => {
+  const llm = createCompletionClient({ primary: createFakeProvider({ respond: () => 'Grace and peace' }) });
+  const { chunks, provider, model } = await llm.stream({ model: 'gpt-4o-mini', messages: [] });
+
+  const events = parseEvents(await collect(createChatEventStream({ chunks, messageId: 'm', model })));
+  assert.equal(provider, 'fake');
+  assert.equal(events.filter((e) => e.event === 'token').map((e) => e.data.delta).join(''), 'Grace and peace');
+  assert.equal(events[events.length - 1].data.response, 'Grace and peace');
+});
+
+test('opening a stream goes through the breaker', async () => {
+  const llm = createCompletionClient({
+    primary: {
+      name: 'down',
+      resolveModel: (requested) => requested,
+      stream: async () => { throw new Error('upstream 500'); }
+    },
+    threshold: 1
+  });
+
+  await assert.rejects(llm.stream({ model: 'gpt-4o-mini', messages: [] }), /upstream 500/);
+  await assert.rejects(llm.stream({ model: 'gpt-4o-mini', messages: [] }), /Circuit breaker is OPEN/);
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CHUNKED_SUMMARY_THRESHOLD,
+  shouldChunkSummary,
+  packUnits,
+  planChunkedSummary,
+  progressMatchesTranscript,
+  renderChunkText,
+  pendingChunkIndexes,
+  recordChunkSummary,
+  sectionPromptVersion,
+  isMapComplete,
+  buildMergeInput
+} = require('../chunkedSummary');
+
+// Words shaped like AssemblyAI's (what transcripts.segments holds): one minute
+// per speaker turn, ten words a turn.
+function makeWords({ turns, speakers = ['A'], wordsPerTurn = 10 }) {
+  const words = [];
+  for (let t = 0; t < turns; t += 1) {
+    const speaker = speakers[t % speakers.length];
+    for (let w = 0; w < wordsPerTurn; w += 1) {
+      const last = w === wordsPerTurn - 1;
+      words.push({
+        text: last ? 'amen.' : 'word',
+        start: t * 60000 + w * 1000,
+        end: t * 60000 + w * 1000 + 900,
+        speaker
+      });
+    }
+  }
+  return words;
+}
+
+test('only transcripts past the threshold are chunked', () => {
+  assert.equal(shouldChunkSummary('a'.repeat(CHUNKED_SUMMARY_THRESHOLD)), false);
+  assert.equal(shouldChunkSummary('a'.repeat(CHUNKED_SUMMARY_THRESHOLD + 1)), true);
+  assert.equal(shouldChunkSummary(null), false);
+});
+
+test('packing prefers a strong boundary that leaves the section at least half full', () => {
+  const units = Array.from({ length: 10 }, (_, i) => ({
+    length: 10,
+    boundary: i === 6 ? 'strong' : (i > 0 ? 'weak' : null)
+  }));
+
+  assert.deepEqual(packUnits(units, { maxChars: 80, minTailChars: 0 }), [[0, 6], [6, 10]]);
+});
+
+test('packing falls back to the latest weak boundary, then to a hard cut', () => {
+  const weak = Array.from({ length: 10 }, (_, i) => ({ length: 10, boundary: i === 3 ? 'weak' : null }));
+  assert.deepEqual(packUnits(weak, { maxChars: 50, minTailChars: 0 }), [[0, 3], [3, 8], [8, 10]]);
+
+  const none = Array.from({ length: 10 }, () => ({ length: 10, boundary: null }));
+  assert.deepEqual(packUnits(none, { maxChars: 50, minTailChars: 0 }), [[0, 5], [5, 10]]);
+});
+
+test('a short trailing section is folded into the one before it', () => {
+  const units = Array.from({ length: 11 }, () => ({ length: 10, boundary: 'weak' }));
+  assert.deepEqual(packUnits(units, { maxChars: 50, minTailChars: 20 }), [[0, 5], [5, 11]]);
+});
+
+test('word plans break on speaker turns and carry recording offsets', () => {
+  const words = makeWords({ turns: 6, speakers: ['A', 'B'] });
+  const progress = planChunkedSummary({ text: 'x', words, maxChars: 130 });
+
+  assert.equal(progress.source, 'words');
+  assert.equal(progress.wordCount, 60);
+  for (const chunk of progress.chunks) {
+    assert.equal(chunk.from % 10, 0, 'every section starts on a turn');
+  }
+  assert.equal(progress.chunks[0].startMs, 0);
+  assert.equal(progress.chunks[progress.chunks.length - 1].to, 60);
+  assert.deepEqual(progress.partials, progress.chunks.map(() => null));
+});
+
+test('text plans cover the transcript exactly and prefer paragraph breaks', () => {
+  const paragraph = 'The Lord is my shepherd. I shall not want. ';
+  const text = `${paragraph.repeat(3)}\n\n${paragraph.repeat(3)}`;
+  const progress = planChunkedSummary({ text, maxChars: 200 });
+
+  assert.equal(progress.source, 'text');
+  assert.equal(progress.chunks.length, 2);
+  assert.equal(progress.chunks[0].from, 0);
+  assert.equal(progress.chunks[1].to, text.length);
+  assert.equal(progress.chunks[0].to, progress.chunks[1].from);
+  assert.equal(text.slice(progress.chunks[1].from).startsWith('The Lord'), true);
+});
+
+test('progress planned against a different transcript is not reused', () => {
+  const words = makeWords({ turns: 4 });
+  const text = 'x'.repeat(500);
+  const progress = planChunkedSummary({ text, words, maxChars: 100 });
+
+  assert.equal(progressMatchesTranscript(progress, { text, words }), true);
+  assert.equal(progressMatchesTranscript(progress, { text: `${text}y`, words }), false);
+  assert.equal(progressMatchesTranscript(progress, { text, words: words.slice(1) }), false);
+  assert.equal(progressMatchesTranscript(null, { text, words }), false);
+  assert.equal(progressMatchesTranscript({ ...progress, version: 99 }, { text, words }), false);
+});
+
+test('sections with more than one speaker are rendered as speaker turns', () => {
+  const words = makeWords({ turns: 2, speakers: ['A', 'B'], wordsPerTurn: 2 });
+  const progress = planChunkedSummary({ text: 'x', words });
+
+  assert.equal(renderChunkText(progress, 0, { words }), 'Speaker A: word amen.\nSpeaker B: word amen.');
+
+  const solo = makeWords({ turns: 2, wordsPerTurn: 2 });
+  assert.equal(renderChunkText(planChunkedSummary({ text: 'x', words: solo }), 0, { words: solo }), 'word amen. word amen.');
+});
+
+test('pending sections are handed out a sweep-sized batch at a time', () => {
+  let progress = planChunkedSummary({ text: 'x', words: makeWords({ turns: 10 }), maxChars: 60 });
+  assert.equal(progress.chunks.length, 10);
+  assert.deepEqual(pendingChunkIndexes(progress, 3), [0, 1, 2]);
+
+  progress = recordChunkSummary(progress, 0, '- notes');
+  progress = recordChunkSummary(progress, 2, '   ');
+  assert.deepEqual(pendingChunkIndexes(progress, 3), [1, 2, 3]);
+  assert.equal(isMapComplete(progress), false);
+
+  for (let i = 0; i < 10; i += 1) progress = recordChunkSummary(progress, i, `- notes ${i}`);
+  assert.equal(isMapComplete(progress), true);
+});
+
+test('recording notes does not mutate the stored progress', () => {
+  const progress = planChunkedSummary({ text: 'x', words: makeWords({ turns: 2 }) });
+  const next = recordChunkSummary(progress, 0, '- notes');
+  assert.equal(progress.partials[0], null);
+  assert.equal(next.partials[0], '- notes');
+});
+
+test('each section records the prompt its notes were taken with', () => {
+  let progress = planChunkedSummary({ text: 'x', words: makeWords({ turns: 2 }), maxChars: 60 });
+  assert.equal(sectionPromptVersion(progress), null);
+
+  progress = recordChunkSummary(progress, 0, '- notes', 'summary.section-notes@v1');
+  progress = recordChunkSummary(progress, 1, '- notes', 'summary.section-notes@v1');
+  assert.deepEqual(progress.prompts, ['summary.section-notes@v1', 'summary.section-notes@v1']);
+  assert.equal(sectionPromptVersion(progress), 'summary.section-notes@v1');
+
+  progress = recordChunkSummary(progress, 1, '- notes', 'summary.section-notes@v2');
+  assert.equal(sectionPromptVersion(progress), 'summary.section-notes@v1, summary.section-notes@v2');
+});
+
+test('progress saved before prompts were recorded still takes notes', () => {
+  const older = planChunkedSummary({ text: 'x', words: makeWords({ turns: 2 }), maxChars: 60 });
+  delete older.prompts;
+  const next = recordChunkSummary(older, 1, '- notes', 'summary.section-notes@v1');
+  assert.deepEqual(next.prompts, [null, 'summary.section-notes@v1']);
+});
+
+test('merge input lists every section in order with its place in the recording', () => {
+  let progress = planChunkedSummary({ text: 'x', words: makeWords({ turns: 2 }), maxChars: 60 });
+  progress = recordChunkSummary(progress, 0, '- Joshua 1:9 read aloud');
+  progress = recordChunkSummary(progress, 1, '- Call to courage');
+
+  assert.equal(
+    buildMergeInput(progress),
+    '## Section 1 of 2 (0:00–0:09)\n- Joshua 1:9 read aloud\n\n## Section 2 of 2 (1:00–1:09)\n- Call to courage'
+  );
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  WHISPER_CHUNK_SECONDS,
+  planChunkedTranscription,
+  progressMatchesAudio,
+  nextAudioChunk,
+  chunkLanguage,
+  recordChunkTranscript,
+  mergeChunkTranscripts
+} = require('../chunkedTranscription');
+const { normalizeWhisperTranscript, WHISPER_TIMEOUT_MS } = require('../transcriptionProviders');
+const { fragmentedM4a } = require('./helpers');
+
+const AUDIO_PATH = 'u-1/sermon.m4a';
+
+// A 40-minute recording, one fragment a minute.
+const sermon = fragmentedM4a({
+  timescale: 48000,
+  fragments: Array.from({ length: 40 }, (_, i) => ({ time: i * 60 * 48000, payload: Buffer.alloc(32) }))
+});
+
+function whisperPiece(words, language = 'english') {
+  return normalizeWhisperTranscript({
+    text: words.map(([word]) => word).join(' '),
+    language,
+    words: words.map(([word, start, end]) => ({ word, start, end, probability: 0.9 }))
+  });
+}
+
+test('a piece is given twice its length at real time, and a long sermon is several pieces', () => {
+  assert.equal(WHISPER_TIMEOUT_MS, 2 * WHISPER_CHUNK_SECONDS * 1000);
+
+  const progress = planChunkedTranscription(sermon, { audioPath: AUDIO_PATH });
+  assert.equal(progress.chunks.length, 8);
+  assert.deepEqual(progress.transcripts, Array(8).fill(null));
+  assert.equal(nextAudioChunk(progress), 0);
+  assert.equal(progressMatchesAudio(progress, sermon, { audioPath: AUDIO_PATH }), true);
+});
+
+test('progress planned against another recording is not reused', () => {
+  const progress = planChunkedTranscription(sermon, { audioPath: AUDIO_PATH });
+
+  assert.equal(progressMatchesAudio(progress, sermon, { audioPath: 'u-1/re-recorded.m4a' }), false);
+  assert.equal(progressMatchesAudio(progress, sermon.subarray(0, sermon.length - 40), { audioPath: AUDIO_PATH }), false);
+  assert.equal(progressMatchesAudio({ ...progress, strategy: 'map_reduce' }, sermon, { audioPath: AUDIO_PATH }), false);
+  assert.equal(progressMatchesAudio(null, sermon, { audioPath: AUDIO_PATH }), false);
+});
+
+test('pieces are stitched back together at their place in the recording', () => {
+  let progress = planChunkedTranscription(sermon, { audioPath: AUDIO_PATH, maxSeconds: 20 * 60 });
+  assert.deepEqual(progress.chunks.map((chunk) => chunk.startMs), [0, 1_200_000]);
+
+  progress = recordChunkTranscript(progress, 0, whisperPiece([['Good', 0.5, 0.9], ['morning.', 1, 1.4]]));
+  assert.equal(nextAudioChunk(progress), 1);
+  // The language the first piece was heard in is asked for from then on.
+  assert.equal(chunkLanguage(progress, null), 'en');
+  assert.equal(chunkLanguage(progress, 'es'), 'es');
+
+  progress = recordChunkTranscript(progress, 1, whisperPiece([['Amen.', 2, 2.5]]));
+  assert.equal(nextAudioChunk(progress), -1);
+
+  const merged = mergeChunkTranscripts(progress);
+  assert.equal(merged.status, 'completed');
+  assert.equal(merged.text, 'Good morning. Amen.');
+  assert.deepEqual(merged.words.map((word) => [word.text, word.start, word.end]), [
+    ['Good', 500, 900],
+    ['morning.', 1000, 1400],
+    ['Amen.', 1_202_000, 1_202_500]
+  ]);
+  assert.equal(merged.language_code, 'en');
+  assert.equal(merged.id, progress.transcripts[0].id);
+  assert.deepEqual(JSON.parse(JSON.stringify(progress)), progress, 'progress is stored as jsonb');
+});
+
+test('a silent piece adds no text', () => {
+  let progress = planChunkedTranscription(sermon, { audioPath: AUDIO_PATH, maxSeconds: 20 * 60 });
+  progress = recordChunkTranscript(progress, 0, whisperPiece([]));
+  progress = recordChunkTranscript(progress, 1, whisperPiece([['Amen.', 2, 2.5]]));
+  assert.equal(mergeChunkTranscripts(progress).text, 'Amen.');
+});
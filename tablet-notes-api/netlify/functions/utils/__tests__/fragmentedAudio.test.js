@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { readBoxes, planAudioChunks, cutAudioChunk } = require('../fragmentedAudio');
+const { fragmentedM4a } = require('./helpers');
+
+const TIMESCALE = 44100;
+
+// One fragment a minute, starting 2s into the track, as a writer resumed
+// after a pause might leave it.
+function recording(minutes, { payload = Buffer.alloc(16, 1) } = {}) {
+  return fragmentedM4a({
+    timescale: TIMESCALE,
+    fragments: Array.from({ length: minutes }, (_, i) => ({ time: (2 + i * 60) * TIMESCALE, payload }))
+  });
+}
+
+function decodeTimes(piece) {
+  const times = [];
+  for (const moof of readBoxes(piece).filter((box) => box.type === 'moof')) {
+    const traf = readBoxes(piece, moof.body, moof.end).find((box) => box.type === 'traf');
+    const tfdt = readBoxes(piece, traf.body, traf.end).find((box) => box.type === 'tfdt');
+    times.push(Number(piece.readBigUInt64BE(tfdt.body + 4)));
+  }
+  return times;
+}
+
+test('a fragmented recording is cut into runs of whole fragments at most maxSeconds apart', () => {
+  const audio = recording(12);
+  const { init, chunks } = planAudioChunks(audio, { maxSeconds: 5 * 60 });
+
+  assert.equal(init.length, 2, 'ftyp and moov head every piece');
+  assert.deepEqual(chunks.map((chunk) => chunk.startMs), [0, 300_000, 600_000]);
+  const boxes = readBoxes(audio);
+  assert.equal(chunks[0].from, boxes.find((box) => box.type === 'moof').start);
+  assert.equal(chunks[2].to, audio.length);
+  assert.equal(chunks[0].to, chunks[1].from, 'no bytes dropped between pieces');
+});
+
+test('each piece is a recording of its own, starting at time zero', () => {
+  const audio = recording(12);
+  const plan = planAudioChunks(audio, { maxSeconds: 5 * 60 });
+  const before = Buffer.from(audio);
+
+  const piece = cutAudioChunk(audio, { init: plan.init, chunk: plan.chunks[1] });
+
+  assert.deepEqual(readBoxes(piece).map((box) => box.type), [
+    'ftyp', 'moov', 'moof', 'mdat', 'moof', 'mdat', 'moof', 'mdat', 'moof', 'mdat', 'moof', 'mdat'
+  ]);
+  assert.deepEqual(decodeTimes(piece), [0, 60, 120, 180, 240].map((s) => s * TIMESCALE));
+  assert.deepEqual(audio, before, 'the recording itself is untouched');
+});
+
+test('pieces also stay under the upload limit', () => {
+  const audio = recording(6, { payload: Buffer.alloc(1000) });
+  const { init, chunks } = planAudioChunks(audio, { maxSeconds: 60 * 60, maxBytes: 2500 });
+  assert.equal(chunks.length, 3);
+  for (const chunk of chunks) {
+    const piece = cutAudioChunk(audio, { init, chunk });
+    assert.ok(piece.length <= 2500, `${piece.length} bytes`);
+  }
+
+  assert.throws(
+    () => planAudioChunks(audio, { maxSeconds: 3600, maxBytes: 500 }),
+    /fragment at byte \d+ is over the 500-byte upload limit/
+  );
+});
+
+test('a recording cut off mid-fragment keeps every whole fragment', () => {
+  const whole = recording(3);
+  const truncated = whole.subarray(0, whole.length - 4);
+  const { init, chunks } = planAudioChunks(truncated, { maxSeconds: 5 * 60 });
+  assert.equal(chunks.length, 1);
+  assert.ok(chunks[0].to < truncated.length, 'the torn last fragment is left out');
+  const piece = cutAudioChunk(truncated, { init, chunk: chunks[0] });
+  assert.equal(readBoxes(piece).filter((box) => box.type === 'moof').length, 2);
+});
+
+test('a recording that is not a fragmented m4a goes whole, if it fits', () => {
+  const mp3 = Buffer.from('ID3 not an mp4 at all');
+  const plan = planAudioChunks(mp3, { maxSeconds: 60 });
+  assert.deepEqual(plan, { init: [], chunks: [{ from: 0, to: mp3.length, startMs: 0 }] });
+  assert.deepEqual(cutAudioChunk(mp3, { init: plan.init, chunk: plan.chunks[0] }), mp3);
+
+  assert.throws(
+    () => planAudioChunks(mp3, { maxSeconds: 60, maxBytes: 10 }),
+    /not a fragmented m4a, so it cannot be split under the 10-byte upload limit/
+  );
+});
@@ -110,3 +110,28 @@ test('one timed transcript cannot drop a sibling sermon', () => {
   assert.equal('segments' in sermons[0].transcript, false);
   assert.equal('segments' in sermons[1].transcript, false);
 });
+
+test('summary structured sections pass through, and are null when absent', () => {
+  const structured = { schemaVersion: 1, title: 'Title', overview: 'Body' };
+  const withSections = transformSermon({
+    ...baseSermon,
+    summaries: [{ id: 'sum-1', local_id: 'l', title: 'Title', text: 'Body', type: 'Sermon', status: 'complete', structured }]
+  });
+  assert.deepEqual(withSections.summary.structured, structured);
+
+  const legacy = transformSermon({
+    ...baseSermon,
+    summaries: [{ id: 'sum-2', local_id: 'l', title: 'Title', text: 'Body', type: 'Sermon', status: 'complete' }]
+  });
+  assert.equal(legacy.summary.structured, null);
+  assert.equal(legacy.summary.scripturePassages, null);
+});
+
+test('summary verse text passes through as scripturePassages', () => {
+  const scripturePassages = { bibleId: 'de4e12af7f28f599-01', tier: 'free', capped: false, passages: [] };
+  const sermon = transformSermon({
+    ...baseSermon,
+    summaries: [{ id: 'sum-1', local_id: 'l', title: 'Title', text: 'Body', type: 'Sermon', status: 'complete', scripture_passages: scripturePassages }]
+  });
+  assert.deepEqual(sermon.summary.scripturePassages, scripturePassages);
+});
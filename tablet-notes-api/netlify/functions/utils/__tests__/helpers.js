@@ -0,0 +1,139 @@
+// Shared by the tests in this directory; not a test file itself (the test
+// script runs *.test.js only).
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+const QUERY_OPS = [
+  'select', 'insert', 'upsert', 'update', 'delete',
+  'eq', 'neq', 'in', 'or', 'lte', 'order', 'range', 'limit'
+];
+
+/**
+ * A Supabase client that answers each table from `tables[table]` — a result,
+ * or a function of the recorded call — and records every call. `rpc` answers
+ * the database functions the same way, from `(name, params, call)`. Without
+ * it, save_completed_transcript answers as written, so a test that only
+ * completes a transcription need not answer it; any other function answers
+ * with no data.
+ */
+function fakeSupabase(tables = {}, { rpc } = {}) {
+  const calls = [];
+
+  const builderFor = (call, answer) => {
+    const builder = {
+      then: (resolve, reject) => Promise.resolve(answer()).then(resolve, reject),
+      maybeSingle: async () => answer(),
+      single: async () => answer()
+    };
+    for (const op of QUERY_OPS) {
+      builder[op] = (...args) => {
+        call.ops.push([op, ...args]);
+        return builder;
+      };
+    }
+    return builder;
+  };
+
+  return {
+    calls,
+    from(table) {
+      const call = { table, ops: [] };
+      calls.push(call);
+      return builderFor(call, () => {
+        const result = tables[table];
+        if (typeof result === 'function') return result(call);
+        return result || { data: null, error: null };
+      });
+    },
+    rpc(name, params) {
+      const call = { rpc: name, params, ops: [] };
+      calls.push(call);
+      return builderFor(call, () => {
+        if (rpc) return rpc(name, params, call);
+        if (name === 'save_completed_transcript') return { data: { id: 't-1' }, error: null };
+        return { data: null, error: null };
+      });
+    }
+  };
+}
+
+/** The first `name` operation of a recorded call, as `[name, ...args]`. */
+function op(call, name) {
+  return call.ops.find(([candidate]) => candidate === name);
+}
+
+/** The name of a recorded call's first operation. */
+function firstOp(call) {
+  return call.ops[0][0];
+}
+
+/** A transcription job on its first attempt, as completeTranscriptionJob gets it. */
+function transcriptionJob(overrides = {}) {
+  return {
+    id: 'j-1',
+    user_id: 'u-1',
+    sermon_id: 's-1',
+    sermon_local_id: 'l-1',
+    kind: 'transcription',
+    attempts: 1,
+    max_attempts: 5,
+    ...overrides
+  };
+}
+
+/** The transcripts row a completion wrote: save_completed_transcript's `p_row`. */
+function completedTranscriptRow(supabase) {
+  return supabase.calls.find((call) => call.rpc === 'save_completed_transcript')?.params.p_row;
+}
+
+function box(type, ...parts) {
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function fullBox(type, version, flags, ...parts) {
+  const head = Buffer.alloc(4);
+  head.writeUInt32BE(((version & 0xff) << 24) | flags);
+  return box(type, head, ...parts);
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+/**
+ * A minimal single-track fragmented m4a, as FragmentedM4AWriter lays one out:
+ * ftyp, moov, then one moof + mdat per entry of `fragments` (`{ time, payload }`,
+ * the decode time in `timescale` ticks). Only the boxes utils/fragmentedAudio.js
+ * reads; no real audio.
+ */
+function fragmentedM4a({ timescale = 44100, fragments = [] } = {}) {
+  const mdhd = fullBox('mdhd', 0, 0, uint32(0), uint32(0), uint32(timescale), uint32(0), Buffer.alloc(4));
+  const moov = box('moov', box('trak', box('mdia', mdhd)));
+  const pieces = fragments.map(({ time, payload }, index) => {
+    const time64 = Buffer.alloc(8);
+    time64.writeBigUInt64BE(BigInt(time));
+    const traf = box(
+      'traf',
+      fullBox('tfhd', 0, 0x020000, uint32(1)),
+      fullBox('tfdt', 1, 0, time64)
+    );
+    return Buffer.concat([box('moof', fullBox('mfhd', 0, 0, uint32(index + 1)), traf), box('mdat', payload)]);
+  });
+  return Buffer.concat([box('ftyp', Buffer.from('M4A \0\0\0\0', 'latin1')), moov, ...pieces]);
+}
+
+module.exports = {
+  silentLogger,
+  fakeSupabase,
+  op,
+  firstOp,
+  transcriptionJob,
+  completedTranscriptRow,
+  fragmentedM4a
+};
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fakeSupabase, op } = require('./helpers');
+
+// The handler reads its configuration and builds its clients when it runs.
+// An inline provider, so a job it creates is only queued, never submitted.
+process.env.SUPABASE_URL = 'https://project.supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+process.env.ASSEMBLYAI_WEBHOOK_SECRET = 'webhook-secret';
+process.env.TRANSCRIPTION_PROVIDER = 'whisper';
+process.env.WHISPER_BASE_URL = 'http://127.0.0.1:9/v1';
+process.env.LOG_LEVEL = 'ERROR';
+
+const supabaseJs = require('@supabase/supabase-js');
+
+let database = null;
+test.mock.method(supabaseJs, 'createClient', () => database);
+
+const { handler } = require('../../jobs');
+const { LIVE_TRANSCRIPTION_PROVIDER } = require('../liveSessions');
+
+const SERMON_LOCAL_ID = '0b6f4c8e-3d2a-4f1b-9c7e-5a4d3c2b1a00';
+const SERMON = { id: 's-1', user_id: 'u-1', local_id: SERMON_LOCAL_ID, audio_file_path: 'u-1/sermon.m4a', language: 'en' };
+const LIVE_JOB = {
+  id: 'j-live',
+  user_id: 'u-1',
+  sermon_id: 's-1',
+  kind: 'transcription',
+  provider: LIVE_TRANSCRIPTION_PROVIDER,
+  status: 'running',
+  max_attempts: 1,
+  audio_file_path: null
+};
+
+// `jobs(call)` answers processing_jobs.
+function jobsDatabase(jobs) {
+  const client = fakeSupabase({
+    sermons: { data: SERMON, error: null },
+    profiles: { data: null, error: null },
+    processing_jobs: jobs
+  });
+  client.auth = {
+    getUser: async () => ({ data: { user: { id: 'u-1' } }, error: null })
+  };
+  return client;
+}
+
+function jobEvent() {
+  return {
+    httpMethod: 'POST',
+    headers: { authorization: 'Bearer token' },
+    body: JSON.stringify({ sermonLocalId: SERMON_LOCAL_ID })
+  };
+}
+
+const jobUpdates = (supabase) => supabase.calls
+  .filter((call) => call.table === 'processing_jobs' && op(call, 'update'))
+  .map((call) => op(call, 'update')[1]);
+
+test('a recording that arrives while a live finalize holds the job is queued behind it', async () => {
+  database = jobsDatabase((call) => {
+    if (op(call, 'update')) return { data: { ...LIVE_JOB, ...op(call, 'update')[1] }, error: null };
+    return { data: LIVE_JOB, error: null };
+  });
+
+  const response = await handler(jobEvent(), {});
+
+  assert.equal(response.statusCode, 202);
+  const { data } = JSON.parse(response.body);
+  assert.equal(data.reused, false, 'the recording is not handed the live job as its own');
+  assert.equal(data.job.audio_file_path, 'u-1/sermon.m4a');
+  assert.equal(data.job.provider, 'whisper');
+
+  const [queued] = jobUpdates(database);
+  assert.equal(queued.language, 'en');
+  assert.equal(queued.status, undefined, 'the finalize still holds it; releasing it is the finalize’s job');
+});
+
+test('a finalize that finishes first leaves its job to be revived as usual', async () => {
+  let current = LIVE_JOB;
+  database = jobsDatabase((call) => {
+    const update = op(call, 'update');
+    if (update && update[1].status === undefined) {
+      // The finalize wrote `done` between the lookup and this update.
+      current = { ...LIVE_JOB, status: 'done' };
+      return { data: null, error: null };
+    }
+    if (update) return { data: { ...current, ...update[1] }, error: null };
+    return { data: current, error: null };
+  });
+
+  const response = await handler(jobEvent(), {});
+
+  assert.equal(response.statusCode, 202);
+  const { data } = JSON.parse(response.body);
+  assert.equal(data.reused, false);
+  assert.equal(data.job.status, 'queued');
+  assert.equal(data.job.audio_file_path, 'u-1/sermon.m4a');
+  const revive = database.calls.filter((call) => call.table === 'processing_jobs' && op(call, 'update'))[1];
+  assert.deepEqual(revive.ops.filter(([name]) => name === 'eq'), [['eq', 'id', 'j-live'], ['eq', 'status', 'done']]);
+});
@@ -0,0 +1,327 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  LIVE_TRANSCRIPTION_PROVIDER,
+  LIVE_SESSION_ABANDONED_MS,
+  isLiveTranscriptionJob,
+  supersedableLiveJob,
+  queueRecordingBehindLiveJob,
+  startLiveSession,
+  checkpointContent,
+  recordCheckpoint,
+  loadLiveTranscript,
+  finalizeLiveSession,
+  finalizeAbandonedLiveSessions
+} = require('../liveSessions');
+const { Validator } = require('../validator');
+const { silentLogger, fakeSupabase, op, firstOp, completedTranscriptRow } = require('./helpers');
+
+const SESSION = {
+  id: 'ls-1',
+  user_id: 'u-1',
+  sermon_id: 's-1',
+  status: 'active',
+  language: 'en',
+  outcome: null,
+  last_sequence: 1,
+  created_at: '2026-10-19T09:00:00Z',
+  updated_at: '2026-10-19T09:30:00Z'
+};
+
+const TEXT = 'Good morning church. Open your Bibles to Romans chapter eight, where Paul writes about life in the Spirit.';
+
+const CHECKPOINTS = [
+  { session_id: 'ls-1', sequence: 1, text: 'Open your Bibles to Romans chapter eight, where Paul writes about life in the Spirit.', words: [{ text: 'Open', start: 2000, end: 2300, confidence: 0.9 }] },
+  { session_id: 'ls-1', sequence: 0, text: 'Good morning church.', words: [{ text: 'Good', start: 0, end: 300, confidence: 0.95 }] }
+];
+
+// live_session_checkpoints as the database pages it: one session's rows in
+// sequence order.
+function checkpointTable(rows) {
+  return (call) => {
+    const [, , sessionId] = op(call, 'eq');
+    const [, from, to] = op(call, 'range');
+    const page = rows
+      .filter((row) => row.session_id === sessionId)
+      .sort((a, b) => a.sequence - b.sequence)
+      .slice(from, to + 1)
+      .map(({ session_id, ...row }) => row);
+    return { data: page, error: null };
+  };
+}
+
+// A database for finalizing SESSION: `job` answers the transcription job
+// lookup, `transcript` the sermon's transcript so far, `recording` the job a
+// recording queued behind the finalize (none by default).
+function finalizeDatabase({ job = null, checkpoints = CHECKPOINTS, transcript = null, recording = null } = {}) {
+  return fakeSupabase({
+    sermons: { data: { id: 's-1', local_id: 'l-1' }, error: null },
+    live_sessions: (call) => {
+      if (op(call, 'update')) return { data: { ...SESSION, ...op(call, 'update')[1] }, error: null };
+      return { data: [{ id: 'ls-1' }], error: null };
+    },
+    live_session_checkpoints: checkpointTable(checkpoints),
+    transcripts: (call) => {
+      if (firstOp(call) === 'select') return { data: transcript, error: null };
+      return { data: transcript ? { id: 't-1' } : null, error: null };
+    },
+    processing_jobs: (call) => {
+      if (op(call, 'insert')) return { data: { id: 'j-live', ...op(call, 'insert')[1] }, error: null };
+      if (op(call, 'update') && op(call, 'update')[1].status === 'running') {
+        return { data: { ...job, ...op(call, 'update')[1] }, error: null };
+      }
+      if (op(call, 'update') && op(call, 'update')[1].status === 'queued') {
+        return { data: recording && { ...recording, ...op(call, 'update')[1] }, error: null };
+      }
+      if (firstOp(call) === 'select') return { data: job, error: null };
+      return { data: null, error: null };
+    }
+  });
+}
+
+test('checkpoint turns become one stretch of text and its timed words', () => {
+  assert.deepEqual(checkpointContent([
+    { text: ' Good morning. ', words: [{ text: 'Good', start: 0, end: 300, confidence: 0.9 }, { text: ' ', start: 300, end: 310 }] },
+    { text: '', words: [] },
+    { text: 'Amen.', words: [{ text: 'Amen.', start: 900, end: 1200 }, { text: 'untimed' }] }
+  ]), {
+    text: 'Good morning. Amen.',
+    words: [
+      { text: 'Good', start: 0, end: 300, confidence: 0.9 },
+      { text: 'Amen.', start: 900, end: 1200, confidence: null }
+    ]
+  });
+});
+
+test('a sermon’s active session is reused, including after losing a start race', async () => {
+  const existing = fakeSupabase({ live_sessions: { data: SESSION, error: null } });
+  assert.deepEqual(await startLiveSession({ supabase: existing, sermonId: 's-1', userId: 'u-1' }), { session: SESSION, reused: true });
+
+  const fresh = fakeSupabase({
+    live_sessions: (call) => op(call, 'insert')
+      ? { data: { ...SESSION, ...op(call, 'insert')[1] }, error: null }
+      : { data: null, error: null }
+  });
+  const started = await startLiveSession({ supabase: fresh, sermonId: 's-1', userId: 'u-1', language: 'es' });
+  assert.equal(started.reused, false);
+  assert.deepEqual(op(fresh.calls[1], 'insert')[1], { user_id: 'u-1', sermon_id: 's-1', status: 'active', language: 'es' });
+
+  let lookups = 0;
+  const raced = fakeSupabase({
+    live_sessions: (call) => {
+      if (op(call, 'insert')) return { data: null, error: { code: '23505', message: 'duplicate key' } };
+      lookups += 1;
+      return { data: lookups > 1 ? SESSION : null, error: null };
+    }
+  });
+  assert.deepEqual(await startLiveSession({ supabase: raced, sermonId: 's-1', userId: 'u-1' }), { session: SESSION, reused: true });
+});
+
+test('a checkpoint is stored once per sequence', async () => {
+  const supabase = fakeSupabase({
+    live_sessions: (call) => ({ data: { ...SESSION, ...op(call, 'update')[1] }, error: null })
+  });
+  const recorded = await recordCheckpoint({ supabase, session: SESSION, sequence: 2, turns: [{ text: 'Amen.', words: [] }] });
+  assert.equal(recorded.duplicate, false);
+  assert.equal(recorded.session.last_sequence, 2);
+  assert.deepEqual(op(supabase.calls[0], 'insert')[1], { session_id: 'ls-1', sequence: 2, text: 'Amen.', words: [] });
+
+  const retried = fakeSupabase({ live_session_checkpoints: { data: null, error: { code: '23505', message: 'duplicate key' } } });
+  const again = await recordCheckpoint({ supabase: retried, session: SESSION, sequence: 1, turns: [{ text: 'Amen.' }] });
+  assert.deepEqual(again, { session: SESSION, duplicate: true });
+  assert.equal(retried.calls.length, 1, 'the session is not touched by a retry');
+});
+
+test('the live transcript is every checkpoint in session then sequence order', async () => {
+  const supabase = fakeSupabase({
+    live_session_checkpoints: checkpointTable([
+      { session_id: 'ls-2', sequence: 0, text: 'after the crash', words: [] },
+      ...CHECKPOINTS
+    ])
+  });
+  const live = await loadLiveTranscript({ supabase, sessionIds: ['ls-1', 'ls-2'] });
+  assert.equal(live.text, `${TEXT} after the crash`);
+  assert.deepEqual(live.words.map((word) => word.text), ['Good', 'Open']);
+  assert.equal(live.checkpoints, 3);
+});
+
+test('each session’s checkpoints are paged on their own', async () => {
+  // Two long sessions: their sequences overlap, so one ordering across both
+  // could reshuffle rows at a page boundary.
+  const long = (sessionId) => Array.from({ length: 1500 }, (_, sequence) => ({ session_id: sessionId, sequence, text: `${sessionId}-${sequence}`, words: [] }));
+  const supabase = fakeSupabase({ live_session_checkpoints: checkpointTable([...long('ls-2'), ...long('ls-1')]) });
+
+  const live = await loadLiveTranscript({ supabase, sessionIds: ['ls-1', 'ls-2'] });
+  assert.equal(live.checkpoints, 3000);
+  assert.equal(new Set(live.text.split(' ')).size, 3000, 'nothing skipped or repeated');
+  assert.ok(live.text.startsWith('ls-1-0 ls-1-1 '));
+  assert.ok(live.text.endsWith(' ls-2-1498 ls-2-1499'));
+
+  const reads = supabase.calls.filter((call) => call.table === 'live_session_checkpoints');
+  assert.deepEqual(reads.map((call) => [op(call, 'eq')[2], op(call, 'range')[1]]), [
+    ['ls-1', 0], ['ls-1', 1000], ['ls-2', 0], ['ls-2', 1000]
+  ]);
+});
+
+test('finalizing writes the transcript and chains the summary through a live job', async () => {
+  const supabase = finalizeDatabase();
+  const result = await finalizeLiveSession({ supabase, session: SESSION, logger: silentLogger });
+  assert.equal(result.outcome, 'transcribed');
+  assert.equal(result.session.status, 'finalized');
+
+  const jobCalls = supabase.calls.filter((call) => call.table === 'processing_jobs');
+  const created = op(jobCalls.find((call) => op(call, 'insert')), 'insert')[1];
+  assert.equal(created.kind, 'transcription');
+  assert.equal(created.status, 'running');
+  assert.equal(created.provider, LIVE_TRANSCRIPTION_PROVIDER);
+  assert.equal(created.max_attempts, 1, 'nothing to resubmit');
+  assert.equal(created.idempotency_key, 's-1:transcription');
+  assert.equal(created.sermon_local_id, 'l-1');
+  assert.equal(created.language, 'en');
+
+  assert.equal(completedTranscriptRow(supabase).text, TEXT);
+  assert.equal(completedTranscriptRow(supabase).segments.length, 2);
+
+  assert.ok(jobCalls.some((call) => op(call, 'update') && op(call, 'update')[1].status === 'done'));
+  assert.ok(jobCalls.some((call) => op(call, 'upsert') && op(call, 'upsert')[1].kind === 'summary'));
+
+  const close = supabase.calls.find((call) => call.table === 'live_sessions' && op(call, 'update'));
+  assert.equal(op(close, 'update')[1].outcome, 'transcribed');
+  assert.deepEqual(close.ops.filter(([name]) => name === 'eq'), [['eq', 'id', 'ls-1'], ['eq', 'status', 'active']]);
+});
+
+test('a resumed session’s finalize queues the summary again', async () => {
+  const earlier = { id: 'j-live', user_id: 'u-1', sermon_id: 's-1', sermon_local_id: 'l-1', kind: 'transcription', provider: LIVE_TRANSCRIPTION_PROVIDER, status: 'done', max_attempts: 1 };
+  const firstSession = { id: 't-1', local_id: 'lt-1', edited_at: null, text: 'Good morning church.', segments: [], updated_at: '2026-10-19T09:10:00Z' };
+  const supabase = finalizeDatabase({ job: earlier, transcript: firstSession });
+  assert.equal((await finalizeLiveSession({ supabase, session: SESSION, logger: silentLogger })).outcome, 'transcribed');
+
+  const chain = supabase.calls.find((call) => call.table === 'processing_jobs' && op(call, 'upsert') && op(call, 'upsert')[1].kind === 'summary');
+  const [, row, options] = op(chain, 'upsert');
+  assert.equal(row.status, 'queued');
+  assert.equal(row.completed_at, null);
+  assert.equal(options.ignoreDuplicates, false, 'a done summary job is queued again');
+
+  // The same words again leave the summary alone.
+  const unchanged = finalizeDatabase({ job: earlier, transcript: { ...firstSession, text: TEXT } });
+  await finalizeLiveSession({ supabase: unchanged, session: SESSION, logger: silentLogger });
+  const kept = unchanged.calls.find((call) => call.table === 'processing_jobs' && op(call, 'upsert') && op(call, 'upsert')[1].kind === 'summary');
+  assert.equal(op(kept, 'upsert')[2].ignoreDuplicates, true);
+});
+
+test('the recording’s transcription owns the sermon once it has a job', async () => {
+  const recording = { id: 'j-1', kind: 'transcription', provider: 'assemblyai', status: 'submitted' };
+  const supabase = finalizeDatabase({ job: recording });
+  const result = await finalizeLiveSession({ supabase, session: SESSION, logger: silentLogger });
+  assert.equal(result.outcome, 'superseded');
+  assert.equal(supabase.calls.some((call) => call.table === 'transcripts'), false);
+
+  const empty = finalizeDatabase({ checkpoints: [] });
+  assert.equal((await finalizeLiveSession({ supabase: empty, session: SESSION, logger: silentLogger })).outcome, 'empty');
+  assert.equal(empty.calls.some((call) => call.table === 'processing_jobs'), false);
+
+  const finalized = { ...SESSION, status: 'finalized', outcome: 'transcribed' };
+  assert.deepEqual(await finalizeLiveSession({ supabase: fakeSupabase(), session: finalized }), { session: finalized, outcome: 'transcribed' });
+});
+
+test('an earlier live job is taken over, unless another finalize holds it', async () => {
+  const earlier = { id: 'j-live', user_id: 'u-1', sermon_id: 's-1', sermon_local_id: 'l-1', kind: 'transcription', provider: LIVE_TRANSCRIPTION_PROVIDER, status: 'done', max_attempts: 1 };
+  const supabase = finalizeDatabase({ job: earlier });
+  assert.equal((await finalizeLiveSession({ supabase, session: SESSION, logger: silentLogger })).outcome, 'transcribed');
+  const claim = supabase.calls.find((call) => call.table === 'processing_jobs' && op(call, 'update'));
+  assert.deepEqual(claim.ops.filter(([name]) => name === 'eq'), [['eq', 'id', 'j-live'], ['eq', 'status', 'done']]);
+
+  const running = finalizeDatabase({ job: { ...earlier, status: 'running' } });
+  assert.deepEqual(await finalizeLiveSession({ supabase: running, session: SESSION, logger: silentLogger }), {
+    session: SESSION,
+    outcome: null,
+    busy: true
+  });
+});
+
+test('a recording that arrives during a finalize is queued once the finalize is done', async () => {
+  const running = { id: 'j-live', kind: 'transcription', provider: LIVE_TRANSCRIPTION_PROVIDER, status: 'running', max_attempts: 1 };
+  const recording = { audio_file_path: 'u-1/sermon.m4a', language: 'en', provider: 'assemblyai' };
+
+  const jobs = fakeSupabase({
+    processing_jobs: (call) => ({ data: { ...running, ...op(call, 'update')[1] }, error: null })
+  });
+  const queued = await queueRecordingBehindLiveJob({ supabase: jobs, job: running, recording });
+  assert.equal(queued.provider, 'assemblyai', 'no other finalize can claim it now');
+  assert.equal(queued.audio_file_path, 'u-1/sermon.m4a');
+  assert.equal(queued.max_attempts, 5, 'the recording gets the usual budget');
+  assert.deepEqual(jobs.calls[0].ops.filter(([name]) => name === 'eq'), [
+    ['eq', 'id', 'j-live'],
+    ['eq', 'status', 'running'],
+    ['eq', 'provider', LIVE_TRANSCRIPTION_PROVIDER]
+  ]);
+
+  // The finalize holding it writes the live transcript, then queues the recording.
+  const earlier = { id: 'j-live', user_id: 'u-1', sermon_id: 's-1', sermon_local_id: 'l-1', kind: 'transcription', provider: LIVE_TRANSCRIPTION_PROVIDER, status: 'done', max_attempts: 1 };
+  const supabase = finalizeDatabase({ job: earlier, recording: queued });
+  assert.equal((await finalizeLiveSession({ supabase, session: SESSION, logger: silentLogger })).outcome, 'transcribed');
+  assert.equal(completedTranscriptRow(supabase).text, TEXT);
+
+  const jobUpdates = supabase.calls.filter((call) => call.table === 'processing_jobs' && op(call, 'update'));
+  const release = jobUpdates[jobUpdates.length - 1];
+  assert.equal(op(release, 'update')[1].status, 'queued');
+  assert.equal(op(release, 'update')[1].attempts, 0);
+  assert.deepEqual(op(release, 'neq'), ['neq', 'provider', LIVE_TRANSCRIPTION_PROVIDER], 'only a job the recording took over');
+  assert.deepEqual(op(release, 'in'), ['in', 'status', ['done', 'dead', 'failed']]);
+
+  // With nothing queued behind it, the live job stays done.
+  const alone = finalizeDatabase({ job: earlier });
+  await finalizeLiveSession({ supabase: alone, session: SESSION, logger: silentLogger });
+  assert.ok(alone.calls.some((call) => call.table === 'processing_jobs' && op(call, 'update')?.[1].status === 'done'));
+});
+
+test('only a finished or failed live job gives way to the recording', () => {
+  const live = { kind: 'transcription', provider: LIVE_TRANSCRIPTION_PROVIDER };
+  assert.equal(isLiveTranscriptionJob(live), true);
+  assert.equal(isLiveTranscriptionJob({ kind: 'summary', provider: LIVE_TRANSCRIPTION_PROVIDER }), false);
+  assert.equal(supersedableLiveJob({ ...live, status: 'done' }), true);
+  assert.equal(supersedableLiveJob({ ...live, status: 'dead' }), true);
+  assert.equal(supersedableLiveJob({ ...live, status: 'running' }), false);
+  assert.equal(supersedableLiveJob({ kind: 'transcription', provider: 'assemblyai', status: 'done' }), false);
+  assert.equal(supersedableLiveJob(null), false);
+});
+
+test('the reaper finalizes sessions whose phone went quiet', async () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const quiet = { ...SESSION, updated_at: '2026-10-19T10:00:00Z' };
+  const supabase = finalizeDatabase();
+  const lookup = supabase.from;
+  supabase.from = (table) => {
+    const builder = lookup(table);
+    if (table !== 'live_sessions') return builder;
+    const call = supabase.calls[supabase.calls.length - 1];
+    const then = builder.then;
+    builder.then = (resolve, reject) => (op(call, 'lte')
+      ? Promise.resolve({ data: [quiet], error: null }).then(resolve, reject)
+      : then(resolve, reject));
+    return builder;
+  };
+
+  assert.equal(await finalizeAbandonedLiveSessions({ supabase, logger: silentLogger, now }), 1);
+  const sweep = supabase.calls.find((call) => op(call, 'lte'));
+  assert.deepEqual(op(sweep, 'lte'), ['lte', 'updated_at', new Date(now - LIVE_SESSION_ABANDONED_MS).toISOString()]);
+  assert.deepEqual(op(sweep, 'eq'), ['eq', 'status', 'active']);
+});
+
+test('checkpoints need a sequence when they carry turns', () => {
+  const sessionId = '6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b';
+  const checkpoint = Validator.validate({
+    sessionId,
+    sequence: 0,
+    turns: [{ text: 'Good morning', words: [{ text: 'Good', start: 0, end: 300, confidence: 0.9 }] }]
+  }, 'liveSessionCheckpoint');
+  assert.equal(checkpoint.valid, true);
+  assert.equal(checkpoint.data.finalize, false);
+
+  assert.equal(Validator.validate({ sessionId, turns: [{ text: 'x' }] }, 'liveSessionCheckpoint').valid, false);
+  assert.deepEqual(Validator.validate({ sessionId, finalize: true }, 'liveSessionCheckpoint').data.turns, []);
+  assert.equal(Validator.validate({ sessionId, sequence: -1, turns: [] }, 'liveSessionCheckpoint').valid, false);
+  assert.equal(Validator.validate({ sermonId: sessionId, language: 'ES' }, 'liveSessionStart').data.language, 'es');
+  assert.equal(Validator.validate({ sermonId: sessionId, language: 'klingon' }, 'liveSessionStart').valid, false);
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createLocalProvider,
+  createFakeProvider,
+  createCompletionClient
+} = require('../llmClient');
+
+function failingProvider(name = 'flaky') {
+  const calls = [];
+  return {
+    calls,
+    name,
+    resolveModel: (requested) => requested,
+    async complete(params) {
+      calls.push(params);
+      throw new Error('upstream 500');
+    }
+  };
+}
+
+const request = {
+  model: 'gpt-4o-mini',
+  messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Summarize Joshua 1' }]
+};
+
+test('the provider is chosen by configuration and defaults to OpenAI', () => {
+  assert.equal(createCompletionClient({ env: {} }).primary.provider.name, 'openai');
+  assert.equal(createCompletionClient({ env: { LLM_PROVIDER: 'fake' } }).primary.provider.name, 'fake');
+  assert.equal(createCompletionClient({ env: {} }).fallback, null);
+
+  assert.throws(() => createCompletionClient({ env: { LLM_PROVIDER: 'opneai' } }), /Unknown LLM provider "opneai"/);
+  assert.throws(() => createCompletionClient({ env: { LLM_PROVIDER: 'local' } }), /LLM_LOCAL_BASE_URL is required/);
+});
+
+test('the fake provider is deterministic and stamps what answered', async () => {
+  const llm = createCompletionClient({ env: { LLM_PROVIDER: 'fake' } });
+  const first = await llm.complete(request);
+  const second = await llm.complete(request);
+
+  assert.deepEqual(first, second);
+  assert.equal(first.choices[0].message.content, 'FAKE COMPLETION: Summarize Joshua 1');
+  assert.equal(first.provider, 'fake');
+  assert.equal(first.model, 'gpt-4o-mini');
+
+  const json = await llm.complete({ ...request, response_format: { type: 'json_object' } });
+  assert.equal(json.choices[0].message.content, '{}');
+});
+
+test('a local server is sent its own model, not the hosted one the prompt names', async () => {
+  const sent = [];
+  const client = {
+    chat: {
+      completions: {
+        create: async (params) => {
+          sent.push(params);
+          return { choices: [{ message: { content: 'ok' } }] };
+        }
+      }
+    }
+  };
+  const llm = createCompletionClient({
+    primary: createLocalProvider({ model: 'llama3.1:8b', client })
+  });
+
+  const completion = await llm.complete(request);
+  assert.equal(sent[0].model, 'llama3.1:8b');
+  assert.deepEqual(sent[0].messages, request.messages);
+  assert.equal(completion.provider, 'local');
+  assert.equal(completion.model, 'llama3.1:8b');
+});
+
+test('once the primary breaker opens, calls go to the fallback model', async () => {
+  const primary = failingProvider();
+  const llm = createCompletionClient({
+    env: { LLM_FALLBACK_MODEL: 'gpt-4o' },
+    primary,
+    fallback: createFakeProvider({ respond: () => 'from fallback' }),
+    threshold: 2
+  });
+
+  await assert.rejects(llm.complete(request), /upstream 500/);
+  assert.equal(llm.usingFallback(), false);
+  await assert.rejects(llm.complete(request), /upstream 500/);
+  assert.equal(llm.usingFallback(), true);
+
+  const completion = await llm.complete(request);
+  assert.equal(completion.choices[0].message.content, 'from fallback');
+  assert.equal(completion.provider, 'fake');
+  assert.equal(completion.model, 'gpt-4o');
+  assert.equal(primary.calls.length, 2, 'the open primary is not called');
+});
+
+test('without a fallback an open breaker fails as it always has', async () => {
+  const llm = createCompletionClient({ primary: failingProvider(), threshold: 1 });
+
+  await assert.rejects(llm.complete(request), /upstream 500/);
+  await assert.rejects(llm.complete(request), /Circuit breaker is OPEN/);
+  assert.equal(llm.usingFallback(), false);
+});
+
+test('the primary is tried again after its breaker timeout', async () => {
+  let failing = true;
+  const primary = {
+    name: 'primary',
+    resolveModel: (requested) => requested,
+    async complete() {
+      if (failing) throw new Error('down');
+      return { choices: [{ message: { content: 'back' } }] };
+    }
+  };
+  const llm = createCompletionClient({
+    primary,
+    fallback: createFakeProvider({ respond: () => 'fallback' }),
+    threshold: 1,
+    timeout: 20
+  });
+
+  await assert.rejects(llm.complete(request), /down/);
+  assert.equal((await llm.complete(request)).choices[0].message.content, 'fallback');
+
+  failing = false;
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(llm.usingFallback(), false);
+  const completion = await llm.complete(request);
+  assert.equal(completion.choices[0].message.content, 'back');
+  assert.equal(llm.primary.breaker.state, 'CLOSED');
+});
+
+async function drain(chunks) {
+  let text = '';
+  for await (const chunk of chunks) text += chunk.choices?.[0]?.delta?.content || '';
+  return text;
+}
+
+test('a stream that breaks partway counts against the breaker', async () => {
+  const primary = {
+    name: 'primary',
+    resolveModel: (requested) => requested,
+    async stream() {
+      return (async function* broken() {
+        yield { choices: [{ delta: { content: 'Grace ' } }] };
+        throw new Error('connection reset');
+      })();
+    }
+  };
+  const llm = createCompletionClient({
+    primary,
+    fallback: createFakeProvider({ respond: () => 'fallback' }),
+    threshold: 2
+  });
+
+  for (let i = 0; i < 2; i += 1) {
+    const { chunks } = await llm.stream(request);
+    await assert.rejects(drain(chunks), /connection reset/);
+  }
+
+  assert.equal(llm.primary.breaker.state, 'OPEN');
+  assert.equal(llm.usingFallback(), true);
+  const { provider, chunks } = await llm.stream(request);
+  assert.equal(provider, 'fake');
+  assert.equal(await drain(chunks), 'fallback');
+});
+
+test('only a stream read to the end counts as a success', async () => {
+  let failing = true;
+  const primary = {
+    name: 'primary',
+    resolveModel: (requested) => requested,
+    async stream() {
+      return (async function* chunks() {
+        yield { choices: [{ delta: { content: 'ok' } }] };
+        if (failing) throw new Error('connection reset');
+      })();
+    }
+  };
+  const llm = createCompletionClient({ primary, threshold: 2 });
+
+  await assert.rejects(drain((await llm.stream(request)).chunks), /connection reset/);
+  // Opened but not yet read: the earlier failure still stands.
+  const pending = await llm.stream(request);
+  assert.equal(llm.primary.breaker.failureCount, 1);
+
+  failing = false;
+  assert.equal(await drain(pending.chunks), 'ok');
+  assert.equal(llm.primary.breaker.failureCount, 0);
+  assert.equal(llm.primary.breaker.state, 'CLOSED');
+});
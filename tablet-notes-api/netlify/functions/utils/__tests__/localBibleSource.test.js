@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalBibleSource } = require('../localBibleSource');
+const { createBibleSource, passageRequestFromEndpoint, toApiBibleBody } = require('../bibleService');
+const { referenceFromPassageId } = require('../scriptureReferences');
+const { buildBibleData } = require('../../../../scripts/build-bible-data');
+
+const KJV = 'de4e12af7f28f599-01';
+const dataDir = path.join(__dirname, 'fixtures', 'bible');
+const local = () => createLocalBibleSource({ dataDir });
+
+// An API.Bible client whose every call fails with `message`.
+function failingApi(message) {
+  const calls = [];
+  const fail = (method) => async (params) => {
+    calls.push([method, params]);
+    throw new Error(message);
+  };
+  return { name: 'api.bible', calls, getPassage: fail('getPassage'), search: fail('search'), listTranslations: fail('listTranslations') };
+}
+
+test('passages are read from the data files, a verse, a range or a chapter', async () => {
+  const source = local();
+
+  const verse = await source.getPassage({ bibleId: KJV, reference: 'John 3:16' });
+  assert.deepEqual(verse.reference, { osis: 'John.3.16', passageId: 'JHN.3.16', display: 'John 3:16' });
+  assert.deepEqual(verse.verses.map((v) => [v.id, v.osis, v.chapter, v.verse]), [['JHN.3.16', 'John.3.16', 3, 16]]);
+  assert.match(verse.text, /^For God so loved the world/);
+  assert.equal(verse.copyright, 'Public domain');
+
+  const range = await source.getPassage({ bibleId: KJV, reference: 'john 3:16-17' });
+  assert.deepEqual(range.verses.map((v) => v.verse), [16, 17]);
+  assert.equal(range.text, `${range.verses[0].text} ${range.verses[1].text}`);
+
+  const chapter = await source.getPassage({ bibleId: KJV, reference: 'Psalm 23' });
+  assert.equal(chapter.verses.length, 6);
+  assert.equal(chapter.verses[5].text, 'Surely goodness and mercy shall follow me all the days of my life: and I will dwell in the house of the LORD for ever.');
+
+  assert.equal(await source.getPassage({ bibleId: KJV, reference: 'Genesis 1:1' }), null, 'not in the data');
+  await assert.rejects(source.getPassage({ bibleId: KJV, reference: 'the still waters' }), /Unrecognized scripture reference/);
+  await assert.rejects(source.getPassage({ bibleId: 'bba9f40183526463-01', reference: 'John 3:16' }), /not available locally/);
+});
+
+test('translations and search come from the same files', async () => {
+  const source = local();
+
+  assert.equal(source.hasTranslation(KJV), true);
+  assert.deepEqual(await source.listTranslations(), [
+    { id: KJV, abbreviation: 'KJV', name: 'King James Version', description: null, language: 'eng' }
+  ]);
+  assert.deepEqual(await source.listTranslations({ language: 'spa' }), []);
+
+  const found = await source.search({ bibleId: KJV, query: 'Son world', limit: 1 });
+  assert.equal(found.total, 2);
+  assert.deepEqual(found.results, [{
+    id: 'JHN.3.16',
+    osis: 'John.3.16',
+    reference: 'John 3:16',
+    text: 'For God so loved the world, that he gave his only begotten Son, that whosoever believeth in him should not perish, but have everlasting life.'
+  }]);
+  assert.equal((await source.search({ bibleId: KJV, query: 'Son world', offset: 1 })).results[0].osis, 'John.3.17');
+  assert.equal((await source.search({ bibleId: KJV, query: '' })).total, 0);
+});
+
+test('the deploy build writes the KJV and WEB in full', async (t) => {
+  const WEB = '9879dbb7cfe39e4d-04';
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bible-'));
+  t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  buildBibleData(outDir);
+  const source = createLocalBibleSource({ dataDir: outDir });
+
+  assert.deepEqual((await source.listTranslations()).map((t) => t.abbreviation).sort(), ['KJV', 'WEB']);
+  for (const bibleId of [KJV, WEB]) {
+    assert.match((await source.getPassage({ bibleId, reference: 'John 3:16' })).text, /^For God so loved the world/);
+    assert.ok(await source.getPassage({ bibleId, reference: 'Genesis 1:1' }), `${bibleId} Genesis 1:1`);
+    assert.ok(await source.getPassage({ bibleId, reference: 'Revelation 22:21' }), `${bibleId} Revelation 22:21`);
+    assert.equal((await source.getPassage({ bibleId, reference: 'Psalm 119' })).verses.length, 176);
+  }
+  assert.equal(
+    (await source.getPassage({ bibleId: KJV, reference: 'Psalm 23:1' })).text,
+    'The LORD is my shepherd; I shall not want.',
+    'italics brackets are not part of the text'
+  );
+});
+
+test('a directory without data files is a source without translations', async () => {
+  const source = createLocalBibleSource({ dataDir: path.join(__dirname, 'fixtures', 'no-such-dir') });
+  assert.equal(source.hasTranslation(KJV), false);
+  assert.deepEqual(await source.listTranslations(), []);
+});
+
+test('without an API key the configured source is the local one', async () => {
+  const source = createBibleSource({ source: undefined, apiKey: undefined, local: local() });
+  assert.equal(source.name, 'local');
+  assert.equal((await source.getPassage({ reference: 'Romans 8:28' })).verses[0].osis, 'Rom.8.28', 'KJV by default');
+  assert.throws(() => createBibleSource({ source: 'scroll', local: local() }), /Unknown BIBLE_SOURCE: scroll/);
+});
+
+test('API.Bible failures fall back to local text; bad requests do not', async () => {
+  const down = failingApi('Circuit breaker is OPEN');
+  const source = createBibleSource({ source: 'api', api: down, local: local() });
+
+  assert.equal(source.name, 'api.bible');
+  assert.equal((await source.getPassage({ reference: 'Psalm 23:1' })).text, 'The LORD is my shepherd; I shall not want.');
+  assert.equal((await source.search({ query: 'shepherd' })).total, 1);
+  assert.equal((await source.listTranslations()).length, 1);
+  assert.deepEqual(down.calls[0], ['getPassage', { reference: 'Psalm 23:1', bibleId: KJV }]);
+
+  await assert.rejects(
+    source.getPassage({ bibleId: 'bba9f40183526463-01', reference: 'Psalm 23:1' }),
+    /Circuit breaker is OPEN/,
+    'no local copy of that translation'
+  );
+
+  const refused = createBibleSource({ source: 'api', api: failingApi('Bible API client error: 400'), local: local() });
+  await assert.rejects(refused.getPassage({ reference: 'Psalm 23:1' }), /Bible API client error: 400/);
+});
+
+test('raw verse and passage paths resolve to a reference and back to API.Bible\'s shape', async () => {
+  assert.deepEqual(passageRequestFromEndpoint(`bibles/${KJV}/verses/JHN.3.16?content-type=text`), {
+    bibleId: KJV,
+    reference: referenceFromPassageId('JHN.3.16')
+  });
+  assert.equal(passageRequestFromEndpoint(`bibles/${KJV}/passages/JHN.3.16-JHN.3.17`).reference.display, 'John 3:16-17');
+  assert.equal(passageRequestFromEndpoint(`bibles/${KJV}/books`), null);
+  assert.equal(passageRequestFromEndpoint(`bibles/${KJV}/verses/XYZ.1.1`), null);
+
+  assert.equal(referenceFromPassageId('PSA.23').display, 'Psalm 23');
+  assert.equal(referenceFromPassageId('JUD.1.3').display, 'Jude 3');
+  assert.equal(referenceFromPassageId('JHN.3.16-ROM.1.1'), null, 'one book per passage');
+
+  const { reference } = passageRequestFromEndpoint(`bibles/${KJV}/passages/JHN.3.16-JHN.3.17`);
+  const body = toApiBibleBody(await local().getPassage({ bibleId: KJV, reference }));
+  assert.deepEqual(Object.keys(body.data), ['id', 'orgId', 'bibleId', 'bookId', 'chapterId', 'reference', 'content', 'verseCount', 'copyright']);
+  assert.equal(body.data.id, 'JHN.3.16-JHN.3.17');
+  assert.equal(body.data.bookId, 'JHN');
+  assert.equal(body.data.chapterId, 'JHN.3');
+  assert.equal(body.data.verseCount, 2);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PROMPTS,
+  resolvePrompt,
+  parseVersionPins,
+  bucketFor
+} = require('../promptRegistry');
+
+const noPins = {};
+
+function template(model) {
+  return { model, system: () => `system from ${model}`, user: () => 'user' };
+}
+
+// A registry with two versions, so selection rules have something to choose.
+const registry = {
+  summary: {
+    active: 1,
+    versions: { 1: template('model-a'), 2: template('model-b'), 3: template('model-c') },
+    overrides: [
+      { serviceType: 'Bible Study', version: 2 },
+      { serviceType: 'Bible Study', tier: 'premium', version: 3 }
+    ],
+    experiment: null
+  }
+};
+
+test('every registered version names a model and a system template', () => {
+  for (const [name, entry] of Object.entries(PROMPTS)) {
+    assert.ok(entry.versions[entry.active], `${name} has no active version`);
+    for (const [version, tpl] of Object.entries(entry.versions)) {
+      assert.equal(typeof tpl.model, 'string', `${name}@v${version} model`);
+      assert.equal(typeof tpl.system, 'function', `${name}@v${version} system`);
+    }
+  }
+});
+
+test('the active version is used when nothing else applies', () => {
+  const prompt = resolvePrompt('summary', { serviceType: 'Sermon', tier: 'basic', pins: noPins, registry });
+  assert.equal(prompt.id, 'summary@v1');
+  assert.equal(prompt.model, 'model-a');
+  assert.equal(prompt.source, 'active');
+  assert.equal(prompt.system(), 'system from model-a');
+});
+
+test('the most specific service-type and tier override wins', () => {
+  const basic = resolvePrompt('summary', { serviceType: 'bible study', tier: 'basic', pins: noPins, registry });
+  assert.equal(basic.id, 'summary@v2');
+  assert.equal(basic.source, 'override');
+
+  const premium = resolvePrompt('summary', { serviceType: 'Bible Study', tier: 'premium', pins: noPins, registry });
+  assert.equal(premium.id, 'summary@v3');
+});
+
+test('a pin beats overrides, and a pin to a missing version is ignored', () => {
+  const pinned = resolvePrompt('summary', { serviceType: 'Bible Study', pins: { summary: 1 }, registry });
+  assert.equal(pinned.id, 'summary@v1');
+  assert.equal(pinned.source, 'pin');
+
+  const unknown = resolvePrompt('summary', { serviceType: 'Sermon', pins: { summary: 9 }, registry });
+  assert.equal(unknown.id, 'summary@v1');
+  assert.equal(unknown.source, 'active');
+});
+
+test('an experiment keeps each user on one side of the split', () => {
+  const withExperiment = {
+    summary: { ...registry.summary, overrides: [], experiment: { version: 2, percent: 50 } }
+  };
+  const seen = new Set();
+  for (let i = 0; i < 40; i += 1) {
+    const key = `user-${i}`;
+    const first = resolvePrompt('summary', { bucketKey: key, pins: noPins, registry: withExperiment });
+    const again = resolvePrompt('summary', { bucketKey: key, pins: noPins, registry: withExperiment });
+    assert.equal(first.id, again.id);
+    seen.add(first.id);
+  }
+  assert.deepEqual([...seen].sort(), ['summary@v1', 'summary@v2']);
+
+  const anonymous = resolvePrompt('summary', { pins: noPins, registry: withExperiment });
+  assert.equal(anonymous.source, 'active');
+});
+
+test('buckets are stable and within 0-99', () => {
+  assert.equal(bucketFor('summary:user-1'), bucketFor('summary:user-1'));
+  for (let i = 0; i < 50; i += 1) {
+    const bucket = bucketFor(`k${i}`);
+    assert.ok(bucket >= 0 && bucket < 100);
+  }
+});
+
+test('pins parse from the env format and malformed entries are dropped', () => {
+  assert.deepEqual(parseVersionPins('summary=2, chat.questions=1,bad,chat=x'), { summary: 2, 'chat.questions': 1 });
+  assert.deepEqual(parseVersionPins(undefined), {});
+});
+
+test('an unknown prompt name is a programming error', () => {
+  assert.throws(() => resolvePrompt('sumary', { pins: noPins }), /Unknown prompt: sumary/);
+});
+
+test('summary@v1 keeps the title instruction for markdown and the JSON shape for structured', () => {
+  const prompt = resolvePrompt('summary', { pins: noPins });
+  const markdown = prompt.system({ tier: 'basic', serviceType: 'Sermon', format: 'markdown' });
+  const structured = prompt.system({ tier: 'premium', serviceType: 'Sermon', format: 'structured' });
+
+  assert.match(markdown, /formatted as "TITLE: \[Your Title Here\]"/);
+  assert.match(markdown, /\*\*User Tier: basic\*\*/);
+  assert.match(structured, /Respond with a single JSON object/);
+  assert.match(structured, /"discussionQuestions"/);
+});
+
+test('summary@v1 frames merge input as section notes', () => {
+  const prompt = resolvePrompt('summary', { pins: noPins });
+  assert.equal(prompt.user({ serviceType: 'Sermon', text: 'body', stage: 'full' }), 'Please summarize this Sermon text: body');
+  assert.match(prompt.user({ serviceType: 'Sermon', text: 'notes', stage: 'merge' }), /section-by-section notes[\s\S]*\n\nnotes$/);
+});
+
+test('section notes name the section position and service type', () => {
+  const prompt = resolvePrompt('summary.section-notes', { pins: noPins });
+  const system = prompt.system({ serviceType: 'Bible Study', index: 1, count: 4 });
+  assert.match(system, /long Bible Study transcript/);
+  assert.match(system, /section 2 of 4/);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  BOOKS,
+  readNumber,
+  parseScriptureReferences,
+  detectScriptureReferences,
+  scriptureReferenceRows,
+  replaceScriptureReferences
+} = require('../scriptureReferences');
+const { completeTranscriptionJob } = require('../completeTranscription');
+const { transformSermon } = require('../getSermonsPayload');
+const { silentLogger, fakeSupabase, transcriptionJob } = require('./helpers');
+
+// Words shaped like AssemblyAI's, one second apart.
+function wordsOf(text) {
+  return text.split(' ').map((word, i) => ({ text: word, start: i * 1000, end: i * 1000 + 900 }));
+}
+
+const parsed = (text) => parseScriptureReferences(text).map((reference) => [reference.osis, text.slice(reference.start, reference.end)]);
+
+test('every book of the Protestant canon, once', () => {
+  assert.equal(BOOKS.length, 66);
+  assert.equal(new Set(BOOKS.map((book) => book.osis)).size, 66);
+  assert.equal(new Set(BOOKS.map((book) => book.usfm)).size, 66);
+});
+
+test('spoken numbers read as numbers', () => {
+  const read = (text) => readNumber(text.split(' ').map((value) => ({ value, lower: value, kind: /^\d/.test(value) ? 'number' : 'word' })), 0);
+  assert.deepEqual(read('sixteen'), { value: 16, next: 1 });
+  assert.deepEqual(read('twenty three'), { value: 23, next: 2 });
+  assert.deepEqual(read('one hundred and nineteen'), { value: 119, next: 4 });
+  assert.deepEqual(read('a hundred fifty'), { value: 150, next: 3 });
+  assert.deepEqual(read('one hundred and'), { value: 100, next: 2 });
+  assert.deepEqual(read('119'), { value: 119, next: 1 });
+  assert.equal(read('grace'), null);
+});
+
+test('written references in their usual forms', () => {
+  assert.deepEqual(parsed('For God so loved the world, John 3:16.'), [['John.3.16', 'John 3:16']]);
+  assert.deepEqual(parsed('Read 2 Tim. 3:16-17 and Rom. 8:28'), [
+    ['2Tim.3.16-2Tim.3.17', '2 Tim. 3:16-17'],
+    ['Rom.8.28', 'Rom. 8:28']
+  ]);
+  assert.deepEqual(parsed('Matthew 5-7 is the sermon on the mount'), [['Matt.5-Matt.7', 'Matthew 5-7']]);
+  assert.deepEqual(parsed('John 3:16-4:2'), [['John.3.16-John.4.2', 'John 3:16-4:2']]);
+  assert.deepEqual(parsed('I John 1:9, 1st Peter 5:7, Song of Solomon 2:4'), [
+    ['1John.1.9', 'I John 1:9'],
+    ['1Pet.5.7', '1st Peter 5:7'],
+    ['Song.2.4', 'Song of Solomon 2:4']
+  ]);
+});
+
+test('spoken references, as a transcript writes them', () => {
+  assert.deepEqual(parsed('Turn to first Corinthians thirteen verses four through seven.'), [
+    ['1Cor.13.4-1Cor.13.7', 'first Corinthians thirteen verses four through seven']
+  ]);
+  assert.deepEqual(parsed('John three sixteen says it all'), [['John.3.16', 'John three sixteen']]);
+  assert.deepEqual(parsed('Psalm one hundred nineteen, and Psalm twenty-three'), [
+    ['Ps.119', 'Psalm one hundred nineteen'],
+    ['Ps.23', 'Psalm twenty-three']
+  ]);
+  assert.deepEqual(parsed('Revelation chapter 21 verse 4'), [['Rev.21.4', 'Revelation chapter 21 verse 4']]);
+});
+
+test('one-chapter books are cited by verse', () => {
+  const [jude, philemon] = parseScriptureReferences('Jude 3 and Philemon 10-12');
+  assert.equal(jude.osis, 'Jude.1.3');
+  assert.equal(jude.display, 'Jude 3');
+  assert.equal(philemon.osis, 'Phlm.1.10-Phlm.1.12');
+  assert.equal(philemon.passageId, 'PHM.1.10-PHM.1.12');
+  assert.equal(philemon.display, 'Philemon 10-12');
+});
+
+test('ordinary words, impossible chapters and bare numbers are not references', () => {
+  assert.deepEqual(parsed('mark 3 on the calendar and the acts 2 of kindness'), []);
+  assert.deepEqual(parsed('Numbers 40 and Genesis 51'), []);
+  assert.deepEqual(parsed('Corinthians 13'), [], 'which letter?');
+  assert.deepEqual(parsed('Psalm 23 one of my favorites'), [['Ps.23', 'Psalm 23']]);
+  assert.deepEqual(parsed('in verse 3 Acts 2:38 tells us'), [['Acts.2.38', 'Acts 2:38']]);
+  assert.deepEqual(parsed('John 3:16-18, verse 20'), [['John.3.16-John.3.18', 'John 3:16-18']]);
+  assert.deepEqual(parsed('John 3:18-16'), [['John.3.18', 'John 3:18-16']], 'a backwards range keeps its start');
+});
+
+test('each mention carries the times of the words that spoke it', () => {
+  const words = wordsOf('Open with me to John three sixteen. God so loved');
+  const [reference] = detectScriptureReferences({ text: 'ignored when there are words', words });
+
+  assert.equal(reference.osis, 'John.3.16');
+  assert.equal(reference.spokenText, 'John three sixteen');
+  assert.equal(reference.startMs, 4000);
+  assert.equal(reference.endMs, 6900);
+
+  const [untimed] = detectScriptureReferences({ text: 'Open to Romans 8:28.', words: [] });
+  assert.equal(untimed.osis, 'Rom.8.28');
+  assert.equal(untimed.startMs, null);
+});
+
+test('rows store the range end even for a single verse', () => {
+  const rows = scriptureReferenceRows({
+    userId: 'user-1',
+    sermonId: 'sermon-1',
+    references: detectScriptureReferences({ text: 'John 3:16 and Matthew 5-7' })
+  });
+
+  assert.deepEqual(rows.map((row) => [row.mention_index, row.osis, row.chapter_start, row.verse_start, row.chapter_end, row.verse_end]), [
+    [0, 'John.3.16', 3, 16, 3, 16],
+    [1, 'Matt.5-Matt.7', 5, null, 7, null]
+  ]);
+  assert.ok(rows.every((row) => row.user_id === 'user-1' && row.sermon_id === 'sermon-1'));
+});
+
+test("a sermon's references are replaced, not added to", async () => {
+  const supabase = fakeSupabase();
+  const count = await replaceScriptureReferences({ supabase, sermonId: 'sermon-1', userId: 'user-1', text: 'John 3:16' });
+
+  assert.equal(count, 1);
+  assert.deepEqual(supabase.calls.map((call) => call.ops[0][0]), ['delete', 'insert']);
+  assert.deepEqual(supabase.calls[0].ops[1], ['eq', 'sermon_id', 'sermon-1']);
+
+  const none = fakeSupabase();
+  assert.equal(await replaceScriptureReferences({ supabase: none, sermonId: 'sermon-1', userId: 'user-1', text: 'No verses.' }), 0);
+  assert.deepEqual(none.calls.map((call) => call.ops[0][0]), ['delete'], 'stale mentions still cleared');
+
+  const failing = fakeSupabase({ scripture_references: { data: null, error: { message: 'denied' } } });
+  await assert.rejects(
+    replaceScriptureReferences({ supabase: failing, sermonId: 'sermon-1', userId: 'user-1', text: 'John 3:16' }),
+    /scripture reference clear failed: denied/
+  );
+});
+
+test('a completed transcription records its references, and survives failing to', async () => {
+  const job = transcriptionJob();
+  const text = `${'Grace upon grace. '.repeat(10)}Turn to Romans eight twenty eight.`;
+
+  const supabase = fakeSupabase();
+  const result = await completeTranscriptionJob({ supabase, job, transcript: { text, words: wordsOf(text) }, logger: silentLogger });
+  assert.equal(result.ok, true);
+  assert.equal(result.scriptureReferences, 1);
+  const insert = supabase.calls.find((call) => call.table === 'scripture_references' && call.ops[0][0] === 'insert');
+  assert.equal(insert.ops[0][1][0].osis, 'Rom.8.28');
+
+  const failing = fakeSupabase({ scripture_references: { data: null, error: { message: 'denied' } } });
+  const survived = await completeTranscriptionJob({ supabase: failing, job, transcript: { text, words: [] }, logger: silentLogger });
+  assert.equal(survived.ok, true);
+  assert.equal(survived.scriptureReferences, null);
+});
+
+test('get-sermons lists references in the order they were mentioned', () => {
+  const row = (mention_index, osis) => ({
+    mention_index,
+    osis,
+    passage_id: osis.toUpperCase(),
+    display: osis,
+    book: 'John',
+    chapter_start: 3,
+    verse_start: 16,
+    chapter_end: 3,
+    verse_end: 16,
+    spoken_text: osis,
+    start_ms: mention_index * 1000,
+    end_ms: null
+  });
+
+  const sermon = transformSermon({ id: 's1', scripture_references: [row(1, 'John.3.17'), row(0, 'John.3.16')] });
+  assert.deepEqual(sermon.scriptureReferences.map((reference) => reference.osis), ['John.3.16', 'John.3.17']);
+  assert.deepEqual(Object.keys(sermon.scriptureReferences[0]), [
+    'osis', 'passageId', 'display', 'book', 'chapterStart', 'verseStart', 'chapterEnd', 'verseEnd', 'spokenText', 'startMs', 'endMs'
+  ]);
+  assert.deepEqual(transformSermon({ id: 's2' }).scriptureReferences, []);
+});
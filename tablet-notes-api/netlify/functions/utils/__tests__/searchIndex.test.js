@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SEARCH_CHUNK_MAX_CHARS,
+  queryTerms,
+  buildSearchChunks,
+  createMemorySearchIndex,
+  searchLibrary,
+  formatTimestamp,
+  buildLibraryContext,
+  citedIn,
+  rebuildSermonSearchIndex,
+  queueSearchIndexJob
+} = require('../searchIndex');
+const { completeTranscriptionJob } = require('../completeTranscription');
+const { silentLogger, fakeSupabase, transcriptionJob } = require('./helpers');
+
+// Words shaped like AssemblyAI's, one second apart.
+function wordsOf(text, { startMs = 0 } = {}) {
+  return text.split(' ').map((word, i) => ({
+    text: word,
+    start: startMs + i * 1000,
+    end: startMs + i * 1000 + 900,
+    speaker: 'A'
+  }));
+}
+
+test('questions are reduced to distinct keywords', () => {
+  assert.deepEqual(
+    queryTerms("What did the pastor say about God's forgiveness and FORGIVENESS in Luke 15?"),
+    ['gods', 'forgiveness', 'luke', '15']
+  );
+  assert.deepEqual(queryTerms('what did he say?'), []);
+  assert.deepEqual(queryTerms('¿Qué dijo sobre el perdón?'), ['qué', 'dijo', 'sobre', 'el', 'perdón']);
+  assert.deepEqual(queryTerms('What is ἀγάπη, and שָׁלוֹם?'), ['ἀγάπη', 'שָׁלוֹם']);
+});
+
+test('transcripts become timed passages; summaries and notes are searchable too', () => {
+  const sentence = 'The prodigal son came home and the father ran to meet him.';
+  const text = Array.from({ length: 40 }, () => sentence).join(' ');
+
+  const rows = buildSearchChunks({
+    userId: 'user-1',
+    sermonId: 'sermon-1',
+    transcript: { text, segments: wordsOf(text, { startMs: 5000 }) },
+    summary: { text: '**Brief Summary**\nGrace for the lost son.' },
+    notes: [{ text: 'Luke 15 — read again', timestamp: 754.4 }, { text: '  ', timestamp: 1 }]
+  });
+
+  const transcript = rows.filter((row) => row.source === 'transcript');
+  assert.ok(transcript.length > 1, 'a long transcript is more than one passage');
+  assert.ok(transcript.every((row) => row.content.length <= SEARCH_CHUNK_MAX_CHARS + 100));
+  assert.equal(transcript[0].start_ms, 5000);
+  assert.ok(transcript[1].start_ms > transcript[0].end_ms - 1000);
+  assert.deepEqual(transcript.map((row) => row.chunk_index), transcript.map((_, i) => i));
+
+  const summary = rows.filter((row) => row.source === 'summary');
+  assert.equal(summary.length, 1);
+  assert.equal(summary[0].start_ms, null);
+
+  const notes = rows.filter((row) => row.source === 'note');
+  assert.deepEqual(notes.map((row) => [row.content, row.start_ms]), [['Luke 15 — read again', 754400]]);
+  assert.ok(rows.every((row) => row.user_id === 'user-1' && row.sermon_id === 'sermon-1'));
+});
+
+test('the memory index ranks passages that match more, and rarer, terms first', () => {
+  const index = createMemorySearchIndex([
+    { sermon_id: 's1', source: 'transcript', content: 'Forgiveness is a gift we receive and give.' },
+    { sermon_id: 's2', source: 'transcript', content: 'The prodigal son and forgiveness of the father in Luke 15.' },
+    { sermon_id: 's3', source: 'note', content: 'Bring a friend next week.' }
+  ]);
+
+  const results = index.search('forgiveness in Luke');
+  assert.deepEqual(results.map((row) => row.sermon_id), ['s2', 's1']);
+  assert.ok(results[0].rank > results[1].rank);
+  assert.deepEqual(index.search('the and of'), []);
+  assert.equal(index.search('forgiveness', { limit: 1 }).length, 1);
+});
+
+test('postgres search sends sanitized keywords for the caller only', async () => {
+  const supabase = fakeSupabase({}, {
+    rpc: () => ({ data: [{ sermon_id: 's1', content: 'x' }], error: null })
+  });
+
+  const results = await searchLibrary({
+    supabase,
+    userId: 'user-1',
+    question: "Luke 15: the father's love & (grace) | !",
+    limit: 99,
+    backend: 'postgres'
+  });
+
+  assert.equal(results.length, 1);
+  assert.equal(supabase.calls[0].rpc, 'search_sermon_chunks');
+  assert.deepEqual(supabase.calls[0].params, { p_user_id: 'user-1', p_terms: ['luke', '15', 'fathers', 'love', 'grace'], p_limit: 20 });
+
+  const empty = fakeSupabase();
+  assert.deepEqual(await searchLibrary({ supabase: empty, userId: 'user-1', question: 'what?', backend: 'postgres' }), []);
+  assert.equal(empty.calls.length, 0, 'nothing to search for, nothing queried');
+
+  const failing = fakeSupabase({}, { rpc: () => ({ data: null, error: { message: 'function does not exist' } }) });
+  await assert.rejects(
+    searchLibrary({ supabase: failing, userId: 'user-1', question: 'grace', backend: 'postgres' }),
+    /Library search failed: function does not exist/
+  );
+});
+
+test('the memory backend searches the library without the index table', async () => {
+  const supabase = fakeSupabase({
+    sermons: { data: [{ id: 's1', title: 'Lost and Found' }, { id: 's2', title: 'Be Strong' }], error: null },
+    transcripts: { data: [{ sermon_id: 's1', text: 'The father ran to the prodigal son.', segments: null }], error: null },
+    summaries: { data: [{ sermon_id: 's2', text: 'Joshua was told to be strong and courageous.' }], error: null },
+    notes: { data: [], error: null }
+  });
+
+  const results = await searchLibrary({ supabase, userId: 'user-1', question: 'prodigal son', backend: 'memory' });
+  assert.equal(results.length, 1);
+  assert.equal(results[0].sermon_title, 'Lost and Found');
+  assert.ok(supabase.calls.every((call) => call.ops.some(([op, column, value]) =>
+    op === 'eq' && column === 'user_id' && value === 'user-1'
+  )), 'every library read is scoped to the caller');
+  assert.equal(supabase.calls.some((call) => call.table === 'search_chunks'), false);
+});
+
+test('timestamps read as m:ss, or h:mm:ss past the hour', () => {
+  assert.equal(formatTimestamp(754400), '12:34');
+  assert.equal(formatTimestamp(3723000), '1:02:03');
+  assert.equal(formatTimestamp(null), null);
+});
+
+test('passages are numbered for the model and cited back by number', () => {
+  const passages = [
+    { sermon_id: 's1', sermon_title: 'Lost and Found', source: 'transcript', content: 'The father ran.', start_ms: 754400, end_ms: 760000 },
+    { sermon_id: 's2', sermon_title: null, source: 'summary', content: 'Be strong.', start_ms: null, end_ms: null }
+  ];
+
+  const { passagesText, citations } = buildLibraryContext(passages);
+  assert.equal(
+    passagesText,
+    '[1] "Lost and Found" (transcript at 12:34)\nThe father ran.\n\n[2] "Untitled sermon" (summary)\nBe strong.'
+  );
+  assert.deepEqual(citations[0], {
+    index: 1,
+    sermonId: 's1',
+    sermonTitle: 'Lost and Found',
+    source: 'transcript',
+    startMs: 754400,
+    endMs: 760000,
+    timestamp: '12:34',
+    excerpt: 'The father ran.'
+  });
+
+  assert.deepEqual(citedIn('He ran to him [1]. See also [1][7].', citations).map((c) => c.index), [1]);
+  assert.deepEqual(citedIn('Nothing cited.', citations), []);
+  assert.match(buildLibraryContext([]).passagesText, /No passages matched/);
+});
+
+test('a rebuild clears the sermon before writing its new rows', async () => {
+  const supabase = fakeSupabase({
+    transcripts: { data: { text: 'Grace upon grace.', segments: null }, error: null },
+    summaries: { data: null, error: null },
+    notes: { data: [{ text: 'Read John 1', timestamp: 30 }], error: null }
+  });
+
+  const count = await rebuildSermonSearchIndex({ supabase, sermonId: 'sermon-1', userId: 'user-1' });
+  assert.equal(count, 2);
+
+  const writes = supabase.calls.filter((call) => call.table === 'search_chunks');
+  assert.deepEqual(writes.map((call) => call.ops[0][0]), ['delete', 'insert']);
+  assert.deepEqual(writes[0].ops[1], ['eq', 'sermon_id', 'sermon-1']);
+  assert.equal(writes[1].ops[0][1].length, 2);
+
+  const failing = fakeSupabase({ transcripts: { data: null, error: { message: 'timeout' } } });
+  await assert.rejects(
+    rebuildSermonSearchIndex({ supabase: failing, sermonId: 'sermon-1', userId: 'user-1' }),
+    /search index source read failed: timeout/
+  );
+  assert.equal(failing.calls.some((call) => call.table === 'search_chunks'), false, 'nothing cleared on a failed read');
+});
+
+test('queueing resets an existing index job instead of ignoring it', async () => {
+  const supabase = fakeSupabase();
+  const queued = await queueSearchIndexJob({
+    supabase,
+    job: { id: 'job-1', user_id: 'user-1', sermon_id: 'sermon-1', sermon_local_id: 'local-1' },
+    logger: silentLogger
+  });
+
+  assert.equal(queued, true);
+  const [op, row, options] = supabase.calls[0].ops[0];
+  assert.equal(op, 'upsert');
+  assert.equal(row.kind, 'search_index');
+  assert.equal(row.status, 'queued');
+  assert.equal(row.idempotency_key, 'sermon-1:search_index');
+  assert.deepEqual(options, { onConflict: 'idempotency_key' });
+});
+
+test('a completed transcription is queued for library search', async () => {
+  const supabase = fakeSupabase();
+  const job = transcriptionJob();
+
+  const result = await completeTranscriptionJob({
+    supabase,
+    job,
+    transcript: { text: 'x'.repeat(200), words: [] },
+    logger: silentLogger
+  });
+  assert.equal(result.searchIndexQueued, true);
+
+  const silent = await completeTranscriptionJob({
+    supabase: fakeSupabase(),
+    job,
+    transcript: { text: '', words: [] },
+    logger: silentLogger
+  });
+  assert.equal(silent.searchIndexQueued, false, 'no speech, nothing to search');
+});
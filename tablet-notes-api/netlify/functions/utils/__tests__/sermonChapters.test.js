@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  providerChaptersRequested,
+  sentencesFromWords,
+  segmentChapters,
+  chaptersFromProvider,
+  buildChapters,
+  replaceSermonChapters
+} = require('../sermonChapters');
+const { completeTranscriptionJob } = require('../completeTranscription');
+const { transformSermon } = require('../getSermonsPayload');
+const { silentLogger, fakeSupabase, transcriptionJob } = require('./helpers');
+
+const FILLER = 'The text shows us something about the heart of God.';
+
+// AssemblyAI-shaped words for `[seconds, sentence]` pairs, 400ms a word, with
+// filler sentences every 20s up to the next pair (or `endSeconds`).
+function spoken(parts, endSeconds) {
+  const words = [];
+  const say = (sentence, at) => {
+    sentence.split(' ').forEach((text, i) => {
+      const start = at + i * 400;
+      words.push({ text, start, end: start + 350 });
+    });
+  };
+  parts.forEach(([seconds, sentence], i) => {
+    say(sentence, seconds * 1000);
+    const until = i + 1 < parts.length ? parts[i + 1][0] : endSeconds;
+    for (let at = seconds + 20; at < until - 10; at += 20) say(FILLER, at * 1000);
+  });
+  return words;
+}
+
+const sermon = spoken([
+  [0, 'Good morning church. Turn with me to Romans eight.'],
+  [240, 'My first point is that God is faithful.'],
+  [600, 'Second, his love never fails.'],
+  [1000, 'Third, we are called to trust him with everything we have and everything we are this year.'],
+  [1400, 'So what does this mean for us this week?'],
+  [1680, 'Let\'s pray. Father, thank you for your word. Amen.']
+], 1750);
+
+test('words are grouped into sentences with the pause before each', () => {
+  const sentences = sentencesFromWords([
+    { text: 'Good', start: 0, end: 300 },
+    { text: 'morning.', start: 400, end: 700 },
+    { text: 'Amen', start: 2700, end: 3000 },
+    { text: '', start: 3100, end: 3200 },
+    { text: 'church', start: null, end: null }
+  ]);
+  assert.deepEqual(sentences, [
+    { start: 0, end: 700, gapBefore: 0, text: 'Good morning.' },
+    { start: 2700, end: 3000, gapBefore: 2000, text: 'Amen' }
+  ]);
+});
+
+test('a signposted sermon becomes intro, its points, application and prayer', () => {
+  const chapters = segmentChapters(sermon);
+  assert.deepEqual(chapters.map((chapter) => [chapter.kind, chapter.title, chapter.startMs]), [
+    ['intro', 'Introduction', 0],
+    ['point', 'My first point is that God is faithful', 240000],
+    ['point', 'Second, his love never fails', 600000],
+    ['point', 'Third, we are called to trust him with everything we have and everything we are…', 1000000],
+    ['application', 'Application', 1400000],
+    ['prayer', 'Closing prayer', 1680000]
+  ]);
+  for (let i = 1; i < chapters.length; i += 1) {
+    assert.ok(chapters[i - 1].endMs < chapters[i].startMs, 'chapters do not overlap');
+  }
+  assert.equal(chapters[chapters.length - 1].endMs, sermon[sermon.length - 1].end);
+  assert.equal(chapters[0].summary, null);
+});
+
+test('prayer and application cues only count late in the sermon', () => {
+  const early = segmentChapters(spoken([
+    [0, 'Let\'s pray for the missionaries this morning.'],
+    [60, 'So what does this mean for us?'],
+    [300, 'My first point is that God is near.'],
+    [700, 'Second, he hears us.']
+  ], 1000));
+  assert.deepEqual(early.map((chapter) => chapter.kind), ['intro', 'point', 'point']);
+});
+
+test('without cues the body is split at pauses into parts', () => {
+  const words = spoken([[0, 'Good morning.']], 1500);
+  // A long pause just before the 16-minute mark.
+  const pauseAt = words.findIndex((word) => word.start >= 960000);
+  for (let i = pauseAt; i < words.length; i += 1) {
+    words[i] = { ...words[i], start: words[i].start + 6000, end: words[i].end + 6000 };
+  }
+
+  const chapters = segmentChapters(words);
+  assert.equal(chapters[0].kind, 'intro');
+  assert.deepEqual(chapters.slice(1).map((chapter) => [chapter.kind, chapter.title]), [
+    ['point', 'Part 1'],
+    ['point', 'Part 2'],
+    ['point', 'Part 3']
+  ]);
+  assert.ok(chapters.some((chapter) => chapter.startMs === words[pauseAt].start), 'a split lands on the long pause');
+});
+
+test('short or untimed recordings have no outline', () => {
+  assert.deepEqual(segmentChapters(spoken([[0, 'Welcome.']], 200)), []);
+  assert.deepEqual(segmentChapters([{ text: 'Hello.' }]), []);
+  assert.deepEqual(segmentChapters(null), []);
+});
+
+test('provider chapters keep their headlines and get intro, application and prayer labels', () => {
+  const provider = [
+    { headline: 'Welcome and reading', gist: 'welcome', summary: 'The pastor reads Romans 8.', start: 0, end: 239000 },
+    { headline: 'God is faithful', gist: 'faithful', summary: ' ', start: 240000, end: 1399000 },
+    { headline: 'Living it out', gist: 'living', summary: 'What it means this week.', start: 1400000, end: 1679000 },
+    { headline: 'Prayer', gist: 'prayer', summary: '', start: 1680000, end: 1750000 },
+    { headline: 'broken', start: 10, end: 5 }
+  ];
+  assert.deepEqual(chaptersFromProvider(provider, sermon), [
+    { kind: 'intro', title: 'Welcome and reading', summary: 'The pastor reads Romans 8.', startMs: 0, endMs: 239000 },
+    { kind: 'point', title: 'God is faithful', summary: null, startMs: 240000, endMs: 1399000 },
+    { kind: 'application', title: 'Living it out', summary: 'What it means this week.', startMs: 1400000, endMs: 1679000 },
+    { kind: 'prayer', title: 'Prayer', summary: null, startMs: 1680000, endMs: 1750000 }
+  ]);
+});
+
+test('the configured source decides where chapters come from', () => {
+  const providerChapters = [
+    { headline: 'One', start: 0, end: 900000 },
+    { headline: 'Two', start: 900000, end: 1750000 }
+  ];
+  const transcript = { words: sermon, chapters: providerChapters };
+
+  assert.equal(providerChaptersRequested({}), false);
+  assert.equal(providerChaptersRequested({ SERMON_CHAPTERS: 'Provider' }), true);
+
+  assert.equal(buildChapters({ transcript, env: {} }).source, 'segmented');
+  assert.equal(buildChapters({ transcript, env: { SERMON_CHAPTERS: 'provider' } }).source, 'provider');
+  assert.equal(buildChapters({ transcript: { words: sermon, chapters: null }, env: { SERMON_CHAPTERS: 'provider' } }).source, 'segmented');
+  assert.deepEqual(buildChapters({ transcript, env: { SERMON_CHAPTERS: 'off' } }), { source: null, chapters: [] });
+  assert.deepEqual(buildChapters({ transcript: { words: [] }, env: {} }), { source: null, chapters: [] });
+});
+
+test('chapters are replaced for the sermon, or left alone when off', async () => {
+  const supabase = fakeSupabase();
+  const stored = await replaceSermonChapters({ supabase, sermonId: 's-1', userId: 'u-1', transcript: { words: sermon }, env: {} });
+  assert.equal(stored, 6);
+  const [clear, insert] = supabase.calls;
+  assert.deepEqual(clear.ops, [['delete'], ['eq', 'sermon_id', 's-1']]);
+  const { end_ms: endMs, ...point } = insert.ops[0][1][1];
+  assert.deepEqual(point, {
+    user_id: 'u-1',
+    sermon_id: 's-1',
+    chapter_index: 1,
+    kind: 'point',
+    title: 'My first point is that God is faithful',
+    summary: null,
+    start_ms: 240000,
+    source: 'segmented'
+  });
+  assert.ok(endMs > 560000 && endMs < 600000);
+
+  const off = fakeSupabase();
+  assert.equal(await replaceSermonChapters({ supabase: off, sermonId: 's-1', userId: 'u-1', transcript: { words: sermon }, env: { SERMON_CHAPTERS: 'off' } }), null);
+  assert.equal(off.calls.length, 0);
+
+  await assert.rejects(
+    replaceSermonChapters({ supabase: fakeSupabase({ sermon_chapters: { error: { message: 'denied' } } }), sermonId: 's-1', userId: 'u-1', transcript: { words: sermon }, env: {} }),
+    /sermon chapter clear failed: denied/
+  );
+});
+
+test('a completed transcription stores its chapters; a failure never costs the transcript', async () => {
+  const job = transcriptionJob();
+  const text = sermon.map((word) => word.text).join(' ');
+
+  const supabase = fakeSupabase();
+  const result = await completeTranscriptionJob({ supabase, job, transcript: { text, words: sermon }, logger: silentLogger });
+  assert.equal(result.ok, true);
+  assert.equal(result.chapters, 6);
+  assert.ok(supabase.calls.some((call) => call.table === 'sermon_chapters' && call.ops[0][0] === 'insert'));
+
+  const failing = fakeSupabase({ sermon_chapters: { data: null, error: { message: 'denied' } } });
+  const survived = await completeTranscriptionJob({ supabase: failing, job, transcript: { text, words: sermon }, logger: silentLogger });
+  assert.equal(survived.ok, true);
+  assert.equal(survived.chapters, null);
+});
+
+test('get-sermons returns chapters in outline order', () => {
+  const row = (chapter_index, kind) => ({ chapter_index, kind, title: kind, summary: null, start_ms: chapter_index * 1000, end_ms: chapter_index * 1000 + 900, source: 'segmented' });
+  const payload = transformSermon({ id: 's1', sermon_chapters: [row(1, 'point'), row(0, 'intro')] });
+  assert.deepEqual(payload.chapters.map((chapter) => chapter.kind), ['intro', 'point']);
+  assert.deepEqual(Object.keys(payload.chapters[0]), ['kind', 'title', 'summary', 'startMs', 'endMs', 'source']);
+  assert.deepEqual(transformSermon({ id: 's2' }).chapters, []);
+});
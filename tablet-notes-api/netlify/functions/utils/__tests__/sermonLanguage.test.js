@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeLanguage,
+  transcriptionLanguage,
+  providerLanguageOptions,
+  resolveTranscriptionLanguage,
+  summaryLanguage,
+  summaryLanguageInstruction
+} = require('../sermonLanguage');
+const { generateSummary } = require('../summaryGeneration');
+const { completeTranscriptionJob } = require('../completeTranscription');
+const { buildSummaryUpsertRow } = require('../summaryRow');
+const { transformSermon } = require('../getSermonsPayload');
+const { Validator } = require('../validator');
+const { silentLogger, fakeSupabase, transcriptionJob } = require('./helpers');
+
+test('provider codes reduce to supported base languages', () => {
+  assert.equal(normalizeLanguage('en_us'), 'en');
+  assert.equal(normalizeLanguage(' ES '), 'es');
+  assert.equal(normalizeLanguage('pt-BR'), 'pt');
+  assert.equal(normalizeLanguage('xx'), null);
+  assert.equal(normalizeLanguage(null), null);
+});
+
+test('a job asks for the requested, default or known language, else detection', () => {
+  assert.equal(transcriptionLanguage({ requested: 'es', profileLanguage: 'en', sermonLanguage: 'fr' }), 'es');
+  assert.equal(transcriptionLanguage({ profileLanguage: 'en', sermonLanguage: 'fr' }), 'en');
+  assert.equal(transcriptionLanguage({ sermonLanguage: 'fr' }), 'fr');
+  assert.equal(transcriptionLanguage({}), null);
+  assert.equal(transcriptionLanguage({ requested: 'auto', profileLanguage: 'en' }), null, '"auto" overrides a default');
+
+  assert.deepEqual(providerLanguageOptions('es'), { language_code: 'es' });
+  assert.deepEqual(providerLanguageOptions(null), { language_detection: true });
+});
+
+test('the language is read from the profile and the sermon, and detected when they can\'t be read', async () => {
+  const supabase = fakeSupabase({
+    profiles: { data: { transcription_language: null }, error: null },
+    sermons: { data: { language: 'pt' }, error: null }
+  });
+  assert.equal(await resolveTranscriptionLanguage({ supabase, sermonId: 's-1', userId: 'u-1' }), 'pt');
+
+  const failing = fakeSupabase({ profiles: { data: null, error: { message: 'down' } } });
+  assert.equal(await resolveTranscriptionLanguage({ supabase: failing, sermonId: 's-1', userId: 'u-1', logger: silentLogger }), null);
+  assert.equal(await resolveTranscriptionLanguage({ supabase: failing, sermonId: 's-1', userId: 'u-1', requested: 'es', logger: silentLogger }), 'es');
+});
+
+test('summaries follow the user\'s choice, else the sermon, and English prompts are unchanged', () => {
+  assert.equal(summaryLanguage({ sermonLanguage: 'es', preferredLanguage: 'en' }), 'en');
+  assert.equal(summaryLanguage({ sermonLanguage: 'es' }), 'es');
+  assert.equal(summaryLanguage({}), null);
+
+  assert.equal(summaryLanguageInstruction({ language: 'en', sermonLanguage: 'en' }), '');
+  assert.equal(summaryLanguageInstruction({ language: 'en' }), '');
+  assert.equal(summaryLanguageInstruction({}), '');
+  assert.match(summaryLanguageInstruction({ language: 'es', sermonLanguage: 'es' }), /The transcript is in Spanish\. Write the title and every part of the summary in Spanish/);
+  assert.match(summaryLanguageInstruction({ language: 'en', sermonLanguage: 'es' }), /The transcript is in Spanish; translate faithfully, quoting the speaker in English/);
+});
+
+test('the language instruction follows the registry prompt, except in section notes', async () => {
+  const prompt = { model: 'test', system: () => 'SYSTEM', user: () => 'USER' };
+  const seen = [];
+  const complete = async (params) => {
+    seen.push(params.messages[0].content);
+    return { choices: [{ message: { content: 'TITLE: Gracia\n\nResumen.' } }] };
+  };
+
+  await generateSummary({ complete, prompt, text: 'texto', language: 'es', sermonLanguage: 'es' });
+  await generateSummary({ complete, prompt, text: 'text', language: 'en', sermonLanguage: 'en' });
+  await generateSummary({ complete, prompt, text: 'texto', stage: 'section', section: { index: 0, count: 2 }, language: 'es', sermonLanguage: 'es' });
+
+  assert.match(seen[0], /^SYSTEM\n\n## Summary Language:\n/);
+  assert.equal(seen[1], 'SYSTEM');
+  assert.equal(seen[2], 'SYSTEM');
+});
+
+test('a completed transcription records the language the provider heard', async () => {
+  const job = transcriptionJob({ language: null });
+  const supabase = fakeSupabase();
+  const text = 'Buenos días, hermanos. Abramos nuestras Biblias en Romanos ocho.';
+  await completeTranscriptionJob({ supabase, job, transcript: { text, words: [], language_code: 'es' }, logger: silentLogger });
+  const update = supabase.calls.find((call) => call.table === 'sermons' && call.ops[0][0] === 'update' && 'language' in call.ops[0][1]);
+  assert.deepEqual(update.ops, [['update', { language: 'es' }], ['eq', 'id', 's-1']]);
+
+  const unknown = fakeSupabase();
+  await completeTranscriptionJob({ supabase: unknown, job, transcript: { text, words: [] }, logger: silentLogger });
+  assert.equal(unknown.calls.some((call) => call.table === 'sermons' && call.ops[0][0] === 'update' && 'language' in call.ops[0][1]), false);
+});
+
+test('summaries and get-sermons carry the language', () => {
+  const row = buildSummaryUpsertRow({ localId: 'l', sermonId: 's', userId: 'u', title: 'T', text: 'x', language: 'es' });
+  assert.equal(row.language, 'es');
+  assert.equal(buildSummaryUpsertRow({ localId: 'l', sermonId: 's', userId: 'u', title: 'T', text: 'x' }).language, null);
+
+  const sermon = transformSermon({ id: 's1', language: 'es', summaries: [{ id: 'sum', title: 'T', text: 'x', language: 'en' }] });
+  assert.equal(sermon.language, 'es');
+  assert.equal(sermon.summary.language, 'en');
+  assert.equal(transformSermon({ id: 's2' }).language, null);
+});
+
+test('languages are validated', () => {
+  const sermonLocalId = '6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b';
+  assert.equal(Validator.validate({ sermonLocalId, language: 'ES' }, 'processingJob').data.language, 'es');
+  assert.equal(Validator.validate({ sermonLocalId, language: 'auto' }, 'processingJob').valid, true);
+  assert.equal(Validator.validate({ sermonLocalId, language: 'xx' }, 'processingJob').valid, false);
+  assert.equal(Validator.validate({ summaryLanguage: null }, 'languagePreference').valid, true);
+  assert.equal(Validator.validate({}, 'languagePreference').valid, false);
+  assert.equal(Validator.validate({ transcriptionLanguage: 'auto' }, 'languagePreference').valid, false);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  speakerTurns,
+  speakerSummaries,
+  namedTurns,
+  renderSpeakerTranscript,
+  focusTranscript,
+  saveSermonSpeaker
+} = require('../sermonSpeakers');
+const { completeTranscriptionJob } = require('../completeTranscription');
+const { transformSermon } = require('../getSermonsPayload');
+const { Validator } = require('../validator');
+const { silentLogger, fakeSupabase, transcriptionJob, completedTranscriptRow } = require('./helpers');
+
+// AssemblyAI-shaped words for `[speaker, sentence]` turns, one second a word.
+function wordsOf(turns) {
+  const words = [];
+  for (const [speaker, sentence] of turns) {
+    for (const text of sentence.split(' ')) {
+      const start = words.length * 1000;
+      words.push({ text, start, end: start + 900, speaker });
+    }
+  }
+  return words;
+}
+
+const SERVICE = [
+  ['B', 'Welcome everyone, the potluck is after the service in the hall.'],
+  ['A', 'Open your Bibles to Romans eight. Nothing can separate us from the love of God, and that is the whole point this morning.'],
+  ['C', 'Let us stand and sing together.'],
+  ['A', 'Amen. Let us pray.']
+];
+
+test('turns are runs of one speaker\'s words, or the provider\'s utterances', () => {
+  const turns = speakerTurns({ words: wordsOf(SERVICE) });
+  assert.deepEqual(turns.map((turn) => turn.speaker), ['B', 'A', 'C', 'A']);
+  assert.equal(turns[0].text, SERVICE[0][1]);
+  assert.equal(turns[0].startMs, 0);
+  assert.equal(turns[1].startMs, 11000);
+  assert.equal(turns[0].endMs, 10900);
+
+  assert.deepEqual(speakerTurns({
+    utterances: [{ speaker: 'A', start: 0, end: 900, text: ' Hello. ' }, { speaker: 'B', start: 1000, end: 1900, text: '' }],
+    words: wordsOf(SERVICE)
+  }), [{ speaker: 'A', startMs: 0, endMs: 900, text: 'Hello.' }]);
+
+  assert.equal(speakerTurns({ words: [{ text: 'Unlabelled', start: 0, end: 900 }] }), null);
+  assert.equal(speakerTurns({ utterances: null, words: null }), null);
+});
+
+test('speakers are listed in order of appearance with their names and talk time', () => {
+  const turns = speakerTurns({ words: wordsOf(SERVICE) });
+  const speakers = [{ label: 'A', name: 'Pastor Dan', role: 'preacher' }];
+
+  assert.deepEqual(speakerSummaries(turns, speakers).map((s) => [s.label, s.name, s.role, s.turns]), [
+    ['B', null, null, 1],
+    ['A', 'Pastor Dan', 'preacher', 2],
+    ['C', null, null, 1]
+  ]);
+  assert.equal(speakerSummaries(turns)[0].durationMs, 10900);
+
+  assert.deepEqual(namedTurns(turns, speakers).map((turn) => [turn.name, turn.role]), [
+    ['Speaker B', null], ['Pastor Dan', 'preacher'], ['Speaker C', null], ['Pastor Dan', 'preacher']
+  ]);
+  assert.match(renderSpeakerTranscript(turns, speakers), /^Speaker B: Welcome everyone.*\n\nPastor Dan: Open your Bibles/);
+});
+
+test('the summary reads the named preacher, or everyone but announcers and worship', () => {
+  const words = wordsOf(SERVICE);
+  const text = SERVICE.map(([, sentence]) => sentence).join(' ');
+  const turns = speakerTurns({ words });
+
+  const unlabelled = focusTranscript({ text, words, turns, speakers: [] });
+  assert.equal(unlabelled.focused, false);
+  assert.equal(unlabelled.text, text);
+
+  const preacher = focusTranscript({ text, words, turns, speakers: [{ label: 'A', name: 'Pastor Dan', role: 'preacher' }] });
+  assert.equal(preacher.focused, true);
+  assert.deepEqual(preacher.labels, ['A']);
+  assert.equal(preacher.text, `${SERVICE[1][1]} ${SERVICE[3][1]}`);
+  assert.ok(preacher.words.every((word) => word.speaker === 'A'));
+
+  const withoutAnnouncements = focusTranscript({ text, words, turns, speakers: [{ label: 'B', name: 'Amy', role: 'announcer' }] });
+  assert.deepEqual(withoutAnnouncements.labels, ['A', 'C']);
+  assert.match(withoutAnnouncements.text, /^Speaker A: Open your Bibles/);
+  assert.doesNotMatch(withoutAnnouncements.text, /potluck/);
+
+  const tooLittle = focusTranscript({ text, words, turns, speakers: [{ label: 'C', name: 'Sam', role: 'preacher' }] });
+  assert.equal(tooLittle.focused, false, 'a preacher with one line is not worth summarizing alone');
+
+  const named = focusTranscript({ text, words, turns, speakers: [{ label: 'B', name: 'Amy', role: 'other' }] });
+  assert.equal(named.focused, false, 'names alone change nothing');
+});
+
+test('naming a label upserts it per sermon; clearing both deletes it', async () => {
+  const supabase = fakeSupabase({ sermon_speakers: { data: { label: 'A', name: 'Pastor Dan', role: 'preacher' }, error: null } });
+  const saved = await saveSermonSpeaker({ supabase, sermonId: 's-1', userId: 'u-1', label: 'A', name: 'Pastor Dan', role: 'preacher' });
+  assert.deepEqual(saved, { label: 'A', name: 'Pastor Dan', role: 'preacher' });
+  const [op, { updated_at: updatedAt, ...row }, options] = supabase.calls[0].ops[0];
+  assert.equal(op, 'upsert');
+  assert.deepEqual(row, { sermon_id: 's-1', user_id: 'u-1', label: 'A', name: 'Pastor Dan', role: 'preacher' });
+  assert.ok(updatedAt);
+  assert.deepEqual(options, { onConflict: 'sermon_id,label' });
+
+  const clearing = fakeSupabase();
+  assert.equal(await saveSermonSpeaker({ supabase: clearing, sermonId: 's-1', userId: 'u-1', label: 'A', name: null, role: null }), null);
+  assert.deepEqual(clearing.calls[0].ops, [['delete'], ['eq', 'sermon_id', 's-1'], ['eq', 'label', 'A']]);
+
+  await assert.rejects(
+    saveSermonSpeaker({ supabase: fakeSupabase({ sermon_speakers: { data: null, error: { message: 'denied' } } }), sermonId: 's-1', userId: 'u-1', label: 'A', name: 'Dan', role: null }),
+    /sermon speaker write failed: denied/
+  );
+});
+
+test('speaker names are validated', () => {
+  const sermonId = '6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b';
+  assert.equal(Validator.validate({ sermonId, label: 'A', name: 'Pastor Dan', role: 'preacher' }, 'sermonSpeaker').valid, true);
+  assert.deepEqual(Validator.validate({ sermonId, label: 'B', name: 'Amy' }, 'sermonSpeaker').data.role, null);
+  assert.equal(Validator.validate({ sermonId, label: 'A', name: null, role: null }, 'sermonSpeaker').valid, true);
+  assert.equal(Validator.validate({ sermonId, label: 'A', name: 'Dan', role: 'bishop' }, 'sermonSpeaker').valid, false);
+  assert.equal(Validator.validate({ sermonId, label: 'A B', name: 'Dan' }, 'sermonSpeaker').valid, false);
+  assert.equal(Validator.validate({ sermonId: 'nope' }, 'sermonSpeakersQuery').valid, false);
+});
+
+test('a completed transcription stores its speaker turns', async () => {
+  const job = transcriptionJob();
+  const words = wordsOf(SERVICE);
+  const supabase = fakeSupabase();
+
+  await completeTranscriptionJob({ supabase, job, transcript: { text: 'Welcome everyone.', words }, logger: silentLogger });
+  assert.deepEqual(completedTranscriptRow(supabase).speaker_turns.map((turn) => turn.speaker), ['B', 'A', 'C', 'A']);
+
+  const untagged = fakeSupabase();
+  await completeTranscriptionJob({ supabase: untagged, job, transcript: { text: 'Hi.', words: [] }, logger: silentLogger });
+  assert.equal(completedTranscriptRow(untagged).speaker_turns, null);
+});
+
+test('get-sermons returns the named speakers by label', () => {
+  const sermon = transformSermon({
+    id: 's1',
+    sermon_speakers: [{ label: 'B', name: 'Amy', role: 'announcer' }, { label: 'A', name: 'Pastor Dan', role: 'preacher' }]
+  });
+  assert.deepEqual(sermon.speakers, [
+    { label: 'A', name: 'Pastor Dan', role: 'preacher' },
+    { label: 'B', name: 'Amy', role: 'announcer' }
+  ]);
+  assert.deepEqual(transformSermon({ id: 's2' }).speakers, []);
+});
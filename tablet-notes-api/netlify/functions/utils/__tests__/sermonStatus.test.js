@@ -132,6 +132,10 @@ function fakeCompletionSupabase() {
           };
         }
       };
+    },
+    rpc(_name, params) {
+      writes.transcripts.push(params.p_row);
+      return { select: () => ({ async maybeSingle() { return { data: { id: 'transcript-1' }, error: null }; } }) };
     }
   };
 }
@@ -205,6 +209,10 @@ test('the sermon is marked before the job is, so Realtime never sees a stale pai
           };
         }
       };
+    },
+    rpc(name) {
+      order.push(`rpc:${name}`);
+      return { select: () => ({ async maybeSingle() { return { data: { id: 't' }, error: null }; } }) };
     }
   };
 
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectServiceSpans, sermonOnlyTranscript } = require('../serviceSegments');
+const { completeTranscriptionJob } = require('../completeTranscription');
+const { applyTranscriptEdits, saveTranscriptEdits } = require('../transcriptEdits');
+const { transformSermon } = require('../getSermonsPayload');
+const { silentLogger, fakeSupabase, transcriptionJob, completedTranscriptRow } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+const VOCABULARY = (
+  'grace faith hope love mercy church world light truth life spirit word heart peace joy ' +
+  'people city river mountain bread water shepherd servant kingdom promise covenant prophet ' +
+  'apostle letter gospel story father mother child friend stranger neighbor journey road ' +
+  'garden harvest season morning evening battle victory weakness strength patience kindness'
+).split(' ');
+
+// Speech: a word every 400ms from a varied vocabulary, confidently transcribed.
+function speech(speaker, fromMs, toMs, { say = [] } = {}) {
+  const words = say.map((text, i) => ({ text, start: fromMs + i * 400, end: fromMs + i * 400 + 350, confidence: 0.95, speaker }));
+  for (let start = fromMs + say.length * 400, i = 0; start < toMs; start += 400, i += 1) {
+    words.push({ text: VOCABULARY[(i * 7) % VOCABULARY.length], start, end: start + 350, confidence: 0.93, speaker });
+  }
+  return words;
+}
+
+// Singing: the same few words every two seconds, poorly recognized.
+function singing(speaker, fromMs, toMs) {
+  const words = [];
+  const lyric = ['hallelujah', 'praise', 'him'];
+  for (let start = fromMs, i = 0; start < toMs; start += 2000, i += 1) {
+    words.push({ text: lyric[i % lyric.length], start, end: start + 1500, confidence: 0.45, speaker });
+  }
+  return words;
+}
+
+const SERVICE = [
+  ...singing('C', 0, 10 * MINUTE),
+  ...speech('B', 10 * MINUTE, 16 * MINUTE),
+  ...speech('A', 16 * MINUTE, 44 * MINUTE),
+  ...speech('A', 44 * MINUTE, 46 * MINUTE, { say: ['Let', 'us', 'pray.', 'Father,'] }),
+  ...singing('C', 46 * MINUTE, 50 * MINUTE)
+];
+
+const kinds = (detected) => detected.spans.map((span) => span.kind);
+
+test('a Sunday recording splits into worship, announcements, sermon, prayer and worship', () => {
+  const detected = detectServiceSpans({ words: SERVICE });
+  assert.deepEqual(kinds(detected), ['worship', 'announcements', 'sermon', 'prayer', 'worship']);
+  assert.equal(detected.sermonStartMs, 16 * MINUTE);
+  assert.equal(detected.sermonEndMs, 44 * MINUTE);
+
+  const [worship, announcements, sermon, prayer, closing] = detected.spans;
+  assert.equal(worship.startMs, 0);
+  assert.equal(announcements.startMs, worship.endMs);
+  assert.equal(sermon.startMs, announcements.endMs);
+  assert.equal(prayer.startMs, 44 * MINUTE);
+  assert.equal(closing.startMs, prayer.endMs);
+  assert.equal(closing.endMs, SERVICE[SERVICE.length - 1].end);
+});
+
+test('a named preacher decides whose run is the sermon', () => {
+  const detected = detectServiceSpans({ words: SERVICE, speakers: [{ label: 'B', name: 'Guest', role: 'preacher' }] });
+  assert.equal(detected.sermonStartMs, 10 * MINUTE);
+  assert.ok(detected.sermonEndMs <= 16 * MINUTE);
+});
+
+test('recordings without a sermon-length run of speech are not classified', () => {
+  assert.equal(detectServiceSpans({ words: speech('A', 0, 4 * MINUTE) }), null);
+  assert.equal(detectServiceSpans({ words: singing('C', 0, 30 * MINUTE) }), null);
+  assert.equal(detectServiceSpans({ words: [] }), null);
+  assert.equal(detectServiceSpans({ words: [{ text: 'untimed' }] }), null);
+
+  const unlabelled = speech(undefined, 0, 20 * MINUTE);
+  assert.deepEqual(kinds(detectServiceSpans({ words: unlabelled })), ['sermon'], 'one speaker, no labels');
+});
+
+test('the summary reads the sermon span unless it is nearly everything or turned off', () => {
+  const text = SERVICE.map((word) => word.text).join(' ');
+  const trimmed = sermonOnlyTranscript({ text, words: SERVICE, env: {} });
+  assert.equal(trimmed.trimmed, true);
+  assert.equal(trimmed.sermonStartMs, 16 * MINUTE);
+  assert.ok(trimmed.words.every((word) => word.speaker === 'A'));
+  assert.doesNotMatch(trimmed.text, /hallelujah/);
+  assert.doesNotMatch(trimmed.text, /Let us pray/);
+
+  assert.equal(sermonOnlyTranscript({ text, words: SERVICE, env: { SUMMARY_SERMON_ONLY: 'off' } }).trimmed, false);
+
+  const sermonOnly = speech('A', 0, 20 * MINUTE);
+  const whole = sermonOnlyTranscript({ text: 'the sermon', words: sermonOnly, env: {} });
+  assert.deepEqual(whole, { text: 'the sermon', words: sermonOnly, trimmed: false });
+
+  assert.equal(sermonOnlyTranscript({ text: 'no timings', words: null, env: {} }).text, 'no timings');
+});
+
+test('a completed transcription stores its spans, and get-sermons returns them', async () => {
+  const job = transcriptionJob();
+  const supabase = fakeSupabase();
+  await completeTranscriptionJob({
+    supabase,
+    job,
+    transcript: { text: SERVICE.map((word) => word.text).join(' '), words: SERVICE },
+    logger: silentLogger
+  });
+  const spans = completedTranscriptRow(supabase).service_spans;
+  assert.equal(spans.sermonStartMs, 16 * MINUTE);
+
+  const sermon = transformSermon({
+    id: 's1',
+    transcripts: [{ id: 't-1', local_id: 'l', text: 'hello', status: 'complete', service_spans: spans }]
+  });
+  assert.deepEqual(sermon.transcript.serviceSpans, spans);
+  assert.equal(transformSermon({ id: 's2', transcripts: [{ id: 't-2', local_id: 'l', text: 'hi', status: 'complete' }] }).transcript.serviceSpans, null);
+});
+
+test('an edit saves spans detected from the edited words', async () => {
+  const worship = SERVICE.filter((word) => word.start < 10 * MINUTE).length;
+  const { words, applied } = applyTranscriptEdits(SERVICE, [{ fromWord: 0, toWord: worship, text: '' }]);
+  const supabase = fakeSupabase({ transcript_edits: { data: null, error: null } }, {
+    rpc: () => ({ data: { id: 't-1', text: '', status: 'complete', updated_at: 'now', edited_at: 'now' }, error: null })
+  });
+
+  await saveTranscriptEdits({
+    supabase,
+    sermon: { id: 's-1', user_id: 'u-1', local_id: 'l-1' },
+    transcript: { id: 't-1' },
+    baseUpdatedAt: 'then',
+    words,
+    applied,
+    logger: silentLogger
+  });
+
+  const spans = supabase.calls.find((call) => call.rpc === 'save_transcript_edit').params.p_service_spans;
+  assert.deepEqual(kinds(spans), ['announcements', 'sermon', 'prayer', 'worship'], 'the deleted worship is gone');
+  assert.deepEqual(spans, detectServiceSpans({ words }));
+});
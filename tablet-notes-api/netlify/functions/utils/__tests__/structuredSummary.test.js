@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  STRUCTURED_SUMMARY_VERSION,
+  STRUCTURED_SUMMARY_PROMPT_SHAPE,
+  parseStructuredSummary,
+  renderStructuredSummaryMarkdown
+} = require('../structuredSummary');
+
+const modelOutput = {
+  title: 'Transition from Wilderness to Promise',
+  overview: 'The pastor walked through Joshua 1 and the call to be strong and courageous.',
+  mainScripture: 'Joshua 1:1-9',
+  mainPoints: [
+    { heading: 'God finishes what He starts', detail: 'Moses died, but the promise did not.' },
+    { heading: 'Courage is commanded', detail: null }
+  ],
+  scriptureReferences: [
+    { reference: 'Joshua 1:9', note: 'The central command' },
+    { reference: 'Deuteronomy 31:6' }
+  ],
+  applicationPoints: ['Name one step you have been avoiding.'],
+  quotes: ['The wilderness was never meant to be your address.'],
+  discussionQuestions: ['Where are you waiting for permission God already gave?']
+};
+
+test('a well-formed completion validates and is stamped with the schema version', () => {
+  const result = parseStructuredSummary(JSON.stringify(modelOutput));
+
+  assert.equal(result.valid, true);
+  assert.equal(result.data.schemaVersion, STRUCTURED_SUMMARY_VERSION);
+  assert.equal(result.data.title, 'Transition from Wilderness to Promise');
+  assert.deepEqual(result.data.mainPoints[1], { heading: 'Courage is commanded', detail: null });
+  assert.deepEqual(result.data.scriptureReferences[1], { reference: 'Deuteronomy 31:6', note: null });
+});
+
+test('non-JSON output is reported, not thrown', () => {
+  const result = parseStructuredSummary('TITLE: A markdown answer\n\nThe model ignored the format.');
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0], /not valid JSON/);
+});
+
+test('a JSON array is not a summary', () => {
+  const result = parseStructuredSummary('[]');
+  assert.equal(result.valid, false);
+});
+
+test('missing title or overview fails validation', () => {
+  const { title, overview, ...rest } = modelOutput;
+  const result = parseStructuredSummary(rest);
+  assert.equal(result.valid, false);
+  assert.equal(result.errors.length, 2);
+});
+
+test('blank list entries are dropped rather than failing the summary', () => {
+  const result = parseStructuredSummary({
+    ...modelOutput,
+    mainScripture: '',
+    mainPoints: [{ heading: '' }, { heading: 'Real point', detail: '' }],
+    scriptureReferences: [{ reference: '  ' }],
+    quotes: ['', '  ']
+  });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.data.mainScripture, null);
+  assert.deepEqual(result.data.mainPoints, [{ heading: 'Real point', detail: null }]);
+  assert.deepEqual(result.data.scriptureReferences, []);
+  assert.deepEqual(result.data.quotes, []);
+});
+
+test('unknown keys from the model are stripped', () => {
+  const result = parseStructuredSummary({ ...modelOutput, sermonStructure: 'extra' });
+  assert.equal(result.valid, true);
+  assert.equal('sermonStructure' in result.data, false);
+});
+
+test('the prompt shape names every field the schema accepts', () => {
+  const result = parseStructuredSummary(modelOutput);
+  const persisted = Object.keys(result.data).filter((key) => key !== 'schemaVersion').sort();
+  assert.deepEqual(Object.keys(STRUCTURED_SUMMARY_PROMPT_SHAPE).sort(), persisted);
+});
+
+test('markdown rendering carries each section and omits the title', () => {
+  const { data } = parseStructuredSummary(modelOutput);
+  const markdown = renderStructuredSummaryMarkdown(data);
+
+  assert.equal(markdown.includes('Transition from Wilderness to Promise'), false);
+  assert.match(markdown, /^\*\*Main Scripture Text\*\*\nJoshua 1:1-9/);
+  assert.match(markdown, /1\. \*\*God finishes what He starts\*\* — Moses died/);
+  assert.match(markdown, /2\. \*\*Courage is commanded\*\*$/m);
+  assert.match(markdown, /- Joshua 1:9 — The central command/);
+  assert.match(markdown, /\*\*Study Questions\*\*\n1\. Where are you waiting/);
+});
+
+test('empty sections are left out of the markdown', () => {
+  const { data } = parseStructuredSummary({
+    title: 'Short',
+    overview: 'Only an overview.'
+  });
+  assert.equal(renderStructuredSummaryMarkdown(data), '**Brief Summary**\nOnly an overview.');
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { resolvePrompt } = require('../promptRegistry');
+const { createCompletionClient } = require('../llmClient');
+const { generateSummary, extractSummaryTitle } = require('../summaryGeneration');
+const {
+  extractScriptureReferences,
+  checkScriptureGrounding,
+  checkRequiredSections,
+  checkTitle,
+  checkLengthBounds,
+  scoreSummary,
+  createStubCompletionClient
+} = require('../summaryEval');
+
+// Offline evaluation harness: golden transcripts through the real
+// summarization path (registry prompt -> completion -> title/sections), scored
+// with deterministic checks. CI runs it against the stub model. To score the
+// live model — e.g. before activating a new prompt version — run
+// `npm run eval` with OPENAI_API_KEY set (or LLM_PROVIDER=local and its
+// LLM_LOCAL_* settings), optionally with
+// PROMPT_VERSION_PINS=summary=<n> to evaluate a specific version.
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'golden-transcripts');
+
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .sort()
+  .map((file) => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8')));
+
+function evalCompletionClient() {
+  if (process.env.EVAL_COMPLETION !== 'live') return createStubCompletionClient();
+
+  // Whatever LLM_PROVIDER configures, so a local model can be scored too.
+  const llm = createCompletionClient();
+  return (params) => llm.complete(params);
+}
+
+const complete = evalCompletionClient();
+
+for (const fixture of fixtures) {
+  test(`golden transcript: ${fixture.id}`, { timeout: 120000 }, async () => {
+    const prompt = resolvePrompt('summary', { serviceType: fixture.serviceType, tier: fixture.tier });
+    const result = await generateSummary({
+      complete,
+      prompt,
+      text: fixture.transcript,
+      serviceType: fixture.serviceType,
+      tier: fixture.tier,
+      format: fixture.format
+    });
+
+    assert.equal(result.ok, true, `generation rejected: ${(result.errors || []).join('; ')}`);
+
+    const score = scoreSummary(fixture, result);
+    const failures = score.checks
+      .filter((check) => !check.passed)
+      .map((check) => `${check.name}: ${check.detail}`);
+    assert.deepEqual(failures, [], `${fixture.id} with ${prompt.id}`);
+  });
+}
+
+test('every fixture declares what the harness needs', () => {
+  assert.ok(fixtures.length >= 4);
+  for (const fixture of fixtures) {
+    assert.ok(fixture.id && fixture.serviceType && fixture.transcript, fixture.id);
+    assert.ok(['basic', 'premium'].includes(fixture.tier), fixture.id);
+    assert.ok(['markdown', 'structured'].includes(fixture.format), fixture.id);
+    assert.ok(extractScriptureReferences(fixture.transcript).length > 0, `${fixture.id} cites no scripture`);
+  }
+});
+
+// --- the checks themselves ---
+
+const transcript = 'Open to Joshua chapter 1, verse 9. Be strong and courageous. Compare 1 Corinthians 15:58.';
+
+test('references the speaker made are grounded, spoken form included', () => {
+  const check = checkScriptureGrounding({
+    summary: 'The pastor preached Joshua 1:1-9 and closed with 1 Cor 15:58.',
+    transcript
+  });
+  assert.equal(check.passed, true);
+});
+
+test('an invented reference fails grounding and is named', () => {
+  const check = checkScriptureGrounding({
+    summary: 'Joshua 1:9 was central, echoing John 3:16 and Romans 8:28.',
+    transcript
+  });
+  assert.equal(check.passed, false);
+  assert.equal(check.detail, 'not in transcript: John 3:16, Romans 8:28');
+});
+
+test('numbered books are told apart from each other', () => {
+  // A real chapter of both: the shared parser drops chapters a book doesn't have.
+  const check = checkScriptureGrounding({ summary: '2 Corinthians 13:14', transcript: 'Read 1 Corinthians 13:4-7.' });
+  assert.equal(check.passed, false);
+});
+
+test('ordinary words that share a book name are not references', () => {
+  assert.deepEqual(extractScriptureReferences('Please mark 3 dates and read acts 2 of the play.'), []);
+});
+
+test('required sections depend on service type and tier', () => {
+  const basic = '**Brief Summary**\nText\n\n**Key Points (Comprehensive)**\n1. One';
+  assert.equal(checkRequiredSections({ summary: basic, serviceType: 'Sermon', tier: 'basic' }).passed, true);
+
+  const study = checkRequiredSections({ summary: basic, serviceType: 'bible study', tier: 'basic' });
+  assert.equal(study.passed, false);
+  assert.equal(study.detail, 'missing: Scripture References');
+
+  const premium = checkRequiredSections({ summary: basic, serviceType: 'Sermon', tier: 'premium' });
+  assert.equal(premium.detail, 'missing: Application');
+
+  assert.equal(
+    checkRequiredSections({ summary: `${basic}\n\n## Application\n- Go`, serviceType: 'Sermon', tier: 'premium' }).passed,
+    true
+  );
+});
+
+test('a guessed or default title fails the title check', () => {
+  assert.equal(checkTitle({ title: 'Be Strong and Courageous', titleMethod: 'prefix' }).passed, true);
+  assert.equal(checkTitle({ title: 'Be Strong and Courageous', titleMethod: 'structured' }).passed, true);
+  assert.equal(checkTitle({ title: 'Good morning church', titleMethod: 'fallback' }).passed, false);
+  assert.match(checkTitle({ title: 'Sermon Summary', titleMethod: 'prefix' }).detail, /default title/);
+  assert.match(checkTitle({ title: '**Bold** Title', titleMethod: 'prefix' }).detail, /markdown/);
+});
+
+test('length bounds differ by tier', () => {
+  const words = (n) => Array.from({ length: n }, () => 'word').join(' ');
+  assert.equal(checkLengthBounds({ summary: words(100), tier: 'basic' }).passed, true);
+  assert.equal(checkLengthBounds({ summary: words(100), tier: 'premium' }).passed, false);
+  assert.equal(checkLengthBounds({ summary: words(1000), tier: 'basic' }).passed, false);
+  assert.equal(checkLengthBounds({ summary: words(1000), tier: 'premium' }).passed, true);
+});
+
+test('title extraction handles the TITLE: line with and without bold', () => {
+  assert.deepEqual(extractSummaryTitle('TITLE: Strong and Courageous\n\n**Brief Summary**\nBody'), {
+    title: 'Strong and Courageous',
+    summary: '**Brief Summary**\nBody',
+    method: 'prefix'
+  });
+  assert.equal(extractSummaryTitle('**TITLE: Strong and Courageous**\n\nBody').title, 'Strong and Courageous');
+
+  const fallback = extractSummaryTitle('Strong and Courageous\n\nBody');
+  assert.equal(fallback.method, 'fallback');
+  assert.equal(fallback.title, 'Strong and Courageous');
+});
+
+test('malformed structured output is rejected rather than scored', async () => {
+  const result = await generateSummary({
+    complete: async () => ({ choices: [{ message: { content: 'TITLE: Not JSON' } }] }),
+    prompt: resolvePrompt('summary', { pins: {} }),
+    text: transcript,
+    serviceType: 'Sermon',
+    tier: 'basic',
+    format: 'structured'
+  });
+  assert.equal(result.ok, false);
+  assert.equal(result.statusCode, 502);
+});
+
+test('a bold first heading survives title removal', () => {
+  assert.equal(
+    extractSummaryTitle('TITLE: Strong\n\n**Main Scripture Text**\nJoshua 1:9').summary,
+    '**Main Scripture Text**\nJoshua 1:9'
+  );
+  assert.equal(extractSummaryTitle('TITLE: Strong\n**\nBody').summary, 'Body');
+});
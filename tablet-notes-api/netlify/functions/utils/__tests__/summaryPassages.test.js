@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createLocalBibleSource } = require('../localBibleSource');
+const { parseReference } = require('../scriptureReferences');
+const {
+  FREE_PASSAGE_VERSES,
+  MAX_SUMMARY_PASSAGES,
+  summaryReferences,
+  lookupSummaryPassages,
+  enrichSummaryPassages
+} = require('../summaryPassages');
+
+const KJV = 'de4e12af7f28f599-01';
+const source = createLocalBibleSource({ dataDir: path.join(__dirname, 'fixtures', 'bible') });
+const refs = (...texts) => texts.map(parseReference);
+
+// Records the profiles read and the summaries update enrichSummaryPassages makes.
+function fakeSupabase({ preferredBibleId = null, updateError = null } = {}) {
+  const updates = [];
+  return {
+    updates,
+    from(table) {
+      if (table === 'profiles') {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          maybeSingle: async () => ({ data: { preferred_bible_id: preferredBibleId }, error: null })
+        };
+        return query;
+      }
+      return {
+        update(values) {
+          const filters = [];
+          const query = {
+            eq(column, value) {
+              filters.push([column, value]);
+              if (filters.length === 2) {
+                updates.push({ table, values, filters });
+                return Promise.resolve({ error: updateError });
+              }
+              return query;
+            }
+          };
+          return query;
+        }
+      };
+    }
+  };
+}
+
+async function withEnrichment(value, fn) {
+  const previous = process.env.SUMMARY_VERSE_ENRICHMENT;
+  if (value === undefined) delete process.env.SUMMARY_VERSE_ENRICHMENT;
+  else process.env.SUMMARY_VERSE_ENRICHMENT = value;
+  try {
+    return await fn();
+  } finally {
+    if (previous === undefined) delete process.env.SUMMARY_VERSE_ENRICHMENT;
+    else process.env.SUMMARY_VERSE_ENRICHMENT = previous;
+  }
+}
+
+test('references come from the main scripture, the listed ones, then the prose, once each', () => {
+  const references = summaryReferences({
+    summary: 'As Psalm 23 says, and John 3:16-17 too.',
+    structured: {
+      mainScripture: 'Romans 8:28',
+      scriptureReferences: [{ reference: 'John 3:16-17' }, { reference: 'romans 8:28' }, { reference: 'the still waters' }, null]
+    }
+  });
+  assert.deepEqual(references.map((r) => r.osis), ['Rom.8.28', 'John.3.16-John.3.17', 'Ps.23']);
+
+  assert.deepEqual(summaryReferences({ summary: 'No verses here.', structured: null }), []);
+});
+
+test('paid tiers get whole passages, free the first verses of each', async () => {
+  const references = refs('Psalm 23', 'John 3:16-17');
+
+  const paid = await lookupSummaryPassages({ source, references, bibleId: KJV, isPaid: true });
+  assert.deepEqual(paid.passages.map((p) => [p.osis, p.verses.length, p.truncated]), [['Ps.23', 6, false], ['John.3.16-John.3.17', 2, false]]);
+  assert.equal(paid.verseCount, 8);
+  assert.equal(paid.capped, false);
+  assert.equal(paid.passages[0].display, 'Psalm 23');
+  assert.equal(paid.passages[0].text, paid.passages[0].verses.map((v) => v.text).join(' '));
+  assert.deepEqual(Object.keys(paid.passages[0].verses[0]), ['osis', 'chapter', 'verse', 'text']);
+
+  const free = await lookupSummaryPassages({ source, references, bibleId: KJV, isPaid: false });
+  assert.deepEqual(free.passages.map((p) => [p.osis, p.verses.length, p.truncated]), [['Ps.23', FREE_PASSAGE_VERSES, true], ['John.3.16-John.3.17', 2, false]]);
+  assert.equal(free.capped, false, 'a free cut is not the verse cap');
+});
+
+test('the verse cap cuts the passage that crosses it and drops the rest', async () => {
+  const result = await lookupSummaryPassages({ source, references: refs('Psalm 23', 'Romans 8:28'), bibleId: KJV, isPaid: true, verseCap: 4 });
+  assert.deepEqual(result.passages.map((p) => [p.osis, p.verses.length, p.truncated]), [['Ps.23', 4, true]]);
+  assert.equal(result.verseCount, 4);
+  assert.equal(result.capped, true);
+
+  const many = Array.from({ length: MAX_SUMMARY_PASSAGES + 1 }, () => parseReference('Romans 8:28'));
+  const calls = [];
+  const counting = { getPassage: async (params) => { calls.push(params); return source.getPassage(params); } };
+  const limited = await lookupSummaryPassages({ source: counting, references: many, bibleId: KJV });
+  assert.equal(calls.length, MAX_SUMMARY_PASSAGES);
+  assert.equal(limited.capped, true);
+});
+
+test('lookups that fail or find nothing are skipped', async () => {
+  const warnings = [];
+  const flaky = {
+    getPassage: async (params) => {
+      if (params.reference.osis === 'John.3.16') throw new Error('Circuit breaker is OPEN');
+      return source.getPassage(params);
+    }
+  };
+  const result = await lookupSummaryPassages({
+    source: flaky,
+    references: refs('John 3:16', 'Genesis 1:1', 'Romans 8:28'),
+    bibleId: KJV,
+    logger: { warn: (message, meta) => warnings.push([message, meta.osis]) }
+  });
+  assert.deepEqual(result.passages.map((p) => p.osis), ['Rom.8.28']);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(warnings, [['Summary passage lookup failed', 'John.3.16']]);
+});
+
+test('enrichment stores the passages on the user\'s summary row in their translation', async () => {
+  const supabase = fakeSupabase({ preferredBibleId: KJV });
+  const calls = [];
+  const recording = { getPassage: async (params) => { calls.push(params.bibleId); return source.getPassage(params); } };
+
+  const stored = await withEnrichment(undefined, () => enrichSummaryPassages({
+    supabase,
+    sermonId: 's-1',
+    userId: 'u-1',
+    summary: 'Grounded in Romans 8:28.',
+    structured: { mainScripture: 'Psalm 23' },
+    isPaid: false,
+    source: recording
+  }));
+
+  assert.equal(stored, 2);
+  assert.deepEqual(calls, [KJV, KJV]);
+  assert.equal(supabase.updates.length, 1);
+  const { values, filters } = supabase.updates[0];
+  assert.deepEqual(filters, [['sermon_id', 's-1'], ['user_id', 'u-1']]);
+  assert.equal(values.scripture_passages.bibleId, KJV);
+  assert.equal(values.scripture_passages.tier, 'free');
+  assert.equal(values.scripture_passages.capped, false);
+  assert.deepEqual(values.scripture_passages.passages.map((p) => p.osis), ['Ps.23', 'Rom.8.28']);
+});
+
+test('enrichment is skipped when turned off and throws when the row cannot be written', async () => {
+  const off = fakeSupabase();
+  const skipped = await withEnrichment('off', () => enrichSummaryPassages({
+    supabase: off, sermonId: 's-1', userId: 'u-1', summary: 'Romans 8:28', structured: null, isPaid: true, source
+  }));
+  assert.equal(skipped, null);
+  assert.equal(off.updates.length, 0);
+
+  const broken = fakeSupabase({ updateError: { message: 'column does not exist' } });
+  await assert.rejects(
+    withEnrichment(undefined, () => enrichSummaryPassages({
+      supabase: broken, sermonId: 's-1', userId: 'u-1', summary: 'Romans 8:28', structured: null, isPaid: true, source
+    })),
+    /summary passages write failed: column does not exist/
+  );
+});
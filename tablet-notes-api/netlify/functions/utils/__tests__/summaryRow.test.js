@@ -3,8 +3,11 @@ const assert = require('node:assert');
 
 const {
   buildSummaryUpsertRow,
+  buildClientSummaryRow,
   missingRequiredSummaryColumns,
-  REQUIRED_SUMMARY_COLUMNS
+  summaryCoversTranscript,
+  REQUIRED_SUMMARY_COLUMNS,
+  DERIVED_SUMMARY_COLUMNS
 } = require('../summaryRow');
 
 // TAB-81: the durable pipeline's summary upsert omitted `type` and `title`,
@@ -91,3 +94,104 @@ test('type falls back to Sermon when the service type is unknown', () => {
   });
   assert.strictEqual(row.type, 'Sermon');
 });
+
+test('structured sections ride along when the generation produced them', () => {
+  const structured = { schemaVersion: 1, title: 'T', overview: 'O', mainPoints: [] };
+  const row = buildSummaryUpsertRow({
+    localId: 'l', sermonId: 's', userId: 'u',
+    title: 'T', text: 'body', serviceType: 'Sermon', structured
+  });
+  assert.deepStrictEqual(row.structured, structured);
+});
+
+test('a markdown-only summary clears sections an earlier structured run stored', () => {
+  const row = buildSummaryUpsertRow({
+    localId: 'l', sermonId: 's', userId: 'u',
+    title: 'T', text: 'body', serviceType: 'Sermon'
+  });
+  assert.strictEqual(row.structured, null);
+});
+
+test('a regenerated summary clears the passages cited by the text it replaces', () => {
+  const row = buildSummaryUpsertRow({
+    localId: 'l', sermonId: 's', userId: 'u',
+    title: 'T', text: 'body', serviceType: 'Sermon'
+  });
+  assert.strictEqual(row.scripture_passages, null);
+});
+
+test('a client summary with new text clears every derived column', () => {
+  const row = buildClientSummaryRow({
+    summary: { id: 'l', title: 'T', text: 'edited on the phone' },
+    sermonId: 's',
+    userId: 'u',
+    existingSummary: { text: 'generated' }
+  });
+  assert.strictEqual(row.text, 'edited on the phone');
+  for (const column of DERIVED_SUMMARY_COLUMNS) {
+    assert.strictEqual(row[column], null, column);
+  }
+});
+
+test('a client summary for a sermon with none yet clears the derived columns too', () => {
+  const row = buildClientSummaryRow({
+    summary: { id: 'l', text: 'body' },
+    sermonId: 's',
+    userId: 'u',
+    existingSummary: null
+  });
+  assert.strictEqual(row.structured, null);
+  assert.strictEqual(row.type, 'devotional');
+  assert.strictEqual(row.title, '');
+});
+
+test('re-pushing the text the row already holds keeps what the summary job derived', () => {
+  const row = buildClientSummaryRow({
+    summary: { id: 'l', title: 'T', text: 'generated', type: 'Sermon', status: 'complete' },
+    sermonId: 's',
+    userId: 'u',
+    existingSummary: { text: 'generated' }
+  });
+  for (const column of DERIVED_SUMMARY_COLUMNS) {
+    assert.strictEqual(column in row, false, column);
+  }
+});
+
+test('the row records the prompt version and model that wrote it', () => {
+  const row = buildSummaryUpsertRow({
+    localId: 'l', sermonId: 's', userId: 'u',
+    title: 'T', text: 'body', serviceType: 'Sermon',
+    promptVersion: 'summary@v1', model: 'gpt-4o-mini'
+  });
+  assert.strictEqual(row.prompt_version, 'summary@v1');
+  assert.strictEqual(row.model, 'gpt-4o-mini');
+  assert.strictEqual(row.section_prompt_version, null, 'a single pass has no section notes');
+});
+
+test('a summary merged from section notes records their prompt too', () => {
+  const row = buildSummaryUpsertRow({
+    localId: 'l', sermonId: 's', userId: 'u',
+    title: 'T', text: 'body', serviceType: 'Sermon',
+    promptVersion: 'summary@v1', sectionPromptVersion: 'summary.section-notes@v1'
+  });
+  assert.strictEqual(row.section_prompt_version, 'summary.section-notes@v1');
+});
+
+test('unknown provenance is written as null so a re-summary never inherits the old one', () => {
+  const row = buildSummaryUpsertRow({
+    localId: 'l', sermonId: 's', userId: 'u',
+    title: 'T', text: 'body', serviceType: 'Sermon',
+    existingSummary: { local_id: 'l', title: 'Old', type: 'Sermon' }
+  });
+  assert.strictEqual(row.prompt_version, null);
+  assert.strictEqual(row.model, null);
+});
+
+test('a summary older than its transcript is stale and written again', () => {
+  const transcript = { updated_at: '2026-10-19T10:00:00.123456+00:00' };
+  assert.strictEqual(summaryCoversTranscript({ text: 'body', updated_at: '2026-10-19T10:05:00Z' }, transcript), true);
+  assert.strictEqual(summaryCoversTranscript({ text: 'body', updated_at: '2026-10-19T09:00:00Z' }, transcript), false);
+  assert.strictEqual(summaryCoversTranscript({ text: '  ', updated_at: '2026-10-19T10:05:00Z' }, transcript), false, 'no summary yet');
+  assert.strictEqual(summaryCoversTranscript(null, transcript), false);
+  assert.strictEqual(summaryCoversTranscript({ text: 'body' }, transcript), true, 'undated rows are kept, as before');
+});
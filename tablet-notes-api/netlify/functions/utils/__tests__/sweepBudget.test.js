@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  BACKGROUND_FUNCTION_LIMIT_MS,
+  SWEEP_MARGIN_MS,
+  SHORT_WORK_MS,
+  createSweep,
+  sweepHasTimeFor
+} = require('../sweepBudget');
+
+const MINUTE = 60 * 1000;
+
+test('the deadline leaves a margin inside the background function limit', () => {
+  const sweep = createSweep({ now: 0, inlineTranscriptions: 1 });
+  assert.equal(sweep.deadline, BACKGROUND_FUNCTION_LIMIT_MS - SWEEP_MARGIN_MS);
+  assert.equal(sweep.inlineRemaining, 1);
+  assert.equal(sweep.deferred, 0);
+});
+
+test('work is started only while it fits before the deadline', () => {
+  const sweep = createSweep({ now: 0 });
+
+  assert.equal(sweepHasTimeFor(sweep, 8 * MINUTE, 5 * MINUTE), true);
+  assert.equal(sweepHasTimeFor(sweep, 8 * MINUTE, 7 * MINUTE), false, 'a summary no longer fits');
+  assert.equal(sweepHasTimeFor(sweep, SHORT_WORK_MS, 7 * MINUTE), true, 'a short step still does');
+  assert.equal(sweepHasTimeFor(sweep, undefined, sweep.deadline), false);
+  assert.equal(sweep.deferred, 2);
+});
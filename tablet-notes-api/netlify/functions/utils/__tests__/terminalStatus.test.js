@@ -133,6 +133,11 @@ function fakePipelineSupabase({ sermonSelectResults } = {}) {
           return chain;
         }
       };
+    },
+    // The transcript row and its segments, written together on completion.
+    rpc(_name, params) {
+      writes.transcripts.push(params.p_row);
+      return { select: () => ({ async maybeSingle() { return { data: { id: 'transcript-1' }, error: null }; } }) };
     }
   };
 }
@@ -0,0 +1,268 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  wordsFromSegments,
+  wordsCoverTranscript,
+  applyTranscriptEdits,
+  saveTranscriptEdits,
+  loadTranscriptEdits,
+  transcriptKeepingEdits
+} = require('../transcriptEdits');
+const { completeTranscriptionJob } = require('../completeTranscription');
+const { Validator } = require('../validator');
+const { silentLogger, fakeSupabase, op, firstOp, transcriptionJob } = require('./helpers');
+
+const WORDS = [
+  { text: 'Turn', start: 0, end: 300, confidence: 0.95, speaker: 'A' },
+  { text: 'to', start: 350, end: 450, confidence: 0.9, speaker: 'A' },
+  { text: 'Have', start: 500, end: 800, confidence: 0.4, speaker: 'A' },
+  { text: 'a', start: 800, end: 850, confidence: 0.3, speaker: 'A' },
+  { text: 'cook', start: 850, end: 1400, confidence: 0.35, speaker: 'A' },
+  { text: 'today.', start: 1500, end: 1900, confidence: 0.9, speaker: 'B' }
+];
+
+const SERMON = { id: 's-1', user_id: 'u-1', local_id: 'l-1' };
+
+test('a word-for-word correction keeps each word’s own timing', () => {
+  const result = applyTranscriptEdits(WORDS, [{ fromWord: 1, toWord: 2, text: 'into' }]);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.words[1], { text: 'into', start: 350, end: 450, confidence: 1, speaker: 'A' });
+  assert.deepEqual(result.words.slice(2), WORDS.slice(2));
+  assert.deepEqual(result.applied, [
+    { fromWord: 1, toWord: 2, before: 'to', after: 'into', startMs: 350, endMs: 450 }
+  ]);
+});
+
+test('a different number of words is spread across the span by length', () => {
+  const { words, applied } = applyTranscriptEdits(WORDS, [{ fromWord: 2, toWord: 5, text: 'Habakkuk' }]);
+  assert.deepEqual(words.map((word) => word.text), ['Turn', 'to', 'Habakkuk', 'today.']);
+  assert.deepEqual(words[2], { text: 'Habakkuk', start: 500, end: 1400, confidence: 1, speaker: 'A' });
+  assert.equal(applied[0].before, 'Have a cook');
+
+  // "Habakkuk two" over one word: 9 and 4 parts of its 900ms.
+  const split = applyTranscriptEdits(WORDS.slice(0, 1).concat({ ...WORDS[4], start: 500 }), [
+    { fromWord: 1, toWord: 2, text: 'Habakkuk  two' }
+  ]);
+  assert.deepEqual(split.words.slice(1).map(({ start, end }) => [start, end]), [[500, 1123], [1123, 1400]]);
+});
+
+test('an empty span inserts at that point and empty text deletes the span', () => {
+  const { words, applied } = applyTranscriptEdits(WORDS, [
+    { fromWord: 0, toWord: 0, text: 'Please' },
+    { fromWord: 5, toWord: 6, text: '' }
+  ]);
+  assert.deepEqual(words.map((word) => word.text), ['Please', 'Turn', 'to', 'Have', 'a', 'cook']);
+  assert.deepEqual(words[0], { text: 'Please', start: 0, end: 0, confidence: 1, speaker: 'A' });
+  assert.deepEqual(applied[1], { fromWord: 5, toWord: 6, before: 'today.', after: '', startMs: 1500, endMs: 1900 });
+
+  const appended = applyTranscriptEdits(WORDS, [{ fromWord: 6, toWord: 6, text: 'Amen.' }]).words;
+  assert.deepEqual(appended[6], { text: 'Amen.', start: 1900, end: 1900, confidence: 1, speaker: 'B' });
+});
+
+test('spans outside the transcript or over each other are refused', () => {
+  assert.deepEqual(applyTranscriptEdits(WORDS, [{ fromWord: 5, toWord: 7, text: 'x' }]), {
+    ok: false,
+    message: 'Edit span 5-7 is outside the transcript\'s 6 words'
+  });
+  assert.equal(applyTranscriptEdits(WORDS, [
+    { fromWord: 3, toWord: 5, text: 'x' },
+    { fromWord: 2, toWord: 4, text: 'y' }
+  ]).message, 'Edit spans overlap');
+  assert.equal(applyTranscriptEdits(WORDS, [
+    { fromWord: 2, toWord: 2, text: 'x' },
+    { fromWord: 2, toWord: 2, text: 'y' }
+  ]).message, 'Edit spans overlap');
+  assert.equal(applyTranscriptEdits(WORDS, [
+    { fromWord: 2, toWord: 3, text: 'x' },
+    { fromWord: 3, toWord: 4, text: 'y' }
+  ]).ok, true, 'adjacent spans are fine');
+});
+
+test('served segments convert back to provider words', () => {
+  assert.deepEqual(wordsFromSegments([{ text: 'Amen', startTime: 1.5, endTime: 1.9, confidence: null, speaker: null }]), [
+    { text: 'Amen', start: 1500, end: 1900, confidence: null, speaker: null }
+  ]);
+});
+
+test('only words that are the whole transcript text can be edited', () => {
+  const transcript = { text: 'Turn to  Have a cook today.' };
+  assert.equal(wordsCoverTranscript(transcript, WORDS), true, 'spacing aside');
+  assert.equal(wordsCoverTranscript({ text: 'An untimed transcript.' }, []), false, 'no words at all');
+  assert.equal(
+    wordsCoverTranscript({ text: 'Welcome. Turn to Have a cook today.' }, WORDS),
+    false,
+    'text the words leave out would be lost'
+  );
+});
+
+test('a save is conditional on the version read and records its history', async () => {
+  const { words, applied } = applyTranscriptEdits(WORDS, [{ fromWord: 2, toWord: 5, text: 'Habakkuk' }]);
+  const supabase = fakeSupabase({
+    transcript_edits: { data: { id: 'e-1', base_updated_at: 'then', edits: applied, created_at: 'now' }, error: null }
+  }, {
+    rpc: () => ({ data: { id: 't-1', text: 'Turn to Habakkuk today.', status: 'complete', updated_at: 'now', edited_at: 'now' }, error: null })
+  });
+
+  const saved = await saveTranscriptEdits({
+    supabase,
+    sermon: SERMON,
+    transcript: { id: 't-1' },
+    baseUpdatedAt: 'then',
+    words,
+    applied,
+    logger: silentLogger
+  });
+  assert.equal(saved.transcript.text, 'Turn to Habakkuk today.');
+  assert.deepEqual(saved.edit, { id: 'e-1', baseUpdatedAt: 'then', edits: applied, createdAt: 'now' });
+  assert.equal(saved.segments, 4);
+  assert.equal(saved.searchIndexQueued, true);
+
+  // The row and its segments are one write, conditional on the version read.
+  const save = supabase.calls.find((call) => call.rpc === 'save_transcript_edit');
+  assert.equal(save.params.p_transcript_id, 't-1');
+  assert.equal(save.params.p_base_updated_at, 'then');
+  assert.equal(save.params.p_text, 'Turn to Habakkuk today.');
+  assert.equal(save.params.p_segments.length, 4);
+  assert.deepEqual(save.params.p_speaker_turns.map((turn) => turn.speaker), ['A', 'B']);
+  assert.equal(save.params.p_service_spans, null, 'recomputed from the edited words: four words hold no sermon');
+  assert.deepEqual(save.params.p_rows.map((row) => [row.position, row.text]), [[0, 'Turn'], [1, 'to'], [2, 'Habakkuk'], [3, 'today.']]);
+  assert.equal(supabase.calls.some((call) => call.table === 'transcript_segments'), false);
+
+  const history = supabase.calls.find((call) => call.table === 'transcript_edits');
+  assert.deepEqual(op(history, 'insert')[1], {
+    transcript_id: 't-1',
+    sermon_id: 's-1',
+    user_id: 'u-1',
+    base_updated_at: 'then',
+    edits: applied
+  });
+
+  const reindex = supabase.calls.find((call) => call.table === 'processing_jobs');
+  assert.equal(op(reindex, 'upsert')[1].kind, 'search_index');
+  assert.equal(op(reindex, 'upsert')[1].sermon_local_id, 'l-1');
+});
+
+test('a transcript changed since it was read is not overwritten', async () => {
+  const supabase = fakeSupabase();
+  const saved = await saveTranscriptEdits({
+    supabase,
+    sermon: SERMON,
+    transcript: { id: 't-1' },
+    baseUpdatedAt: 'then',
+    words: WORDS,
+    applied: [],
+    logger: silentLogger
+  });
+  assert.equal(saved, null);
+  assert.deepEqual(supabase.calls.map((call) => call.rpc), ['save_transcript_edit'], 'no history for an edit that did not land');
+
+  // Nothing is saved when the segments can't be written with the row.
+  await assert.rejects(
+    saveTranscriptEdits({
+      supabase: fakeSupabase({}, { rpc: () => ({ data: null, error: { message: 'insert or update on table "transcript_segments" violates foreign key constraint' } }) }),
+      sermon: SERMON,
+      transcript: { id: 't-1' },
+      baseUpdatedAt: 'then',
+      words: WORDS,
+      applied: []
+    }),
+    /transcript edit failed: insert or update on table "transcript_segments"/
+  );
+});
+
+test('the history is read newest first', async () => {
+  const supabase = fakeSupabase({
+    transcript_edits: { data: [{ id: 'e-2', base_updated_at: 'b', edits: null, created_at: 'c' }], error: null }
+  });
+  assert.deepEqual(await loadTranscriptEdits({ supabase, sermonId: 's-1' }), [
+    { id: 'e-2', baseUpdatedAt: 'b', edits: [], createdAt: 'c' }
+  ]);
+  const [call] = supabase.calls;
+  assert.deepEqual(op(call, 'order'), ['order', 'created_at', { ascending: false }]);
+  assert.deepEqual(op(call, 'limit'), ['limit', 50]);
+});
+
+test('a re-transcription keeps the user’s edits', async () => {
+  const edited = applyTranscriptEdits(WORDS, [{ fromWord: 2, toWord: 5, text: 'Habakkuk' }]).words;
+  const existing = { local_id: 'local-1', edited_at: '2026-10-19T09:00:00Z', text: 'Turn to Habakkuk today.', segments: edited, updated_at: '2026-10-19T09:00:00.123456+00:00' };
+  const provider = { text: 'Turn to Have a cook today.', words: WORDS, utterances: [{ speaker: 'A', start: 0, end: 1900, text: 'x' }], language_code: 'en' };
+
+  const kept = transcriptKeepingEdits(existing, provider);
+  assert.equal(kept.text, 'Turn to Habakkuk today.');
+  assert.equal(kept.words, edited);
+  assert.equal(kept.utterances, null);
+  assert.equal(kept.language_code, 'en');
+  assert.equal(transcriptKeepingEdits({ local_id: 'local-1', edited_at: null }, provider), provider);
+
+  const job = transcriptionJob();
+  const supabase = fakeSupabase({ transcripts: { data: { id: 't-1', ...existing }, error: null } });
+  const result = await completeTranscriptionJob({ supabase, job, transcript: provider, logger: silentLogger });
+  assert.equal(result.ok, true);
+  assert.equal(result.keptEdits, true);
+
+  const write = supabase.calls.find((call) => call.rpc === 'save_completed_transcript');
+  assert.equal(write.params.p_sermon_id, 's-1');
+  assert.equal(write.params.p_base_updated_at, existing.updated_at, 'only over the version read');
+  assert.equal(write.params.p_row.text, 'Turn to Habakkuk today.');
+  assert.equal(write.params.p_row.segments, edited);
+  assert.equal(write.params.p_row.local_id, 'local-1');
+  assert.deepEqual(write.params.p_rows.map((row) => row.text), ['Turn', 'to', 'Habakkuk', 'today.'], 'the segments are the kept words');
+  assert.equal(supabase.calls.some((call) => call.table === 'transcripts' && firstOp(call) !== 'select'), false, 'no write of its own');
+});
+
+test('an edit saved while a re-transcription completes is kept', async () => {
+  const provider = { text: 'Turn to Have a cook today.', words: WORDS };
+  const edited = applyTranscriptEdits(WORDS, [{ fromWord: 2, toWord: 5, text: 'Habakkuk' }]).words;
+  const versions = [
+    { id: 't-1', local_id: 'local-1', edited_at: null, text: provider.text, segments: WORDS, updated_at: 'v1' },
+    { id: 't-1', local_id: 'local-1', edited_at: 'v2', text: 'Turn to Habakkuk today.', segments: edited, updated_at: 'v2' }
+  ];
+  let reads = 0;
+  const supabase = fakeSupabase({
+    transcripts: () => ({ data: versions[Math.min(reads++, 1)], error: null })
+  }, {
+    // The edit landed after the first read: only v2 is still current.
+    rpc: (name, params) => ({ data: params.p_base_updated_at === 'v2' ? { id: 't-1' } : null, error: null })
+  });
+
+  const result = await completeTranscriptionJob({ supabase, job: transcriptionJob(), transcript: provider, logger: silentLogger });
+  assert.equal(result.ok, true);
+  assert.equal(result.keptEdits, true);
+  const writes = supabase.calls.filter((call) => call.rpc === 'save_completed_transcript');
+  assert.equal(writes.length, 2);
+  assert.equal(writes[1].params.p_row.text, 'Turn to Habakkuk today.');
+});
+
+test('a transcript that can’t be read is not overwritten', async () => {
+  const supabase = fakeSupabase({
+    transcripts: (call) => firstOp(call) === 'select' ? { data: null, error: { message: 'statement timeout' } } : { data: { id: 't-1' }, error: null }
+  });
+  const result = await completeTranscriptionJob({
+    supabase,
+    job: transcriptionJob(),
+    transcript: { text: 'Turn to Have a cook today.', words: WORDS },
+    logger: silentLogger
+  });
+  assert.equal(result.ok, false);
+  assert.match(result.error, /transcript lookup failed: statement timeout/);
+  assert.deepEqual(supabase.calls.filter((call) => call.table === 'transcripts').map(firstOp), ['select']);
+  assert.equal(supabase.calls.some((call) => call.rpc), false, 'no write');
+
+  const [jobWrite] = supabase.calls.filter((call) => call.table === 'processing_jobs');
+  assert.equal(op(jobWrite, 'update')[1].status, 'queued', 'retried later');
+});
+
+test('edit requests need a version, at least one span and ordered bounds', () => {
+  const sermonId = '6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b';
+  const updatedAt = '2026-10-19T09:00:00.123456+00:00';
+  const valid = Validator.validate({ sermonId, updatedAt, edits: [{ fromWord: '2', toWord: 5, text: ' Habakkuk ' }] }, 'transcriptEdit');
+  assert.equal(valid.valid, true);
+  assert.deepEqual(valid.data.edits, [{ fromWord: 2, toWord: 5, text: 'Habakkuk' }]);
+
+  assert.equal(Validator.validate({ sermonId, updatedAt, edits: [{ fromWord: 0, toWord: 0, text: '' }] }, 'transcriptEdit').valid, true);
+  assert.equal(Validator.validate({ sermonId, updatedAt, edits: [] }, 'transcriptEdit').valid, false);
+  assert.equal(Validator.validate({ sermonId, edits: [{ fromWord: 0, toWord: 1, text: 'x' }] }, 'transcriptEdit').valid, false);
+  assert.equal(Validator.validate({ sermonId, updatedAt, edits: [{ fromWord: 3, toWord: 1, text: 'x' }] }, 'transcriptEdit').valid, false);
+  assert.equal(Validator.validate({ sermonId }, 'transcriptEditsQuery').valid, true);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lowConfidenceSpans, transcriptReview, reviewEdits } = require('../transcriptReview');
+const { wordsFromSegments, applyTranscriptEdits } = require('../transcriptEdits');
+const { segmentRows, transformSegment } = require('../transcriptSegments');
+const { correctionTerm, learnVocabulary, MAX_USER_TERMS } = require('../vocabulary');
+const { Validator } = require('../validator');
+const { silentLogger, fakeSupabase, op } = require('./helpers');
+
+// /transcript-detail word segments, one word a second.
+function segmentsOf(entries) {
+  return entries.map(([text, confidence, speaker = 'A'], i) => ({
+    text, startTime: i, endTime: i + 0.9, confidence, speaker
+  }));
+}
+
+const WORDS = segmentsOf([
+  ['Turn', 0.98],
+  ['to', 0.95],
+  ['have', 0.41],
+  ['a', 0.52],
+  ['cook', 0.38],
+  ['chapter', 0.97],
+  ['two.', null],
+  ['Pastor', 0.9, 'B'],
+  ['Okonko', 0.3, 'B'],
+  ['said', 0.5, 'C']
+]);
+
+test('runs of low-confidence words become spans with their context and times', () => {
+  const spans = lowConfidenceSpans(WORDS, { contextWords: 2 });
+  assert.deepEqual(spans[0], {
+    fromWord: 2,
+    toWord: 5,
+    text: 'have a cook',
+    startTime: 2,
+    endTime: 4.9,
+    confidence: 0.38,
+    speaker: 'A',
+    before: 'Turn to',
+    after: 'chapter two.'
+  });
+  assert.deepEqual(spans.slice(1).map(({ fromWord, toWord }) => [fromWord, toWord]), [[8, 9], [9, 10]], 'a new speaker starts a new span');
+  assert.equal(spans[2].after, '');
+
+  assert.equal(lowConfidenceSpans(WORDS, { threshold: 0.4 }).length, 2);
+  assert.deepEqual(lowConfidenceSpans(segmentsOf([['Amen', null]])), [], 'unscored words are never flagged');
+});
+
+test('the review reports its spans against the transcript version', () => {
+  const review = transcriptReview({
+    sermonId: 's-1',
+    transcript: { id: 't-1', updated_at: '2026-10-19T09:00:00Z' },
+    words: WORDS
+  });
+  assert.equal(review.transcriptId, 't-1');
+  assert.equal(review.updatedAt, '2026-10-19T09:00:00Z');
+  assert.equal(review.threshold, 0.6);
+  assert.equal(review.wordCount, 10);
+  assert.equal(review.flaggedWords, 5);
+  assert.equal(review.spans.length, 3);
+});
+
+test('accepted and corrected spans leave the review; corrections are learned', () => {
+  const { edits, corrections } = reviewEdits(WORDS, [
+    { fromWord: 2, toWord: 5, action: 'correct', text: 'Habakkuk' },
+    { fromWord: 8, toWord: 9, action: 'correct', text: 'Okonkwo', addToVocabulary: false },
+    { fromWord: 9, toWord: 10, action: 'accept' }
+  ]);
+  assert.deepEqual(edits, [
+    { fromWord: 2, toWord: 5, text: 'Habakkuk' },
+    { fromWord: 8, toWord: 9, text: 'Okonkwo' },
+    { fromWord: 9, toWord: 10, text: 'said' }
+  ]);
+  assert.deepEqual(corrections, [{ heard: 'have a cook', term: 'Habakkuk' }]);
+
+  const applied = applyTranscriptEdits(wordsFromSegments(WORDS), edits);
+  const after = segmentRows({ transcriptId: 't-1', words: applied.words }).map(transformSegment);
+  assert.equal(after.map((word) => word.text).join(' '), 'Turn to Habakkuk chapter two. Pastor Okonkwo said');
+  assert.deepEqual(after[7], { text: 'said', startTime: 9, endTime: 9.9, confidence: 1, speaker: 'C' }, 'accepted as it was');
+  assert.deepEqual(lowConfidenceSpans(after), []);
+});
+
+test('only corrections safe to apply to every transcript become vocabulary', () => {
+  assert.deepEqual(correctionTerm({ heard: 'have a cook', term: 'Habakkuk,' }), { term: 'Habakkuk', soundsLike: ['have a cook'] });
+  assert.deepEqual(correctionTerm({ heard: 'habakkuk', term: 'Habakkuk' }), { term: 'Habakkuk', soundsLike: [] }, 'case only');
+  assert.equal(correctionTerm({ heard: 'the', term: 'a' }), null, 'no keyword in the term');
+  assert.equal(correctionTerm({ heard: 'in the', term: 'Zion' }), null, 'no keyword in what was heard');
+  assert.equal(correctionTerm({ heard: 'x', term: 'one two three four five six seven' }), null, 'a phrase, not a term');
+  assert.deepEqual(correctionTerm({ heard: 'shalom', term: 'שָׁלוֹם' }), { term: 'שָׁלוֹם', soundsLike: ['shalom'] }, 'a script without case');
+  assert.deepEqual(correctionTerm({ heard: 'a gap a', term: 'Ἀγάπη' }), { term: 'Ἀγάπη', soundsLike: ['a gap a'] });
+  assert.deepEqual(correctionTerm({ heard: 'have a cook', term: 'habakkuk' }, { known: true }), { term: 'habakkuk', soundsLike: ['have a cook'] });
+});
+
+test('correcting an ordinary word teaches nothing', () => {
+  assert.equal(correctionTerm({ heard: 'love', term: 'loved' }), null, 'not a name');
+  assert.equal(correctionTerm({ heard: 'love', term: 'Loved' }), null, 'capitalised, but the same word inflected');
+  assert.equal(correctionTerm({ heard: 'bless', term: 'Blessed Assurance' }), null);
+  assert.equal(correctionTerm({ heard: 'love', term: 'loved' }, { known: true }), null, 'not even for a term the user has');
+});
+
+test('learned corrections add terms or extend the user’s existing ones', async () => {
+  const existing = { id: 'v-1', user_id: 'u-1', organization_id: null, term: 'Habakkuk', sounds_like: ['habba cook'], created_at: 'then' };
+  const supabase = fakeSupabase({
+    vocabulary_terms: (call) => {
+      if (op(call, 'update')) return { data: { ...existing, sounds_like: op(call, 'update')[1].sounds_like }, error: null };
+      if (op(call, 'insert')) return { data: { id: 'v-2', ...op(call, 'insert')[1], created_at: 'now' }, error: null };
+      return { data: [existing], error: null };
+    }
+  });
+
+  const learned = await learnVocabulary({
+    supabase,
+    userId: 'u-1',
+    corrections: [
+      { heard: 'have a cook', term: 'habakkuk' },
+      { heard: 'agape', term: 'agape' },
+      { heard: 'oh conquer', term: 'Okonkwo' },
+      { heard: 'the', term: 'a' }
+    ],
+    logger: silentLogger
+  });
+
+  assert.deepEqual(learned.updated.map((term) => term.soundsLike), [['habba cook', 'have a cook']]);
+  assert.deepEqual(learned.added.map((term) => [term.term, term.soundsLike, term.scope]), [
+    ['Okonkwo', ['oh conquer'], 'user']
+  ]);
+  assert.equal(learned.skipped, 2, 'agape names nothing the user has; the has no keyword');
+
+  const insert = supabase.calls.find((call) => op(call, 'insert'));
+  assert.deepEqual(op(insert, 'insert')[1], {
+    user_id: 'u-1', organization_id: null, term: 'Okonkwo', sounds_like: ['oh conquer'], created_by: 'u-1'
+  });
+});
+
+test('a full vocabulary learns no new terms, and an unreadable one is reported', async () => {
+  const full = Array.from({ length: MAX_USER_TERMS }, (_, i) => ({ id: `v-${i}`, term: `term${i}`, sounds_like: [] }));
+  const supabase = fakeSupabase({ vocabulary_terms: { data: full, error: null } });
+  const learned = await learnVocabulary({ supabase, userId: 'u-1', corrections: [{ heard: 'oh conquer', term: 'Okonkwo' }] });
+  assert.deepEqual(learned, { added: [], updated: [], skipped: 1 });
+  assert.equal(supabase.calls.length, 1);
+
+  await assert.rejects(
+    learnVocabulary({
+      supabase: fakeSupabase({ vocabulary_terms: { data: null, error: { message: 'timeout' } } }),
+      userId: 'u-1',
+      corrections: []
+    }),
+    /vocabulary read failed: timeout/
+  );
+});
+
+test('review decisions are validated', () => {
+  const sermonId = '6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b';
+  const updatedAt = '2026-10-19T09:00:00Z';
+  const valid = Validator.validate({ sermonId, updatedAt, decisions: [{ fromWord: 2, toWord: 5, action: 'correct', text: 'Habakkuk' }] }, 'transcriptReview');
+  assert.equal(valid.valid, true);
+  assert.equal(valid.data.decisions[0].addToVocabulary, true);
+
+  const decide = (decision) => Validator.validate({ sermonId, updatedAt, decisions: [decision] }, 'transcriptReview').valid;
+  assert.equal(decide({ fromWord: 2, toWord: 3, action: 'accept' }), true);
+  assert.equal(decide({ fromWord: 2, toWord: 3, action: 'accept', text: 'x' }), false);
+  assert.equal(decide({ fromWord: 2, toWord: 3, action: 'correct' }), false);
+  assert.equal(decide({ fromWord: 2, toWord: 2, action: 'accept' }), false, 'a reviewed span has words');
+  assert.equal(decide({ fromWord: 2, toWord: 3, action: 'ignore' }), false);
+
+  assert.equal(Validator.validate({ sermonId }, 'transcriptReviewQuery').data.threshold, 0.6);
+  assert.equal(Validator.validate({ sermonId, threshold: '1.5' }, 'transcriptReviewQuery').valid, false);
+
+  const decisions = [{ fromWord: 2, toWord: 5, action: 'accept' }];
+  assert.equal(Validator.validate({ sermonId, updatedAt, decisions }, 'transcriptReview').data.threshold, 0.6);
+  assert.equal(Validator.validate({ sermonId, updatedAt, decisions, threshold: 0.8 }, 'transcriptReview').data.threshold, 0.8);
+  assert.equal(Validator.validate({ sermonId, updatedAt, decisions, threshold: 1.5 }, 'transcriptReview').valid, false);
+});
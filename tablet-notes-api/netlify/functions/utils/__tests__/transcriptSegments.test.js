@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  segmentRows,
+  loadTranscriptWords,
+  sentenceSegments,
+  transcriptDetail
+} = require('../transcriptSegments');
+const { completeTranscriptionJob } = require('../completeTranscription');
+const { Validator } = require('../validator');
+const { silentLogger, fakeSupabase, op, firstOp, transcriptionJob } = require('./helpers');
+
+const WORDS = [
+  { text: 'Good', start: 0, end: 300, confidence: 0.98, speaker: 'A' },
+  { text: 'morning.', start: 350, end: 800, confidence: 0.9, speaker: 'A' },
+  { text: 'Turn', start: 1200, end: 1450, confidence: 0.8, speaker: 'A' },
+  { text: 'to', start: 1500, end: 1600, confidence: null, speaker: 'A' },
+  { text: 'Amen', start: 2000, end: 2400, confidence: 0.7, speaker: 'B' }
+];
+
+test('provider words become rows in seconds, keeping speaker and confidence', () => {
+  const rows = segmentRows({
+    transcriptId: 't-1',
+    words: [{ text: 'untimed' }, ...WORDS.slice(0, 2), { text: ' ', start: 900, end: 950 }]
+  });
+  assert.deepEqual(rows, [
+    { transcript_id: 't-1', position: 0, text: 'Good', start_time: 0, end_time: 0.3, confidence: 0.98, speaker: 'A' },
+    { transcript_id: 't-1', position: 1, text: 'morning.', start_time: 0.35, end_time: 0.8, confidence: 0.9, speaker: 'A' }
+  ]);
+  assert.deepEqual(segmentRows({ transcriptId: 't-1', words: null }), []);
+});
+
+test('stored segments are read page by page in word order', async () => {
+  const stored = Array.from({ length: 1500 }, (_, i) => ({
+    text: `w${i}`, start_time: i, end_time: i + 0.5, confidence: 0.9, speaker: 'A'
+  }));
+  const supabase = fakeSupabase({
+    transcripts: { data: { id: 't-1', text: 'w0 ...', status: 'complete', segments: WORDS }, error: null },
+    transcript_segments: (call) => {
+      const [, from, to] = op(call, 'range');
+      return { data: stored.slice(from, to + 1), error: null };
+    }
+  });
+
+  const loaded = await loadTranscriptWords({ supabase, sermonId: 's-1' });
+  assert.equal(loaded.source, 'segments');
+  assert.equal(loaded.words.length, 1500);
+  assert.deepEqual(loaded.words[1499], { text: 'w1499', startTime: 1499, endTime: 1499.5, confidence: 0.9, speaker: 'A' });
+
+  const reads = supabase.calls.filter((call) => call.table === 'transcript_segments');
+  assert.deepEqual(reads.map((call) => op(call, 'range').slice(1)), [[0, 999], [1000, 1999]]);
+  assert.deepEqual(op(reads[0], 'order'), ['order', 'position', { ascending: true }]);
+});
+
+test('transcripts from before the table are served from their own words', async () => {
+  const supabase = fakeSupabase({
+    transcripts: { data: { id: 't-1', text: 'Good morning.', status: 'complete', segments: WORDS }, error: null },
+    transcript_segments: { data: [], error: null }
+  });
+  const loaded = await loadTranscriptWords({ supabase, sermonId: 's-1' });
+  assert.equal(loaded.source, 'transcript');
+  assert.deepEqual(loaded.words[1], { text: 'morning.', startTime: 0.35, endTime: 0.8, confidence: 0.9, speaker: 'A' });
+
+  assert.equal(await loadTranscriptWords({ supabase: fakeSupabase(), sermonId: 's-1' }), null);
+});
+
+test('sentences end at punctuation or a change of speaker', () => {
+  const words = segmentRows({ transcriptId: 't-1', words: WORDS }).map((row) => ({
+    text: row.text, startTime: row.start_time, endTime: row.end_time, confidence: row.confidence, speaker: row.speaker
+  }));
+  assert.deepEqual(sentenceSegments(words), [
+    { text: 'Good morning.', startTime: 0, endTime: 0.8, confidence: 0.94, speaker: 'A' },
+    { text: 'Turn to', startTime: 1.2, endTime: 1.6, confidence: 0.8, speaker: 'A' },
+    { text: 'Amen', startTime: 2, endTime: 2.4, confidence: 0.7, speaker: 'B' }
+  ]);
+  assert.deepEqual(sentenceSegments([]), []);
+
+  const detail = transcriptDetail({
+    sermonId: 's-1',
+    transcript: { id: 't-1', text: 'Good morning. Turn to Amen', status: 'complete', updated_at: '2026-10-19T00:00:00Z' },
+    words,
+    granularity: 'sentence'
+  });
+  assert.equal(detail.version, 1);
+  assert.equal(detail.granularity, 'sentence');
+  assert.equal(detail.segments.length, 3);
+  assert.equal(transcriptDetail({ sermonId: 's-1', transcript: { id: 't-1' }, words }).segments, words);
+});
+
+test('a completed transcription stores its segments with the row, in one write', async () => {
+  const job = transcriptionJob();
+  const supabase = fakeSupabase({ transcripts: { data: null, error: null } });
+  const text = 'Good morning. Turn to Romans chapter eight, where Paul writes about life in the Spirit.';
+
+  const result = await completeTranscriptionJob({ supabase, job, transcript: { text, words: WORDS }, logger: silentLogger });
+  assert.equal(result.ok, true);
+  assert.equal(result.segments, WORDS.length);
+
+  const writes = supabase.calls.filter((call) => call.rpc);
+  assert.deepEqual(writes.map((call) => call.rpc), ['save_completed_transcript']);
+  assert.equal(writes[0].params.p_sermon_id, 's-1');
+  assert.equal(writes[0].params.p_base_updated_at, null, 'no row was read: the first transcript');
+  assert.equal(writes[0].params.p_row.text, text);
+  assert.deepEqual(writes[0].params.p_rows.map((row) => [row.position, row.text]), [[0, 'Good'], [1, 'morning.'], [2, 'Turn'], [3, 'to'], [4, 'Amen']]);
+  assert.equal(supabase.calls.some((call) => call.table === 'transcript_segments' || (call.table === 'transcripts' && firstOp(call) !== 'select')), false);
+});
+
+test('a transcription whose row and segments can’t be written stays retryable', async () => {
+  const job = transcriptionJob();
+  const supabase = fakeSupabase(
+    { transcripts: { data: { id: 't-1', local_id: 'local-1', updated_at: 'then' }, error: null } },
+    { rpc: () => ({ data: null, error: { message: 'statement timeout' } }) }
+  );
+  const text = 'Good morning. Turn to Romans chapter eight, where Paul writes about life in the Spirit.';
+
+  const result = await completeTranscriptionJob({ supabase, job, transcript: { text, words: WORDS }, logger: silentLogger });
+  assert.equal(result.ok, false);
+  assert.match(result.error, /transcript persist failed: statement timeout/);
+
+  const jobWrites = supabase.calls.filter((call) => call.table === 'processing_jobs');
+  assert.equal(jobWrites.length, 1, 'no summary chained');
+  const failure = op(jobWrites[0], 'update')[1];
+  assert.equal(failure.status, 'queued');
+  assert.ok(failure.next_attempt_at);
+  assert.match(failure.last_error, /statement timeout/);
+});
+
+test('detail requests default to words at version 1 and refuse versions this server lacks', () => {
+  const sermonId = '6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b';
+  const defaults = Validator.validate({ sermonId }, 'transcriptDetailQuery');
+  assert.equal(defaults.valid, true);
+  assert.deepEqual(defaults.data, { sermonId, granularity: 'word', version: 1 });
+
+  assert.equal(Validator.validate({ sermonId, granularity: 'sentence', version: '1' }, 'transcriptDetailQuery').data.version, 1);
+  assert.equal(Validator.validate({ sermonId, version: '2' }, 'transcriptDetailQuery').valid, false);
+  assert.equal(Validator.validate({ sermonId, granularity: 'paragraph' }, 'transcriptDetailQuery').valid, false);
+  assert.equal(Validator.validate({}, 'transcriptDetailQuery').valid, false);
+});
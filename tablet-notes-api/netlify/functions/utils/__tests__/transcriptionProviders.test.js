@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createAssemblyAIProvider,
+  createWhisperProvider,
+  normalizeWhisperTranscript,
+  createTranscriptionProviders
+} = require('../transcriptionProviders');
+const { classifySubmitFailure } = require('../processingJobs');
+const { completeTranscriptionJob } = require('../completeTranscription');
+const { createWhisperStandIn } = require('../../../../scripts/whisper-stand-in');
+const { silentLogger, fakeSupabase, transcriptionJob, completedTranscriptRow } = require('./helpers');
+
+// A stand-in on a free port, closed when the test ends.
+async function standIn(t, options) {
+  const server = createWhisperStandIn(options);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { server, baseURL: `${base}/v1` };
+}
+
+const audio = Buffer.from('stand-in audio');
+
+function namedProvider(name, mode = 'webhook') {
+  return { name, mode };
+}
+
+test('the provider is chosen by configuration and defaults to AssemblyAI', () => {
+  const defaults = createTranscriptionProviders({ env: {} });
+  assert.equal(defaults.primary.provider.name, 'assemblyai');
+  assert.equal(defaults.primary.provider.mode, 'webhook');
+  assert.equal(defaults.fallback, null);
+
+  const whisper = createTranscriptionProviders({
+    env: { TRANSCRIPTION_PROVIDER: 'whisper', WHISPER_BASE_URL: 'http://localhost:8000/v1' }
+  });
+  assert.equal(whisper.primary.provider.name, 'whisper');
+  assert.equal(whisper.primary.provider.mode, 'inline');
+
+  assert.throws(() => createTranscriptionProviders({ env: { TRANSCRIPTION_PROVIDER: 'whsiper' } }), /Unknown transcription provider "whsiper"/);
+  assert.throws(() => createTranscriptionProviders({ env: { TRANSCRIPTION_FALLBACK_PROVIDER: 'whisper' } }), /WHISPER_BASE_URL is required/);
+});
+
+test('new jobs go to the fallback while the primary is failing', async () => {
+  const providers = createTranscriptionProviders({
+    primary: namedProvider('assemblyai'),
+    fallback: namedProvider('whisper', 'inline'),
+    threshold: 1
+  });
+  assert.equal(providers.select().provider.name, 'assemblyai');
+
+  await assert.rejects(providers.primary.breaker.execute(async () => {
+    throw new Error('upstream 503');
+  }));
+  assert.equal(providers.select().provider.name, 'whisper');
+
+  assert.equal(providers.failoverFrom('assemblyai').provider.name, 'whisper');
+  assert.equal(providers.failoverFrom('whisper'), null, 'a job on the fallback has nowhere further to go');
+  assert.equal(createTranscriptionProviders({ env: {} }).failoverFrom('assemblyai'), null);
+  assert.equal(
+    createTranscriptionProviders({ env: { TRANSCRIPTION_FALLBACK_PROVIDER: 'assemblyai' } }).fallback,
+    null,
+    'the failing provider is no fallback for itself'
+  );
+});
+
+test('a job is handled by the provider recorded on it', () => {
+  const providers = createTranscriptionProviders({
+    env: { WHISPER_BASE_URL: 'http://localhost:8000/v1' },
+    primary: namedProvider('assemblyai')
+  });
+  assert.equal(providers.forJob({ provider: null }).provider.name, 'assemblyai', 'rows from before providers');
+  assert.equal(providers.forJob({ provider: 'assemblyai' }), providers.primary);
+
+  // No longer configured, still finished where it started.
+  const whisper = providers.forJob({ provider: 'whisper' });
+  assert.equal(whisper.provider.name, 'whisper');
+  assert.equal(providers.forJob({ provider: 'whisper' }), whisper, 'one breaker per provider');
+});
+
+test('the AssemblyAI adapter submits what the pipeline always sent', async () => {
+  const submitted = [];
+  const provider = createAssemblyAIProvider({
+    client: {
+      transcripts: {
+        submit: async (params) => {
+          submitted.push(params);
+          return { id: 'tx-1' };
+        },
+        get: async (id) => ({ id, status: 'completed' }),
+        list: async (params) => ({ transcripts: [], params })
+      }
+    }
+  });
+
+  const result = await provider.submit({
+    audioUrl: 'https://storage.example/signed',
+    language: 'en',
+    vocabulary: { speech_model: 'slam-1', keyterms_prompt: ['Habakkuk'] },
+    webhookUrl: 'https://api.example/api/assemblyai-webhook?job_id=j-1',
+    webhookSecret: 'shh'
+  });
+  assert.deepEqual(result, { id: 'tx-1' });
+  assert.equal(submitted[0].audio, 'https://storage.example/signed');
+  assert.equal(submitted[0].language_code, 'en');
+  assert.deepEqual(submitted[0].keyterms_prompt, ['Habakkuk']);
+  assert.equal(submitted[0].speaker_labels, true);
+  assert.equal(submitted[0].webhook_url, 'https://api.example/api/assemblyai-webhook?job_id=j-1');
+  assert.equal(submitted[0].webhook_auth_header_name, 'x-tabletnotes-webhook-secret');
+  assert.equal(submitted[0].webhook_auth_header_value, 'shh');
+
+  await provider.submit({ audioUrl: 'u', language: null, webhookUrl: 'w', webhookSecret: 's' });
+  assert.equal(submitted[1].language_detection, true);
+
+  assert.equal((await provider.get('tx-1')).status, 'completed');
+  assert.deepEqual((await provider.list({ limit: 100 })).params, { limit: 100 });
+});
+
+test('the Whisper adapter uploads the audio and returns an AssemblyAI-shaped transcript', async (t) => {
+  const { server, baseURL } = await standIn(t);
+  const provider = createWhisperProvider({ baseURL, model: 'large-v3', apiKey: 'local-key' });
+
+  const transcript = await provider.transcribe({ audio, fileName: 'sermon.m4a', language: 'en' });
+  assert.equal(transcript.status, 'completed');
+  assert.match(transcript.id, /^whisper-/);
+  assert.match(transcript.text, /^Good morning church\. Open your Bibles to Romans chapter eight\./);
+  assert.equal(transcript.language_code, 'en');
+  assert.deepEqual(transcript.words[1], { text: 'morning', start: 450, end: 850, confidence: 0.9 });
+  assert.equal(transcript.utterances, null);
+
+  const [request] = server.requests;
+  assert.equal(request.file, true);
+  assert.equal(request.fileName, 'sermon.m4a', 'servers go by the extension');
+  assert.equal(request.model, 'large-v3');
+  assert.equal(request.response_format, 'verbose_json');
+  assert.deepEqual(request['timestamp_granularities[]'], ['word', 'segment']);
+  assert.equal(request.language, 'en');
+  assert.equal(request.authorization, 'Bearer local-key');
+
+  await provider.transcribe({ audio, language: null });
+  assert.equal(server.requests[1].language, undefined, 'no language means the server detects it');
+});
+
+test('a failing or unreachable Whisper server is reported so the job can retry or fail over', async (t) => {
+  const { baseURL } = await standIn(t, { status: 500 });
+  await assert.rejects(
+    createWhisperProvider({ baseURL }).transcribe({ audio }),
+    /whisper server returned 500: .*stand-in failure/
+  );
+
+  // A port that was just free and is now closed.
+  const closed = createWhisperStandIn();
+  await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+
+  const unreachable = await createWhisperProvider({ baseURL: `http://127.0.0.1:${port}/v1` })
+    .transcribe({ audio })
+    .catch((error) => error);
+  assert.match(unreachable.message, /whisper server unreachable: ECONNREFUSED/);
+  assert.equal(classifySubmitFailure(unreachable), 'not-sent');
+
+  assert.throws(() => createWhisperProvider({}), /WHISPER_BASE_URL is required/);
+});
+
+test('Whisper responses from other servers normalize the same way', () => {
+  const nested = normalizeWhisperTranscript({
+    text: ' Hola hermanos. ',
+    language: 'spanish',
+    segments: [{ words: [{ word: ' Hola', start: 0.1, end: 0.5 }, { word: ' hermanos.', start: 0.6, end: 1.2 }] }]
+  }, { id: 'w-1' });
+  assert.deepEqual(nested, {
+    id: 'w-1',
+    status: 'completed',
+    text: 'Hola hermanos.',
+    words: [
+      { text: 'Hola', start: 100, end: 500, confidence: null },
+      { text: 'hermanos.', start: 600, end: 1200, confidence: null }
+    ],
+    utterances: null,
+    chapters: null,
+    language_code: 'es'
+  });
+
+  assert.equal(normalizeWhisperTranscript({ text: 'x', language: 'pt' }).language_code, 'pt');
+  assert.equal(normalizeWhisperTranscript({ text: 'x', language: 'klingon' }).language_code, null);
+  assert.deepEqual(normalizeWhisperTranscript({}).words, []);
+});
+
+test('a Whisper transcript completes the job like an AssemblyAI one', async (t) => {
+  const { baseURL } = await standIn(t);
+  const transcript = await createWhisperProvider({ baseURL }).transcribe({ audio });
+
+  const job = transcriptionJob({ provider: 'whisper', language: null });
+  const supabase = fakeSupabase();
+  const result = await completeTranscriptionJob({ supabase, job, transcript, logger: silentLogger });
+  assert.equal(result.ok, true);
+  assert.equal(result.summaryChained, true);
+
+  const row = completedTranscriptRow(supabase);
+  assert.equal(row.text, transcript.text);
+  assert.equal(row.segments.length, transcript.words.length);
+  assert.equal(row.speaker_turns, null, 'Whisper has no speaker labels');
+
+  const language = supabase.calls.find((call) => call.table === 'sermons' && call.ops[0][0] === 'update' && 'language' in call.ops[0][1]);
+  assert.deepEqual(language.ops[0][1], { language: 'en' });
+});
@@ -66,6 +66,33 @@ test('summarization schema rejects serviceType with disallowed characters', () =
   }
 });
 
+test('summarization format defaults to markdown so shipped clients keep their contract', () => {
+  const result = Validator.validate(validSummarization, 'summarization');
+  assert.equal(result.data.format, 'markdown');
+});
+
+test('summarization format accepts structured and rejects anything else', () => {
+  assert.equal(Validator.validate({ ...validSummarization, format: 'structured' }, 'summarization').data.format, 'structured');
+  assert.equal(Validator.validate({ ...validSummarization, format: 'json' }, 'summarization').valid, false);
+});
+
+test('summarization section stage requires its position, and only that stage accepts one', () => {
+  assert.equal(Validator.validate(validSummarization, 'summarization').data.stage, 'full');
+  assert.equal(Validator.validate({ ...validSummarization, stage: 'section' }, 'summarization').valid, false);
+
+  const section = Validator.validate(
+    { ...validSummarization, stage: 'section', section: { index: 1, count: 4 } },
+    'summarization'
+  );
+  assert.equal(section.valid, true);
+  assert.deepEqual(section.data.section, { index: 1, count: 4 });
+
+  assert.equal(
+    Validator.validate({ ...validSummarization, stage: 'merge', section: { index: 0, count: 1 } }, 'summarization').valid,
+    false
+  );
+});
+
 // --- processing jobs (TAB-72) ---
 
 const validProcessingJob = { sermonLocalId: '11111111-1111-4111-8111-111111111111' };
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MAX_KEYTERMS,
+  loadVocabulary,
+  canManageTerm,
+  providerVocabularyOptions,
+  submissionVocabulary,
+  applyVocabulary
+} = require('../vocabulary');
+const { completeTranscriptionJob } = require('../completeTranscription');
+const { Validator } = require('../validator');
+const { silentLogger, fakeSupabase, transcriptionJob, completedTranscriptRow } = require('./helpers');
+
+const TERMS = [
+  { term: 'Habakkuk', soundsLike: ['have a cook', 'habba cook'] },
+  { term: 'Pastor Okonkwo', soundsLike: ['pastor oh conquer'] },
+  { term: 'agape', soundsLike: [] }
+];
+
+// One word a second.
+function wordsOf(sentence) {
+  return sentence.split(' ').map((text, i) => ({ text, start: i * 1000, end: i * 1000 + 900, confidence: 0.9, speaker: 'A' }));
+}
+
+test('misheard terms are rewritten in the text, in any case', () => {
+  const text = 'Turn to have a cook chapter two. AGAPE love, as habakkuk and Pastor oh conquer said.';
+  const corrected = applyVocabulary({ text, words: null, terms: TERMS });
+  assert.equal(corrected.text, 'Turn to Habakkuk chapter two. agape love, as Habakkuk and Pastor Okonkwo said.');
+  assert.equal(corrected.replacements, 4);
+  assert.equal(corrected.words, null);
+
+  assert.equal(applyVocabulary({ text: 'shave a cookie', words: [], terms: TERMS }).text, 'shave a cookie', 'whole words only');
+  assert.deepEqual(applyVocabulary({ text: 'unchanged', words: [], terms: [] }), { text: 'unchanged', words: [], replacements: 0 });
+});
+
+test('a misheard phrase in the timed words becomes one word spanning them', () => {
+  const words = wordsOf('Read have a cook, chapter two');
+  const { words: corrected } = applyVocabulary({ text: '', words, terms: TERMS });
+  assert.deepEqual(corrected.map((word) => word.text), ['Read', 'Habakkuk,', 'chapter', 'two']);
+  assert.equal(corrected[1].start, 1000);
+  assert.equal(corrected[1].end, 3900);
+  assert.equal(corrected[1].speaker, 'A');
+});
+
+test('terms are sent as key terms to the model that reads them', () => {
+  const english = { language: 'en' };
+  assert.deepEqual(providerVocabularyOptions(TERMS, english), {
+    speech_model: 'slam-1',
+    keyterms_prompt: ['Habakkuk', 'Pastor Okonkwo', 'agape']
+  });
+  assert.deepEqual(providerVocabularyOptions([], english), {});
+  assert.deepEqual(providerVocabularyOptions([{ term: 'one two three four five six seven' }], english), {}, 'too many words');
+  assert.deepEqual(providerVocabularyOptions([{ term: 'Zion' }, { term: 'zion' }], english).keyterms_prompt, ['Zion']);
+
+  const many = Array.from({ length: MAX_KEYTERMS + 5 }, (_, i) => ({ term: `term${i}` }));
+  assert.equal(providerVocabularyOptions(many, english).keyterms_prompt.length, MAX_KEYTERMS);
+});
+
+test('key terms are sent for English jobs and for jobs with no language chosen', () => {
+  assert.deepEqual(providerVocabularyOptions(TERMS, { language: 'es' }), {});
+  assert.equal(providerVocabularyOptions(TERMS, { language: 'en_us' }).speech_model, 'slam-1');
+  assert.equal(providerVocabularyOptions(TERMS, { language: 'en' }).language_code, undefined);
+
+  // Nothing set: the terms still apply, in English as before detection.
+  const detected = providerVocabularyOptions(TERMS, { language: null });
+  assert.equal(detected.language_code, 'en');
+  assert.equal(detected.language_detection, false);
+  assert.deepEqual(detected.keyterms_prompt, ['Habakkuk', 'Pastor Okonkwo', 'agape']);
+  assert.deepEqual(providerVocabularyOptions(TERMS), detected);
+  assert.deepEqual(providerVocabularyOptions([], { language: null }), {}, 'without terms, the language is still detected');
+});
+
+test('a user’s terms are read for submission unless the job is in another language', async () => {
+  const supabase = fakeSupabase({ vocabulary_terms: { data: [{ id: 't-1', user_id: 'u-1', organization_id: null, term: 'Habakkuk', sounds_like: [] }], error: null } });
+  assert.deepEqual((await submissionVocabulary({ supabase, userId: 'u-1', language: null, logger: silentLogger })).keyterms_prompt, ['Habakkuk']);
+
+  const spanish = fakeSupabase();
+  assert.deepEqual(await submissionVocabulary({ supabase: spanish, userId: 'u-1', language: 'es', logger: silentLogger }), {});
+  assert.equal(spanish.calls.length, 0);
+});
+
+test('a user\'s vocabulary includes their organizations\' terms', async () => {
+  const supabase = fakeSupabase({
+    organization_members: { data: [{ organization_id: 'o-1', role: 'member', organizations: { name: 'Grace Church' } }], error: null },
+    vocabulary_terms: { data: [{ id: 't-1', user_id: null, organization_id: 'o-1', term: 'Zion', sounds_like: ['sigh on'], created_at: 'now' }], error: null }
+  });
+  const { terms, memberships } = await loadVocabulary({ supabase, userId: 'u-1' });
+  assert.deepEqual(memberships, [{ organizationId: 'o-1', name: 'Grace Church', role: 'member' }]);
+  assert.equal(terms.length, 2, 'the fake answers both reads');
+  assert.deepEqual(terms[1], { id: 't-1', term: 'Zion', soundsLike: ['sigh on'], scope: 'organization', organizationId: 'o-1', createdAt: 'now' });
+  const shared = supabase.calls.find((call) => call.ops.some(([op]) => op === 'in'));
+  assert.deepEqual(shared.ops.find(([op]) => op === 'in'), ['in', 'organization_id', ['o-1']]);
+
+  const failing = fakeSupabase({ organization_members: { data: null, error: { message: 'denied' } } });
+  await assert.rejects(loadVocabulary({ supabase: failing, userId: 'u-1' }), /organization membership read failed: denied/);
+  assert.deepEqual(await submissionVocabulary({ supabase: failing, userId: 'u-1', language: 'en', logger: silentLogger }), {});
+});
+
+test('users manage their own terms; only admins manage an organization\'s', () => {
+  const memberships = [{ organizationId: 'o-1', role: 'admin' }, { organizationId: 'o-2', role: 'member' }];
+  assert.equal(canManageTerm({ user_id: 'u-1', organization_id: null }, 'u-1', memberships), true);
+  assert.equal(canManageTerm({ user_id: 'u-2', organization_id: null }, 'u-1', memberships), false);
+  assert.equal(canManageTerm({ user_id: null, organization_id: 'o-1' }, 'u-1', memberships), true);
+  assert.equal(canManageTerm({ user_id: null, organization_id: 'o-2' }, 'u-1', memberships), false);
+  assert.equal(canManageTerm({ user_id: null, organization_id: 'o-3' }, 'u-1', memberships), false);
+});
+
+test('vocabulary terms are validated', () => {
+  assert.deepEqual(Validator.validate({ term: ' Habakkuk ' }, 'vocabularyTerm').data, { term: 'Habakkuk', soundsLike: [] });
+  assert.equal(Validator.validate({ term: '' }, 'vocabularyTerm').valid, false);
+  assert.equal(Validator.validate({ term: 'x'.repeat(101) }, 'vocabularyTerm').valid, false);
+  assert.equal(Validator.validate({ term: 'Zion', soundsLike: Array(11).fill('sigh on') }, 'vocabularyTerm').valid, false);
+  assert.equal(Validator.validate({ term: 'Zion', organizationId: 'nope' }, 'vocabularyTerm').valid, false);
+  assert.equal(Validator.validate({ id: 'nope' }, 'vocabularyDelete').valid, false);
+});
+
+test('a completed transcription is stored with the user\'s vocabulary applied', async () => {
+  const job = transcriptionJob();
+  const supabase = fakeSupabase({
+    vocabulary_terms: { data: [{ id: 't-1', user_id: 'u-1', organization_id: null, term: 'Habakkuk', sounds_like: ['have a cook'] }], error: null }
+  });
+  const sentence = 'This morning we read from have a cook chapter three.';
+  await completeTranscriptionJob({ supabase, job, transcript: { text: sentence, words: wordsOf(sentence) }, logger: silentLogger });
+
+  const row = completedTranscriptRow(supabase);
+  assert.equal(row.text, 'This morning we read from Habakkuk chapter three.');
+  assert.ok(row.segments.some((word) => word.text === 'Habakkuk'));
+
+  const unreadable = fakeSupabase({ organization_members: { data: null, error: { message: 'down' } } });
+  await completeTranscriptionJob({ supabase: unreadable, job, transcript: { text: sentence, words: [] }, logger: silentLogger });
+  assert.equal(completedTranscriptRow(unreadable).text, sentence, 'the transcript is kept as heard');
+});
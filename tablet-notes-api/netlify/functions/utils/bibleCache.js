@@ -0,0 +1,141 @@
+const { Redis } = require('@upstash/redis');
+
+/**
+ * Cache of API.Bible responses, shared by bible-api.js and the typed lookups
+ * in bibleService.js.
+ *
+ * Scripture text doesn't change, so a response is good for a long time and
+ * worth keeping after that as a fallback: past `freshMs` an entry is stale and
+ * the caller goes upstream again, but while API.Bible is failing (its circuit
+ * breaker open, a timeout) a stale entry is served rather than an error.
+ * Search results are fresh for a day; everything else for 30 days.
+ *
+ * Entries live in Upstash Redis when UPSTASH_REDIS_REST_URL/TOKEN are set, so
+ * every container shares them. Without Redis, or while it errors, they live
+ * in a per-container map instead — the same fallback rateLimiter.js uses.
+ *
+ * Keys are the upstream path with its query parameters sorted, so
+ * "search?limit=10&query=love" and "search?query=love&limit=10" are one entry.
+ */
+
+const CACHE_KEY_PREFIX = 'bible_cache:v1:';
+const FRESH_MS = 30 * 24 * 60 * 60 * 1000;
+const SEARCH_FRESH_MS = 24 * 60 * 60 * 1000;
+const RETAIN_MS = 90 * 24 * 60 * 60 * 1000;
+const MEMORY_MAX_ENTRIES = 500;
+
+/** The cache key for an API.Bible `endpoint` ("bibles/{id}/verses/JHN.3.16?..."). */
+function bibleCacheKey(endpoint) {
+  const [path, query = ''] = String(endpoint).trim().split('?');
+  const params = new URLSearchParams(query);
+  params.sort();
+  const normalizedQuery = params.toString();
+  return `${CACHE_KEY_PREFIX}${path.replace(/\/+$/, '')}${normalizedQuery ? `?${normalizedQuery}` : ''}`;
+}
+
+function freshMsFor(endpoint) {
+  const [path] = String(endpoint).trim().split('?');
+  return path.replace(/\/+$/, '').endsWith('/search') ? SEARCH_FRESH_MS : FRESH_MS;
+}
+
+/**
+ * Least-recently-used entries, capped at `maxEntries` so a container serving
+ * many distinct lookups can't grow without bound.
+ */
+class InMemoryBibleCache {
+  constructor(maxEntries = MEMORY_MAX_ENTRIES) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Re-insert so Map order tracks recency.
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {object|null} [options.redis] - An Upstash client; defaults to one
+ *   built from the environment, or none.
+ * @param {InMemoryBibleCache} [options.memory]
+ * @param {Function} [options.now]
+ * @returns {{ get(endpoint): Promise<{ data, cachedAt, stale }|null>, set(endpoint, data): Promise<void> }}
+ */
+function createBibleCache({ redis, memory = new InMemoryBibleCache(), now = Date.now } = {}) {
+  let client = redis;
+  if (client === undefined) {
+    client = process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN
+      ? new Redis({ url: process.env.UPSTASH_REDIS_REST_URL, token: process.env.UPSTASH_REDIS_REST_TOKEN })
+      : null;
+  }
+
+  async function read(key) {
+    if (client) {
+      try {
+        return await client.get(key);
+      } catch (error) {
+        console.error('[BibleCache] Redis read failed, using in-memory cache:', error.message);
+      }
+    }
+    return memory.get(key, now());
+  }
+
+  async function write(key, entry) {
+    if (client) {
+      try {
+        await client.set(key, entry, { ex: Math.ceil(RETAIN_MS / 1000) });
+        return;
+      } catch (error) {
+        console.error('[BibleCache] Redis write failed, using in-memory cache:', error.message);
+      }
+    }
+    memory.set(key, entry, entry.cachedAt + RETAIN_MS);
+  }
+
+  return {
+    /** The cached response for `endpoint`, marked stale once past its freshness; null if none. */
+    async get(endpoint) {
+      const entry = await read(bibleCacheKey(endpoint));
+      if (!entry || entry.data === undefined) return null;
+      return {
+        data: entry.data,
+        cachedAt: entry.cachedAt,
+        stale: now() - entry.cachedAt > freshMsFor(endpoint)
+      };
+    },
+
+    /** Stores a successful upstream response. Never throws: a cache is optional. */
+    async set(endpoint, data) {
+      try {
+        await write(bibleCacheKey(endpoint), { data, cachedAt: now() });
+      } catch (error) {
+        console.error('[BibleCache] Write failed:', error.message);
+      }
+    }
+  };
+}
+
+module.exports = {
+  FRESH_MS,
+  SEARCH_FRESH_MS,
+  bibleCacheKey,
+  InMemoryBibleCache,
+  createBibleCache
+};
@@ -0,0 +1,343 @@
+const { CircuitBreaker, withTimeout } = require('./security');
+const { parseReference, osisFromPassageId, referenceFromPassageId } = require('./scriptureReferences');
+const { createLocalBibleSource } = require('./localBibleSource');
+
+/**
+ * Typed Bible lookups behind bible.js, so the app asks for "Rom 8:28-30"
+ * instead of building API.Bible paths itself.
+ *
+ * References are parsed here (scriptureReferences.parseReference) and turned
+ * into API.Bible passage ids server-side. Passages come back as one verse per
+ * entry, plain text, whatever translation they were read from:
+ *
+ *   { reference: { osis, passageId, display }, bibleId,
+ *     verses: [{ id, osis, chapter, verse, text }], text, copyright }
+ *
+ * Translations and search results are normalized the same way, so nothing
+ * API.Bible-shaped reaches the client. bible-api.js, the raw pass-through,
+ * stays for older app versions.
+ *
+ * Failures: a passage API.Bible doesn't have is null, not an error. Other
+ * upstream 4xx throw "Bible API client error: ..."; 5xx and network failures
+ * count against the circuit breaker and surface as "Bible API request
+ * failed: ..." or, once it opens, "Circuit breaker is OPEN".
+ *
+ * Given a `cache` (bibleCache.js), fresh responses are answered from it and a
+ * stale one stands in for any of those upstream failures.
+ *
+ * The API.Bible client is one Bible source; localBibleSource.js, public-domain
+ * translations deployed as data files, is the other. Both answer getPassage,
+ * listTranslations and search in the shapes above. createBibleSource picks
+ * one by configuration:
+ *
+ *   BIBLE_SOURCE   api | local. Defaults to api when BIBLE_API_KEY is set,
+ *                  local otherwise (development, tests).
+ *
+ * With API.Bible as the source, the local data stands in for translations it
+ * has whenever API.Bible fails upstream, as the LLM fallback provider does
+ * for an open breaker (llmClient.js).
+ */
+
+const API_BIBLE_BASE_URL = 'https://api.scripture.api.bible/v1';
+const API_BIBLE_TIMEOUT_MS = 10000;
+
+// King James Version; the app's default translation too.
+const DEFAULT_BIBLE_ID = process.env.BIBLE_DEFAULT_ID || 'de4e12af7f28f599-01';
+const DEFAULT_SEARCH_LIMIT = 10;
+
+// Plain verse text: no footnotes, headings or inline numbers, which would
+// otherwise be mixed into the text nodes.
+const PASSAGE_PARAMS = {
+  'content-type': 'json',
+  'include-notes': 'false',
+  'include-titles': 'false',
+  'include-chapter-numbers': 'false',
+  'include-verse-numbers': 'false',
+  'include-verse-spans': 'false'
+};
+
+/** "JHN.3.16" as `{ chapter: 3, verse: 16 }`. */
+function verseNumbers(verseId) {
+  const [, chapter, verse] = String(verseId).split('.');
+  return { chapter: Number.parseInt(chapter, 10) || null, verse: Number.parseInt(verse, 10) || null };
+}
+
+/**
+ * Verses from API.Bible's JSON passage content: a tree of tags whose text
+ * leaves carry the verse they belong to in `attrs.verseId`. A verse split
+ * across paragraphs is joined back into one.
+ */
+function versesFromContent(content) {
+  const byId = new Map();
+  const walk = (nodes) => {
+    for (const node of nodes || []) {
+      const verseId = node.attrs?.verseId;
+      if (node.type === 'text' && verseId) {
+        byId.set(verseId, `${byId.get(verseId) || ''} ${node.text || ''}`);
+      }
+      walk(node.items);
+    }
+  };
+  walk(Array.isArray(content) ? content : []);
+
+  return [...byId].map(([id, text]) => ({
+    id,
+    osis: osisFromPassageId(id),
+    ...verseNumbers(id),
+    text: text.replace(/\s+/g, ' ').trim()
+  })).filter((verse) => verse.text);
+}
+
+function normalizeTranslation(bible) {
+  return {
+    id: bible.id,
+    abbreviation: bible.abbreviationLocal || bible.abbreviation || null,
+    name: bible.nameLocal || bible.name || null,
+    description: bible.descriptionLocal || bible.description || null,
+    language: bible.language?.id || null
+  };
+}
+
+function normalizeSearchResult(verse) {
+  return {
+    id: verse.id,
+    osis: osisFromPassageId(verse.id),
+    reference: verse.reference || null,
+    text: String(verse.text || '').replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} options.apiKey - BIBLE_API_KEY
+ * @param {Function} [options.fetchImpl] - fetch, injectable for tests
+ * @param {CircuitBreaker} [options.breaker]
+ * @param {number} [options.timeoutMs]
+ * @param {object|null} [options.cache] - createBibleCache()
+ */
+function createApiBibleClient({
+  apiKey,
+  fetchImpl = fetch,
+  breaker = new CircuitBreaker(3, 60000),
+  timeoutMs = API_BIBLE_TIMEOUT_MS,
+  cache = null
+} = {}) {
+  if (!apiKey) {
+    throw new Error('BIBLE_API_KEY is required for the Bible API client');
+  }
+
+  /** The `data` of GET `path`, or null for a 404. */
+  async function get(path, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const endpoint = `${path}${query ? `?${query}` : ''}`;
+
+    const cached = cache ? await cache.get(endpoint) : null;
+    if (cached && !cached.stale) {
+      return cached.data?.data ?? null;
+    }
+
+    let body;
+    try {
+      body = await fetchBody(endpoint);
+    } catch (error) {
+      if (cached && !error.message.startsWith('Bible API client error')) {
+        return cached.data?.data ?? null;
+      }
+      throw error;
+    }
+    if (body && cache) {
+      await cache.set(endpoint, body);
+    }
+    return body?.data ?? null;
+  }
+
+  /** The parsed body of GET `endpoint`, or null for a 404. */
+  async function fetchBody(endpoint) {
+    const url = `${API_BIBLE_BASE_URL}/${endpoint}`;
+
+    const request = withTimeout(() => breaker.execute(async () => {
+      const response = await fetchImpl(url, {
+        method: 'GET',
+        headers: { 'api-key': apiKey, 'User-Agent': 'TabletNotes/1.0' }
+      });
+      // Only the upstream being down counts against the breaker; a bad id is
+      // our request's fault, not theirs.
+      if (response.status >= 500) {
+        throw new Error(`Bible API request failed: ${response.status} ${response.statusText || ''}`.trim());
+      }
+      return response;
+    }), timeoutMs);
+
+    const response = await request();
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Bible API client error: ${response.status} ${response.statusText || ''}`.trim());
+    }
+    return response.json();
+  }
+
+  return {
+    name: 'api.bible',
+
+    /**
+     * The passage `reference` names, from translation `bibleId`. Null when the
+     * translation doesn't have it; throws "Unrecognized scripture reference"
+     * when `reference` isn't one.
+     */
+    async getPassage({ bibleId = DEFAULT_BIBLE_ID, reference }) {
+      const parsed = typeof reference === 'string' ? parseReference(reference) : reference;
+      if (!parsed) {
+        throw new Error('Unrecognized scripture reference');
+      }
+
+      const data = await get(
+        `bibles/${encodeURIComponent(bibleId)}/passages/${encodeURIComponent(parsed.passageId)}`,
+        PASSAGE_PARAMS
+      );
+      const verses = versesFromContent(data?.content);
+      if (verses.length === 0) return null;
+
+      return {
+        reference: { osis: parsed.osis, passageId: parsed.passageId, display: parsed.display },
+        bibleId,
+        verses,
+        text: verses.map((verse) => verse.text).join(' '),
+        copyright: data.copyright || null
+      };
+    },
+
+    /** Translations available in `language` (ISO 639-3, e.g. "eng"). */
+    async listTranslations({ language = 'eng' } = {}) {
+      const data = await get('bibles', { language });
+      return (data || []).map(normalizeTranslation);
+    },
+
+    /** Verses matching `query` in translation `bibleId`. */
+    async search({ bibleId = DEFAULT_BIBLE_ID, query, limit = DEFAULT_SEARCH_LIMIT, offset = 0 }) {
+      const data = await get(`bibles/${encodeURIComponent(bibleId)}/search`, {
+        query,
+        limit: String(limit),
+        offset: String(offset),
+        sort: 'relevance'
+      });
+      const results = (data?.verses || []).map(normalizeSearchResult);
+      return {
+        query,
+        bibleId,
+        total: data?.total ?? results.length,
+        limit,
+        offset,
+        results
+      };
+    }
+  };
+}
+
+// Failures that mean API.Bible couldn't answer, rather than that the request
+// was wrong; only these fall back to the local source.
+function isUpstreamFailure(error) {
+  return !/Bible API client error|Unrecognized scripture reference/.test(error.message);
+}
+
+/**
+ * The configured Bible source. Every call takes an optional `bibleId`,
+ * defaulting to DEFAULT_BIBLE_ID.
+ *
+ * @param {object} [options]
+ * @param {string} [options.source] - BIBLE_SOURCE
+ * @param {string} [options.apiKey] - BIBLE_API_KEY
+ * @param {object} [options.api] - An API.Bible client, instead of building one.
+ * @param {object} [options.local] - A local source, instead of the deployed data.
+ * @param {object|null} [options.cache] - Passed to the API.Bible client.
+ */
+function createBibleSource({
+  source = process.env.BIBLE_SOURCE,
+  apiKey = process.env.BIBLE_API_KEY,
+  api = null,
+  local = createLocalBibleSource(),
+  cache = null
+} = {}) {
+  const name = source || (apiKey || api ? 'api' : 'local');
+  if (name !== 'api' && name !== 'local') {
+    throw new Error(`Unknown BIBLE_SOURCE: ${name}`);
+  }
+
+  const withDefaults = (params = {}) => ({ ...params, bibleId: params.bibleId || DEFAULT_BIBLE_ID });
+
+  if (name === 'local') {
+    return {
+      name: local.name,
+      getPassage: (params) => local.getPassage(withDefaults(params)),
+      listTranslations: (params) => local.listTranslations(params),
+      search: (params) => local.search(withDefaults(params))
+    };
+  }
+
+  const primary = api || createApiBibleClient({ apiKey, cache });
+  const failover = (method) => async (params) => {
+    const request = withDefaults(params);
+    try {
+      return await primary[method](request);
+    } catch (error) {
+      if (!isUpstreamFailure(error) || !local.hasTranslation(request.bibleId)) throw error;
+      console.warn(`[BibleSource] ${primary.name} ${method} failed (${error.message}); answering from local data`);
+      return local[method](request);
+    }
+  };
+
+  return {
+    name: primary.name,
+    getPassage: failover('getPassage'),
+    search: failover('search'),
+    async listTranslations(params) {
+      try {
+        return await primary.listTranslations(params);
+      } catch (error) {
+        if (!isUpstreamFailure(error)) throw error;
+        const translations = await local.listTranslations(params);
+        if (translations.length === 0) throw error;
+        return translations;
+      }
+    }
+  };
+}
+
+/**
+ * The translation and passage a raw API.Bible path asks for, when it is a
+ * verse or passage lookup ("bibles/{id}/verses/JHN.3.16?..."); otherwise null.
+ * Lets bible-api.js answer those from another source.
+ */
+function passageRequestFromEndpoint(endpoint) {
+  const match = /^bibles\/([A-Za-z0-9-]+)\/(?:verses|passages)\/([A-Za-z0-9.-]+?)\/?(?:\?.*)?$/.exec(String(endpoint || '').trim());
+  if (!match) return null;
+  const reference = referenceFromPassageId(match[2]);
+  return reference ? { bibleId: match[1], reference } : null;
+}
+
+/**
+ * A normalized passage in the body shape API.Bible's verse and passage
+ * endpoints return, with plain text as `content`.
+ */
+function toApiBibleBody(passage) {
+  return {
+    data: {
+      id: passage.reference.passageId,
+      orgId: passage.reference.passageId,
+      bibleId: passage.bibleId,
+      bookId: passage.reference.passageId.split('.')[0],
+      chapterId: passage.verses[0].id.split('.').slice(0, 2).join('.'),
+      reference: passage.reference.display,
+      content: passage.text,
+      verseCount: passage.verses.length,
+      copyright: passage.copyright
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_BIBLE_ID,
+  createApiBibleClient,
+  createBibleSource,
+  passageRequestFromEndpoint,
+  toApiBibleBody
+};
@@ -0,0 +1,129 @@
+const { planChunkedSummary, renderChunkText } = require('./chunkedSummary');
+const { formatTimestamp, excerptOf } = require('./searchIndex');
+
+/**
+ * Timestamped citations for sermon chat.
+ *
+ * As plain text, a transcript gives an answer no way to say where in the
+ * recording anything was said. When the sermon has stored word timings
+ * (`transcripts.segments`, written by completeTranscriptionJob), the transcript
+ * goes to the model as short passages that each start with their time:
+ *
+ *   [12:34] And the father saw him a long way off...
+ *
+ * The prompt asks for those times as citations, and the `[m:ss]` markers in the
+ * reply are matched back to passages so the client gets a citations array it
+ * can turn into seek links. A time that falls in no passage is dropped: it is
+ * not a moment in this recording, whatever the model meant by it.
+ */
+
+/** About a paragraph: precise enough to seek to, few enough markers to read past. */
+const TIMED_PASSAGE_MAX_CHARS = 600;
+
+/** ~8k tokens, the most transcript a chat call has ever carried. */
+const TIMED_TRANSCRIPT_MAX_CHARS = 32_000;
+
+/** A cited time a little outside its passage still means that passage. */
+const CITATION_TOLERANCE_MS = 2000;
+
+const TRUNCATED_NOTE = '[Transcript truncated]';
+
+const TIMESTAMP_MARKER = /\[((?:\d+:)?\d{1,2}:\d{2})\]/g;
+
+/** Milliseconds for "m:ss" or "h:mm:ss"; null for anything else. */
+function parseTimestamp(value) {
+  const match = String(value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = match[1] === undefined ? 0 : Number(match[1]);
+  const minutes = Number(match[2]);
+  const seconds = Number(match[3]);
+  if (seconds >= 60 || (match[1] !== undefined && minutes >= 60)) return null;
+
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+/**
+ * The transcript as time-prefixed passages, and the passages themselves.
+ * Null when there are no usable word timings, or no passage fits; the caller
+ * then sends the plain transcript.
+ *
+ * @param {object} options
+ * @param {string} [options.text] Transcript text.
+ * @param {Array<object>} [options.segments] AssemblyAI words `{ text, start, end, speaker }`.
+ * @returns {{ text: string, anchors: Array<object>, truncated: boolean }|null}
+ */
+function buildTimedTranscript({ text, segments, maxChars = TIMED_TRANSCRIPT_MAX_CHARS } = {}) {
+  const words = Array.isArray(segments)
+    ? segments.filter((word) => word && typeof word.text === 'string' && Number.isFinite(word.start))
+    : [];
+  if (words.length === 0) return null;
+
+  const plan = planChunkedSummary({ text, words, maxChars: TIMED_PASSAGE_MAX_CHARS });
+  const anchors = [];
+  const lines = [];
+  let used = 0;
+  let truncated = false;
+
+  for (let index = 0; index < plan.chunks.length; index += 1) {
+    const content = renderChunkText(plan, index, { text, words }).trim();
+    if (!content) continue;
+
+    const { startMs, endMs } = plan.chunks[index];
+    const line = `[${formatTimestamp(startMs)}] ${content}`;
+    if (used + line.length + TRUNCATED_NOTE.length + 2 > maxChars) {
+      truncated = true;
+      break;
+    }
+
+    used += line.length + 2;
+    lines.push(line);
+    anchors.push({ startMs, endMs, content });
+  }
+
+  if (anchors.length === 0) return null;
+
+  return {
+    text: truncated ? `${lines.join('\n\n')}\n\n${TRUNCATED_NOTE}` : lines.join('\n\n'),
+    anchors,
+    truncated
+  };
+}
+
+/**
+ * Citations for the `[m:ss]` markers in a reply, in the order first cited.
+ * Same shape as library citations, less the passage number.
+ */
+function timestampCitations(response, anchors, { sermonId = null } = {}) {
+  const citations = new Map();
+
+  for (const match of String(response || '').matchAll(TIMESTAMP_MARKER)) {
+    const ms = parseTimestamp(match[1]);
+    if (ms === null || citations.has(ms)) continue;
+
+    const anchor = (anchors || []).find((candidate) =>
+      ms >= candidate.startMs - CITATION_TOLERANCE_MS &&
+      ms <= (candidate.endMs ?? candidate.startMs) + CITATION_TOLERANCE_MS
+    );
+    if (!anchor) continue;
+
+    citations.set(ms, {
+      sermonId,
+      source: 'transcript',
+      startMs: ms,
+      endMs: anchor.endMs ?? null,
+      timestamp: formatTimestamp(ms),
+      excerpt: excerptOf(anchor.content)
+    });
+  }
+
+  return Array.from(citations.values());
+}
+
+module.exports = {
+  TIMED_PASSAGE_MAX_CHARS,
+  TIMED_TRANSCRIPT_MAX_CHARS,
+  parseTimestamp,
+  buildTimedTranscript,
+  timestampCitations
+};
@@ -0,0 +1,226 @@
+const { buildTimedTranscript } = require('./chatCitations');
+const { formatTimestamp } = require('./searchIndex');
+
+/**
+ * Sermon chat context, built on the server from the sermon's stored rows.
+ *
+ * The client used to upload the transcript and summary with every message:
+ * megabytes per chat on a long sermon, and nothing stopped it from chatting
+ * over text it never recorded. It now sends the sermon id only, and the
+ * context is read here with the service-role client, limited to the caller's
+ * own sermons (loadSermonContext), and trimmed to a token budget.
+ *
+ * Builds already in the App Store, and sermons not yet synced, still send
+ * their `context` without an id. That is built into the same shape and the
+ * same budget (clientSermonContext); it has no word timings, so its answers
+ * cite no moments.
+ *
+ * What goes in, in priority order. Each part gets what it needs up to its cap,
+ * and whatever is left after it goes to the next:
+ *
+ *   1. Details — title, service type, date, speaker. Always sent in full.
+ *   2. Summary — the whole sermon in a few hundred tokens, so it outranks any
+ *      single stretch of transcript. Capped at SUMMARY_MAX_SHARE of the budget.
+ *   3. Notes — what the listener chose to write down, in recording order.
+ *      Capped at NOTES_MAX_SHARE of the budget.
+ *   4. Transcript — everything left, from the start of the recording; timed
+ *      passages (chatCitations.js) when there are word timings, so the answer
+ *      can cite moments.
+ *
+ * Tokens are estimated at CHARS_PER_TOKEN characters each. That is loose for
+ * any one string and close enough across a sermon, and it needs no tokenizer.
+ */
+
+const CHAT_CONTEXT_TOKEN_BUDGET = 8000;
+const CHARS_PER_TOKEN = 4;
+const SUMMARY_MAX_SHARE = 0.25;
+const NOTES_MAX_SHARE = 0.15;
+
+const TRUNCATED_MARKER = '[Truncated]';
+
+const SERMON_COLUMNS = 'id, user_id, title, service_type, date, speaker';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/** Whether `value` can name a sermon (its server id or the client's local id). */
+function isSermonId(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+/**
+ * `text` cut to at most `maxChars`, at a sentence end or word break when one
+ * is near the cut, and marked as truncated.
+ */
+function truncateText(text, maxChars) {
+  const value = String(text || '');
+  if (value.length <= maxChars) return { text: value, truncated: false };
+
+  const room = maxChars - TRUNCATED_MARKER.length - 1;
+  if (room <= 0) return { text: '', truncated: true };
+
+  const head = value.slice(0, room);
+  const sentenceEnd = Math.max(head.lastIndexOf('. '), head.lastIndexOf('? '), head.lastIndexOf('! '));
+  const cut = sentenceEnd >= room * 0.8 ? sentenceEnd + 1 : Math.max(head.lastIndexOf(' '), Math.floor(room * 0.8));
+
+  return { text: `${head.slice(0, cut).trimEnd()} ${TRUNCATED_MARKER}`, truncated: true };
+}
+
+/**
+ * A sermon and its transcript, summary and notes, read for `userId`.
+ *
+ * `sermonId` may be the server id or the client's local id (what the app
+ * holds). The local id is looked up within the caller's sermons; a server id
+ * that belongs to someone else is reported as `forbidden`.
+ *
+ * @returns {Promise<{ sermon, transcript, summary, notes }|{ error: 'not_found'|'forbidden' }>}
+ */
+async function loadSermonContext({ supabase, userId, sermonId }) {
+  const byLocalId = await supabase
+    .from('sermons')
+    .select(SERMON_COLUMNS)
+    .eq('user_id', userId)
+    .eq('local_id', sermonId)
+    .maybeSingle();
+  if (byLocalId.error) {
+    throw new Error(`Failed to load sermon: ${byLocalId.error.message}`);
+  }
+
+  let sermon = byLocalId.data;
+  if (!sermon) {
+    const byId = await supabase
+      .from('sermons')
+      .select(SERMON_COLUMNS)
+      .eq('id', sermonId)
+      .maybeSingle();
+    if (byId.error) {
+      throw new Error(`Failed to load sermon: ${byId.error.message}`);
+    }
+    if (!byId.data) return { error: 'not_found' };
+    if (byId.data.user_id !== userId) return { error: 'forbidden' };
+    sermon = byId.data;
+  }
+
+  const [transcript, summary, notes] = await Promise.all([
+    supabase.from('transcripts').select('text, segments').eq('sermon_id', sermon.id).eq('user_id', userId).maybeSingle(),
+    supabase.from('summaries').select('text').eq('sermon_id', sermon.id).eq('user_id', userId).maybeSingle(),
+    supabase.from('notes').select('text, timestamp').eq('sermon_id', sermon.id).eq('user_id', userId)
+  ]);
+
+  const failed = [transcript, summary, notes].find((result) => result.error);
+  if (failed) {
+    throw new Error(`Failed to load sermon context: ${failed.error.message}`);
+  }
+
+  return {
+    sermon,
+    transcript: transcript.data,
+    summary: summary.data,
+    notes: notes.data || []
+  };
+}
+
+function detailsText(sermon) {
+  let text = `Title: ${sermon.title || 'Unknown'}\n`;
+  text += `Service Type: ${sermon.service_type || 'Unknown'}\n`;
+  text += `Date: ${sermon.date || 'Unknown'}\n`;
+  if (sermon.speaker) {
+    text += `Speaker: ${sermon.speaker}\n`;
+  }
+  return text;
+}
+
+function notesText(notes) {
+  return (notes || [])
+    .filter((note) => typeof note?.text === 'string' && note.text.trim())
+    .sort((a, b) => (Number(a.timestamp) || 0) - (Number(b.timestamp) || 0))
+    .map((note) => {
+      const seconds = Number(note.timestamp);
+      const time = Number.isFinite(seconds) ? formatTimestamp(seconds * 1000) : null;
+      return time ? `[${time}] ${note.text.trim()}` : note.text.trim();
+    })
+    .join('\n');
+}
+
+/**
+ * The model's view of a sermon, trimmed to `budgetTokens` in the priority
+ * order above.
+ *
+ * @returns {{ contextText: string, timed: object|null, trimmed: string[], estimatedTokens: number }}
+ *   `timed` is the timed transcript (anchors for citations), null when the
+ *   transcript went as plain text or not at all. `trimmed` names the parts cut short.
+ */
+function buildSermonContext({ sermon, transcript, summary, notes, budgetTokens = CHAT_CONTEXT_TOKEN_BUDGET }) {
+  const budgetChars = budgetTokens * CHARS_PER_TOKEN;
+  const trimmed = [];
+  let contextText = detailsText(sermon);
+
+  const section = (heading, body, maxChars) => {
+    const room = Math.min(maxChars, budgetChars - contextText.length) - heading.length - 3;
+    if (!body || room <= 0) {
+      if (body) trimmed.push(heading.toLowerCase());
+      return;
+    }
+    const cut = truncateText(body, room);
+    if (cut.truncated) trimmed.push(heading.toLowerCase());
+    if (cut.text) contextText += `\n${heading}:\n${cut.text}\n`;
+  };
+
+  section('Summary', summary?.text?.trim(), budgetChars * SUMMARY_MAX_SHARE);
+  section('Notes', notesText(notes), budgetChars * NOTES_MAX_SHARE);
+
+  let timed = null;
+  const transcriptText = transcript?.text?.trim();
+  if (transcriptText) {
+    const heading = 'Transcript (each passage starts with its time in the recording)';
+    const room = budgetChars - contextText.length - heading.length - 3;
+    timed = room > 0
+      ? buildTimedTranscript({ text: transcriptText, segments: transcript.segments, maxChars: room })
+      : null;
+
+    if (timed) {
+      if (timed.truncated) trimmed.push('transcript');
+      contextText += `\n${heading}:\n${timed.text}\n`;
+    } else {
+      section('Transcript', transcriptText, Infinity);
+    }
+  }
+
+  return { contextText, timed, trimmed, estimatedTokens: estimateTokens(contextText) };
+}
+
+/**
+ * The rows buildSermonContext takes, from the `context` an older client sends
+ * in place of a sermon id: `{ title, serviceType, date, speaker, summary,
+ * transcript }`. Only strings are kept. Null when it is not an object.
+ */
+function clientSermonContext(context) {
+  if (!context || typeof context !== 'object' || Array.isArray(context)) return null;
+  const string = (value) => (typeof value === 'string' ? value : null);
+
+  return {
+    sermon: {
+      title: string(context.title),
+      service_type: string(context.serviceType),
+      date: string(context.date),
+      speaker: string(context.speaker)
+    },
+    transcript: string(context.transcript) ? { text: context.transcript, segments: null } : null,
+    summary: string(context.summary) ? { text: context.summary } : null,
+    notes: []
+  };
+}
+
+module.exports = {
+  CHAT_CONTEXT_TOKEN_BUDGET,
+  CHARS_PER_TOKEN,
+  estimateTokens,
+  isSermonId,
+  truncateText,
+  loadSermonContext,
+  clientSermonContext,
+  buildSermonContext
+};
@@ -0,0 +1,93 @@
+const { Readable } = require('stream');
+
+/**
+ * Server-sent events for streaming chat replies.
+ *
+ * A streamed reply is a sequence of events on one `text/event-stream`
+ * response:
+ *
+ *   event: token   data: {"delta":"..."}           one per content delta
+ *   event: done    data: {"messageId","response","usage","model"}
+ *                  (+ "citations"; + "threadId","saved" when the reply went
+ *                  to a stored thread)
+ *   event: error   data: {"message"}               the stream broke partway
+ *
+ * Exactly one of `done` or `error` ends the stream. `done` repeats the full
+ * response so a client can replace whatever it accumulated, and carries the
+ * usage the non-streaming JSON reply never had. Failures before the first token
+ * (auth, rate limit, open breaker) are ordinary JSON error responses: the
+ * handler only switches to SSE once the provider has accepted the request.
+ */
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  Connection: 'keep-alive',
+  // Stops proxies that buffer by default from holding tokens back.
+  'X-Accel-Buffering': 'no'
+};
+
+const STREAM_ERROR_MESSAGE = 'The chat response was interrupted. Please try again.';
+
+/** One SSE event. `data` is JSON-encoded, so it never spans lines. */
+function formatSSE(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/** Whether the caller asked for a streamed reply, by body flag or Accept header. */
+function wantsEventStream(event, body) {
+  if (body && body.stream === true) return true;
+  const accept = event.headers?.accept || event.headers?.Accept || '';
+  return accept.includes('text/event-stream');
+}
+
+/**
+ * Turns provider chunks into SSE text, one string per event.
+ *
+ * @param {object} options
+ * @param {AsyncIterable<object>} options.chunks OpenAI-shaped completion chunks.
+ * @param {string} options.messageId Id the client can use to refer to this reply.
+ * @param {string} [options.model] Model that is answering, echoed in `done`.
+ * @param {function} [options.onComplete] Called with `{ response, usage }` before `done` is
+ *   sent; any fields it resolves to are added to the `done` event.
+ * @param {function} [options.onError] Called with the error before `error` is sent, whether
+ *   the provider stream or onComplete threw.
+ */
+async function* chatEvents({ chunks, messageId, model = null, onComplete, onError }) {
+  let response = '';
+  let usage = null;
+  let extra = null;
+
+  try {
+    for await (const chunk of chunks) {
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        response += delta;
+        yield formatSSE('token', { delta });
+      }
+    }
+    // Inside the try: a throwing onComplete still ends the stream with an
+    // event rather than destroying the response body mid-flight.
+    if (onComplete) extra = await onComplete({ response, usage });
+  } catch (error) {
+    if (onError) onError(error);
+    yield formatSSE('error', { message: STREAM_ERROR_MESSAGE, messageId });
+    return;
+  }
+
+  yield formatSSE('done', { messageId, response, usage, model, ...(extra || {}) });
+}
+
+/** The same events as a Node stream, ready to be a streamed function body. */
+function createChatEventStream(options) {
+  return Readable.from(chatEvents(options));
+}
+
+module.exports = {
+  SSE_HEADERS,
+  formatSSE,
+  wantsEventStream,
+  chatEvents,
+  createChatEventStream
+};
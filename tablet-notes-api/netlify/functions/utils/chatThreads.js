@@ -0,0 +1,204 @@
+/**
+ * Stored sermon chat conversations (chat_threads / chat_messages).
+ *
+ * chat.js used to take conversation history from the request, which meant a
+ * client could hand the model `system` messages of its own. A request naming a
+ * `threadId` now gets its history from chat_messages, and the exchange is
+ * appended there once the reply is complete. Requests without a thread (older
+ * clients) still send history, but only their `user` turns survive
+ * sanitizeClientHistory: an `assistant` turn the client wrote is words put in
+ * the model's mouth, which it would take as its own earlier answer.
+ *
+ * Rows are written only through these helpers, with the service role, after
+ * the caller's ownership of the thread has been checked.
+ */
+
+// Turns of history sent to the model, as the client-side replay always did.
+const HISTORY_LIMIT = 10;
+
+const TITLE_MAX_CHARS = 80;
+
+const CHAT_ROLES = Object.freeze(['user', 'assistant']);
+
+const THREAD_COLUMNS = 'id, user_id, sermon_id, title, created_at, updated_at, last_message_at';
+const MESSAGE_COLUMNS = 'id, thread_id, role, content, model, prompt_version, usage, created_at';
+
+/**
+ * Keeps the user turns among the last `limit` well-formed turns of
+ * client-supplied history. Assistant turns are left out without comment: every
+ * older client sends them. `dropped` counts what was discarded for any other
+ * role or its shape, so the caller can log injection attempts.
+ */
+function sanitizeClientHistory(history, { limit = HISTORY_LIMIT } = {}) {
+  if (!Array.isArray(history)) {
+    return { messages: [], dropped: 0 };
+  }
+
+  const valid = history.filter((message) =>
+    message &&
+    CHAT_ROLES.includes(message.role) &&
+    typeof message.content === 'string' &&
+    message.content.trim().length > 0
+  );
+
+  return {
+    messages: valid
+      .slice(-limit)
+      .filter((message) => message.role === 'user')
+      .map(({ role, content }) => ({ role, content })),
+    dropped: history.length - valid.length
+  };
+}
+
+/** Model history from stored rows, oldest first. */
+function historyFromStoredMessages(rows, { limit = HISTORY_LIMIT } = {}) {
+  return (rows || [])
+    .filter((row) => CHAT_ROLES.includes(row.role))
+    .slice(-limit)
+    .map(({ role, content }) => ({ role, content }));
+}
+
+/** A thread title from its first message: one line, at most TITLE_MAX_CHARS. */
+function threadTitleFrom(message) {
+  const line = String(message || '').replace(/\s+/g, ' ').trim();
+  if (line.length <= TITLE_MAX_CHARS) {
+    return line || null;
+  }
+  return `${line.slice(0, TITLE_MAX_CHARS - 1).trimEnd()}…`;
+}
+
+function transformThread(row) {
+  return {
+    id: row.id,
+    sermonId: row.sermon_id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastMessageAt: row.last_message_at
+  };
+}
+
+function transformMessage(row) {
+  return {
+    id: row.id,
+    threadId: row.thread_id,
+    role: row.role,
+    content: row.content,
+    model: row.model || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Loads a thread the caller may use.
+ *
+ * @returns {Promise<object>} `{ thread }`, or `{ error: 'not_found' | 'forbidden' }`.
+ */
+async function loadOwnedThread({ supabase, threadId, userId }) {
+  const { data: thread, error } = await supabase
+    .from('chat_threads')
+    .select(THREAD_COLUMNS)
+    .eq('id', threadId)
+    .maybeSingle();
+
+  if (error || !thread) {
+    return { error: 'not_found' };
+  }
+  if (thread.user_id !== userId) {
+    return { error: 'forbidden' };
+  }
+  return { thread };
+}
+
+/** The newest `limit` messages of a thread, returned oldest first. */
+async function loadThreadMessages({ supabase, threadId, limit = HISTORY_LIMIT }) {
+  const { data, error } = await supabase
+    .from('chat_messages')
+    .select(MESSAGE_COLUMNS)
+    .eq('thread_id', threadId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load chat history: ${error.message}`);
+  }
+  return (data || []).reverse();
+}
+
+/**
+ * Appends one exchange, the user's message then the reply, and bumps the
+ * thread. Called only once the reply is complete, so an interrupted or failed
+ * reply leaves no half-exchange behind for the next request to replay.
+ *
+ * @param {object} options
+ * @param {object} options.thread Row from loadOwnedThread.
+ * @param {string} options.userContent The user's message.
+ * @param {object} options.reply `{ id, content, model, promptVersion, usage }`;
+ *   `id` is the message id already handed to the client, when there is one.
+ * @param {Date} [options.now]
+ */
+async function appendChatExchange({ supabase, thread, userContent, reply, now = new Date() }) {
+  // Explicit, distinct timestamps: both rows in one insert would otherwise
+  // share now() and have no defined order.
+  const userAt = new Date(now.getTime() - 1).toISOString();
+  const replyAt = now.toISOString();
+
+  const { data, error } = await supabase
+    .from('chat_messages')
+    .insert([
+      {
+        thread_id: thread.id,
+        user_id: thread.user_id,
+        role: 'user',
+        content: userContent,
+        created_at: userAt
+      },
+      {
+        ...(reply.id && { id: reply.id }),
+        thread_id: thread.id,
+        user_id: thread.user_id,
+        role: 'assistant',
+        content: reply.content,
+        model: reply.model || null,
+        prompt_version: reply.promptVersion || null,
+        usage: reply.usage || null,
+        created_at: replyAt
+      }
+    ])
+    .select(MESSAGE_COLUMNS);
+
+  if (error) {
+    throw new Error(`Failed to save chat messages: ${error.message}`);
+  }
+
+  const threadUpdate = {
+    last_message_at: replyAt,
+    ...(!thread.title && { title: threadTitleFrom(userContent) })
+  };
+  const { error: threadError } = await supabase
+    .from('chat_threads')
+    .update(threadUpdate)
+    .eq('id', thread.id);
+
+  if (threadError) {
+    // The messages are saved; a stale list order is not worth failing over.
+    return { messages: data || [], threadUpdated: false };
+  }
+  return { messages: data || [], threadUpdated: true };
+}
+
+module.exports = {
+  HISTORY_LIMIT,
+  TITLE_MAX_CHARS,
+  CHAT_ROLES,
+  THREAD_COLUMNS,
+  MESSAGE_COLUMNS,
+  sanitizeClientHistory,
+  historyFromStoredMessages,
+  threadTitleFrom,
+  transformThread,
+  transformMessage,
+  loadOwnedThread,
+  loadThreadMessages,
+  appendChatExchange
+};
@@ -0,0 +1,300 @@
+/**
+ * Map-reduce summarization for transcripts too long to summarize in one call.
+ *
+ * A 90-minute conference session runs to ~75k characters, and the single
+ * completion summarize.js makes over it is slow, brushes the 55s budget, and
+ * loses detail from the middle of the message. Long transcripts are instead
+ * split into sections, each section is condensed into notes (map), and the
+ * notes are summarized as a whole with the normal prompt (reduce).
+ *
+ * The work is driven by the `summary` processing job and spread across reaper
+ * sweeps: each sweep condenses at most a few sections, records them on the job
+ * row's `progress`, and puts the job back in the queue. A failed section costs
+ * one retry of that section, not the sections already done.
+ *
+ * Everything here is pure so the split and the bookkeeping are testable; the
+ * reaper owns the I/O.
+ */
+
+/** Below this, one completion over the whole transcript is still the better call. */
+const CHUNKED_SUMMARY_THRESHOLD = 40_000;
+
+/** Upper bound on one section, ~5k tokens — comfortably inside a fast completion. */
+const CHUNK_MAX_CHARS = 20_000;
+
+/**
+ * A trailing section shorter than this is folded into the one before it. It
+ * keeps a few closing sentences from becoming a section of their own, and keeps
+ * every section above summarize.js's 50-character floor.
+ */
+const MIN_TAIL_CHARS = 2_000;
+
+/** Sections condensed per job per sweep, so one long sermon cannot hog a sweep. */
+const MAX_CHUNKS_PER_SWEEP = 3;
+
+const PROGRESS_VERSION = 1;
+
+function shouldChunkSummary(text, { threshold = CHUNKED_SUMMARY_THRESHOLD } = {}) {
+  return typeof text === 'string' && text.length > threshold;
+}
+
+/**
+ * Packs units (words or sentences) into ranges of at most `maxChars`.
+ *
+ * A unit may carry `boundary: 'strong'` (a speaker change, a paragraph break)
+ * or `'weak'` (a sentence end), meaning a section may start at it. When a
+ * section fills up, it is cut at the latest strong boundary that still leaves
+ * it at least half full, else the latest weak one, else mid-stream — so
+ * sections follow the shape of the talk wherever the talk allows.
+ *
+ * @returns {Array<[number, number]>} half-open [from, to) unit index ranges
+ */
+function packUnits(units, { maxChars = CHUNK_MAX_CHARS, minTailChars = MIN_TAIL_CHARS } = {}) {
+  const prefix = [0];
+  for (const unit of units) prefix.push(prefix[prefix.length - 1] + unit.length);
+  const sizeOf = (from, to) => prefix[to] - prefix[from];
+
+  const ranges = [];
+  let start = 0;
+  let candidates = [];
+
+  for (let i = 0; i < units.length; i += 1) {
+    if (i > start && units[i].boundary) {
+      candidates.push({ index: i, boundary: units[i].boundary });
+    }
+
+    while (i > start && sizeOf(start, i + 1) > maxChars) {
+      const strong = candidates.filter(
+        (c) => c.boundary === 'strong' && sizeOf(start, c.index) >= maxChars / 2
+      );
+      const cut = strong.length > 0
+        ? strong[strong.length - 1].index
+        : (candidates.length > 0 ? candidates[candidates.length - 1].index : i);
+
+      ranges.push([start, cut]);
+      start = cut;
+      candidates = candidates.filter((c) => c.index > cut);
+    }
+  }
+
+  if (start < units.length) ranges.push([start, units.length]);
+
+  if (ranges.length > 1) {
+    const [tailFrom, tailTo] = ranges[ranges.length - 1];
+    if (sizeOf(tailFrom, tailTo) < minTailChars) {
+      ranges.pop();
+      ranges[ranges.length - 1][1] = tailTo;
+    }
+  }
+
+  return ranges;
+}
+
+function endsSentence(text) {
+  return /[.!?]["')\]]*$/.test(String(text || '').trim());
+}
+
+/** Word units: a speaker change is a strong boundary, a sentence end a weak one. */
+function wordUnits(words) {
+  return words.map((word, index) => {
+    const previous = words[index - 1];
+    let boundary = null;
+    if (previous && previous.speaker !== undefined && word.speaker !== previous.speaker) {
+      boundary = 'strong';
+    } else if (previous && endsSentence(previous.text)) {
+      boundary = 'weak';
+    }
+    // +1 for the joining space.
+    return { length: String(word.text || '').length + 1, boundary };
+  });
+}
+
+/**
+ * Sentence units over plain text, for transcripts with no stored word timings
+ * (client-pushed transcripts). Offsets are kept so ranges map back to the text.
+ */
+function sentenceUnits(text) {
+  const units = [];
+  const pattern = /[^.!?\n]*(?:[.!?]+["')\]]*|\n+|$)\s*/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex += 1;
+      if (pattern.lastIndex > text.length) break;
+      continue;
+    }
+    const previous = units[units.length - 1];
+    units.push({
+      offset: match.index,
+      length: match[0].length,
+      boundary: previous ? (/\n\s*\n/.test(previous.raw) ? 'strong' : 'weak') : null,
+      raw: match[0]
+    });
+  }
+  return units;
+}
+
+/**
+ * Decides how a transcript is split and returns the initial job progress.
+ *
+ * Word timings are preferred: they carry speaker labels, so sections break
+ * where the speaker changes, and each section knows where it sits in the
+ * recording. Plain text is the fallback.
+ */
+function planChunkedSummary({ text, words, maxChars = CHUNK_MAX_CHARS } = {}) {
+  const packing = { maxChars, minTailChars: Math.min(MIN_TAIL_CHARS, Math.floor(maxChars / 4)) };
+  const safeText = typeof text === 'string' ? text : '';
+  const safeWords = Array.isArray(words) ? words.filter((w) => w && typeof w.text === 'string') : [];
+
+  let source;
+  let chunks;
+
+  if (safeWords.length > 0) {
+    source = 'words';
+    chunks = packUnits(wordUnits(safeWords), packing).map(([from, to]) => ({
+      from,
+      to,
+      startMs: Number.isFinite(safeWords[from].start) ? safeWords[from].start : null,
+      endMs: Number.isFinite(safeWords[to - 1].end) ? safeWords[to - 1].end : null
+    }));
+  } else {
+    source = 'text';
+    const units = sentenceUnits(safeText);
+    chunks = packUnits(units, packing).map(([from, to]) => ({
+      from: units[from].offset,
+      to: units[to - 1].offset + units[to - 1].length,
+      startMs: null,
+      endMs: null
+    }));
+  }
+
+  return {
+    version: PROGRESS_VERSION,
+    strategy: 'map_reduce',
+    source,
+    textLength: safeText.length,
+    wordCount: safeWords.length,
+    chunks,
+    partials: chunks.map(() => null),
+    // The registry prompt each section's notes were taken with, e.g.
+    // 'summary.section-notes@v1'.
+    prompts: chunks.map(() => null)
+  };
+}
+
+/**
+ * Whether stored progress still describes this transcript. A re-transcription
+ * between sweeps changes the text under the recorded ranges, and notes taken
+ * from the old text must not be merged into a summary of the new one.
+ */
+function progressMatchesTranscript(progress, { text, words } = {}) {
+  if (!progress || progress.version !== PROGRESS_VERSION || progress.strategy !== 'map_reduce') {
+    return false;
+  }
+  if (!Array.isArray(progress.chunks) || !Array.isArray(progress.partials)) return false;
+  if (progress.chunks.length !== progress.partials.length) return false;
+  const wordCount = Array.isArray(words) ? words.length : 0;
+  return progress.textLength === (text || '').length && progress.wordCount === wordCount;
+}
+
+/**
+ * The text a section is condensed from. Word sections are rendered with
+ * speaker turns when the recording has more than one speaker, so the map step
+ * can tell the preacher from the announcements.
+ */
+function renderChunkText(progress, index, { text, words } = {}) {
+  const chunk = progress.chunks[index];
+  if (!chunk) return '';
+
+  if (progress.source !== 'words') {
+    return String(text || '').slice(chunk.from, chunk.to).trim();
+  }
+
+  const slice = (words || []).slice(chunk.from, chunk.to);
+  const speakers = new Set(slice.map((w) => w.speaker).filter((s) => s !== undefined && s !== null));
+  if (speakers.size <= 1) {
+    return slice.map((w) => w.text).join(' ').trim();
+  }
+
+  const turns = [];
+  for (const word of slice) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === word.speaker) {
+      last.words.push(word.text);
+    } else {
+      turns.push({ speaker: word.speaker, words: [word.text] });
+    }
+  }
+  return turns.map((turn) => `Speaker ${turn.speaker}: ${turn.words.join(' ')}`).join('\n');
+}
+
+/** Indexes of sections still to condense, at most `limit` of them. */
+function pendingChunkIndexes(progress, limit = MAX_CHUNKS_PER_SWEEP) {
+  const pending = [];
+  for (let i = 0; i < progress.partials.length && pending.length < limit; i += 1) {
+    if (typeof progress.partials[i] !== 'string' || !progress.partials[i].trim()) pending.push(i);
+  }
+  return pending;
+}
+
+function recordChunkSummary(progress, index, notes, promptId = null) {
+  const partials = progress.partials.slice();
+  partials[index] = notes;
+  // Progress saved before prompts were recorded has none yet.
+  const prompts = (progress.prompts || progress.partials.map(() => null)).slice();
+  prompts[index] = promptId;
+  return { ...progress, partials, prompts };
+}
+
+/**
+ * The section-notes prompts a merged summary was built from, for the summary
+ * row's provenance: one id, or several comma-separated when the prompt changed
+ * between sweeps. Null when none was recorded.
+ */
+function sectionPromptVersion(progress) {
+  const ids = [...new Set((progress?.prompts || []).filter(Boolean))];
+  return ids.length > 0 ? ids.join(', ') : null;
+}
+
+function isMapComplete(progress) {
+  return pendingChunkIndexes(progress, 1).length === 0;
+}
+
+function formatOffset(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * The reduce step's input: every section's notes, in order, labelled with
+ * where the section sits in the recording when that is known.
+ */
+function buildMergeInput(progress) {
+  const total = progress.chunks.length;
+  return progress.chunks
+    .map((chunk, index) => {
+      const where = chunk.startMs !== null && chunk.endMs !== null
+        ? ` (${formatOffset(chunk.startMs)}–${formatOffset(chunk.endMs)})`
+        : '';
+      return `## Section ${index + 1} of ${total}${where}\n${String(progress.partials[index] || '').trim()}`;
+    })
+    .join('\n\n');
+}
+
+module.exports = {
+  CHUNKED_SUMMARY_THRESHOLD,
+  CHUNK_MAX_CHARS,
+  MAX_CHUNKS_PER_SWEEP,
+  shouldChunkSummary,
+  packUnits,
+  planChunkedSummary,
+  progressMatchesTranscript,
+  renderChunkText,
+  pendingChunkIndexes,
+  recordChunkSummary,
+  sectionPromptVersion,
+  isMapComplete,
+  buildMergeInput
+};
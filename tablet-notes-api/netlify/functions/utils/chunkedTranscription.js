@@ -0,0 +1,120 @@
+/**
+ * Transcription of a recording on an inline provider (a Whisper server), a few
+ * minutes of audio per call.
+ *
+ * A Whisper server on modest hardware runs at about real time, and the reaper
+ * that calls it stops at 15 minutes (utils/sweepBudget.js). Sent whole, any
+ * sermon longer than that call could never finish, on every retry. OpenAI's
+ * own endpoint also refuses an upload over 25 MB. So the recording is cut into
+ * pieces of at most WHISPER_CHUNK_SECONDS (utils/fragmentedAudio.js), each
+ * piece is one call, and the words are stitched back together at each piece's
+ * offset.
+ *
+ * The work is spread across sweeps the way a long summary is
+ * (utils/chunkedSummary.js): each sweep transcribes the pieces its budget fits,
+ * records them on the job row's `progress`, and puts the job back in the
+ * queue. A failed piece costs one retry of that piece, not the pieces already
+ * done.
+ *
+ * Everything here is pure; the reaper owns the I/O.
+ */
+
+const { planAudioChunks } = require('./fragmentedAudio');
+
+/** Audio per call: half the call's time limit at real-time speed (WHISPER_TIMEOUT_MS). */
+const WHISPER_CHUNK_SECONDS = 5 * 60;
+
+/** OpenAI's 25 MB upload limit, less room for the rest of the form. */
+const WHISPER_MAX_UPLOAD_BYTES = 24 * 1024 * 1024;
+
+const PROGRESS_VERSION = 1;
+
+/**
+ * Plans the pieces of a recording and returns the initial job progress.
+ * Throws when the recording can't be cut under the upload limit.
+ */
+function planChunkedTranscription(audio, {
+  audioPath = null,
+  maxSeconds = WHISPER_CHUNK_SECONDS,
+  maxBytes = WHISPER_MAX_UPLOAD_BYTES
+} = {}) {
+  const { init, chunks } = planAudioChunks(audio, { maxSeconds, maxBytes });
+  return {
+    version: PROGRESS_VERSION,
+    strategy: 'audio_chunks',
+    audioPath,
+    audioBytes: audio.length,
+    init,
+    chunks,
+    transcripts: chunks.map(() => null)
+  };
+}
+
+/**
+ * Whether stored progress was planned against this recording. A job re-queued
+ * with a new recording must not stitch in words heard in the old one.
+ */
+function progressMatchesAudio(progress, audio, { audioPath = null } = {}) {
+  if (!progress || progress.version !== PROGRESS_VERSION || progress.strategy !== 'audio_chunks') {
+    return false;
+  }
+  if (!Array.isArray(progress.chunks) || !Array.isArray(progress.transcripts)) return false;
+  if (progress.chunks.length !== progress.transcripts.length) return false;
+  return progress.audioBytes === audio.length && progress.audioPath === audioPath;
+}
+
+/** Index of the next piece to transcribe, or -1 when every piece is done. */
+function nextAudioChunk(progress) {
+  return progress.transcripts.findIndex((transcript) => transcript === null);
+}
+
+/**
+ * The language to ask for a piece in: the job's, else the one the first piece
+ * was heard in, so a recording whose language is detected is not detected
+ * again — and perhaps differently — every few minutes.
+ */
+function chunkLanguage(progress, language) {
+  return language || progress.transcripts.find(Boolean)?.language_code || null;
+}
+
+/** Records a piece's transcript with its word times moved to where the piece starts. */
+function recordChunkTranscript(progress, index, transcript) {
+  const { startMs } = progress.chunks[index];
+  const transcripts = progress.transcripts.slice();
+  transcripts[index] = {
+    id: transcript.id,
+    text: transcript.text || '',
+    words: (transcript.words || []).map((word) => ({
+      ...word,
+      start: word.start + startMs,
+      end: word.end + startMs
+    })),
+    language_code: transcript.language_code || null
+  };
+  return { ...progress, transcripts };
+}
+
+/** The whole recording's transcript, in the shape every provider returns. */
+function mergeChunkTranscripts(progress) {
+  const pieces = progress.transcripts;
+  return {
+    id: pieces[0].id,
+    status: 'completed',
+    text: pieces.map((piece) => piece.text.trim()).filter(Boolean).join(' '),
+    words: pieces.flatMap((piece) => piece.words),
+    utterances: null,
+    chapters: null,
+    language_code: chunkLanguage(progress, null)
+  };
+}
+
+module.exports = {
+  WHISPER_CHUNK_SECONDS,
+  WHISPER_MAX_UPLOAD_BYTES,
+  planChunkedTranscription,
+  progressMatchesAudio,
+  nextAudioChunk,
+  chunkLanguage,
+  recordChunkTranscript,
+  mergeChunkTranscripts
+};
@@ -8,6 +8,108 @@ const {
   shouldChainSummary
 } = require('./processingJobs');
 const { applySermonStageTerminal, STATUS_NO_SPEECH, STATUS_COMPLETE, STATUS_TOO_SHORT } = require('./sermonStatus');
+const { queueSearchIndexJob } = require('./searchIndex');
+const { replaceScriptureReferences } = require('./scriptureReferences');
+const { replaceSermonChapters } = require('./sermonChapters');
+const { segmentRows } = require('./transcriptSegments');
+const { speakerTurns } = require('./sermonSpeakers');
+const { detectServiceSpans } = require('./serviceSegments');
+const { correctTranscript } = require('./vocabulary');
+const { detectedLanguage, normalizeLanguage } = require('./sermonLanguage');
+const { transcriptKeepingEdits } = require('./transcriptEdits');
+
+// Guarded writes of an existing transcript before the job is failed and
+// retried instead.
+const TRANSCRIPT_WRITE_ATTEMPTS = 3;
+
+/**
+ * Write the completed transcript, keeping the user's edits.
+ *
+ * The row and its word segments (utils/transcriptSegments.js) are one write,
+ * save_completed_transcript: edits and the review address words by their
+ * index in the segments, so new text over the old words would apply a
+ * correction to the wrong ones.
+ *
+ * An existing row is rewritten only if it is still the version read: an edit
+ * saved between the read and the write bumps `updated_at`, and the next
+ * attempt reads it and keeps it. Without a row there are no edits to lose, so
+ * the first transcript is an upsert.
+ *
+ * @returns {Promise<{ok: true, transcript: object, keptEdits: boolean, previousText: string|null, segments: number} | {ok: false, error: string}>}
+ */
+async function persistTranscript({ supabase, job, providerTranscript, logger }) {
+  for (let attempt = 1; attempt <= TRANSCRIPT_WRITE_ATTEMPTS; attempt++) {
+    const { data: existingTranscript, error: readError } = await supabase
+      .from('transcripts')
+      .select('local_id, edited_at, text, segments, updated_at')
+      .eq('sermon_id', job.sermon_id)
+      .maybeSingle();
+    if (readError) {
+      return { ok: false, error: `transcript lookup failed: ${readError.message}` };
+    }
+
+    // A reaper re-run or a retry must not silently discard the user's
+    // corrections: once edited, the transcript's text and words stay theirs.
+    const keptEdits = Boolean(existingTranscript?.edited_at);
+    if (keptEdits) {
+      logger?.info?.('Keeping user-edited transcript over re-transcription', {
+        jobId: job.id,
+        sermonId: job.sermon_id,
+        editedAt: existingTranscript.edited_at
+      });
+    }
+    const transcript = transcriptKeepingEdits(existingTranscript, providerTranscript);
+    const words = Array.isArray(transcript?.words) ? transcript.words : [];
+
+    // transcripts.local_id is NOT NULL (it is the client's own transcript UUID).
+    // On a first transcription there is no row yet, so the write is an INSERT
+    // and omitting local_id fails it — which would leave the job retrying
+    // forever against a constraint it can never satisfy. Reuse the existing
+    // row's local_id when there is one so the client's identifier is preserved
+    // across re-transcription; mint one only when creating.
+    const row = {
+      local_id: existingTranscript?.local_id || randomUUID(),
+      sermon_id: job.sermon_id,
+      user_id: job.user_id,
+      text: transcript?.text || '',
+      segments: words.length > 0 ? words : null,
+      // Who spoke when; null without speaker labels (utils/sermonSpeakers.js).
+      speaker_turns: speakerTurns({ utterances: transcript?.utterances, words }),
+      // Worship, announcements, prayer and sermon spans; null when no sermon
+      // stands out (utils/serviceSegments.js).
+      service_spans: detectServiceSpans({ words }),
+      status: 'complete',
+      updated_at: new Date().toISOString()
+    };
+
+    // Numbered here, tied to the row by the function: a first transcript has
+    // no id yet.
+    const wordRows = segmentRows({ transcriptId: null, words });
+    const { data: written, error } = await supabase
+      .rpc('save_completed_transcript', {
+        p_sermon_id: job.sermon_id,
+        p_base_updated_at: existingTranscript?.updated_at ?? null,
+        p_row: row,
+        p_rows: wordRows
+      })
+      .select('id')
+      .maybeSingle();
+    if (error) return { ok: false, error: `transcript persist failed: ${error.message}` };
+    if (written) {
+      return {
+        ok: true,
+        transcript,
+        keptEdits,
+        previousText: existingTranscript?.text ?? null,
+        segments: wordRows.length
+      };
+    }
+
+    logger?.info?.('Transcript changed while completing; reading it again', { jobId: job.id, attempt });
+  }
+
+  return { ok: false, error: 'transcript persist failed: the transcript kept changing' };
+}
 
 /**
  * The single implementation of "a transcription finished successfully".
@@ -25,45 +127,55 @@ const { applySermonStageTerminal, STATUS_NO_SPEECH, STATUS_COMPLETE, STATUS_TOO_
  * find a missing transcript (CLAUDE.md §9 #2 — never acknowledge ahead of the
  * write).
  *
- * @returns {Promise<{ok: true, summaryChained: boolean} | {ok: false, error: string}>}
+ * A transcript the user has corrected (utils/transcriptEdits.js) is never
+ * overwritten here: a re-run keeps their text and words.
+ *
+ * @returns {Promise<{ok: true, summaryChained: boolean, searchIndexQueued: boolean, scriptureReferences: number|null, chapters: number|null, segments: number, keptEdits: boolean} | {ok: false, error: string}>}
  */
-async function completeTranscriptionJob({ supabase, job, transcript, logger }) {
+async function completeTranscriptionJob({ supabase, job, transcript: providerTranscript, logger }) {
+  // The user's custom vocabulary, as a find-and-replace pass over what the
+  // provider heard (utils/vocabulary.js). Everything below reads the corrected
+  // transcript; without vocabulary it is the provider's, unchanged.
+  const { transcript: correctedTranscript, replacements: vocabularyReplacements } = await correctTranscript({
+    supabase,
+    userId: job.user_id,
+    transcript: providerTranscript,
+    logger
+  });
+
+  const persisted = await persistTranscript({ supabase, job, providerTranscript: correctedTranscript, logger });
+  if (!persisted.ok) {
+    // Do NOT mark the job done — leave it retryable so the transcript isn't lost,
+    // and so a transcript that couldn't be read is never written blind over
+    // the user's edits.
+    const failure = planFailure(job, persisted.error);
+    await persistJobFailure({ supabase, job, failure, logger });
+    logger?.error?.('Failed to persist transcript', { jobId: job.id, error: persisted.error });
+    return { ok: false, error: persisted.error };
+  }
+
+  const { transcript, keptEdits, previousText, segments } = persisted;
   const text = transcript?.text || '';
   const words = Array.isArray(transcript?.words) ? transcript.words : [];
+  // Different words from the transcript this replaced: a re-transcription
+  // that heard otherwise, a live session resumed after a crash, the recording
+  // taking over from a live transcript (utils/liveSessions.js). The summary of
+  // the old words must be written again.
+  const textChanged = previousText !== null && previousText !== text;
 
-  // transcripts.local_id is NOT NULL (it is the client's own transcript UUID).
-  // On a first transcription there is no row yet, so this upsert becomes an
-  // INSERT and omitting local_id fails the whole write — which would leave the
-  // job retrying forever against a constraint it can never satisfy. Reuse the
-  // existing row's local_id when there is one so the client's identifier is
-  // preserved across re-transcription; mint one only when creating.
-  const { data: existingTranscript } = await supabase
-    .from('transcripts')
-    .select('local_id')
-    .eq('sermon_id', job.sermon_id)
-    .maybeSingle();
-
-  const localId = existingTranscript?.local_id || randomUUID();
-
-  const { error: transcriptError } = await supabase.from('transcripts').upsert(
-    {
-      local_id: localId,
-      sermon_id: job.sermon_id,
-      user_id: job.user_id,
-      text,
-      segments: words.length > 0 ? words : null,
-      status: 'complete',
-      updated_at: new Date().toISOString()
-    },
-    { onConflict: 'sermon_id' }
-  );
-
-  if (transcriptError) {
-    // Do NOT mark the job done — leave it retryable so the transcript isn't lost.
-    const failure = planFailure(job, `transcript persist failed: ${transcriptError.message}`);
-    await persistJobFailure({ supabase, job, failure, logger });
-    logger?.error?.('Failed to persist transcript', { jobId: job.id }, transcriptError);
-    return { ok: false, error: transcriptError.message };
+  // The language it was preached in: what the provider detected, else what
+  // the job asked for (utils/sermonLanguage.js). The summary is written in it
+  // unless the user chose another. Non-fatal: a sermon without a language is
+  // summarized as before.
+  const language = detectedLanguage(transcript) || normalizeLanguage(job.language);
+  if (language) {
+    const { error: languageError } = await supabase
+      .from('sermons')
+      .update({ language })
+      .eq('id', job.sermon_id);
+    if (languageError) {
+      logger?.warn?.('Failed to record sermon language', { jobId: job.id, language, error: languageError.message });
+    }
   }
 
   // The provider can succeed and still return nothing: the recording contained
@@ -115,12 +227,18 @@ async function completeTranscriptionJob({ supabase, job, transcript, logger }) {
       status: JOB_STATUS.DONE,
       completed_at: new Date().toISOString(),
       last_error: null,
-      next_attempt_at: null
+      next_attempt_at: null,
+      // Pieces of an inline transcription (utils/chunkedTranscription.js) are
+      // only needed until they are stitched together.
+      progress: null
     })
     .eq('id', job.id);
 
   // Chain the summary stage as its own durable job: a summary failure must
-  // never cost the transcript, and the reaper drives it independently.
+  // never cost the transcript, and the reaper drives it independently. An
+  // existing summary job is left alone unless the words changed; then it is
+  // queued again, and the reaper finds the summary older than the transcript
+  // and rewrites it (summaryCoversTranscript).
   let summaryChained = false;
   if (shouldChainSummary(job, text)) {
     const { error: chainError } = await supabase.from('processing_jobs').upsert(
@@ -131,9 +249,12 @@ async function completeTranscriptionJob({ supabase, job, transcript, logger }) {
         kind: JOB_KINDS.SUMMARY,
         status: JOB_STATUS.QUEUED,
         idempotency_key: idempotencyKey(job.sermon_id, JOB_KINDS.SUMMARY),
-        attempts: 0
+        attempts: 0,
+        ...(textChanged
+          ? { last_error: null, next_attempt_at: null, submitted_at: null, completed_at: null, progress: null }
+          : {})
       },
-      { onConflict: 'idempotency_key', ignoreDuplicates: true }
+      { onConflict: 'idempotency_key', ignoreDuplicates: !textChanged }
     );
 
     if (chainError) {
@@ -145,15 +266,60 @@ async function completeTranscriptionJob({ supabase, job, transcript, logger }) {
     }
   }
 
+  // The transcript joins the user's library search. Re-queued on every
+  // completion so a re-transcription replaces the old passages.
+  const searchIndexQueued = hasSpeech
+    ? await queueSearchIndexJob({ supabase, job, logger })
+    : false;
+
+  // The verses the transcript mentions, replaced on every completion (an
+  // empty transcript clears them). Like the search index, a failure here is
+  // logged and never costs the transcript; null means it did not run.
+  let scriptureReferences = null;
+  try {
+    scriptureReferences = await replaceScriptureReferences({
+      supabase,
+      sermonId: job.sermon_id,
+      userId: job.user_id,
+      text,
+      words
+    });
+  } catch (referenceError) {
+    logger?.error?.('Failed to record scripture references', { jobId: job.id }, referenceError);
+  }
+
+  // The sermon's outline, from the provider's chapters or our own pass over
+  // the word timings (utils/sermonChapters.js). Same rules: replaced on every
+  // completion, never fatal, null when it did not run.
+  let chapters = null;
+  try {
+    chapters = await replaceSermonChapters({
+      supabase,
+      sermonId: job.sermon_id,
+      userId: job.user_id,
+      transcript
+    });
+  } catch (chapterError) {
+    logger?.error?.('Failed to record sermon chapters', { jobId: job.id }, chapterError);
+  }
+
   logger?.info?.('Transcription completed', {
     jobId: job.id,
     sermonId: job.sermon_id,
     textLength: text.length,
     segmentCount: words.length,
-    summaryChained
+    language,
+    vocabularyReplacements,
+    summaryChained,
+    textChanged,
+    searchIndexQueued,
+    scriptureReferences,
+    chapters,
+    segments,
+    keptEdits
   });
 
-  return { ok: true, summaryChained };
+  return { ok: true, summaryChained, searchIndexQueued, scriptureReferences, chapters, segments, keptEdits };
 }
 
 module.exports = { completeTranscriptionJob };
@@ -0,0 +1,204 @@
+/**
+ * Splits a fragmented m4a into pieces that decode on their own.
+ *
+ * The app records through FragmentedM4AWriter (TabletNotes/Services/Recording),
+ * so an upload is an `ftyp` and `moov` header followed by a run of `moof` +
+ * `mdat` fragments, a second or so of AAC each. The header plus any run of
+ * whole fragments is itself a valid recording. That is what lets a long sermon
+ * go to a Whisper server a few minutes at a time (utils/chunkedTranscription.js)
+ * without decoding or re-encoding anything here.
+ *
+ * Each piece has its fragments' decode times (`tfdt`) moved back to zero, so
+ * every server reports times from the start of the piece; the caller adds the
+ * piece's `startMs`.
+ *
+ * Anything else — an unfragmented m4a, another container, a file with more
+ * than one track — is planned as a single piece holding the whole file.
+ *
+ * Pure: works on a Buffer already in memory.
+ */
+
+/** Top-level boxes of `buffer` between `start` and `end`. A box cut short by the end is left out. */
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+    boxes.push({
+      type: buffer.toString('latin1', offset + 4, offset + 8),
+      start: offset,
+      end: offset + size,
+      body: offset + header
+    });
+    offset += size;
+  }
+  return boxes;
+}
+
+function childBoxes(buffer, box, type) {
+  return readBoxes(buffer, box.body, box.end).filter((child) => child.type === type);
+}
+
+/** The box at the end of a path of single children (`['trak', 'mdia', 'mdhd']`), or null. */
+function descend(buffer, box, path) {
+  let current = box;
+  for (const type of path) {
+    current = childBoxes(buffer, current, type)[0];
+    if (!current) return null;
+  }
+  return current;
+}
+
+/** Ticks per second of the track's decode times. */
+function trackTimescale(buffer, moov) {
+  const mdhd = descend(buffer, moov, ['trak', 'mdia', 'mdhd']);
+  if (!mdhd) return null;
+  const version = buffer.readUInt8(mdhd.body);
+  return buffer.readUInt32BE(mdhd.body + (version === 1 ? 20 : 12));
+}
+
+/** The `tfdt` box of each track fragment in a `moof`. */
+function decodeTimeBoxes(buffer, moof) {
+  return childBoxes(buffer, moof, 'traf')
+    .map((traf) => childBoxes(buffer, traf, 'tfdt')[0])
+    .filter(Boolean);
+}
+
+function readDecodeTime(buffer, tfdt) {
+  return buffer.readUInt8(tfdt.body) === 1
+    ? Number(buffer.readBigUInt64BE(tfdt.body + 4))
+    : buffer.readUInt32BE(tfdt.body + 4);
+}
+
+function writeDecodeTime(buffer, tfdt, value) {
+  if (buffer.readUInt8(tfdt.body) === 1) {
+    buffer.writeBigUInt64BE(BigInt(value), tfdt.body + 4);
+  } else {
+    buffer.writeUInt32BE(value, tfdt.body + 4);
+  }
+}
+
+/**
+ * Whether a fragment locates its samples relative to itself. One that names
+ * an absolute file offset (`tfhd` base-data-offset-present) would point at the
+ * wrong bytes once moved into a piece.
+ */
+function isSelfContained(buffer, moof) {
+  return childBoxes(buffer, moof, 'traf').every((traf) => {
+    const tfhd = childBoxes(buffer, traf, 'tfhd')[0];
+    return tfhd && (buffer.readUInt32BE(tfhd.body) & 0x000001) === 0;
+  });
+}
+
+/** `{ init, fragments }` for a single-track fragmented m4a, else null. */
+function readFragments(buffer) {
+  const boxes = readBoxes(buffer);
+  const ftyp = boxes.find((box) => box.type === 'ftyp');
+  const moov = boxes.find((box) => box.type === 'moov');
+  if (!ftyp || !moov || childBoxes(buffer, moov, 'trak').length !== 1) return null;
+
+  const timescale = trackTimescale(buffer, moov);
+  if (!timescale) return null;
+
+  // A fragment is a moof and the mdat after it; a moof whose mdat was never
+  // written (a recording cut off mid-fragment) is dropped with it.
+  const fragments = [];
+  for (let i = 0; i < boxes.length - 1; i += 1) {
+    if (boxes[i].type !== 'moof' || boxes[i + 1].type !== 'mdat') continue;
+    const [tfdt] = decodeTimeBoxes(buffer, boxes[i]);
+    if (!tfdt || !isSelfContained(buffer, boxes[i])) return null;
+    fragments.push({ start: boxes[i].start, end: boxes[i + 1].end, decodeTime: readDecodeTime(buffer, tfdt) });
+  }
+  if (fragments.length === 0) return null;
+
+  return {
+    init: [[ftyp.start, ftyp.end], [moov.start, moov.end]],
+    timescale,
+    fragments
+  };
+}
+
+/**
+ * Plans the pieces a recording is sent in: runs of whole fragments, each at
+ * most `maxSeconds` long and, with the header, at most `maxBytes`.
+ *
+ * @returns {{ init: Array<[number, number]>, chunks: Array<{ from: number, to: number, startMs: number }> }}
+ *   Byte ranges: `init` is the header every piece repeats (empty when the file
+ *   goes whole), each chunk a run of fragments starting `startMs` in.
+ * @throws when a file that cannot be split, or a single fragment, is over `maxBytes`.
+ */
+function planAudioChunks(buffer, { maxSeconds, maxBytes = Infinity }) {
+  const parsed = readFragments(buffer);
+  if (!parsed) {
+    if (buffer.length > maxBytes) {
+      throw new Error(`recording is ${buffer.length} bytes and not a fragmented m4a, so it cannot be split under the ${maxBytes}-byte upload limit`);
+    }
+    return { init: [], chunks: [{ from: 0, to: buffer.length, startMs: 0 }] };
+  }
+
+  const { init, timescale, fragments } = parsed;
+  const initBytes = init.reduce((sum, [from, to]) => sum + (to - from), 0);
+  const firstTime = fragments[0].decodeTime;
+  const maxTicks = maxSeconds * timescale;
+
+  const chunks = [];
+  let current = null;
+  for (const fragment of fragments) {
+    const bytes = initBytes + (fragment.end - (current ? current.from : fragment.start));
+    if (current && (fragment.decodeTime - current.decodeTime >= maxTicks || bytes > maxBytes)) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      if (initBytes + fragment.end - fragment.start > maxBytes) {
+        throw new Error(`a fragment at byte ${fragment.start} is over the ${maxBytes}-byte upload limit`);
+      }
+      current = { from: fragment.start, to: fragment.end, decodeTime: fragment.decodeTime };
+    } else {
+      current.to = fragment.end;
+    }
+  }
+  chunks.push(current);
+
+  return {
+    init,
+    chunks: chunks.map(({ from, to, decodeTime }) => ({
+      from,
+      to,
+      startMs: Math.round(((decodeTime - firstTime) / timescale) * 1000)
+    }))
+  };
+}
+
+/** The bytes of one planned piece: the header, then its fragments starting at time zero. */
+function cutAudioChunk(buffer, { init, chunk }) {
+  if (init.length === 0) return buffer.subarray(chunk.from, chunk.to);
+
+  // Copied, so rewriting decode times never touches the recording itself.
+  const fragments = Buffer.from(buffer.subarray(chunk.from, chunk.to));
+  let base = null;
+  for (const moof of readBoxes(fragments).filter((box) => box.type === 'moof')) {
+    for (const tfdt of decodeTimeBoxes(fragments, moof)) {
+      const time = readDecodeTime(fragments, tfdt);
+      if (base === null) base = time;
+      writeDecodeTime(fragments, tfdt, time - base);
+    }
+  }
+
+  return Buffer.concat([...init.map(([from, to]) => buffer.subarray(from, to)), fragments]);
+}
+
+module.exports = {
+  readBoxes,
+  planAudioChunks,
+  cutAudioChunk
+};
@@ -1,3 +1,7 @@
+const { transformScriptureReference } = require('./scriptureReferences');
+const { transformChapter } = require('./sermonChapters');
+const { transformSpeaker } = require('./sermonSpeakers');
+
 /**
  * Shape `get-sermons` rows into the client `RemoteSermonData` payload.
  *
@@ -47,7 +51,10 @@ function transformTranscript(transcripts) {
     id: row.id,
     localId: row.local_id,
     text: row.text,
-    status: row.status
+    status: row.status,
+    // Worship, announcements, prayer and sermon spans with the sermon's start
+    // and end (utils/serviceSegments.js); null when none was detected.
+    serviceSpans: row.service_spans || null
   };
 }
 
@@ -62,10 +69,50 @@ function transformSummary(summaries) {
     title: row.title,
     text: row.text,
     type: row.type,
-    status: row.status
+    status: row.status,
+    // Sections the markdown `text` was rendered from; null for summaries
+    // written before structured output or pushed by a client.
+    structured: row.structured || null,
+    // Verse text of the passages it cites (utils/summaryPassages.js); null
+    // until the summary job has looked them up.
+    scripturePassages: row.scripture_passages || null,
+    // The language it is written in; null when the sermon's was unknown.
+    language: row.language || null
   };
 }
 
+// Mentions in transcript order; the embedded select does not guarantee one.
+function transformScriptureReferences(references) {
+  if (!Array.isArray(references)) {
+    return [];
+  }
+  return references
+    .slice()
+    .sort((a, b) => a.mention_index - b.mention_index)
+    .map(transformScriptureReference);
+}
+
+function transformChapters(chapters) {
+  if (!Array.isArray(chapters)) {
+    return [];
+  }
+  return chapters
+    .slice()
+    .sort((a, b) => a.chapter_index - b.chapter_index)
+    .map(transformChapter);
+}
+
+// Named speaker labels only; the turns themselves come from /sermon-speakers.
+function transformSpeakers(speakers) {
+  if (!Array.isArray(speakers)) {
+    return [];
+  }
+  return speakers
+    .slice()
+    .sort((a, b) => a.label.localeCompare(b.label))
+    .map(transformSpeaker);
+}
+
 function transformSermon(sermon) {
   return {
     id: sermon.id,
@@ -76,6 +123,9 @@ function transformSermon(sermon) {
     date: sermon.date,
     serviceType: sermon.service_type,
     speaker: sermon.speaker,
+    // ISO 639-1 code it was preached in; null until a transcription reports
+    // one (utils/sermonLanguage.js).
+    language: sermon.language || null,
     transcriptionStatus: sermon.transcription_status,
     summaryStatus: sermon.summary_status,
     isArchived: sermon.is_archived,
@@ -83,7 +133,10 @@ function transformSermon(sermon) {
     updatedAt: sermon.updated_at,
     notes: transformNotes(sermon.notes),
     transcript: transformTranscript(sermon.transcripts),
-    summary: transformSummary(sermon.summaries)
+    summary: transformSummary(sermon.summaries),
+    scriptureReferences: transformScriptureReferences(sermon.scripture_references),
+    chapters: transformChapters(sermon.sermon_chapters),
+    speakers: transformSpeakers(sermon.sermon_speakers)
   };
 }
 
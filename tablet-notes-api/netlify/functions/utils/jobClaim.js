@@ -36,16 +36,18 @@ async function claimJob({ supabase, jobId, fromStatus = JOB_STATUS.QUEUED, toSta
  * Release a claim so the job returns to the queue for a later attempt.
  * Used when the billable call never actually happened (signed-URL failure,
  * provider submit threw) — leaving the row 'submitted' with no provider id
- * would strand it until the stale window elapsed.
+ * would strand it until the stale window elapsed. `patch` rides along, e.g.
+ * the provider a failed-over job moves to.
  */
-async function releaseClaim({ supabase, jobId, error, retryDelayMs = 60_000 }) {
+async function releaseClaim({ supabase, jobId, error, retryDelayMs = 60_000, patch = {} }) {
   await supabase
     .from('processing_jobs')
     .update({
       status: JOB_STATUS.QUEUED,
       submitted_at: null,
       last_error: typeof error === 'string' ? error : (error?.message || 'unknown error'),
-      next_attempt_at: new Date(Date.now() + retryDelayMs).toISOString()
+      next_attempt_at: new Date(Date.now() + retryDelayMs).toISOString(),
+      ...patch
     })
     .eq('id', jobId);
 }
@@ -0,0 +1,516 @@
+const {
+  JOB_KINDS,
+  JOB_STATUS,
+  DEFAULT_MAX_ATTEMPTS,
+  idempotencyKey
+} = require('./processingJobs');
+const { completeTranscriptionJob } = require('./completeTranscription');
+
+/**
+ * Live transcription sessions (live-sessions.js).
+ *
+ * assemblyai-live-token.js mints a streaming token and the transcript then
+ * lived only on the device: a phone that died mid-service lost it. A session
+ * ties a sermon's live captions to the server instead:
+ *
+ *   - the app starts a session for the sermon when it starts streaming;
+ *   - every so often it checkpoints the turns AssemblyAI finalized since the
+ *     last checkpoint, numbered so a retried checkpoint is stored once;
+ *   - when recording stops it finalizes the session. A session whose phone
+ *     went quiet is finalized by the reaper (finalizeAbandonedLiveSessions).
+ *
+ * Finalizing writes the sermon's transcript through completeTranscriptionJob,
+ * like any transcription: the `transcripts` row, the sermon's statuses, the
+ * summary job, search index and the rest. It does so as a transcription job
+ * of its own provider, `assemblyai-live`, which has no audio to resubmit, so
+ * it gets one attempt. The transcript is every session of the sermon in
+ * order, so a recording resumed after a crash is not cut in half.
+ *
+ * The recording's own transcription wins. When the sermon already has a
+ * transcription job from its audio, the session is finalized without writing
+ * anything (`superseded`); when the audio arrives after a live transcript,
+ * jobs.js re-transcribes over it (supersedableLiveJob); when it arrives while
+ * a finalize is still writing one, the job is handed to the recording and
+ * queued once the finalize is done (queueRecordingBehindLiveJob). Whenever
+ * finalizing or the recording changes the sermon's words,
+ * completeTranscriptionJob queues its summary again, so the summary covers
+ * every session and, in the end, the recording.
+ */
+
+const LIVE_TRANSCRIPTION_PROVIDER = 'assemblyai-live';
+
+const LIVE_SESSION_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  FINALIZED: 'finalized'
+});
+
+const LIVE_SESSION_OUTCOMES = Object.freeze({
+  TRANSCRIBED: 'transcribed',
+  SUPERSEDED: 'superseded',
+  EMPTY: 'empty'
+});
+
+const MAX_CHECKPOINT_TURNS = 200;
+const MAX_TURN_TEXT_LENGTH = 5000;
+const MAX_TURN_WORDS = 1000;
+
+// A session with no checkpoint for this long is taken to have lost its phone.
+const LIVE_SESSION_ABANDONED_MS = 30 * 60 * 1000;
+const ABANDONED_SESSIONS_PER_SWEEP = 5;
+
+const CHECKPOINT_PAGE_SIZE = 1000;
+
+const SESSION_COLUMNS = 'id, user_id, sermon_id, status, language, outcome, last_sequence, last_checkpoint_at, finalized_at, created_at, updated_at';
+
+/** A stored session as the client sees it. */
+function transformSession(row) {
+  return {
+    id: row.id,
+    sermonId: row.sermon_id,
+    status: row.status,
+    language: row.language || null,
+    outcome: row.outcome || null,
+    lastSequence: row.last_sequence ?? null,
+    lastCheckpointAt: row.last_checkpoint_at || null,
+    finalizedAt: row.finalized_at || null,
+    createdAt: row.created_at
+  };
+}
+
+/** Whether a processing job is a live session's transcription. */
+function isLiveTranscriptionJob(job) {
+  return job?.kind === JOB_KINDS.TRANSCRIPTION && job?.provider === LIVE_TRANSCRIPTION_PROVIDER;
+}
+
+/**
+ * Whether the recording's transcription may replace this job: a live job
+ * that has finished, or that failed and holds nothing.
+ */
+function supersedableLiveJob(job) {
+  return isLiveTranscriptionJob(job) &&
+    [JOB_STATUS.DONE, JOB_STATUS.DEAD, JOB_STATUS.FAILED].includes(job.status);
+}
+
+/**
+ * Hands a live job that a finalize still holds to the recording. The row
+ * takes the recording's audio, language and provider now, so no second
+ * finalize can claim it, and the finalize puts it in the queue once it has
+ * written the live transcript (releaseRecordingJob). A finalize that dies
+ * first leaves the recording's job stalled, and the reaper recovers it like
+ * any other. Null when the finalize finished first: the job is then
+ * supersedable and is revived as usual.
+ *
+ * @param {object} options.recording `{ audio_file_path, language, provider }`
+ */
+async function queueRecordingBehindLiveJob({ supabase, job, recording }) {
+  const { data: queued, error } = await supabase
+    .from('processing_jobs')
+    .update({
+      ...recording,
+      attempts: 0,
+      max_attempts: DEFAULT_MAX_ATTEMPTS,
+      last_error: null,
+      next_attempt_at: null
+    })
+    .eq('id', job.id)
+    .eq('status', JOB_STATUS.RUNNING)
+    .eq('provider', LIVE_TRANSCRIPTION_PROVIDER)
+    .select()
+    .maybeSingle();
+  if (error) {
+    throw new Error(`queueing the recording behind the live job failed: ${error.message}`);
+  }
+  return queued || null;
+}
+
+/**
+ * After a finalize has written its live transcript: if a recording was queued
+ * behind the job meanwhile, queue it for the reaper, whether or not the live
+ * transcript was saved. A job still the finalize's own is left alone.
+ */
+async function releaseRecordingJob({ supabase, job }) {
+  const { data: released, error } = await supabase
+    .from('processing_jobs')
+    .update({
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: null,
+      provider_job_id: null,
+      submitted_at: null,
+      completed_at: null
+    })
+    .eq('id', job.id)
+    .neq('provider', LIVE_TRANSCRIPTION_PROVIDER)
+    .in('status', [JOB_STATUS.DONE, JOB_STATUS.DEAD, JOB_STATUS.FAILED])
+    .select()
+    .maybeSingle();
+  if (error) {
+    throw new Error(`queueing the recording after the live finalize failed: ${error.message}`);
+  }
+  return released || null;
+}
+
+/**
+ * Loads a session the caller may use.
+ *
+ * @returns {Promise<object>} `{ session }`, or `{ error: 'not_found' | 'forbidden' }`.
+ */
+async function loadOwnedSession({ supabase, sessionId, userId }) {
+  const { data: session, error } = await supabase
+    .from('live_sessions')
+    .select(SESSION_COLUMNS)
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error || !session) {
+    return { error: 'not_found' };
+  }
+  if (session.user_id !== userId) {
+    return { error: 'forbidden' };
+  }
+  return { session };
+}
+
+async function activeSession({ supabase, sermonId }) {
+  const { data, error } = await supabase
+    .from('live_sessions')
+    .select(SESSION_COLUMNS)
+    .eq('sermon_id', sermonId)
+    .eq('status', LIVE_SESSION_STATUS.ACTIVE)
+    .maybeSingle();
+  if (error) {
+    throw new Error(`live session lookup failed: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * The sermon's active session, or a new one. A sermon has at most one active
+ * session, so a start retried after a lost response gets the same one back.
+ *
+ * @returns {Promise<{session: object, reused: boolean}>}
+ */
+async function startLiveSession({ supabase, sermonId, userId, language = null }) {
+  const existing = await activeSession({ supabase, sermonId });
+  if (existing) return { session: existing, reused: true };
+
+  const { data: session, error } = await supabase
+    .from('live_sessions')
+    .insert({
+      user_id: userId,
+      sermon_id: sermonId,
+      status: LIVE_SESSION_STATUS.ACTIVE,
+      language
+    })
+    .select(SESSION_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    // 23505: a concurrent start created it first.
+    if (error.code === '23505') {
+      const current = await activeSession({ supabase, sermonId });
+      if (current) return { session: current, reused: true };
+    }
+    throw new Error(`live session create failed: ${error.message}`);
+  }
+  return { session, reused: false };
+}
+
+/** A checkpoint's turns as one stretch of text and its words (ms). */
+function checkpointContent(turns) {
+  const texts = [];
+  const words = [];
+  for (const turn of turns || []) {
+    const text = String(turn?.text || '').trim();
+    if (text) texts.push(text);
+    for (const word of Array.isArray(turn?.words) ? turn.words : []) {
+      if (typeof word?.text !== 'string' || !word.text.trim()) continue;
+      if (!Number.isFinite(word.start) || !Number.isFinite(word.end)) continue;
+      words.push({
+        text: word.text.trim(),
+        start: word.start,
+        end: word.end,
+        confidence: Number.isFinite(word.confidence) ? word.confidence : null
+      });
+    }
+  }
+  return { text: texts.join(' '), words };
+}
+
+/**
+ * Store a checkpoint. A `sequence` already stored is a retry and is not
+ * stored again.
+ *
+ * @returns {Promise<{session: object, duplicate: boolean}>}
+ */
+async function recordCheckpoint({ supabase, session, sequence, turns }) {
+  const { text, words } = checkpointContent(turns);
+
+  const { error } = await supabase
+    .from('live_session_checkpoints')
+    .insert({ session_id: session.id, sequence, text, words });
+
+  if (error) {
+    if (error.code === '23505') return { session, duplicate: true };
+    throw new Error(`live checkpoint write failed: ${error.message}`);
+  }
+
+  const now = new Date().toISOString();
+  const { data: updated, error: updateError } = await supabase
+    .from('live_sessions')
+    .update({
+      last_sequence: Math.max(sequence, session.last_sequence ?? -1),
+      last_checkpoint_at: now,
+      updated_at: now
+    })
+    .eq('id', session.id)
+    .select(SESSION_COLUMNS)
+    .maybeSingle();
+  if (updateError) {
+    throw new Error(`live session update failed: ${updateError.message}`);
+  }
+
+  return { session: updated || session, duplicate: false };
+}
+
+/**
+ * The live transcript so far: every checkpoint of the given sessions, in
+ * session order then sequence order. Each session is paged on its own:
+ * sequences repeat across sessions, so only within one are they an order a
+ * page boundary can't reshuffle.
+ *
+ * @returns {Promise<{text: string, words: object[], checkpoints: number}>}
+ */
+async function loadLiveTranscript({ supabase, sessionIds }) {
+  const rows = [];
+  for (const sessionId of sessionIds) {
+    for (let from = 0; ; from += CHECKPOINT_PAGE_SIZE) {
+      const { data: page, error } = await supabase
+        .from('live_session_checkpoints')
+        .select('sequence, text, words')
+        .eq('session_id', sessionId)
+        .order('sequence', { ascending: true })
+        .range(from, from + CHECKPOINT_PAGE_SIZE - 1);
+      if (error) {
+        throw new Error(`live checkpoint read failed: ${error.message}`);
+      }
+      rows.push(...(page || []));
+      if (!page || page.length < CHECKPOINT_PAGE_SIZE) break;
+    }
+  }
+
+  return {
+    text: rows.map((row) => row.text).filter(Boolean).join(' '),
+    words: rows.flatMap((row) => (Array.isArray(row.words) ? row.words : [])),
+    checkpoints: rows.length
+  };
+}
+
+/** The ids of a sermon's sessions, oldest first. */
+async function sermonSessionIds({ supabase, sermonId }) {
+  const { data, error } = await supabase
+    .from('live_sessions')
+    .select('id')
+    .eq('sermon_id', sermonId)
+    .order('created_at', { ascending: true });
+  if (error) {
+    throw new Error(`live session lookup failed: ${error.message}`);
+  }
+  return (data || []).map((row) => row.id);
+}
+
+/**
+ * The sermon's transcription job for this live transcript, claimed RUNNING:
+ * created, or taken over from an earlier live finalize. Null when the
+ * recording's own transcription owns the sermon (`superseded`) or another
+ * finalize holds the job (`busy`).
+ *
+ * @returns {Promise<{job: object} | {superseded: true} | {busy: true}>}
+ */
+async function claimLiveJob({ supabase, session, sermon }) {
+  const key = idempotencyKey(session.sermon_id, JOB_KINDS.TRANSCRIPTION);
+  const { data: existing, error } = await supabase
+    .from('processing_jobs')
+    .select('*')
+    .eq('idempotency_key', key)
+    .maybeSingle();
+  if (error) {
+    throw new Error(`transcription job lookup failed: ${error.message}`);
+  }
+
+  const now = new Date().toISOString();
+  const claim = {
+    status: JOB_STATUS.RUNNING,
+    provider: LIVE_TRANSCRIPTION_PROVIDER,
+    language: session.language || null,
+    attempts: 0,
+    max_attempts: 1,
+    last_error: null,
+    next_attempt_at: null,
+    provider_job_id: null,
+    audio_file_path: null,
+    submitted_at: now,
+    completed_at: null
+  };
+
+  if (existing) {
+    if (!isLiveTranscriptionJob(existing)) return { superseded: true };
+    if (!supersedableLiveJob(existing)) return { busy: true };
+
+    const { data: claimed } = await supabase
+      .from('processing_jobs')
+      .update(claim)
+      .eq('id', existing.id)
+      .eq('status', existing.status)
+      .select()
+      .maybeSingle();
+    return claimed ? { job: claimed } : { busy: true };
+  }
+
+  const { data: inserted, error: insertError } = await supabase
+    .from('processing_jobs')
+    .insert({
+      ...claim,
+      user_id: session.user_id,
+      sermon_id: session.sermon_id,
+      sermon_local_id: sermon.local_id,
+      kind: JOB_KINDS.TRANSCRIPTION,
+      idempotency_key: key
+    })
+    .select()
+    .maybeSingle();
+  if (insertError) {
+    if (insertError.code === '23505') return { busy: true };
+    throw new Error(`live transcription job create failed: ${insertError.message}`);
+  }
+  return { job: inserted };
+}
+
+/**
+ * Finalize a session: write the sermon's live transcript, then close the
+ * session with its outcome. Safe to repeat; a finalized session is returned
+ * as it is.
+ *
+ * @returns {Promise<{session: object, outcome: string|null, busy?: boolean, error?: string}>}
+ */
+async function finalizeLiveSession({ supabase, session, logger }) {
+  if (session.status === LIVE_SESSION_STATUS.FINALIZED) {
+    return { session, outcome: session.outcome || null };
+  }
+
+  const { data: sermon, error: sermonError } = await supabase
+    .from('sermons')
+    .select('id, local_id')
+    .eq('id', session.sermon_id)
+    .maybeSingle();
+  if (sermonError || !sermon) {
+    throw new Error(`sermon lookup failed: ${sermonError?.message || 'not found'}`);
+  }
+
+  const sessionIds = await sermonSessionIds({ supabase, sermonId: session.sermon_id });
+  const live = await loadLiveTranscript({ supabase, sessionIds: sessionIds.length ? sessionIds : [session.id] });
+
+  let outcome;
+  if (!live.text.trim()) {
+    outcome = LIVE_SESSION_OUTCOMES.EMPTY;
+  } else {
+    const claimed = await claimLiveJob({ supabase, session, sermon });
+    if (claimed.busy) return { session, outcome: null, busy: true };
+
+    if (claimed.superseded) {
+      outcome = LIVE_SESSION_OUTCOMES.SUPERSEDED;
+    } else {
+      const result = await completeTranscriptionJob({
+        supabase,
+        job: claimed.job,
+        transcript: { text: live.text, words: live.words, utterances: null, chapters: null },
+        logger
+      });
+      const recordingJob = await releaseRecordingJob({ supabase, job: claimed.job });
+      if (recordingJob) {
+        logger?.info?.('Recording queued after the live finalize', { jobId: recordingJob.id, sessionId: session.id });
+      }
+      // The job has recorded the failure; the session stays active so the
+      // next finalize tries again.
+      if (!result.ok) return { session, outcome: null, error: result.error };
+      outcome = LIVE_SESSION_OUTCOMES.TRANSCRIBED;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const { data: finalized, error } = await supabase
+    .from('live_sessions')
+    .update({ status: LIVE_SESSION_STATUS.FINALIZED, outcome, finalized_at: now, updated_at: now })
+    .eq('id', session.id)
+    .eq('status', LIVE_SESSION_STATUS.ACTIVE)
+    .select(SESSION_COLUMNS)
+    .maybeSingle();
+  if (error) {
+    throw new Error(`live session finalize failed: ${error.message}`);
+  }
+
+  logger?.info?.('Live session finalized', {
+    sessionId: session.id,
+    sermonId: session.sermon_id,
+    outcome,
+    checkpoints: live.checkpoints,
+    textLength: live.text.length
+  });
+
+  return { session: finalized || { ...session, status: LIVE_SESSION_STATUS.FINALIZED, outcome }, outcome };
+}
+
+/**
+ * Finalize sessions whose phone stopped checkpointing (the reaper). Each
+ * failure is logged and left for the next sweep.
+ *
+ * @returns {Promise<number>} how many were finalized.
+ */
+async function finalizeAbandonedLiveSessions({ supabase, logger, now = Date.now(), limit = ABANDONED_SESSIONS_PER_SWEEP }) {
+  const cutoff = new Date(now - LIVE_SESSION_ABANDONED_MS).toISOString();
+  const { data: sessions, error } = await supabase
+    .from('live_sessions')
+    .select(SESSION_COLUMNS)
+    .eq('status', LIVE_SESSION_STATUS.ACTIVE)
+    .lte('updated_at', cutoff)
+    .order('updated_at', { ascending: true })
+    .limit(limit);
+  if (error) {
+    logger?.error?.('Failed to find abandoned live sessions', { error: error.message });
+    return 0;
+  }
+
+  let finalized = 0;
+  for (const session of sessions || []) {
+    try {
+      const result = await finalizeLiveSession({ supabase, session, logger });
+      if (result.outcome) finalized += 1;
+    } catch (finalizeError) {
+      logger?.error?.('Failed to finalize abandoned live session', { sessionId: session.id, error: finalizeError.message });
+    }
+  }
+  return finalized;
+}
+
+module.exports = {
+  LIVE_TRANSCRIPTION_PROVIDER,
+  LIVE_SESSION_STATUS,
+  LIVE_SESSION_OUTCOMES,
+  MAX_CHECKPOINT_TURNS,
+  MAX_TURN_TEXT_LENGTH,
+  MAX_TURN_WORDS,
+  LIVE_SESSION_ABANDONED_MS,
+  transformSession,
+  isLiveTranscriptionJob,
+  supersedableLiveJob,
+  queueRecordingBehindLiveJob,
+  loadOwnedSession,
+  startLiveSession,
+  checkpointContent,
+  recordCheckpoint,
+  loadLiveTranscript,
+  sermonSessionIds,
+  finalizeLiveSession,
+  finalizeAbandonedLiveSessions
+};
@@ -0,0 +1,241 @@
+const OpenAI = require('openai');
+const { CircuitBreaker } = require('./security');
+
+/**
+ * Completion client shared by every LLM call (summarize, chat, and through
+ * summarize the summary jobs), so none of them is hardwired to OpenAI.
+ *
+ * The interface is the OpenAI chat-completions shape, in and out: callers pass
+ * `{ model, messages, max_tokens, temperature, response_format }` and get back
+ * `{ choices: [{ message: { content } }], usage }`. That is what the code
+ * already spoke, and what OpenAI-compatible local servers (llama.cpp, Ollama,
+ * vLLM) speak too — an adapter is mostly a base URL. Every completion comes
+ * back stamped with the `provider` and `model` that actually produced it, which
+ * is what summary provenance records.
+ *
+ * `stream(params)` is the streaming counterpart: it resolves, once the provider
+ * has accepted the request, to `{ provider, model, chunks }` where `chunks` is
+ * an async iterable of OpenAI-shaped `chat.completion.chunk` objects, the last
+ * of which carries `usage`.
+ *
+ * Selected by configuration:
+ *   LLM_PROVIDER           openai (default) | local | fake
+ *   LLM_LOCAL_BASE_URL     e.g. http://localhost:11434/v1 for Ollama
+ *   LLM_LOCAL_MODEL        model name the local server serves
+ *   LLM_LOCAL_API_KEY      optional; most local servers ignore it
+ *   LLM_FALLBACK_PROVIDER  provider to use while the primary's breaker is open
+ *   LLM_FALLBACK_MODEL     model for the fallback (defaults to the requested one)
+ *
+ * Each provider sits behind its own CircuitBreaker. While the primary's is
+ * open, calls go to the fallback instead of failing with "Circuit breaker is
+ * OPEN"; with no fallback configured they fail exactly as before.
+ */
+
+const PROVIDERS = ['openai', 'local', 'fake'];
+
+function stamp(completion, provider, model) {
+  return { ...completion, provider, model };
+}
+
+// Streaming request params: usage arrives as a final chunk with no choices.
+function streamParams(params) {
+  return { ...params, stream: true, stream_options: { include_usage: true } };
+}
+
+/** OpenAI. The model is whatever the caller (the prompt registry) asked for. */
+function createOpenAIProvider({ apiKey, client = null } = {}) {
+  let openai = client;
+  return {
+    name: 'openai',
+    resolveModel: (requested) => requested,
+    async complete(params) {
+      // Lazily constructed: a process configured for another provider never
+      // needs an OpenAI key.
+      openai = openai || new OpenAI({ apiKey });
+      return openai.chat.completions.create(params);
+    },
+    async stream(params) {
+      openai = openai || new OpenAI({ apiKey });
+      return openai.chat.completions.create(streamParams(params));
+    }
+  };
+}
+
+/**
+ * An OpenAI-compatible server on our own hardware. It serves one configured
+ * model, which replaces whatever hosted model name the prompt was written for.
+ */
+function createLocalProvider({ baseURL, model, apiKey, client = null } = {}) {
+  if (!client && !baseURL) {
+    throw new Error('LLM_LOCAL_BASE_URL is required for the local LLM provider');
+  }
+  if (!model) {
+    throw new Error('LLM_LOCAL_MODEL is required for the local LLM provider');
+  }
+
+  let openai = client;
+  return {
+    name: 'local',
+    resolveModel: () => model,
+    async complete(params) {
+      openai = openai || new OpenAI({ apiKey: apiKey || 'local', baseURL });
+      return openai.chat.completions.create(params);
+    },
+    async stream(params) {
+      openai = openai || new OpenAI({ apiKey: apiKey || 'local', baseURL });
+      return openai.chat.completions.create(streamParams(params));
+    }
+  };
+}
+
+/**
+ * Deterministic provider for tests and local development: no network, same
+ * answer for the same request. `respond(params)` returns the content string;
+ * the default echoes the last user message, or `{}` when JSON was requested.
+ * Streams deliver the same content a word at a time.
+ */
+function createFakeProvider({ respond } = {}) {
+  const defaultRespond = (params) => {
+    if (params.response_format?.type === 'json_object') return '{}';
+    const lastUser = [...(params.messages || [])].reverse().find((message) => message.role === 'user');
+    return `FAKE COMPLETION: ${String(lastUser?.content || '').slice(0, 80)}`;
+  };
+  const contentFor = respond || defaultRespond;
+
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+  return {
+    name: 'fake',
+    resolveModel: (requested) => requested || 'fake',
+    async complete(params) {
+      const content = await contentFor(params);
+      return {
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage
+      };
+    },
+    async stream(params) {
+      const pieces = String(await contentFor(params)).match(/\S+\s*|\s+/g) || [];
+      return (async function* chunks() {
+        for (const piece of pieces) {
+          yield { object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] };
+        }
+        yield { object: 'chat.completion.chunk', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] };
+        yield { object: 'chat.completion.chunk', choices: [], usage };
+      })();
+    }
+  };
+}
+
+function createProvider(name, env) {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY });
+    case 'local':
+      return createLocalProvider({
+        baseURL: env.LLM_LOCAL_BASE_URL,
+        model: env.LLM_LOCAL_MODEL,
+        apiKey: env.LLM_LOCAL_API_KEY
+      });
+    case 'fake':
+      return createFakeProvider();
+    default:
+      throw new Error(`Unknown LLM provider "${name}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+}
+
+/**
+ * Builds the client from configuration.
+ *
+ * Throws on an unknown provider or an incomplete local configuration: a typo
+ * in LLM_PROVIDER should fail the deploy loudly, not quietly send every
+ * sermon somewhere unexpected.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env] Configuration source (process.env).
+ * @param {object} [options.primary] Provider to use instead of LLM_PROVIDER.
+ * @param {object} [options.fallback] Provider to use instead of LLM_FALLBACK_PROVIDER.
+ * @param {number} [options.threshold] Failures before a breaker opens.
+ * @param {number} [options.timeout] Milliseconds a breaker stays open.
+ */
+function createCompletionClient({
+  env = process.env,
+  primary,
+  fallback,
+  threshold = 5,
+  timeout = 30000
+} = {}) {
+  const primaryProvider = primary || createProvider(env.LLM_PROVIDER || 'openai', env);
+
+  const wantsFallback = fallback || env.LLM_FALLBACK_PROVIDER || env.LLM_FALLBACK_MODEL;
+  const fallbackProvider = wantsFallback
+    ? (fallback || createProvider(env.LLM_FALLBACK_PROVIDER || primaryProvider.name, env))
+    : null;
+
+  const targets = {
+    primary: {
+      provider: primaryProvider,
+      breaker: new CircuitBreaker(threshold, timeout),
+      model: null
+    },
+    fallback: fallbackProvider
+      ? {
+        provider: fallbackProvider,
+        // A separate breaker even for the same provider: the fallback exists
+        // for when the primary is failing, so it must not share its state.
+        breaker: new CircuitBreaker(threshold, timeout),
+        model: env.LLM_FALLBACK_MODEL || null
+      }
+      : null
+  };
+
+  function select() {
+    return targets.fallback && targets.primary.breaker.isOpen() ? targets.fallback : targets.primary;
+  }
+
+  async function run(target, params) {
+    const model = target.model || target.provider.resolveModel(params.model);
+    const completion = await target.breaker.execute(() =>
+      target.provider.complete({ ...params, model })
+    );
+    return stamp(completion, target.provider.name, model);
+  }
+
+  // A stream that breaks partway counts against the breaker like one that
+  // never opened, so a provider that accepts requests and then drops them
+  // still fails over. The broken stream itself has already reached the client
+  // and is reported there, not retried elsewhere.
+  async function runStream(target, params) {
+    const model = target.model || target.provider.resolveModel(params.model);
+    const chunks = await target.breaker.executeStream(() =>
+      target.provider.stream({ ...params, model })
+    );
+    return { provider: target.provider.name, model, chunks };
+  }
+
+  return {
+    primary: targets.primary,
+    fallback: targets.fallback,
+
+    /** True when calls are currently being routed to the fallback. */
+    usingFallback() {
+      return select() === targets.fallback;
+    },
+
+    async complete(params) {
+      return run(select(), params);
+    },
+
+    async stream(params) {
+      return runStream(select(), params);
+    }
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  createOpenAIProvider,
+  createLocalProvider,
+  createFakeProvider,
+  createCompletionClient
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { parseReference, verseReference } = require('./scriptureReferences');
+
+/**
+ * Bible text read from data files deployed with the functions, for
+ * public-domain translations (KJV, WEB). It answers the same calls as the
+ * API.Bible client in bibleService.js, in the same shapes, so lookups work
+ * in development and tests without BIBLE_API_KEY and keep working while
+ * API.Bible is down.
+ *
+ * A data file is one translation:
+ *
+ *   { "id": "de4e12af7f28f599-01", "abbreviation": "KJV",
+ *     "name": "King James Version", "language": "eng",
+ *     "copyright": "Public domain",
+ *     "verses": { "Gen.1.1": "In the beginning…", … } }
+ *
+ * `id` is the translation's API.Bible id, so a client's bibleId means the
+ * same text from either source. Verse keys are OSIS ids. The files are built
+ * at deploy time by scripts/build-bible-data.js (`npm run build:bible`) and
+ * read from netlify/functions/data/bible/*.json (BIBLE_LOCAL_DATA_DIR
+ * overrides the directory). A directory without them is a source with no
+ * translations.
+ *
+ * Search is a plain scan: verses containing every word of the query, in
+ * canonical order. Enough for a fallback; API.Bible ranks by relevance.
+ */
+
+const DEFAULT_DATA_DIR = process.env.BIBLE_LOCAL_DATA_DIR || path.join(__dirname, '..', 'data', 'bible');
+
+/** A translation's verses, indexed for lookup by chapter. */
+function indexTranslation(data) {
+  const lastVerse = new Map();
+  for (const key of Object.keys(data.verses || {})) {
+    const [book, chapter, verse] = key.split('.');
+    const chapterKey = `${book}.${chapter}`;
+    lastVerse.set(chapterKey, Math.max(lastVerse.get(chapterKey) || 0, Number(verse) || 0));
+  }
+
+  return {
+    info: {
+      id: data.id,
+      abbreviation: data.abbreviation || null,
+      name: data.name || null,
+      description: data.description || null,
+      language: data.language || null
+    },
+    copyright: data.copyright || null,
+    verses: data.verses || {},
+    lastVerse
+  };
+}
+
+function loadTranslations(dataDir) {
+  let files;
+  try {
+    files = fs.readdirSync(dataDir).filter((file) => file.endsWith('.json')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return files.map((file) => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8')));
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dataDir]
+ * @param {object[]} [options.translations] - Parsed data files, instead of reading `dataDir`.
+ */
+function createLocalBibleSource({ dataDir = DEFAULT_DATA_DIR, translations = null } = {}) {
+  let byId = null;
+
+  // Read on first use, not at require time: most requests never need it.
+  function loaded() {
+    if (!byId) {
+      byId = new Map((translations || loadTranslations(dataDir)).map((data) => [data.id, indexTranslation(data)]));
+    }
+    return byId;
+  }
+
+  function translationFor(bibleId) {
+    const translation = loaded().get(bibleId);
+    if (!translation) {
+      throw new Error(`Bible translation not available locally: ${bibleId}`);
+    }
+    return translation;
+  }
+
+  return {
+    name: 'local',
+
+    hasTranslation(bibleId) {
+      return loaded().has(bibleId);
+    },
+
+    async getPassage({ bibleId, reference }) {
+      const parsed = typeof reference === 'string' ? parseReference(reference) : reference;
+      if (!parsed) {
+        throw new Error('Unrecognized scripture reference');
+      }
+      const translation = translationFor(bibleId);
+
+      const book = parsed.osis.split('.')[0];
+      const lastOf = (chapter) => translation.lastVerse.get(`${book}.${chapter}`) || 0;
+      const endChapter = parsed.endChapter ?? parsed.chapter;
+      const endVerse = parsed.endVerse ?? (parsed.verse !== null && parsed.endChapter === null ? parsed.verse : lastOf(endChapter));
+
+      const verses = [];
+      for (let chapter = parsed.chapter; chapter <= endChapter; chapter++) {
+        const first = chapter === parsed.chapter ? parsed.verse || 1 : 1;
+        const last = chapter === endChapter ? endVerse : lastOf(chapter);
+        for (let verse = first; verse <= last; verse++) {
+          const text = translation.verses[`${book}.${chapter}.${verse}`];
+          if (!text) continue;
+          const ref = verseReference(`${book}.${chapter}.${verse}`);
+          verses.push({ id: ref.passageId, osis: ref.osis, chapter, verse, text });
+        }
+      }
+      if (verses.length === 0) return null;
+
+      return {
+        reference: { osis: parsed.osis, passageId: parsed.passageId, display: parsed.display },
+        bibleId,
+        verses,
+        text: verses.map((verse) => verse.text).join(' '),
+        copyright: translation.copyright
+      };
+    },
+
+    async listTranslations({ language = 'eng' } = {}) {
+      return [...loaded().values()]
+        .map((translation) => translation.info)
+        .filter((info) => !language || info.language === language);
+    },
+
+    async search({ bibleId, query, limit = 10, offset = 0 }) {
+      const translation = translationFor(bibleId);
+      const terms = String(query || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+
+      const matches = terms.length === 0 ? [] : Object.entries(translation.verses)
+        .filter(([, text]) => {
+          const lower = text.toLowerCase();
+          return terms.every((term) => lower.includes(term));
+        });
+
+      const results = matches.slice(offset, offset + limit).map(([osis, text]) => {
+        const ref = verseReference(osis);
+        return { id: ref.passageId, osis: ref.osis, reference: ref.display, text };
+      });
+
+      return { query, bibleId, total: matches.length, limit, offset, results };
+    }
+  };
+}
+
+module.exports = {
+  createLocalBibleSource
+};
@@ -12,7 +12,10 @@ const {
 
 const JOB_KINDS = Object.freeze({
   TRANSCRIPTION: 'transcription',
-  SUMMARY: 'summary'
+  SUMMARY: 'summary',
+  // Rebuilds a sermon's library search chunks (utils/searchIndex.js). Queued
+  // by the server only; never requested by a client.
+  SEARCH_INDEX: 'search_index'
 });
 
 const JOB_STATUS = Object.freeze({
@@ -374,6 +377,10 @@ async function persistJobFailure({ supabase, job, failure, logger }) {
 
   if (failure?.status !== JOB_STATUS.DEAD) return { error: null };
 
+  // The search index is not a stage the user sees; a dead rebuild leaves the
+  // sermon's statuses alone.
+  if (job?.kind === JOB_KINDS.SEARCH_INDEX) return { error: null };
+
   // Non-fatal, like every other sermon-status write: the ledger is already
   // correct, and a stale status is recoverable where a failure here would send
   // an exhausted job back around the loop. buildSermonStatusPatch throws on an
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const {
+  summarySystemV1,
+  summaryUserV1,
+  sectionNotesSystemV1,
+  sectionNotesUserV1
+} = require('./prompts/summary');
+const {
+  chatSystemV1,
+  chatSystemV2,
+  chatLibrarySystemV1,
+  chatQuestionsSystemV1,
+  chatQuestionsUserV1
+} = require('./prompts/chat');
+
+/**
+ * Named, versioned prompt templates and the rules for picking one.
+ *
+ * Every LLM call resolves its prompt here instead of carrying a literal, and
+ * gets back an id like `summary@v1` together with the model the template was
+ * written for. The summary id and model are stored on the `summaries` row, so a
+ * bad prompt can be rolled back with an env change and every summary it
+ * produced found with one query.
+ *
+ * Which version a call gets, first match wins:
+ *   1. a pin in PROMPT_VERSION_PINS ("summary=1,chat=2") — the rollback lever
+ *   2. an override for the call's service type and/or tier
+ *   3. an experiment, for a stable percentage of users (A/B)
+ *   4. the prompt's active version
+ *
+ * Templates are plain functions of their variables and live in ./prompts.
+ */
+
+const PROMPTS = {
+  summary: {
+    active: 1,
+    versions: {
+      1: { model: 'gpt-4o-mini', system: summarySystemV1, user: summaryUserV1 }
+    },
+    // e.g. { serviceType: 'Bible Study', tier: 'premium', version: 2 }
+    overrides: [],
+    // e.g. { version: 2, percent: 10 }
+    experiment: null
+  },
+  'summary.section-notes': {
+    active: 1,
+    versions: {
+      1: { model: 'gpt-4o-mini', system: sectionNotesSystemV1, user: sectionNotesUserV1 }
+    },
+    overrides: [],
+    experiment: null
+  },
+  chat: {
+    active: 2,
+    versions: {
+      1: { model: 'gpt-4o-mini', system: chatSystemV1, user: null },
+      2: { model: 'gpt-4o-mini', system: chatSystemV2, user: null }
+    },
+    overrides: [],
+    experiment: null
+  },
+  'chat.library': {
+    active: 1,
+    versions: {
+      1: { model: 'gpt-4o-mini', system: chatLibrarySystemV1, user: null }
+    },
+    overrides: [],
+    experiment: null
+  },
+  'chat.questions': {
+    active: 1,
+    versions: {
+      1: { model: 'gpt-4o-mini', system: chatQuestionsSystemV1, user: chatQuestionsUserV1 }
+    },
+    overrides: [],
+    experiment: null
+  }
+};
+
+/**
+ * Parses PROMPT_VERSION_PINS ("summary=1, chat.questions=2"). Malformed
+ * entries are dropped rather than failing every LLM call over a typo.
+ */
+function parseVersionPins(raw) {
+  const pins = {};
+  for (const entry of String(raw || '').split(',')) {
+    const match = entry.trim().match(/^([a-z][a-z0-9.-]*)=(\d+)$/i);
+    if (match) pins[match[1]] = Number(match[2]);
+  }
+  return pins;
+}
+
+/** Stable 0-99 bucket, so a user stays on the same side of an experiment. */
+function bucketFor(key) {
+  const digest = crypto.createHash('sha256').update(String(key)).digest();
+  return digest.readUInt32BE(0) % 100;
+}
+
+function sameLabel(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function overrideMatches(override, { serviceType, tier }) {
+  if (override.serviceType && !sameLabel(override.serviceType, serviceType)) return false;
+  if (override.tier && !sameLabel(override.tier, tier)) return false;
+  return true;
+}
+
+function choose(entry, name, { serviceType, tier, bucketKey, pins }) {
+  if (pins[name] !== undefined && entry.versions[pins[name]]) {
+    return { version: pins[name], source: 'pin' };
+  }
+
+  // Most specific first, so a service-type-and-tier override beats a
+  // service-type-only one regardless of the order they were written in.
+  const overrides = (entry.overrides || [])
+    .filter((override) => entry.versions[override.version] && overrideMatches(override, { serviceType, tier }))
+    .sort((a, b) => (Number(!!b.serviceType) + Number(!!b.tier)) - (Number(!!a.serviceType) + Number(!!a.tier)));
+  if (overrides.length > 0) {
+    return { version: overrides[0].version, source: 'override' };
+  }
+
+  const experiment = entry.experiment;
+  if (
+    experiment &&
+    entry.versions[experiment.version] &&
+    bucketKey &&
+    bucketFor(`${name}:${bucketKey}`) < experiment.percent
+  ) {
+    return { version: experiment.version, source: 'experiment' };
+  }
+
+  return { version: entry.active, source: 'active' };
+}
+
+/**
+ * Resolves the prompt a call should use.
+ *
+ * @param {string} name Registry name, e.g. 'summary'.
+ * @param {object} [options]
+ * @param {string} [options.serviceType] The sermon's service type label.
+ * @param {string} [options.tier] 'basic' | 'premium'.
+ * @param {string} [options.bucketKey] Stable key (the user id) for experiments.
+ * @returns {{name, version, id, model, source, system: Function, user: Function|null}}
+ */
+function resolvePrompt(name, {
+  serviceType,
+  tier,
+  bucketKey,
+  pins = parseVersionPins(process.env.PROMPT_VERSION_PINS),
+  registry = PROMPTS
+} = {}) {
+  const entry = registry[name];
+  if (!entry) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+
+  const { version, source } = choose(entry, name, { serviceType, tier, bucketKey, pins });
+  const template = entry.versions[version];
+
+  return {
+    name,
+    version,
+    id: `${name}@v${version}`,
+    model: template.model,
+    source,
+    system: template.system,
+    user: template.user
+  };
+}
+
+module.exports = {
+  PROMPTS,
+  resolvePrompt,
+  parseVersionPins,
+  bucketFor
+};
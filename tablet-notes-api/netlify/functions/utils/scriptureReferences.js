@@ -0,0 +1,627 @@
+/**
+ * Scripture references in transcripts, spoken or written.
+ *
+ * AssemblyAI writes what the speaker said, so a transcript holds "John 3:16"
+ * next to "John three sixteen" and "first Corinthians thirteen verses four
+ * through seven". Each is parsed into book, chapter and verse range and given
+ * two canonical ids:
+ *
+ *   osis       OSIS-style, e.g. "1Cor.13.4-1Cor.13.7" — stable and readable,
+ *              what rows are grouped and compared by
+ *   passageId  API.Bible's form of the same passage, e.g. "1CO.13.4-1CO.13.7",
+ *              ready for bible-api.js (`bibles/{bibleId}/passages/{passageId}`)
+ *
+ * completeTranscriptionJob records every mention with its time in the
+ * recording (`scripture_references`), so the app can list the verses a sermon
+ * mentioned and seek to each.
+ *
+ * Precision over recall: book names must be capitalized ("Mark", "Job" and
+ * "Acts" are also ordinary words), a reference needs a chapter, and a chapter
+ * the book does not have is not a reference. A missed mention costs a line in
+ * a list; a wrong one sends the user to a verse nobody read.
+ */
+
+// [osis, API.Bible (USFM) code, display name, chapter count, spellings].
+// Numbered books share their spellings and are told apart by the number
+// before the name; see NUMBERED below.
+const BOOKS = [
+  ['Gen', 'GEN', 'Genesis', 50, ['Genesis', 'Gen']],
+  ['Exod', 'EXO', 'Exodus', 40, ['Exodus', 'Exod', 'Ex']],
+  ['Lev', 'LEV', 'Leviticus', 27, ['Leviticus', 'Lev']],
+  ['Num', 'NUM', 'Numbers', 36, ['Numbers', 'Num']],
+  ['Deut', 'DEU', 'Deuteronomy', 34, ['Deuteronomy', 'Deut']],
+  ['Josh', 'JOS', 'Joshua', 24, ['Joshua', 'Josh']],
+  ['Judg', 'JDG', 'Judges', 21, ['Judges', 'Judg']],
+  ['Ruth', 'RUT', 'Ruth', 4, ['Ruth']],
+  ['1Sam', '1SA', '1 Samuel', 31, null],
+  ['2Sam', '2SA', '2 Samuel', 24, null],
+  ['1Kgs', '1KI', '1 Kings', 22, null],
+  ['2Kgs', '2KI', '2 Kings', 25, null],
+  ['1Chr', '1CH', '1 Chronicles', 29, null],
+  ['2Chr', '2CH', '2 Chronicles', 36, null],
+  ['Ezra', 'EZR', 'Ezra', 10, ['Ezra']],
+  ['Neh', 'NEH', 'Nehemiah', 13, ['Nehemiah', 'Neh']],
+  ['Esth', 'EST', 'Esther', 10, ['Esther', 'Esth']],
+  ['Job', 'JOB', 'Job', 42, ['Job']],
+  ['Ps', 'PSA', 'Psalms', 150, ['Psalms', 'Psalm', 'Ps', 'Psa']],
+  ['Prov', 'PRO', 'Proverbs', 31, ['Proverbs', 'Prov']],
+  ['Eccl', 'ECC', 'Ecclesiastes', 12, ['Ecclesiastes', 'Eccl', 'Eccles']],
+  ['Song', 'SNG', 'Song of Solomon', 8, ['Song of Solomon', 'Song of Songs', 'Song of Sol']],
+  ['Isa', 'ISA', 'Isaiah', 66, ['Isaiah', 'Isa']],
+  ['Jer', 'JER', 'Jeremiah', 52, ['Jeremiah', 'Jer']],
+  ['Lam', 'LAM', 'Lamentations', 5, ['Lamentations', 'Lam']],
+  ['Ezek', 'EZK', 'Ezekiel', 48, ['Ezekiel', 'Ezek']],
+  ['Dan', 'DAN', 'Daniel', 12, ['Daniel', 'Dan']],
+  ['Hos', 'HOS', 'Hosea', 14, ['Hosea', 'Hos']],
+  ['Joel', 'JOL', 'Joel', 3, ['Joel']],
+  ['Amos', 'AMO', 'Amos', 9, ['Amos']],
+  ['Obad', 'OBA', 'Obadiah', 1, ['Obadiah', 'Obad']],
+  ['Jonah', 'JON', 'Jonah', 4, ['Jonah']],
+  ['Mic', 'MIC', 'Micah', 7, ['Micah', 'Mic']],
+  ['Nah', 'NAM', 'Nahum', 3, ['Nahum', 'Nah']],
+  ['Hab', 'HAB', 'Habakkuk', 3, ['Habakkuk', 'Hab']],
+  ['Zeph', 'ZEP', 'Zephaniah', 3, ['Zephaniah', 'Zeph']],
+  ['Hag', 'HAG', 'Haggai', 2, ['Haggai', 'Hag']],
+  ['Zech', 'ZEC', 'Zechariah', 14, ['Zechariah', 'Zech']],
+  ['Mal', 'MAL', 'Malachi', 4, ['Malachi', 'Mal']],
+  ['Matt', 'MAT', 'Matthew', 28, ['Matthew', 'Matt']],
+  ['Mark', 'MRK', 'Mark', 16, ['Mark', 'Mk']],
+  ['Luke', 'LUK', 'Luke', 24, ['Luke', 'Lk']],
+  ['John', 'JHN', 'John', 21, ['John', 'Jn']],
+  ['Acts', 'ACT', 'Acts', 28, ['Acts']],
+  ['Rom', 'ROM', 'Romans', 16, ['Romans', 'Rom']],
+  ['1Cor', '1CO', '1 Corinthians', 16, null],
+  ['2Cor', '2CO', '2 Corinthians', 13, null],
+  ['Gal', 'GAL', 'Galatians', 6, ['Galatians', 'Gal']],
+  ['Eph', 'EPH', 'Ephesians', 6, ['Ephesians', 'Eph']],
+  ['Phil', 'PHP', 'Philippians', 4, ['Philippians', 'Phil']],
+  ['Col', 'COL', 'Colossians', 4, ['Colossians', 'Col']],
+  ['1Thess', '1TH', '1 Thessalonians', 5, null],
+  ['2Thess', '2TH', '2 Thessalonians', 3, null],
+  ['1Tim', '1TI', '1 Timothy', 6, null],
+  ['2Tim', '2TI', '2 Timothy', 4, null],
+  ['Titus', 'TIT', 'Titus', 3, ['Titus']],
+  ['Phlm', 'PHM', 'Philemon', 1, ['Philemon', 'Phlm']],
+  ['Heb', 'HEB', 'Hebrews', 13, ['Hebrews', 'Heb']],
+  ['Jas', 'JAS', 'James', 5, ['James', 'Jas']],
+  ['1Pet', '1PE', '1 Peter', 5, null],
+  ['2Pet', '2PE', '2 Peter', 3, null],
+  ['1John', '1JN', '1 John', 5, null],
+  ['2John', '2JN', '2 John', 1, null],
+  ['3John', '3JN', '3 John', 1, null],
+  ['Jude', 'JUD', 'Jude', 1, ['Jude']],
+  ['Rev', 'REV', 'Revelation', 22, ['Revelation', 'Revelations', 'Rev']]
+].map(([osis, usfm, name, chapters, spellings]) => ({ osis, usfm, name, chapters, spellings }));
+
+const BY_OSIS = new Map(BOOKS.map((book) => [book.osis, book]));
+const BY_USFM = new Map(BOOKS.map((book) => [book.usfm, book]));
+
+// Spellings of numbered books, keyed by the number that picks the volume.
+const NUMBERED = [
+  [['Samuel', 'Sam'], { 1: '1Sam', 2: '2Sam' }],
+  [['Kings', 'Kgs'], { 1: '1Kgs', 2: '2Kgs' }],
+  [['Chronicles', 'Chron', 'Chr'], { 1: '1Chr', 2: '2Chr' }],
+  [['Corinthians', 'Cor'], { 1: '1Cor', 2: '2Cor' }],
+  [['Thessalonians', 'Thess'], { 1: '1Thess', 2: '2Thess' }],
+  [['Timothy', 'Tim'], { 1: '1Tim', 2: '2Tim' }],
+  [['Peter', 'Pet'], { 1: '1Pet', 2: '2Pet' }],
+  [['John', 'Jn'], { 1: '1John', 2: '2John', 3: '3John' }]
+];
+
+// Lowercased spelling (words joined by one space) -> { book, volumes }.
+// `book` is the unnumbered book ("John"), `volumes` the numbered ones.
+const SPELLINGS = new Map();
+for (const book of BOOKS) {
+  for (const spelling of book.spellings || []) {
+    SPELLINGS.set(spelling.toLowerCase(), { book: book.osis, volumes: null });
+  }
+}
+for (const [spellings, volumes] of NUMBERED) {
+  for (const spelling of spellings) {
+    const entry = SPELLINGS.get(spelling.toLowerCase()) || { book: null, volumes: null };
+    SPELLINGS.set(spelling.toLowerCase(), { ...entry, volumes });
+  }
+}
+
+// Longest first, so "Song of Songs" is tried before any one-word spelling.
+const SPELLING_WORDS = Array.from(SPELLINGS.keys())
+  .map((spelling) => spelling.split(' '))
+  .sort((a, b) => b.length - a.length);
+
+// The number in front of a numbered book: "1", "1st", "First", "I", "one".
+const VOLUME_WORDS = {
+  first: 1, second: 2, third: 3,
+  one: 1, two: 2, three: 3,
+  i: 1, ii: 2, iii: 3
+};
+
+const UNITS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+const RANGE_WORDS = new Set(['through', 'thru', 'to']);
+const DASHES = new Set(['-', '–', '—']);
+const VERSE_WORDS = new Set(['verse', 'verses', 'v', 'vv']);
+
+// Psalm 119 has the most verses of any chapter.
+const MAX_VERSE = 176;
+
+const TOKEN_PATTERN = /\d+|[A-Za-z]+|[:\-–—.,;]/g;
+
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    const value = match[0];
+    tokens.push({
+      value,
+      lower: value.toLowerCase(),
+      kind: /^\d/.test(value) ? 'number' : /^[A-Za-z]/.test(value) ? 'word' : 'punct',
+      start: match.index,
+      end: match.index + value.length
+    });
+  }
+  return tokens;
+}
+
+/**
+ * A number written as digits or spoken as words ("sixteen", "twenty-three",
+ * "one hundred and nineteen") starting at token `i`.
+ *
+ * @returns {{ value: number, next: number }|null}
+ */
+function readNumber(tokens, i) {
+  const token = tokens[i];
+  if (!token) return null;
+
+  if (token.kind === 'number') {
+    return { value: Number(token.value), next: i + 1 };
+  }
+
+  let value = 0;
+  let next = i;
+
+  const hundreds = tokens[next + 1]?.lower === 'hundred'
+    ? (token.lower === 'a' ? 1 : UNITS[token.lower])
+    : undefined;
+  if (hundreds !== undefined && hundreds < 10) {
+    value = hundreds * 100;
+    next += 2;
+    if (tokens[next]?.lower === 'and') next += 1;
+  }
+
+  const tens = TENS[tokens[next]?.lower];
+  if (tens !== undefined) {
+    value += tens;
+    next += 1;
+    const hyphenated = DASHES.has(tokens[next]?.value) && tokens[next].start === tokens[next - 1].end;
+    const unit = UNITS[tokens[hyphenated ? next + 1 : next]?.lower];
+    if (unit !== undefined && unit < 10) {
+      value += unit;
+      next += hyphenated ? 2 : 1;
+    }
+  } else if (UNITS[tokens[next]?.lower] !== undefined) {
+    value += UNITS[tokens[next].lower];
+    next += 1;
+  }
+
+  if (next === i) return null;
+  // "one hundred and" with nothing after it: the "and" is not part of the number.
+  if (tokens[next - 1]?.lower === 'and') next -= 1;
+  return { value, next };
+}
+
+/** The book spelled at token `i`, if any: `{ entry, next }`. */
+function readBookName(tokens, i, { anyCase = false } = {}) {
+  const first = tokens[i];
+  if (!first || first.kind !== 'word' || (!anyCase && !/^[A-Z]/.test(first.value))) return null;
+
+  for (const words of SPELLING_WORDS) {
+    const matches = words.every((word, offset) => tokens[i + offset]?.lower === word);
+    if (!matches) continue;
+
+    let next = i + words.length;
+    // "Rom. 8:28" — an abbreviation's period.
+    if (tokens[next]?.value === '.' && tokens[next + 1]?.kind !== 'word') next += 1;
+    return { entry: SPELLINGS.get(words.join(' ')), next };
+  }
+  return null;
+}
+
+/** The volume number at token `i` ("1", "1st", "First", "II"), if any. */
+function readVolume(tokens, i) {
+  const token = tokens[i];
+  if (!token) return null;
+
+  if (token.kind === 'number' && ['1', '2', '3'].includes(token.value)) {
+    const suffix = tokens[i + 1];
+    const ordinal = suffix && suffix.start === token.end && ['st', 'nd', 'rd'].includes(suffix.lower);
+    return { volume: Number(token.value), next: i + (ordinal ? 2 : 1) };
+  }
+  if (token.kind === 'word' && VOLUME_WORDS[token.lower] !== undefined) {
+    // Roman numerals only in capitals: a lone "i" is the pronoun.
+    if (/^i+$/.test(token.lower) && token.value !== token.value.toUpperCase()) return null;
+    return { volume: VOLUME_WORDS[token.lower], next: i + 1 };
+  }
+  return null;
+}
+
+/** A chapter/verse spec after a book name: "3:16-18", "three sixteen", "chapter 5 verses 1 through 12". */
+function readPassage(tokens, i) {
+  let next = i;
+  if (tokens[next]?.lower === 'chapter' || tokens[next]?.lower === 'chapters') next += 1;
+
+  const chapter = readNumber(tokens, next);
+  if (!chapter) return null;
+  next = chapter.next;
+
+  const passage = { chapter: chapter.value, verse: null, endChapter: null, endVerse: null, next };
+
+  const readVerse = (at) => {
+    let cursor = at;
+    if (tokens[cursor]?.value === ':' || (tokens[cursor]?.value === '.' && tokens[cursor].start === tokens[cursor - 1].end)) {
+      return readNumber(tokens, cursor + 1);
+    }
+    if (tokens[cursor]?.value === ',') cursor += 1;
+    if (VERSE_WORDS.has(tokens[cursor]?.lower)) {
+      return readNumber(tokens, cursor + 1);
+    }
+    return null;
+  };
+
+  // "three sixteen": a spoken number straight after a spoken chapter is the
+  // verse. Not after digits — in "Psalm 23 one of my favorites" it is not.
+  const spoken = tokens[next - 1].kind === 'word' && tokens[next]?.kind === 'word';
+  const verse = readVerse(next) || (spoken ? readNumber(tokens, next) : null);
+  if (verse) {
+    passage.verse = verse.value;
+    next = verse.next;
+  }
+  passage.next = next;
+
+  // Range: "-18", "through 18", "to verse 18", "-4:2".
+  const joiner = tokens[next];
+  if (joiner && (DASHES.has(joiner.value) || RANGE_WORDS.has(joiner.lower))) {
+    let cursor = next + 1;
+    if (VERSE_WORDS.has(tokens[cursor]?.lower) || tokens[cursor]?.lower === 'chapter') cursor += 1;
+    const end = readNumber(tokens, cursor);
+    if (end) {
+      // Only a colon makes the end a new chapter: in "3:16-18, verse 20" the
+      // 20 is another mention, not the end of this one.
+      const endVerse = passage.verse !== null && tokens[end.next]?.value === ':'
+        ? readNumber(tokens, end.next + 1)
+        : null;
+      if (endVerse) {
+        passage.endChapter = end.value;
+        passage.endVerse = endVerse.value;
+        passage.next = endVerse.next;
+      } else if (passage.verse !== null) {
+        passage.endVerse = end.value;
+        passage.next = end.next;
+      } else {
+        passage.endChapter = end.value;
+        passage.next = end.next;
+      }
+    }
+  }
+
+  return passage;
+}
+
+/**
+ * A parsed passage checked against the book, in canonical form. Null when the
+ * book has no such chapter or verse; an impossible range end is dropped and
+ * the start kept.
+ */
+function normalizePassage(book, passage) {
+  let { chapter, verse, endChapter, endVerse } = passage;
+
+  // "Jude 3" and "Philemon 10": one-chapter books are cited by verse alone.
+  if (book.chapters === 1 && verse === null && chapter > 1) {
+    verse = chapter;
+    chapter = 1;
+    if (endChapter !== null) {
+      endVerse = endChapter;
+      endChapter = null;
+    }
+  }
+
+  if (chapter < 1 || chapter > book.chapters) return null;
+  if (verse !== null && (verse < 1 || verse > MAX_VERSE)) return null;
+
+  if (endChapter === null && endVerse !== null) endChapter = chapter;
+  const validEnd =
+    endChapter !== null &&
+    endChapter <= book.chapters &&
+    (endVerse === null || (endVerse >= 1 && endVerse <= MAX_VERSE)) &&
+    (endChapter > chapter || (endChapter === chapter && endVerse !== null && verse !== null && endVerse > verse));
+  if (!validEnd) {
+    endChapter = null;
+    endVerse = null;
+  }
+
+  return { chapter, verse, endChapter, endVerse };
+}
+
+function canonicalId(code, { chapter, verse, endChapter, endVerse }) {
+  const start = verse === null ? `${code}.${chapter}` : `${code}.${chapter}.${verse}`;
+  if (endChapter === null) return start;
+  const end = endVerse === null ? `${code}.${endChapter}` : `${code}.${endChapter}.${endVerse}`;
+  return `${start}-${end}`;
+}
+
+/** "John 3:16-18", "1 Corinthians 13:4-7", "Psalm 23", "Matthew 5-7". */
+function formatReference(book, { chapter, verse, endChapter, endVerse }) {
+  const name = book.osis === 'Ps' && endChapter === null ? 'Psalm' : book.name;
+  const chapterOnly = book.chapters === 1 && verse !== null;
+  let text = chapterOnly ? `${name} ${verse}` : `${name} ${chapter}${verse !== null ? `:${verse}` : ''}`;
+
+  if (endChapter !== null) {
+    if (endChapter === chapter) {
+      text += `-${endVerse}`;
+    } else {
+      text += endVerse !== null ? `-${endChapter}:${endVerse}` : `-${endChapter}`;
+    }
+  }
+  return text;
+}
+
+/**
+ * Every scripture reference in `text`, in order. `anyCase` accepts lowercase
+ * book names, for text that is known to be a reference (a search box).
+ *
+ * @returns {Array<{ osis, passageId, book, display, chapter, verse, endChapter, endVerse, start, end }>}
+ *   `start`/`end` are character offsets of the mention in `text`.
+ */
+function parseScriptureReferences(text, { anyCase = false } = {}) {
+  const tokens = tokenize(text);
+  const references = [];
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const volume = readVolume(tokens, i);
+    const name = readBookName(tokens, volume ? volume.next : i, { anyCase });
+    if (!name) continue;
+
+    let osis = name.entry.book;
+    let from = i;
+    if (volume && name.entry.volumes?.[volume.volume]) {
+      osis = name.entry.volumes[volume.volume];
+    } else if (volume) {
+      // "verse 3 Acts tells us": the number belongs to the sentence, not the book.
+      from = volume.next;
+    }
+    if (!osis) continue; // "Corinthians 13" — which one?
+
+    const book = BY_OSIS.get(osis);
+    const passage = readPassage(tokens, name.next);
+    const normalized = passage && normalizePassage(book, passage);
+    if (!normalized) continue;
+
+    const last = tokens[passage.next - 1];
+    references.push({
+      osis: canonicalId(book.osis, normalized),
+      passageId: canonicalId(book.usfm, normalized),
+      book: book.name,
+      display: formatReference(book, normalized),
+      ...normalized,
+      start: tokens[from].start,
+      end: last.end
+    });
+    i = passage.next - 1;
+  }
+
+  return references;
+}
+
+/**
+ * The one reference `text` consists of ("Rom 8:28-30", "psalm 23"), or null
+ * when it is anything else, including more than one reference.
+ */
+function parseReference(text) {
+  const source = String(text || '').trim().replace(/[,;.]+$/, '');
+  const references = parseScriptureReferences(source, { anyCase: true });
+  if (references.length !== 1) return null;
+
+  const { start, end, ...reference } = references[0];
+  return start === 0 && end === source.length ? reference : null;
+}
+
+/** "JHN.3.16" (an API.Bible verse or passage id) as OSIS, "John.3.16". Null if unknown. */
+function osisFromPassageId(passageId) {
+  const parts = String(passageId || '').split('-').map((id) => {
+    const [code, ...rest] = id.split('.');
+    const book = BY_USFM.get(code);
+    return book ? [book.osis, ...rest].join('.') : null;
+  });
+  return parts.length > 0 && parts.every(Boolean) ? parts.join('-') : null;
+}
+
+/**
+ * An API.Bible verse or passage id ("JHN.3.16", "ROM.8.28-ROM.8.30",
+ * "PSA.23") as a reference shaped like parseReference's. Null if it isn't one.
+ */
+function referenceFromPassageId(passageId) {
+  const [start, end, extra] = String(passageId || '').split('-');
+  if (extra !== undefined) return null;
+
+  const read = (id) => {
+    const [code, chapter, verse, more] = (id || '').split('.');
+    const book = BY_USFM.get(code);
+    const numbers = [chapter, verse].filter((part) => part !== undefined).map(Number);
+    if (!book || more !== undefined || numbers.length === 0 || !numbers.every((n) => Number.isInteger(n) && n > 0)) return null;
+    return { book, chapter: numbers[0], verse: numbers[1] ?? null };
+  };
+
+  const first = read(start);
+  const last = end === undefined ? null : read(end);
+  if (!first || (end !== undefined && (!last || last.book !== first.book))) return null;
+
+  const passage = normalizePassage(first.book, {
+    chapter: first.chapter,
+    verse: first.verse,
+    endChapter: last ? last.chapter : null,
+    endVerse: last ? last.verse : null
+  });
+  if (!passage) return null;
+
+  return {
+    osis: canonicalId(first.book.osis, passage),
+    passageId: canonicalId(first.book.usfm, passage),
+    book: first.book.name,
+    display: formatReference(first.book, passage),
+    ...passage
+  };
+}
+
+/** One verse by OSIS id ("John.3.16"), shaped like parseReference's result. Null if unknown. */
+function verseReference(osisVerseId) {
+  const [code, chapter, verse] = String(osisVerseId || '').split('.');
+  const book = BY_OSIS.get(code);
+  const passage = { chapter: Number(chapter), verse: Number(verse), endChapter: null, endVerse: null };
+  if (!book || !(Number.isInteger(passage.chapter) && passage.chapter > 0) || !(Number.isInteger(passage.verse) && passage.verse > 0)) return null;
+
+  return {
+    osis: canonicalId(book.osis, passage),
+    passageId: canonicalId(book.usfm, passage),
+    book: book.name,
+    display: formatReference(book, passage),
+    ...passage
+  };
+}
+
+/**
+ * References in a transcript, with their times in the recording when there
+ * are word timings. Words are joined the way the parser reads them, so each
+ * mention maps back to the words that spoke it.
+ *
+ * @param {object} options
+ * @param {string} [options.text] Transcript text, used when there are no words.
+ * @param {Array<object>} [options.words] AssemblyAI words `{ text, start, end }`.
+ * @returns {Array<object>} parseScriptureReferences' rows plus `spokenText`, `startMs`, `endMs`.
+ */
+function detectScriptureReferences({ text, words } = {}) {
+  const timed = Array.isArray(words)
+    ? words.filter((word) => word && typeof word.text === 'string')
+    : [];
+
+  if (timed.length === 0) {
+    const source = String(text || '');
+    return parseScriptureReferences(source).map(({ start, end, ...reference }) => ({
+      ...reference,
+      spokenText: source.slice(start, end),
+      startMs: null,
+      endMs: null
+    }));
+  }
+
+  const offsets = [];
+  let joined = '';
+  for (const word of timed) {
+    if (joined) joined += ' ';
+    offsets.push(joined.length);
+    joined += word.text;
+  }
+
+  const wordAt = (offset) => {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (offsets[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return timed[low];
+  };
+
+  return parseScriptureReferences(joined).map(({ start, end, ...reference }) => {
+    const first = wordAt(start);
+    const last = wordAt(end - 1);
+    return {
+      ...reference,
+      spokenText: joined.slice(start, end),
+      startMs: Number.isFinite(first.start) ? first.start : null,
+      endMs: Number.isFinite(last.end) ? last.end : null
+    };
+  });
+}
+
+/** Rows for `scripture_references`, one per mention, in order. */
+function scriptureReferenceRows({ userId, sermonId, references }) {
+  return references.map((reference, index) => ({
+    user_id: userId,
+    sermon_id: sermonId,
+    mention_index: index,
+    osis: reference.osis,
+    passage_id: reference.passageId,
+    book: reference.book,
+    display: reference.display,
+    chapter_start: reference.chapter,
+    verse_start: reference.verse,
+    chapter_end: reference.endChapter ?? reference.chapter,
+    verse_end: reference.endChapter === null ? reference.verse : reference.endVerse,
+    spoken_text: reference.spokenText,
+    start_ms: reference.startMs,
+    end_ms: reference.endMs
+  }));
+}
+
+/**
+ * Replaces a sermon's stored references with the ones in this transcript.
+ * Delete-then-insert, so a re-transcription leaves no stale mentions.
+ *
+ * @returns {Promise<number>} references written.
+ */
+async function replaceScriptureReferences({ supabase, sermonId, userId, text, words }) {
+  const rows = scriptureReferenceRows({
+    userId,
+    sermonId,
+    references: detectScriptureReferences({ text, words })
+  });
+
+  const { error: deleteError } = await supabase.from('scripture_references').delete().eq('sermon_id', sermonId);
+  if (deleteError) {
+    throw new Error(`scripture reference clear failed: ${deleteError.message}`);
+  }
+
+  if (rows.length > 0) {
+    const { error } = await supabase.from('scripture_references').insert(rows);
+    if (error) {
+      throw new Error(`scripture reference write failed: ${error.message}`);
+    }
+  }
+
+  return rows.length;
+}
+
+/** A stored reference as the client sees it. */
+function transformScriptureReference(row) {
+  return {
+    osis: row.osis,
+    passageId: row.passage_id,
+    display: row.display,
+    book: row.book,
+    chapterStart: row.chapter_start,
+    verseStart: row.verse_start,
+    chapterEnd: row.chapter_end,
+    verseEnd: row.verse_end,
+    spokenText: row.spoken_text,
+    startMs: row.start_ms,
+    endMs: row.end_ms
+  };
+}
+
+module.exports = {
+  BOOKS,
+  readNumber,
+  parseScriptureReferences,
+  parseReference,
+  osisFromPassageId,
+  referenceFromPassageId,
+  verseReference,
+  detectScriptureReferences,
+  scriptureReferenceRows,
+  replaceScriptureReferences,
+  transformScriptureReference
+};
@@ -0,0 +1,414 @@
+const { JOB_KINDS, JOB_STATUS, idempotencyKey } = require('./processingJobs');
+const { planChunkedSummary, renderChunkText } = require('./chunkedSummary');
+
+/**
+ * Library search for "ask my sermons" chat.
+ *
+ * Every sermon's transcript, summary and notes are cut into passages of about
+ * a paragraph and stored in `search_chunks`, which Postgres indexes for
+ * full-text search. A question is reduced to its keywords and matched against
+ * every passage the user owns; the best few go to the model as numbered
+ * passages, and the numbers it cites are mapped back to sermon and timestamp.
+ *
+ * Keyword retrieval, not embeddings: it needs nothing beyond Postgres, and
+ * sermon questions are mostly about named things (a book, a parable, a word
+ * like "forgiveness") that keywords find well.
+ *
+ * The index is rebuilt per sermon by a `search_index` processing job, queued
+ * when a transcription completes and again when its summary is written. For
+ * local testing, SEARCH_INDEX_BACKEND=memory skips the table entirely and
+ * ranks the user's rows in-process (createMemorySearchIndex) on every query.
+ */
+
+const SEARCH_CHUNK_MAX_CHARS = 1200;
+const DEFAULT_RESULT_LIMIT = 6;
+const MAX_RESULT_LIMIT = 20;
+const MAX_QUERY_TERMS = 16;
+const INSERT_BATCH_SIZE = 200;
+
+const SEARCH_SOURCES = Object.freeze({
+  TRANSCRIPT: 'transcript',
+  SUMMARY: 'summary',
+  NOTE: 'note'
+});
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did',
+  'do', 'does', 'doing', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'here',
+  'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me',
+  'my', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'over', 'said', 'say', 'says',
+  'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'those', 'to', 'up', 'us', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'who', 'whom', 'why', 'will', 'with', 'would', 'you',
+  'your', 'pastor', 'sermon', 'sermons', 'preach', 'preached', 'talk', 'talked'
+]);
+
+/**
+ * Lowercased keywords in any script, stopwords dropped: runs of letters, their
+ * combining marks (Hebrew points) and digits. search_sermon_chunks matches
+ * them with the 'simple' configuration, unstemmed, as the memory backend does.
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/** The distinct keywords of a question, in order. */
+function queryTerms(question) {
+  return Array.from(new Set(tokenize(question))).slice(0, MAX_QUERY_TERMS);
+}
+
+function chunkRow({ userId, sermonId, source, index, content, startMs = null, endMs = null }) {
+  return {
+    user_id: userId,
+    sermon_id: sermonId,
+    source,
+    chunk_index: index,
+    content,
+    start_ms: Number.isFinite(startMs) ? Math.round(startMs) : null,
+    end_ms: Number.isFinite(endMs) ? Math.round(endMs) : null
+  };
+}
+
+// Same splitting as long-transcript summaries, at passage size: speaker turns
+// and sentence ends, with recording offsets when there are word timings.
+function textPassages(text, words) {
+  const plan = planChunkedSummary({ text, words, maxChars: SEARCH_CHUNK_MAX_CHARS });
+  return plan.chunks
+    .map((chunk, index) => ({
+      content: renderChunkText(plan, index, { text, words }).trim(),
+      startMs: chunk.startMs,
+      endMs: chunk.endMs
+    }))
+    .filter((passage) => passage.content.length > 0);
+}
+
+/**
+ * One sermon's search rows, rebuilt from scratch.
+ *
+ * @param {object} options
+ * @param {object} [options.transcript] `{ text, segments }` (segments are AssemblyAI words).
+ * @param {object} [options.summary] `{ text }`.
+ * @param {Array<object>} [options.notes] `{ text, timestamp }`, timestamp in seconds.
+ */
+function buildSearchChunks({ userId, sermonId, transcript, summary, notes = [] }) {
+  const rows = [];
+  const base = { userId, sermonId };
+
+  if (transcript?.text?.trim()) {
+    const words = Array.isArray(transcript.segments) ? transcript.segments : null;
+    textPassages(transcript.text, words).forEach((passage, index) => {
+      rows.push(chunkRow({ ...base, source: SEARCH_SOURCES.TRANSCRIPT, index, ...passage }));
+    });
+  }
+
+  if (summary?.text?.trim()) {
+    textPassages(summary.text, null).forEach((passage, index) => {
+      rows.push(chunkRow({ ...base, source: SEARCH_SOURCES.SUMMARY, index, content: passage.content }));
+    });
+  }
+
+  (notes || [])
+    .filter((note) => typeof note?.text === 'string' && note.text.trim())
+    .forEach((note, index) => {
+      const seconds = Number(note.timestamp);
+      rows.push(chunkRow({
+        ...base,
+        source: SEARCH_SOURCES.NOTE,
+        index,
+        content: note.text.trim(),
+        startMs: Number.isFinite(seconds) ? seconds * 1000 : null
+      }));
+    });
+
+  return rows;
+}
+
+/**
+ * In-process BM25 over search rows: the local-testing backend, and the same
+ * ranking idea as Postgres' ts_rank_cd without needing the table.
+ */
+function createMemorySearchIndex(rows, { k1 = 1.2, b = 0.75 } = {}) {
+  const docs = rows.map((row) => {
+    const counts = new Map();
+    const tokens = tokenize(row.content);
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    return { row, counts, length: tokens.length };
+  });
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+  const documentFrequency = new Map();
+  for (const doc of docs) {
+    for (const token of doc.counts.keys()) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  function search(question, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+    const terms = queryTerms(question);
+    if (terms.length === 0) return [];
+
+    const scored = [];
+    for (const doc of docs) {
+      let score = 0;
+      for (const term of terms) {
+        const frequency = doc.counts.get(term);
+        if (!frequency) continue;
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (k1 + 1)) /
+          (frequency + k1 * (1 - b + b * (doc.length / (averageLength || 1))));
+      }
+      if (score > 0) scored.push({ ...doc.row, rank: score });
+    }
+
+    return scored
+      .sort((left, right) => right.rank - left.rank)
+      .slice(0, clampLimit(limit));
+  }
+
+  return { size: docs.length, search };
+}
+
+function clampLimit(limit) {
+  const value = Number(limit) || DEFAULT_RESULT_LIMIT;
+  return Math.min(MAX_RESULT_LIMIT, Math.max(1, Math.floor(value)));
+}
+
+/**
+ * Every search row for the user's library, built from the source tables.
+ * What the memory backend searches; far too slow for a large library.
+ */
+async function loadLibraryRows({ supabase, userId }) {
+  const [sermons, transcripts, summaries, notes] = await Promise.all([
+    supabase.from('sermons').select('id, title').eq('user_id', userId),
+    supabase.from('transcripts').select('sermon_id, text, segments').eq('user_id', userId),
+    supabase.from('summaries').select('sermon_id, text').eq('user_id', userId),
+    supabase.from('notes').select('sermon_id, text, timestamp').eq('user_id', userId)
+  ]);
+
+  const failed = [sermons, transcripts, summaries, notes].find((result) => result.error);
+  if (failed) {
+    throw new Error(`Failed to load library: ${failed.error.message}`);
+  }
+
+  const bySermon = (rows, sermonId) => (rows || []).filter((row) => row.sermon_id === sermonId);
+
+  return (sermons.data || []).flatMap((sermon) =>
+    buildSearchChunks({
+      userId,
+      sermonId: sermon.id,
+      transcript: bySermon(transcripts.data, sermon.id)[0],
+      summary: bySermon(summaries.data, sermon.id)[0],
+      notes: bySermon(notes.data, sermon.id)
+    }).map((row) => ({ ...row, sermon_title: sermon.title }))
+  );
+}
+
+/**
+ * The passages of the user's library that best match a question, best first.
+ * Each is a search row plus `sermon_title` and `rank`.
+ *
+ * @param {object} options
+ * @param {'postgres'|'memory'} [options.backend] Defaults to SEARCH_INDEX_BACKEND, then postgres.
+ */
+async function searchLibrary({
+  supabase,
+  userId,
+  question,
+  limit = DEFAULT_RESULT_LIMIT,
+  backend = process.env.SEARCH_INDEX_BACKEND || 'postgres'
+}) {
+  const terms = queryTerms(question);
+  if (terms.length === 0) return [];
+
+  if (backend === 'memory') {
+    const rows = await loadLibraryRows({ supabase, userId });
+    return createMemorySearchIndex(rows).search(question, { limit });
+  }
+
+  const { data, error } = await supabase.rpc('search_sermon_chunks', {
+    p_user_id: userId,
+    p_terms: terms,
+    p_limit: clampLimit(limit)
+  });
+
+  if (error) {
+    throw new Error(`Library search failed: ${error.message}`);
+  }
+  return data || [];
+}
+
+/** m:ss, or h:mm:ss past the hour. */
+function formatTimestamp(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return null;
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/** A passage shortened for display next to its citation. */
+function excerptOf(content, maxChars = 240) {
+  const text = String(content || '');
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1).trimEnd()}…` : text;
+}
+
+/**
+ * The model's view of the passages (numbered from 1) and the matching
+ * citations the client gets back. Both use the same numbers.
+ */
+function buildLibraryContext(passages) {
+  const citations = passages.map((passage, index) => ({
+    index: index + 1,
+    sermonId: passage.sermon_id,
+    sermonTitle: passage.sermon_title || null,
+    source: passage.source,
+    startMs: passage.start_ms ?? null,
+    endMs: passage.end_ms ?? null,
+    timestamp: formatTimestamp(passage.start_ms ?? NaN),
+    excerpt: excerptOf(passage.content)
+  }));
+
+  const passagesText = passages.length === 0
+    ? '(No passages matched this question.)'
+    : passages.map((passage, index) => {
+      const citation = citations[index];
+      const where = [citation.source, citation.timestamp].filter(Boolean).join(' at ');
+      return `[${citation.index}] "${citation.sermonTitle || 'Untitled sermon'}" (${where})\n${passage.content}`;
+    }).join('\n\n');
+
+  return { passagesText, citations };
+}
+
+/** The citations a reply actually used, by the [n] markers in it. */
+function citedIn(response, citations) {
+  const used = new Set();
+  for (const match of String(response || '').matchAll(/\[(\d+)\]/g)) {
+    used.add(Number(match[1]));
+  }
+  return citations.filter((citation) => used.has(citation.index));
+}
+
+/**
+ * Replaces a sermon's search rows with freshly built ones. Delete-then-insert
+ * is safe to repeat, which is what a retried job needs.
+ *
+ * @returns {Promise<number>} rows written.
+ */
+async function rebuildSermonSearchIndex({ supabase, sermonId, userId }) {
+  const [transcript, summary, notes] = await Promise.all([
+    supabase.from('transcripts').select('text, segments').eq('sermon_id', sermonId).maybeSingle(),
+    supabase.from('summaries').select('text').eq('sermon_id', sermonId).maybeSingle(),
+    supabase.from('notes').select('text, timestamp').eq('sermon_id', sermonId)
+  ]);
+
+  const failed = [transcript, summary, notes].find((result) => result.error);
+  if (failed) {
+    throw new Error(`search index source read failed: ${failed.error.message}`);
+  }
+
+  const rows = buildSearchChunks({
+    userId,
+    sermonId,
+    transcript: transcript.data,
+    summary: summary.data,
+    notes: notes.data
+  });
+
+  const { error: deleteError } = await supabase.from('search_chunks').delete().eq('sermon_id', sermonId);
+  if (deleteError) {
+    throw new Error(`search index clear failed: ${deleteError.message}`);
+  }
+
+  for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+    const { error } = await supabase.from('search_chunks').insert(rows.slice(start, start + INSERT_BATCH_SIZE));
+    if (error) {
+      throw new Error(`search index write failed: ${error.message}`);
+    }
+  }
+
+  return rows.length;
+}
+
+/**
+ * Marks a rebuild done, unless the job was re-queued while it ran: a
+ * transcript or summary that landed mid-rebuild asked for a newer index, and
+ * this older run must not close that request.
+ *
+ * @returns {Promise<object|null>} the update error, if any.
+ */
+async function markSearchIndexJobDone({ supabase, jobId }) {
+  const { error } = await supabase
+    .from('processing_jobs')
+    .update({
+      status: JOB_STATUS.DONE,
+      completed_at: new Date().toISOString(),
+      last_error: null,
+      next_attempt_at: null
+    })
+    .eq('id', jobId)
+    .eq('status', JOB_STATUS.RUNNING);
+
+  return error || null;
+}
+
+/**
+ * (Re)queues the sermon's search_index job. Unlike the summary chain this
+ * resets an existing row: the index must follow every new transcript and
+ * summary, and rebuilding it costs nothing but a few queries. Non-fatal — the
+ * caller's own work is already done, and a missing index only means the
+ * sermon is absent from library answers until the next rebuild.
+ *
+ * @returns {Promise<boolean>} whether the job was queued.
+ */
+async function queueSearchIndexJob({ supabase, job, logger }) {
+  const { error } = await supabase.from('processing_jobs').upsert(
+    {
+      user_id: job.user_id,
+      sermon_id: job.sermon_id,
+      sermon_local_id: job.sermon_local_id,
+      kind: JOB_KINDS.SEARCH_INDEX,
+      status: JOB_STATUS.QUEUED,
+      idempotency_key: idempotencyKey(job.sermon_id, JOB_KINDS.SEARCH_INDEX),
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: null,
+      submitted_at: null
+    },
+    { onConflict: 'idempotency_key' }
+  );
+
+  if (error) {
+    logger?.error?.('Failed to queue search index job', { jobId: job.id, sermonId: job.sermon_id }, error);
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  SEARCH_CHUNK_MAX_CHARS,
+  DEFAULT_RESULT_LIMIT,
+  MAX_RESULT_LIMIT,
+  SEARCH_SOURCES,
+  tokenize,
+  queryTerms,
+  buildSearchChunks,
+  createMemorySearchIndex,
+  loadLibraryRows,
+  searchLibrary,
+  formatTimestamp,
+  excerptOf,
+  buildLibraryContext,
+  citedIn,
+  rebuildSermonSearchIndex,
+  markSearchIndexJobDone,
+  queueSearchIndexJob
+};
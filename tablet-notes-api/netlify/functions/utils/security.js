@@ -296,6 +296,48 @@ class CircuitBreaker {
     }
   }
   
+  /**
+   * `execute` for a call whose result is an async iterable that can still fail
+   * after it is returned, like a streamed completion. Failing to open it or
+   * failing partway through is one failure; it succeeds only once read to the
+   * end. A consumer that stops early counts as neither.
+   */
+  async executeStream(open, ...args) {
+    if (this.state === 'OPEN') {
+      if (Date.now() < this.nextAttempt) {
+        throw new Error('Circuit breaker is OPEN');
+      }
+      this.state = 'HALF_OPEN';
+    }
+
+    let source;
+    try {
+      source = await open(...args);
+    } catch (error) {
+      this.onFailure();
+      throw error;
+    }
+
+    const breaker = this;
+    return (async function* counted() {
+      try {
+        yield* source;
+      } catch (error) {
+        breaker.onFailure();
+        throw error;
+      }
+      breaker.onSuccess();
+    })();
+  }
+
+  /**
+   * True while calls are being rejected outright. Past `nextAttempt` the next
+   * call is allowed through as the half-open probe, so this is false again.
+   */
+  isOpen() {
+    return this.state === 'OPEN' && Date.now() < this.nextAttempt;
+  }
+
   onSuccess() {
     this.failureCount = 0;
     this.state = 'CLOSED';
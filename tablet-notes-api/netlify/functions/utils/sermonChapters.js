@@ -0,0 +1,348 @@
+/**
+ * Sermon chapters: a titled outline of the recording (introduction, each main
+ * point, application, closing prayer) with start and end times, stored in
+ * `sermon_chapters` and returned by get-sermons so the app can show the
+ * outline and seek to each part.
+ *
+ * Built when a transcription completes (completeTranscription.js), from one
+ * of two sources:
+ *
+ *   - provider: AssemblyAI's auto chapters. Requested only with
+ *     SERMON_CHAPTERS=provider, since they are billed per hour of audio. Their
+ *     boundaries and headlines are used as-is; we only decide which is the
+ *     introduction, application and prayer.
+ *   - segmented: our own pass over the stored word timings. Preachers signpost
+ *     ("My second point...", "So what does this mean for us?", "Let's pray"),
+ *     so the outline follows those cues and falls back to the longest pauses
+ *     when a sermon has none.
+ *
+ * SERMON_CHAPTERS=segment (the default) uses only our own; =off stores none.
+ * Provider chapters that come back empty fall back to segmentation. Without
+ * word timings, or for recordings under MIN_OUTLINE_MS, there is no outline.
+ */
+
+const MIN_OUTLINE_MS = 5 * 60 * 1000;
+const MIN_CHAPTER_MS = 60 * 1000;
+const FALLBACK_CHAPTER_MS = 8 * 60 * 1000;
+const MAX_POINTS = 8;
+const MAX_TITLE_LENGTH = 80;
+
+const CHAPTER_KINDS = Object.freeze({
+  INTRO: 'intro',
+  POINT: 'point',
+  APPLICATION: 'application',
+  PRAYER: 'prayer'
+});
+
+const ORDINALS = 'first|second|third|fourth|fifth|sixth|seventh|eighth';
+const NUMBERS = 'one|two|three|four|five|six|seven|eight|1|2|3|4|5|6|7|8';
+
+// A sentence that opens a main point: "Second, ...", "My third point is...",
+// "Point number two", "The first thing we see...", "Number three:".
+const POINT_CUE = new RegExp(
+  `^(?:(?:${ORDINALS})(?:ly)?\\b|(?:and\\s+)?finally\\b|lastly\\b|` +
+  `(?:my|the|our)\\s+(?:${ORDINALS}|next|last|final)\\s+(?:point|thing|truth|lesson|principle|mark|way)\\b|` +
+  `(?:point|number)\\s+(?:number\\s+)?(?:${NUMBERS})\\b)`,
+  'i'
+);
+const APPLICATION_CUE = /^(?:so\s+what\b|now\s+what\b|what\s+does\s+(?:this|that|all\s+this)\s+mean\s+for\s+(?:us|you)|how\s+(?:do|can|should)\s+we\s+(?:apply|live)|let\s+me\s+(?:apply|close)|(?:here'?s|here\s+is)\s+(?:the|my)\s+application|by\s+way\s+of\s+application|in\s+application)/i;
+const PRAYER_CUE = /\b(?:let\s+us\s+pray|let'?s\s+pray|pray\s+with\s+me|let'?s\s+bow|bow\s+(?:your|our)\s+heads|let\s+me\s+pray|would\s+you\s+pray\s+with\s+me)\b/i;
+
+// Prayer and application cues only count late in the recording: "let's pray
+// for the missionaries" in the announcements is not the closing prayer.
+const PRAYER_FROM = 0.75;
+const APPLICATION_FROM = 0.4;
+
+function chapterSource(env = process.env) {
+  const value = (env.SERMON_CHAPTERS || 'segment').toLowerCase();
+  return ['provider', 'segment', 'off'].includes(value) ? value : 'segment';
+}
+
+/** Whether to ask AssemblyAI for auto chapters when submitting audio. */
+function providerChaptersRequested(env = process.env) {
+  return chapterSource(env) === 'provider';
+}
+
+/** Timed words grouped into sentences at terminal punctuation. */
+function sentencesFromWords(words) {
+  const sentences = [];
+  let current = null;
+  let previousEnd = null;
+
+  for (const word of words) {
+    const text = typeof word?.text === 'string' ? word.text.trim() : '';
+    if (!text || !Number.isFinite(word.start) || !Number.isFinite(word.end)) continue;
+
+    if (!current) {
+      current = { words: [], start: word.start, end: word.end, gapBefore: previousEnd === null ? 0 : word.start - previousEnd };
+    }
+    current.words.push(text);
+    current.end = word.end;
+    previousEnd = word.end;
+
+    if (/[.?!]["')\]]*$/.test(text)) {
+      sentences.push(current);
+      current = null;
+    }
+  }
+  if (current) sentences.push(current);
+
+  return sentences.map(({ words: sentenceWords, ...sentence }) => ({ ...sentence, text: sentenceWords.join(' ') }));
+}
+
+function shortTitle(text) {
+  const clean = text.replace(/\s+/g, ' ').trim().replace(/[.?!,;:]+$/, '');
+  if (clean.length <= MAX_TITLE_LENGTH) return clean;
+  const cut = clean.slice(0, MAX_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).replace(/[,;:]$/, '')}…`;
+}
+
+/**
+ * The index of the sentence starting nearest `target` ms within [from, to),
+ * preferring the longest pause before it, so a split never lands mid-thought.
+ */
+function pauseNear(sentences, target, from, to, windowMs) {
+  let best = -1;
+  for (let i = from; i < to; i += 1) {
+    if (Math.abs(sentences[i].start - target) > windowMs) continue;
+    if (best === -1 || sentences[i].gapBefore > sentences[best].gapBefore) best = i;
+  }
+  return best;
+}
+
+function lastIndexMatching(sentences, pattern, from, to) {
+  for (let i = to - 1; i >= from; i -= 1) {
+    if (pattern.test(sentences[i].text)) return i;
+  }
+  return -1;
+}
+
+function firstIndexMatching(sentences, pattern, from, to) {
+  for (let i = from; i < to; i += 1) {
+    if (pattern.test(sentences[i].text)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Sentence indexes where main points start, between `from` and `to`: the
+ * point cues, or failing those, pauses about every FALLBACK_CHAPTER_MS.
+ */
+function pointStarts(sentences, from, to) {
+  const starts = [];
+  for (let i = from; i < to; i += 1) {
+    if (!POINT_CUE.test(sentences[i].text)) continue;
+    const previous = starts.length ? sentences[starts[starts.length - 1]].start : sentences[from].start - MIN_CHAPTER_MS;
+    if (sentences[i].start - previous >= MIN_CHAPTER_MS) starts.push(i);
+  }
+  if (starts.length > 0) return { starts: starts.slice(0, MAX_POINTS), cued: true };
+
+  const bodyStart = sentences[from].start;
+  const bodyEnd = sentences[to - 1].end;
+  const parts = Math.min(MAX_POINTS, Math.max(1, Math.round((bodyEnd - bodyStart) / FALLBACK_CHAPTER_MS)));
+  const fallback = [from];
+  const step = (bodyEnd - bodyStart) / parts;
+  for (let part = 1; part < parts; part += 1) {
+    const index = pauseNear(sentences, bodyStart + step * part, fallback[fallback.length - 1] + 1, to, step / 3);
+    if (index > fallback[fallback.length - 1]) fallback.push(index);
+  }
+  return { starts: fallback, cued: false };
+}
+
+/**
+ * Segments a transcript's timed words into an outline.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} words  ms timings
+ * @returns {Array<{ kind, title, summary, startMs, endMs }>} in order; empty
+ *   when the recording is too short or untimed
+ */
+function segmentChapters(words) {
+  const sentences = sentencesFromWords(Array.isArray(words) ? words : []);
+  if (sentences.length === 0) return [];
+
+  const startMs = sentences[0].start;
+  const endMs = sentences[sentences.length - 1].end;
+  const duration = endMs - startMs;
+  if (duration < MIN_OUTLINE_MS) return [];
+  const at = (fraction) => startMs + duration * fraction;
+
+  // Closing prayer: the last prayer cue in the final quarter.
+  let bodyEnd = sentences.length;
+  const lateStart = sentences.findIndex((sentence) => sentence.start >= at(PRAYER_FROM));
+  const prayer = lateStart === -1 ? -1 : lastIndexMatching(sentences, PRAYER_CUE, lateStart, sentences.length);
+  if (prayer > 0) bodyEnd = prayer;
+
+  // Application: the first application cue past the sermon's middle.
+  const middle = sentences.findIndex((sentence) => sentence.start >= at(APPLICATION_FROM));
+  const application = middle === -1 ? -1 : firstIndexMatching(sentences, APPLICATION_CUE, middle, bodyEnd);
+  const pointsEnd = application > 0 ? application : bodyEnd;
+
+  // Introduction: up to the first point cue, or without cues, the longest
+  // pause around the first tenth.
+  const firstCue = firstIndexMatching(sentences, POINT_CUE, 0, pointsEnd);
+  let introEnd = firstCue;
+  if (firstCue === -1 || sentences[firstCue].start - startMs < MIN_CHAPTER_MS) {
+    introEnd = pauseNear(sentences, at(0.1), 1, pointsEnd, duration * 0.05);
+  }
+
+  const boundaries = [];
+  if (introEnd > 0) {
+    boundaries.push({ index: 0, kind: CHAPTER_KINDS.INTRO, title: 'Introduction' });
+  }
+  const body = pointStarts(sentences, Math.max(introEnd, 0), pointsEnd);
+  body.starts.forEach((index, position) => {
+    boundaries.push({
+      index,
+      kind: CHAPTER_KINDS.POINT,
+      // A cued point opens with the preacher's own statement of it.
+      title: body.cued ? shortTitle(sentences[index].text) : `Part ${position + 1}`
+    });
+  });
+  if (application > 0) {
+    boundaries.push({ index: application, kind: CHAPTER_KINDS.APPLICATION, title: 'Application' });
+  }
+  if (prayer > 0) {
+    boundaries.push({ index: prayer, kind: CHAPTER_KINDS.PRAYER, title: 'Closing prayer' });
+  }
+
+  return boundaries.map((boundary, i) => {
+    const next = boundaries[i + 1];
+    const last = next ? next.index - 1 : sentences.length - 1;
+    return {
+      kind: boundary.kind,
+      title: boundary.title,
+      summary: null,
+      startMs: sentences[boundary.index].start,
+      endMs: sentences[last].end
+    };
+  });
+}
+
+/**
+ * AssemblyAI auto chapters as an outline. The first of several is the
+ * introduction, and one late chapter whose text opens with a prayer or
+ * application cue is labelled as such; the rest are points.
+ *
+ * @param {Array<{headline, gist, summary, start, end}>} chapters
+ * @param {Array} words  to read each chapter's opening words; may be empty
+ */
+function chaptersFromProvider(chapters, words = []) {
+  const valid = (Array.isArray(chapters) ? chapters : [])
+    .filter((chapter) => Number.isFinite(chapter?.start) && Number.isFinite(chapter?.end) && chapter.end > chapter.start)
+    .sort((a, b) => a.start - b.start);
+  if (valid.length === 0) return [];
+
+  const sentences = sentencesFromWords(Array.isArray(words) ? words : []);
+  const openingOf = (chapter) => {
+    const inside = sentences.filter((sentence) => sentence.start >= chapter.start && sentence.start < chapter.end);
+    return inside.map((sentence) => sentence.text).join(' ');
+  };
+  const startMs = valid[0].start;
+  const duration = valid[valid.length - 1].end - startMs;
+
+  const kinds = valid.map((chapter, i) => {
+    if (i === 0 && valid.length > 1) return CHAPTER_KINDS.INTRO;
+    const position = (chapter.start - startMs) / duration;
+    const text = openingOf(chapter);
+    if (i === valid.length - 1 && position >= PRAYER_FROM - 0.15 && PRAYER_CUE.test(text)) return CHAPTER_KINDS.PRAYER;
+    if (position >= APPLICATION_FROM && APPLICATION_CUE.test(text)) return CHAPTER_KINDS.APPLICATION;
+    return CHAPTER_KINDS.POINT;
+  });
+  // One application at most: the first.
+  const firstApplication = kinds.indexOf(CHAPTER_KINDS.APPLICATION);
+  kinds.forEach((kind, i) => {
+    if (kind === CHAPTER_KINDS.APPLICATION && i !== firstApplication) kinds[i] = CHAPTER_KINDS.POINT;
+  });
+
+  return valid.map((chapter, i) => ({
+    kind: kinds[i],
+    title: shortTitle(chapter.headline || chapter.gist || `Part ${i + 1}`),
+    summary: typeof chapter.summary === 'string' && chapter.summary.trim() ? chapter.summary.trim() : null,
+    startMs: Math.round(chapter.start),
+    endMs: Math.round(chapter.end)
+  }));
+}
+
+/**
+ * The outline for a completed transcript, and where it came from.
+ *
+ * @returns {{ source: 'provider'|'segmented'|null, chapters: object[] }}
+ */
+function buildChapters({ transcript, env = process.env }) {
+  const mode = chapterSource(env);
+  if (mode === 'off') return { source: null, chapters: [] };
+
+  const words = Array.isArray(transcript?.words) ? transcript.words : [];
+  if (mode === 'provider') {
+    const chapters = chaptersFromProvider(transcript?.chapters, words);
+    if (chapters.length > 0) return { source: 'provider', chapters };
+  }
+  const chapters = segmentChapters(words);
+  return { source: chapters.length > 0 ? 'segmented' : null, chapters };
+}
+
+function chapterRows({ userId, sermonId, source, chapters }) {
+  return chapters.map((chapter, index) => ({
+    user_id: userId,
+    sermon_id: sermonId,
+    chapter_index: index,
+    kind: chapter.kind,
+    title: chapter.title,
+    summary: chapter.summary,
+    start_ms: chapter.startMs,
+    end_ms: chapter.endMs,
+    source
+  }));
+}
+
+/**
+ * Replaces a sermon's stored chapters with those of `transcript`. With
+ * chapters off the existing rows are left alone.
+ *
+ * @returns {Promise<number|null>} Chapters stored, or null when off.
+ */
+async function replaceSermonChapters({ supabase, sermonId, userId, transcript, env = process.env }) {
+  if (chapterSource(env) === 'off') return null;
+
+  const { source, chapters } = buildChapters({ transcript, env });
+  const rows = chapterRows({ userId, sermonId, source, chapters });
+
+  const { error: deleteError } = await supabase.from('sermon_chapters').delete().eq('sermon_id', sermonId);
+  if (deleteError) {
+    throw new Error(`sermon chapter clear failed: ${deleteError.message}`);
+  }
+
+  if (rows.length > 0) {
+    const { error } = await supabase.from('sermon_chapters').insert(rows);
+    if (error) {
+      throw new Error(`sermon chapter write failed: ${error.message}`);
+    }
+  }
+
+  return rows.length;
+}
+
+/** A stored chapter as the client sees it. */
+function transformChapter(row) {
+  return {
+    kind: row.kind,
+    title: row.title,
+    summary: row.summary,
+    startMs: row.start_ms,
+    endMs: row.end_ms,
+    source: row.source
+  };
+}
+
+module.exports = {
+  CHAPTER_KINDS,
+  MIN_OUTLINE_MS,
+  providerChaptersRequested,
+  sentencesFromWords,
+  segmentChapters,
+  chaptersFromProvider,
+  buildChapters,
+  replaceSermonChapters,
+  transformChapter
+};
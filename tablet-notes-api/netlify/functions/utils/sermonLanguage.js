@@ -0,0 +1,139 @@
+/**
+ * The language a sermon is preached in, and the language its summary is
+ * written in.
+ *
+ * Transcription: a job is submitted with the language the user asked for
+ * (`language` on POST /jobs), else their profile's transcription language,
+ * else the sermon's already-known language, else none, in which case
+ * AssemblyAI detects it. The language the provider reports is stored as
+ * `sermons.language` when the transcription completes.
+ *
+ * Summary: written in the user's chosen summary language
+ * (`profiles.summary_language`), else in the sermon's own language. The
+ * instruction is added to the prompt by summaryLanguageInstruction and only
+ * when something other than English is involved, so English sermons are
+ * summarized by exactly the prompt they always were. The language used is
+ * stored as `summaries.language`.
+ *
+ * Codes are ISO 639-1 ("es"); the provider's regional variants ("en_us")
+ * are reduced to them.
+ */
+
+// Languages AssemblyAI's automatic detection recognizes.
+const LANGUAGE_NAMES = Object.freeze({
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  hi: 'Hindi',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  fi: 'Finnish',
+  ko: 'Korean',
+  pl: 'Polish',
+  ru: 'Russian',
+  tr: 'Turkish',
+  uk: 'Ukrainian',
+  vi: 'Vietnamese'
+});
+
+const SUPPORTED_LANGUAGES = Object.freeze(Object.keys(LANGUAGE_NAMES));
+// Asks for detection instead of a language.
+const AUTO_LANGUAGE = 'auto';
+
+/** A supported base language code for `code` ("en_us" -> "en"), or null. */
+function normalizeLanguage(code) {
+  if (typeof code !== 'string') return null;
+  const base = code.trim().toLowerCase().split(/[_-]/)[0];
+  return SUPPORTED_LANGUAGES.includes(base) ? base : null;
+}
+
+function languageName(code) {
+  return LANGUAGE_NAMES[normalizeLanguage(code)] || null;
+}
+
+/**
+ * The language to transcribe in, or null to detect it. `requested` is what
+ * the job request asked for; "auto" detects even when a default is set.
+ */
+function transcriptionLanguage({ requested, profileLanguage, sermonLanguage }) {
+  if (requested === AUTO_LANGUAGE) return null;
+  return normalizeLanguage(requested) || normalizeLanguage(profileLanguage) || normalizeLanguage(sermonLanguage);
+}
+
+/** Submission options for a language, or detection without one. */
+function providerLanguageOptions(language) {
+  const code = normalizeLanguage(language);
+  return code ? { language_code: code } : { language_detection: true };
+}
+
+/**
+ * The transcription language for a sermon's job, from the request, the
+ * user's profile and the sermon row. Null (detect) when they can't be read.
+ */
+async function resolveTranscriptionLanguage({ supabase, sermonId, userId, requested, logger }) {
+  if (requested === AUTO_LANGUAGE) return null;
+  try {
+    const [{ data: profile, error: profileError }, { data: sermon, error: sermonError }] = await Promise.all([
+      supabase.from('profiles').select('transcription_language').eq('id', userId).maybeSingle(),
+      supabase.from('sermons').select('language').eq('id', sermonId).maybeSingle()
+    ]);
+    if (profileError || sermonError) {
+      throw new Error((profileError || sermonError).message);
+    }
+    return transcriptionLanguage({
+      requested,
+      profileLanguage: profile?.transcription_language,
+      sermonLanguage: sermon?.language
+    });
+  } catch (error) {
+    logger?.warn?.('Transcription language unavailable; detecting it', { sermonId, error: error.message });
+    return normalizeLanguage(requested);
+  }
+}
+
+/** The language a finished provider transcript is in, or null. */
+function detectedLanguage(transcript) {
+  return normalizeLanguage(transcript?.language_code);
+}
+
+/** The summary's language: the user's choice, else the sermon's. Null when neither is known. */
+function summaryLanguage({ sermonLanguage, preferredLanguage }) {
+  return normalizeLanguage(preferredLanguage) || normalizeLanguage(sermonLanguage);
+}
+
+/**
+ * Prompt addendum asking for the summary in `language`, or '' when the
+ * sermon and the summary are both English (or unknown).
+ */
+function summaryLanguageInstruction({ language, sermonLanguage }) {
+  const target = normalizeLanguage(language);
+  const source = normalizeLanguage(sermonLanguage);
+  if (!target || (target === 'en' && (!source || source === 'en'))) return '';
+
+  const targetName = LANGUAGE_NAMES[target];
+  const sourceLine = source && source !== target
+    ? `The transcript is in ${LANGUAGE_NAMES[source]}; translate faithfully, quoting the speaker in ${targetName}.`
+    : `The transcript is in ${targetName}.`;
+  return `
+
+## Summary Language:
+${sourceLine} Write the title and every part of the summary in ${targetName}. Keep the "TITLE:" marker and any JSON keys exactly as specified above; only the content is in ${targetName}. Write scripture references with English book names (e.g. "Romans 8:28") so the app can link them.`;
+}
+
+module.exports = {
+  LANGUAGE_NAMES,
+  SUPPORTED_LANGUAGES,
+  AUTO_LANGUAGE,
+  normalizeLanguage,
+  languageName,
+  transcriptionLanguage,
+  providerLanguageOptions,
+  resolveTranscriptionLanguage,
+  detectedLanguage,
+  summaryLanguage,
+  summaryLanguageInstruction
+};
@@ -0,0 +1,219 @@
+/**
+ * Who is speaking in a recording.
+ *
+ * Transcripts are submitted with speaker labels, so AssemblyAI tells us that
+ * speaker A talked from 0:00 to 4:12 and speaker B from 4:12 on. A completed
+ * transcription stores those turns (`transcripts.speaker_turns`), and the user
+ * can say who each label is, per sermon (`sermon_speakers`): a name, and a
+ * role from SPEAKER_ROLES.
+ *
+ * The roles are what make this useful beyond display: the summary job reads
+ * only the preacher when one is named, and otherwise leaves out speakers
+ * marked as announcers or worship leaders (focusTranscript). A sermon nobody
+ * has labelled is summarized exactly as before.
+ */
+
+const SPEAKER_ROLES = Object.freeze(['preacher', 'worship_leader', 'announcer', 'reader', 'other']);
+
+// Left out of the summary when no preacher is named.
+const UNFOCUSED_ROLES = new Set(['worship_leader', 'announcer']);
+
+// A focused transcript shorter than this is not worth summarizing on its own;
+// the summary falls back to the whole recording.
+const MIN_FOCUSED_CHARS = 50;
+
+function hasSpeaker(word) {
+  return word?.speaker !== undefined && word?.speaker !== null && word.speaker !== '';
+}
+
+/**
+ * Speaker turns for a transcript: the provider's utterances when it sent them,
+ * else runs of same-speaker words.
+ *
+ * @returns {Array<{speaker, startMs, endMs, text}>|null} null without speaker labels
+ */
+function speakerTurns({ utterances, words }) {
+  if (Array.isArray(utterances) && utterances.some(hasSpeaker)) {
+    return utterances
+      .filter((utterance) => hasSpeaker(utterance) && typeof utterance.text === 'string' && utterance.text.trim())
+      .map((utterance) => ({
+        speaker: String(utterance.speaker),
+        startMs: Number.isFinite(utterance.start) ? utterance.start : null,
+        endMs: Number.isFinite(utterance.end) ? utterance.end : null,
+        text: utterance.text.trim()
+      }));
+  }
+
+  const labelled = (Array.isArray(words) ? words : []).filter(hasSpeaker);
+  if (labelled.length === 0) return null;
+
+  const turns = [];
+  for (const word of labelled) {
+    const speaker = String(word.speaker);
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === speaker) {
+      last.words.push(word.text);
+      if (Number.isFinite(word.end)) last.endMs = word.end;
+    } else {
+      turns.push({
+        speaker,
+        startMs: Number.isFinite(word.start) ? word.start : null,
+        endMs: Number.isFinite(word.end) ? word.end : null,
+        words: [word.text]
+      });
+    }
+  }
+  return turns.map(({ words: turnWords, ...turn }) => ({ ...turn, text: turnWords.join(' ') }));
+}
+
+/**
+ * Each label in the recording, in order of first appearance, with how much
+ * they said and any name the user gave them.
+ */
+function speakerSummaries(turns, speakers = []) {
+  const byLabel = new Map(speakers.map((speaker) => [speaker.label, speaker]));
+  const summaries = new Map();
+  for (const turn of turns || []) {
+    if (!summaries.has(turn.speaker)) {
+      const named = byLabel.get(turn.speaker);
+      summaries.set(turn.speaker, {
+        label: turn.speaker,
+        name: named?.name || null,
+        role: named?.role || null,
+        turns: 0,
+        durationMs: 0,
+        firstStartMs: turn.startMs
+      });
+    }
+    const summary = summaries.get(turn.speaker);
+    summary.turns += 1;
+    if (turn.startMs !== null && turn.endMs !== null) summary.durationMs += turn.endMs - turn.startMs;
+  }
+  return [...summaries.values()];
+}
+
+/** "Pastor Dan", or "Speaker A" for a label nobody has named. */
+function speakerDisplayName(label, speakers = []) {
+  const named = speakers.find((speaker) => speaker.label === label);
+  return named?.name || `Speaker ${label}`;
+}
+
+/** Turns with the names and roles the user gave their speakers. */
+function namedTurns(turns, speakers = []) {
+  const byLabel = new Map(speakers.map((speaker) => [speaker.label, speaker]));
+  return (turns || []).map((turn) => ({
+    ...turn,
+    name: speakerDisplayName(turn.speaker, speakers),
+    role: byLabel.get(turn.speaker)?.role || null
+  }));
+}
+
+/** The transcript as "Name: words" paragraphs. */
+function renderSpeakerTranscript(turns, speakers = []) {
+  return namedTurns(turns, speakers).map((turn) => `${turn.name}: ${turn.text}`).join('\n\n');
+}
+
+/**
+ * The labels a summary should read: the named preachers, or everyone but the
+ * announcers and worship leaders. null when that is everyone.
+ */
+function focusLabels(turns, speakers = []) {
+  const labels = new Set((turns || []).map((turn) => turn.speaker));
+  const preachers = speakers.filter((speaker) => speaker.role === 'preacher' && labels.has(speaker.label));
+  const kept = preachers.length > 0
+    ? new Set(preachers.map((speaker) => speaker.label))
+    : new Set([...labels].filter((label) => !speakers.some((speaker) => speaker.label === label && UNFOCUSED_ROLES.has(speaker.role))));
+  return kept.size === labels.size ? null : kept;
+}
+
+/**
+ * The part of a transcript the summary should read, given the sermon's named
+ * speakers. Several kept speakers are rendered with their names so the model
+ * can tell them apart; one is plain text.
+ *
+ * @returns {{ text, words, focused: boolean, labels: string[]|null }}
+ *   unchanged (`focused: false`) when nothing is left out or too little is left
+ */
+function focusTranscript({ text, words, turns, speakers }) {
+  const unchanged = { text, words, focused: false, labels: null };
+  const kept = focusLabels(turns, speakers || []);
+  if (!kept || kept.size === 0) return unchanged;
+
+  const keptTurns = turns.filter((turn) => kept.has(turn.speaker));
+  const focusedText = kept.size === 1
+    ? keptTurns.map((turn) => turn.text).join(' ')
+    : renderSpeakerTranscript(keptTurns, speakers);
+  if (focusedText.trim().length < MIN_FOCUSED_CHARS) return unchanged;
+
+  return {
+    text: focusedText,
+    words: Array.isArray(words) ? words.filter((word) => hasSpeaker(word) && kept.has(String(word.speaker))) : words,
+    focused: true,
+    labels: [...kept]
+  };
+}
+
+/** A sermon's named speakers. Throws when they can't be read. */
+async function loadSermonSpeakers({ supabase, sermonId }) {
+  const { data, error } = await supabase
+    .from('sermon_speakers')
+    .select('label, name, role')
+    .eq('sermon_id', sermonId);
+  if (error) {
+    throw new Error(`sermon speakers read failed: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Names a label for a sermon, or forgets it when both `name` and `role` are
+ * null. Throws on a failed write.
+ */
+async function saveSermonSpeaker({ supabase, sermonId, userId, label, name, role }) {
+  if (name === null && role === null) {
+    const { error } = await supabase
+      .from('sermon_speakers')
+      .delete()
+      .eq('sermon_id', sermonId)
+      .eq('label', label);
+    if (error) {
+      throw new Error(`sermon speaker clear failed: ${error.message}`);
+    }
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('sermon_speakers')
+    .upsert(
+      { sermon_id: sermonId, user_id: userId, label, name, role, updated_at: new Date().toISOString() },
+      { onConflict: 'sermon_id,label' }
+    )
+    .select('label, name, role')
+    .single();
+  if (error) {
+    throw new Error(`sermon speaker write failed: ${error.message}`);
+  }
+  return data;
+}
+
+/** A named speaker as the client sees it. */
+function transformSpeaker(row) {
+  return {
+    label: row.label,
+    name: row.name,
+    role: row.role
+  };
+}
+
+module.exports = {
+  SPEAKER_ROLES,
+  speakerTurns,
+  speakerSummaries,
+  speakerDisplayName,
+  namedTurns,
+  renderSpeakerTranscript,
+  focusTranscript,
+  loadSermonSpeakers,
+  saveSermonSpeaker,
+  transformSpeaker
+};
@@ -0,0 +1,272 @@
+/**
+ * What part of a recording is the sermon.
+ *
+ * People record the whole Sunday service: twenty minutes of worship and
+ * announcements, then the sermon, then a closing prayer. Summarizing all of it
+ * gets the potluck into the sermon notes. This classifies a transcript's timed
+ * words into spans of worship, announcements, prayer and sermon, stored with
+ * the transcript (`transcripts.service_spans`) so the app can jump to the
+ * sermon, and used by the summary job to read only the sermon
+ * (sermonOnlyTranscript).
+ *
+ * The recording is read in WINDOW_MS windows:
+ *
+ *   - music: few words a minute, low confidence, or the same lines over and
+ *     over. Sung lyrics transcribe badly, and stretches with no words at all
+ *     count too.
+ *   - speech: everything else, credited to whoever said most of it.
+ *
+ * The sermon is the longest run of speech by the preacher (the speaker named
+ * as one in `sermon_speakers`, else whoever talks most), allowing short
+ * interruptions such as a scripture reader. A prayer cue near its end starts
+ * the closing prayer. Outside it, music is worship, speech with a prayer cue
+ * is prayer, and other speech is announcements.
+ *
+ * A recording whose sermon run is shorter than MIN_SERMON_MS is not
+ * classified (null): a short devotional or a recording of the sermon alone
+ * is summarized whole.
+ */
+
+const WINDOW_MS = 30 * 1000;
+const MIN_SERMON_MS = 5 * 60 * 1000;
+const MIN_SPAN_MS = 60 * 1000;
+// Other windows tolerated inside the sermon run, e.g. a reader or a pause.
+const MAX_INTERRUPTION_WINDOWS = 2;
+const CLOSING_PRAYER_MS = 4 * 60 * 1000;
+
+const MUSIC_WORDS_PER_MINUTE = 50;
+const MUSIC_CONFIDENCE = 0.6;
+const MUSIC_DISTINCT_RATIO = 0.35;
+
+const SPAN_KINDS = Object.freeze({
+  WORSHIP: 'worship',
+  ANNOUNCEMENTS: 'announcements',
+  PRAYER: 'prayer',
+  SERMON: 'sermon'
+});
+
+const PRAYER_CUE = /\b(?:let\s+us\s+pray|let'?s\s+pray|pray\s+with\s+me|bow\s+(?:your|our)\s+heads|in\s+jesus'?\s+name)\b/i;
+
+function isSermonOnlyEnabled(env = process.env) {
+  return (env.SUMMARY_SERMON_ONLY || 'on').toLowerCase() !== 'off';
+}
+
+function timed(words) {
+  return (Array.isArray(words) ? words : []).filter(
+    (word) => typeof word?.text === 'string' && Number.isFinite(word.start) && Number.isFinite(word.end)
+  );
+}
+
+/** Per-window features of a recording's words. */
+function windowsOf(words, startMs, endMs) {
+  const count = Math.max(1, Math.ceil((endMs - startMs) / WINDOW_MS));
+  const windows = Array.from({ length: count }, (_, i) => ({
+    startMs: startMs + i * WINDOW_MS,
+    endMs: Math.min(endMs, startMs + (i + 1) * WINDOW_MS),
+    words: []
+  }));
+  for (const word of words) {
+    const index = Math.min(count - 1, Math.floor((word.start - startMs) / WINDOW_MS));
+    windows[index].words.push(word);
+  }
+
+  return windows.map((window) => {
+    const minutes = (window.endMs - window.startMs) / 60000;
+    const texts = window.words.map((word) => word.text.toLowerCase().replace(/[^a-z']/g, '')).filter(Boolean);
+    const confidences = window.words.map((word) => word.confidence).filter(Number.isFinite);
+    const bySpeaker = new Map();
+    for (const word of window.words) {
+      if (word.speaker === undefined || word.speaker === null) continue;
+      bySpeaker.set(String(word.speaker), (bySpeaker.get(String(word.speaker)) || 0) + 1);
+    }
+    const speaker = [...bySpeaker.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+    const confidence = confidences.length ? confidences.reduce((a, b) => a + b, 0) / confidences.length : 1;
+    const distinct = texts.length ? new Set(texts).size / texts.length : 1;
+    const music = minutes > 0 && (
+      window.words.length / minutes < MUSIC_WORDS_PER_MINUTE ||
+      confidence < MUSIC_CONFIDENCE ||
+      (texts.length >= 20 && distinct < MUSIC_DISTINCT_RATIO)
+    );
+    return {
+      startMs: window.startMs,
+      endMs: window.endMs,
+      music,
+      speaker,
+      wordCount: window.words.length,
+      text: window.words.map((word) => word.text).join(' ')
+    };
+  });
+}
+
+/** The preacher's label: the named one, else whoever speaks most outside music. */
+function preacherLabel(windows, speakers = []) {
+  const labels = new Set(windows.map((window) => window.speaker).filter((label) => label !== null));
+  const named = speakers.find((speaker) => speaker.role === 'preacher' && labels.has(speaker.label));
+  if (named) return named.label;
+
+  const spoken = new Map();
+  for (const window of windows) {
+    if (window.music || window.speaker === null) continue;
+    spoken.set(window.speaker, (spoken.get(window.speaker) || 0) + window.wordCount);
+  }
+  return [...spoken.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+/** [first, last] window indexes of the longest preacher run, or null. */
+function sermonRun(windows, preacher) {
+  const isPreaching = (window) => !window.music && (preacher === null || window.speaker === preacher);
+  let best = null;
+  let start = -1;
+  let last = -1;
+  let misses = 0;
+
+  const close = () => {
+    if (start === -1) return;
+    if (!best || windows[last].endMs - windows[start].startMs > windows[best[1]].endMs - windows[best[0]].startMs) {
+      best = [start, last];
+    }
+  };
+
+  windows.forEach((window, i) => {
+    if (isPreaching(window)) {
+      if (start === -1) start = i;
+      last = i;
+      misses = 0;
+    } else if (start !== -1) {
+      misses += 1;
+      if (misses > MAX_INTERRUPTION_WINDOWS) {
+        close();
+        start = -1;
+        misses = 0;
+      }
+    }
+  });
+  close();
+  return best;
+}
+
+/** Consecutive windows of one kind as spans, with short spans absorbed. */
+function mergeSpans(labelled) {
+  const spans = [];
+  for (const { kind, startMs, endMs } of labelled) {
+    const last = spans[spans.length - 1];
+    if (last && last.kind === kind) last.endMs = endMs;
+    else spans.push({ kind, startMs, endMs });
+  }
+
+  // A 30-second "announcement" between two songs is noise: give it to the
+  // span before it. The sermon is never absorbed.
+  const merged = [];
+  for (const span of spans) {
+    const last = merged[merged.length - 1];
+    if (last && span.kind !== SPAN_KINDS.SERMON && last.kind !== SPAN_KINDS.SERMON && span.endMs - span.startMs < MIN_SPAN_MS) {
+      last.endMs = span.endMs;
+    } else if (last && last.kind === span.kind) {
+      last.endMs = span.endMs;
+    } else {
+      merged.push({ ...span });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Classifies a recording into service spans.
+ *
+ * @param {object} params
+ * @param {Array} params.words     AssemblyAI-shaped words (ms times, speaker, confidence)
+ * @param {Array} [params.speakers] named speakers (sermon_speakers rows)
+ * @returns {{ sermonStartMs, sermonEndMs, spans: Array<{kind, startMs, endMs}> }|null}
+ *   null when there are no timings or no sermon-length run of speech
+ */
+function detectServiceSpans({ words, speakers = [] }) {
+  const all = timed(words);
+  if (all.length === 0) return null;
+
+  const startMs = all[0].start;
+  const endMs = all[all.length - 1].end;
+  const windows = windowsOf(all, startMs, endMs);
+  const preacher = preacherLabel(windows, speakers);
+  const run = sermonRun(windows, preacher);
+  if (!run) return null;
+
+  let sermonStartMs = windows[run[0]].startMs;
+  let sermonEndMs = windows[run[1]].endMs;
+  if (sermonEndMs - sermonStartMs < MIN_SERMON_MS) return null;
+
+  // Start and end on the preacher's own words rather than window edges.
+  const preached = all.filter((word) =>
+    word.start >= sermonStartMs && word.start < sermonEndMs &&
+    (preacher === null || String(word.speaker) === preacher));
+  sermonStartMs = preached[0].start;
+  sermonEndMs = preached[preached.length - 1].end;
+
+  // Closing prayer: the last prayer cue in the sermon's final minutes.
+  let prayerStartMs = null;
+  for (let i = preached.length - 1; i >= 0 && preached[i].start >= sermonEndMs - CLOSING_PRAYER_MS; i -= 1) {
+    const phrase = preached.slice(i, i + 4).map((word) => word.text).join(' ');
+    if (PRAYER_CUE.test(phrase)) {
+      prayerStartMs = preached[i].start;
+      break;
+    }
+  }
+
+  const labelled = [];
+  const outside = (window) => {
+    if (window.music) return SPAN_KINDS.WORSHIP;
+    return PRAYER_CUE.test(window.text) ? SPAN_KINDS.PRAYER : SPAN_KINDS.ANNOUNCEMENTS;
+  };
+  // Spans are contiguous: the windows either side stretch to meet the sermon.
+  windows.slice(0, run[0]).forEach((window, i) => {
+    labelled.push({ kind: outside(window), startMs: window.startMs, endMs: i === run[0] - 1 ? sermonStartMs : window.endMs });
+  });
+  labelled.push({ kind: SPAN_KINDS.SERMON, startMs: sermonStartMs, endMs: prayerStartMs ?? sermonEndMs });
+  if (prayerStartMs !== null) {
+    labelled.push({ kind: SPAN_KINDS.PRAYER, startMs: prayerStartMs, endMs: sermonEndMs });
+  }
+  windows.slice(run[1] + 1).forEach((window, i) => {
+    labelled.push({ kind: outside(window), startMs: i === 0 ? sermonEndMs : window.startMs, endMs: window.endMs });
+  });
+
+  return {
+    sermonStartMs,
+    sermonEndMs: prayerStartMs ?? sermonEndMs,
+    spans: mergeSpans(labelled.filter((span) => span.endMs > span.startMs))
+  };
+}
+
+/**
+ * The sermon alone, for the summary. Words within the sermon span, joined;
+ * the transcript unchanged when there is no span, it covers nearly all of the
+ * recording, or SUMMARY_SERMON_ONLY=off.
+ *
+ * @returns {{ text, words, trimmed: boolean, sermonStartMs?, sermonEndMs? }}
+ */
+function sermonOnlyTranscript({ text, words, speakers = [], env = process.env }) {
+  const unchanged = { text, words, trimmed: false };
+  if (!isSermonOnlyEnabled(env)) return unchanged;
+
+  const detected = detectServiceSpans({ words, speakers });
+  if (!detected) return unchanged;
+
+  const all = timed(words);
+  const kept = all.filter((word) => word.start >= detected.sermonStartMs && word.end <= detected.sermonEndMs);
+  if (kept.length >= all.length * 0.95) return unchanged;
+
+  return {
+    text: kept.map((word) => word.text).join(' '),
+    words: kept,
+    trimmed: true,
+    sermonStartMs: detected.sermonStartMs,
+    sermonEndMs: detected.sermonEndMs
+  };
+}
+
+module.exports = {
+  SPAN_KINDS,
+  WINDOW_MS,
+  MIN_SERMON_MS,
+  isSermonOnlyEnabled,
+  detectServiceSpans,
+  sermonOnlyTranscript
+};
@@ -0,0 +1,189 @@
+const Joi = require('joi');
+
+/**
+ * Structured summary output: the model returns JSON sections instead of
+ * markdown prose, and `summaries.text` becomes a rendering of that JSON.
+ *
+ * The markdown path recovers its title by regex-scraping a `TITLE:` line and,
+ * when the model ignores the instruction, guessing from the first line or
+ * sentence. Every consumer that wants a section (export, the app's Scripture
+ * list) would have to repeat that guesswork against prose. With a validated
+ * object the sections are data, and `text` is derived from it — so shipped
+ * clients that only read `text` see the same kind of markdown they always did.
+ *
+ * Bump STRUCTURED_SUMMARY_VERSION when the shape changes; it is persisted with
+ * every row so a reader can tell which shape it is holding.
+ */
+
+const STRUCTURED_SUMMARY_VERSION = 1;
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_LIST_ITEMS = 20;
+
+// Items are trimmed and may arrive empty — a model filling a section it has no
+// material for. Empty entries are dropped after validation rather than failing
+// the whole summary over one blank string.
+const listItem = Joi.string().trim().allow('').max(2000);
+
+const structuredSummarySchema = Joi.object({
+  title: Joi.string().trim().min(1).max(MAX_TITLE_LENGTH).required(),
+  overview: Joi.string().trim().min(1).max(5000).required(),
+  mainScripture: Joi.string().trim().allow('', null).max(200).default(null),
+  mainPoints: Joi.array()
+    .items(
+      Joi.object({
+        heading: Joi.string().trim().allow('').max(300).required(),
+        detail: Joi.string().trim().allow('', null).max(2000).default(null)
+      })
+    )
+    .max(MAX_LIST_ITEMS)
+    .default([]),
+  scriptureReferences: Joi.array()
+    .items(
+      Joi.object({
+        reference: Joi.string().trim().allow('').max(200).required(),
+        note: Joi.string().trim().allow('', null).max(1000).default(null)
+      })
+    )
+    .max(MAX_LIST_ITEMS)
+    .default([]),
+  applicationPoints: Joi.array().items(listItem).max(MAX_LIST_ITEMS).default([]),
+  quotes: Joi.array().items(listItem).max(MAX_LIST_ITEMS).default([]),
+  discussionQuestions: Joi.array().items(listItem).max(MAX_LIST_ITEMS).default([])
+});
+
+/**
+ * The shape shown to the model. Kept next to the schema so the two cannot
+ * describe different objects.
+ */
+const STRUCTURED_SUMMARY_PROMPT_SHAPE = {
+  title: 'concise, descriptive title (5-10 words)',
+  overview: 'brief summary of the message (4-5 sentences)',
+  mainScripture: 'primary passage, e.g. "Romans 8:28-30", or null',
+  mainPoints: [{ heading: 'teaching point in the speaker\'s words', detail: 'supporting explanation, or null' }],
+  scriptureReferences: [{ reference: 'Book chapter:verse', note: 'how the speaker used it, or null' }],
+  applicationPoints: ['practical application or call to action'],
+  quotes: ['memorable quote, verbatim where possible'],
+  discussionQuestions: ['reflection or discussion question']
+};
+
+function emptyToNull(value) {
+  return typeof value === 'string' && value.length > 0 ? value : null;
+}
+
+/**
+ * Parses and validates the model's JSON output.
+ *
+ * Never throws: a completion that is not JSON, or is JSON of the wrong shape,
+ * comes back as `{ valid: false, errors }` so the caller decides whether that
+ * is a retry or a 502.
+ *
+ * @param {string|object} content Raw completion content (or an already-parsed object).
+ * @returns {{valid: true, data: object} | {valid: false, errors: string[]}}
+ */
+function parseStructuredSummary(content) {
+  let raw = content;
+  if (typeof content === 'string') {
+    try {
+      raw = JSON.parse(content);
+    } catch (error) {
+      return { valid: false, errors: [`not valid JSON: ${error.message}`] };
+    }
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { valid: false, errors: ['expected a JSON object'] };
+  }
+
+  const result = structuredSummarySchema.validate(raw, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (result.error) {
+    return {
+      valid: false,
+      errors: result.error.details.map((detail) => detail.message)
+    };
+  }
+
+  const value = result.value;
+  return {
+    valid: true,
+    data: {
+      schemaVersion: STRUCTURED_SUMMARY_VERSION,
+      title: value.title,
+      overview: value.overview,
+      mainScripture: emptyToNull(value.mainScripture),
+      mainPoints: value.mainPoints
+        .filter((point) => point.heading)
+        .map((point) => ({ heading: point.heading, detail: emptyToNull(point.detail) })),
+      scriptureReferences: value.scriptureReferences
+        .filter((ref) => ref.reference)
+        .map((ref) => ({ reference: ref.reference, note: emptyToNull(ref.note) })),
+      applicationPoints: value.applicationPoints.filter(Boolean),
+      quotes: value.quotes.filter(Boolean),
+      discussionQuestions: value.discussionQuestions.filter(Boolean)
+    }
+  };
+}
+
+/**
+ * Renders a validated structured summary as the markdown `summaries.text`
+ * has always held. The title is deliberately absent — the markdown path strips
+ * its `TITLE:` line too, and the title lives in its own column.
+ *
+ * Sections with nothing in them are omitted, matching the prompt's rule that a
+ * short accurate summary beats a padded one.
+ */
+function renderStructuredSummaryMarkdown(summary) {
+  if (!summary) return '';
+  const sections = [];
+
+  if (summary.mainScripture) {
+    sections.push(`**Main Scripture Text**\n${summary.mainScripture}`);
+  }
+
+  if (summary.overview) {
+    sections.push(`**Brief Summary**\n${summary.overview}`);
+  }
+
+  if (summary.mainPoints?.length) {
+    const lines = summary.mainPoints.map((point, index) =>
+      point.detail
+        ? `${index + 1}. **${point.heading}** — ${point.detail}`
+        : `${index + 1}. **${point.heading}**`
+    );
+    sections.push(`**Key Points**\n${lines.join('\n')}`);
+  }
+
+  if (summary.quotes?.length) {
+    sections.push(`**Memorable Quotes**\n${summary.quotes.map((quote) => `- "${quote}"`).join('\n')}`);
+  }
+
+  if (summary.scriptureReferences?.length) {
+    const lines = summary.scriptureReferences.map((ref) =>
+      ref.note ? `- ${ref.reference} — ${ref.note}` : `- ${ref.reference}`
+    );
+    sections.push(`**Scripture References**\n${lines.join('\n')}`);
+  }
+
+  if (summary.applicationPoints?.length) {
+    sections.push(`**Application**\n${summary.applicationPoints.map((point) => `- ${point}`).join('\n')}`);
+  }
+
+  if (summary.discussionQuestions?.length) {
+    const lines = summary.discussionQuestions.map((question, index) => `${index + 1}. ${question}`);
+    sections.push(`**Study Questions**\n${lines.join('\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  STRUCTURED_SUMMARY_VERSION,
+  STRUCTURED_SUMMARY_PROMPT_SHAPE,
+  parseStructuredSummary,
+  renderStructuredSummaryMarkdown
+};
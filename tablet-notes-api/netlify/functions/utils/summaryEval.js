@@ -0,0 +1,251 @@
+const { DEFAULT_TITLE } = require('./summaryGeneration');
+const { renderStructuredSummaryMarkdown } = require('./structuredSummary');
+const { parseScriptureReferences } = require('./scriptureReferences');
+
+/**
+ * Deterministic scoring for summary quality, plus the stub model the offline
+ * evaluation harness runs against in CI (utils/__tests__/summaryEval.test.js).
+ *
+ * Every check here is mechanical on purpose — no second model grading the
+ * first. They catch the regressions a prompt change actually causes: a
+ * scripture reference the speaker never made, a section the app expects going
+ * missing, the title instruction being ignored, output running long or short
+ * for the tier. Whether a summary is *good* still needs a person; whether it
+ * broke one of these rules does not.
+ */
+
+/**
+ * Finds scripture references in text, written or spoken, with the parser the
+ * rest of the app uses (utils/scriptureReferences.js), so the eval grades the
+ * same references the app detects.
+ *
+ * @returns {Array<{book: string, chapter: number, verse: number|null, text: string}>}
+ */
+function extractScriptureReferences(text) {
+  const source = String(text || '');
+  return parseScriptureReferences(source).map((reference) => ({
+    book: reference.book,
+    chapter: reference.chapter,
+    verse: reference.verse,
+    text: source.slice(reference.start, reference.end)
+  }));
+}
+
+function referenceKey(reference) {
+  return `${reference.book} ${reference.chapter}`.toLowerCase();
+}
+
+/**
+ * Every reference in the summary must be one the speaker made. Matched on
+ * book and chapter: the transcript may say "Joshua 1" and the summary, quite
+ * properly, "Joshua 1:1-9". Inventing a whole passage is the failure this
+ * catches; quibbling over verse ranges would only add noise.
+ */
+function checkScriptureGrounding({ summary, transcript }) {
+  const spoken = new Set(extractScriptureReferences(transcript).map(referenceKey));
+  const ungrounded = extractScriptureReferences(summary)
+    .filter((reference) => !spoken.has(referenceKey(reference)))
+    .map((reference) => reference.text);
+
+  return {
+    name: 'scripture-grounded',
+    passed: ungrounded.length === 0,
+    detail: ungrounded.length === 0 ? null : `not in transcript: ${[...new Set(ungrounded)].join(', ')}`
+  };
+}
+
+/**
+ * Sections the app renders for every summary of a service type, by tier. The
+ * prompt makes everything else conditional on the transcript supporting it,
+ * so only these are safe to require.
+ */
+const REQUIRED_SECTIONS = {
+  default: ['Brief Summary', 'Key Points'],
+  'Bible Study': ['Brief Summary', 'Key Points', 'Scripture References']
+};
+
+const PREMIUM_SECTIONS = ['Application'];
+
+function requiredSectionsFor({ serviceType, tier }) {
+  const match = Object.keys(REQUIRED_SECTIONS).find(
+    (key) => key.toLowerCase() === String(serviceType || '').trim().toLowerCase()
+  );
+  const base = REQUIRED_SECTIONS[match || 'default'];
+  return tier === 'premium' ? [...base, ...PREMIUM_SECTIONS] : base;
+}
+
+function hasSection(summary, heading) {
+  // A heading line: "**Key Points**", "**Key Points (Comprehensive)**",
+  // "## Key Points", "Key Points:".
+  const escaped = heading.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^\\s*(?:#{1,6}\\s*)?(?:\\*\\*)?${escaped}\\b[^\\n]*$`, 'im').test(summary || '');
+}
+
+function checkRequiredSections({ summary, serviceType, tier }) {
+  const missing = requiredSectionsFor({ serviceType, tier }).filter((heading) => !hasSection(summary, heading));
+  return {
+    name: 'required-sections',
+    passed: missing.length === 0,
+    detail: missing.length === 0 ? null : `missing: ${missing.join(', ')}`
+  };
+}
+
+/**
+ * The title must have come from the model's own title (the TITLE: line or the
+ * structured `title`), not the first-line guess or the default.
+ */
+function checkTitle({ title, titleMethod }) {
+  const problems = [];
+  if (titleMethod !== 'prefix' && titleMethod !== 'structured') problems.push(`extracted by ${titleMethod || 'nothing'}`);
+  if (!title || !title.trim()) problems.push('empty');
+  if (title === DEFAULT_TITLE) problems.push('default title');
+  if (/\*\*|^TITLE:/i.test(title || '')) problems.push('markdown left in title');
+  if ((title || '').length > 120) problems.push('longer than 120 characters');
+
+  return {
+    name: 'title',
+    passed: problems.length === 0,
+    detail: problems.length === 0 ? null : problems.join('; ')
+  };
+}
+
+/** Word-count bounds per tier, for the default 'medium' length. */
+const LENGTH_BOUNDS = {
+  basic: { min: 60, max: 900 },
+  premium: { min: 120, max: 1800 }
+};
+
+function countWords(text) {
+  return (String(text || '').match(/\S+/g) || []).length;
+}
+
+function checkLengthBounds({ summary, tier }) {
+  const bounds = LENGTH_BOUNDS[tier] || LENGTH_BOUNDS.basic;
+  const words = countWords(summary);
+  const passed = words >= bounds.min && words <= bounds.max;
+  return {
+    name: 'length',
+    passed,
+    detail: passed ? null : `${words} words, expected ${bounds.min}-${bounds.max} for ${tier}`
+  };
+}
+
+/**
+ * Scores one generated summary against its fixture.
+ *
+ * @param {object} fixture `{ transcript, serviceType, tier }`
+ * @param {object} result generateSummary's result
+ * @returns {{passed: boolean, checks: Array<{name, passed, detail}>}}
+ */
+function scoreSummary(fixture, result) {
+  const checks = [
+    checkTitle(result),
+    checkScriptureGrounding({ summary: result.summary, transcript: fixture.transcript }),
+    checkRequiredSections({ summary: result.summary, serviceType: fixture.serviceType, tier: fixture.tier }),
+    checkLengthBounds({ summary: result.summary, tier: fixture.tier })
+  ];
+  return { passed: checks.every((check) => check.passed), checks };
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => sentence.length > 0);
+}
+
+function uniqueReferences(text) {
+  const seen = new Set();
+  return extractScriptureReferences(text).filter((reference) => {
+    const key = `${reference.book} ${reference.chapter}:${reference.verse}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).map((reference) =>
+    reference.verse ? `${reference.book} ${reference.chapter}:${reference.verse}` : `${reference.book} ${reference.chapter}`
+  );
+}
+
+/**
+ * A deterministic, extractive stand-in for the model, so the harness runs in
+ * CI with no network and no key. It reads the same prompt the real model gets
+ * — output format, tier, and stage — and answers from sentences and references
+ * actually in the transcript. It is not a quality baseline; it proves the
+ * path from prompt to scored summary works end to end.
+ *
+ * @returns {Function} a `complete` function for generateSummary
+ */
+function createStubCompletionClient() {
+  return async function complete({ messages }) {
+    const system = messages.find((message) => message.role === 'system')?.content || '';
+    const user = messages.find((message) => message.role === 'user')?.content || '';
+
+    const structured = system.includes('Respond with a single JSON object');
+    const tier = (system.match(/\*\*User Tier: (\w+)\*\*/) || [])[1] || 'basic';
+    const isNotes = /section-by-section notes/.test(user);
+    const isSection = /You are condensing one section/.test(system);
+
+    const transcript = isSection
+      ? user
+      : isNotes
+        ? user.slice(user.indexOf('\n\n') + 2)
+        : user.slice(user.indexOf(' text: ') + ' text: '.length);
+
+    const sentences = splitSentences(transcript.replace(/^##.*$/gm, '').replace(/^- /gm, ''));
+    const references = uniqueReferences(transcript);
+
+    if (isSection) {
+      const notes = [...sentences.slice(0, 5), ...references.map((ref) => `Reads ${ref}`)];
+      return completion(notes.map((note) => `- ${note}`).join('\n'));
+    }
+
+    const pointCount = tier === 'premium' ? 5 : 3;
+    const step = Math.max(1, Math.floor(sentences.length / pointCount));
+    const summary = {
+      title: sentences[0] ? sentences[0].split(/\s+/).slice(0, 8).join(' ').replace(/[.!?,;:]+$/, '') : 'Untitled',
+      overview: sentences.slice(0, 4).join(' '),
+      mainScripture: references[0] || null,
+      mainPoints: Array.from({ length: Math.min(pointCount, sentences.length) }, (_, i) => ({
+        heading: `Point ${i + 1}`,
+        detail: sentences[i * step]
+      })),
+      scriptureReferences: references.map((reference) => ({ reference, note: null })),
+      applicationPoints: tier === 'premium'
+        ? sentences.filter((sentence) => /\b(you|we|let us|let's)\b/i.test(sentence)).slice(0, 3)
+        : [],
+      quotes: sentences.length > 0 ? [sentences[sentences.length - 1]] : [],
+      discussionQuestions: tier === 'premium'
+        ? references.slice(0, 3).map((reference) => `What does ${reference} ask of you this week?`)
+        : []
+    };
+
+    if (summary.applicationPoints.length === 0 && tier === 'premium' && sentences.length > 0) {
+      summary.applicationPoints = [sentences[sentences.length - 1]];
+    }
+
+    return completion(
+      structured
+        ? JSON.stringify(summary)
+        : `TITLE: ${summary.title}\n\n${renderStructuredSummaryMarkdown(summary)}`
+    );
+  };
+}
+
+function completion(content) {
+  return {
+    choices: [{ message: { role: 'assistant', content } }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+module.exports = {
+  REQUIRED_SECTIONS,
+  LENGTH_BOUNDS,
+  extractScriptureReferences,
+  checkScriptureGrounding,
+  checkRequiredSections,
+  checkTitle,
+  checkLengthBounds,
+  scoreSummary,
+  createStubCompletionClient
+};
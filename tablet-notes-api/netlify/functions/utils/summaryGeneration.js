@@ -0,0 +1,220 @@
+const {
+  parseStructuredSummary,
+  renderStructuredSummaryMarkdown
+} = require('./structuredSummary');
+const { summaryLanguageInstruction } = require('./sermonLanguage');
+
+/**
+ * The summarization path between "prompt resolved" and "summary ready":
+ * building the completion request, calling the model, and turning its answer
+ * into a title and summary.
+ *
+ * Lifted out of summarize.js so it can run without HTTP, auth, or Supabase —
+ * the offline evaluation harness (utils/__tests__/summaryEval.test.js) drives
+ * golden transcripts through exactly this code with a stub model. The handler
+ * keeps everything around it: validation, sanitization, tier lookup, and
+ * mapping failures to responses.
+ *
+ * `complete` is any function taking OpenAI chat-completion params and resolving
+ * to an OpenAI-shaped completion. summarize.js passes the shared completion
+ * client (utils/llmClient.js) wrapped in the platform timeout; its completions
+ * carry the `provider` and `model` that answered, which are passed through.
+ */
+
+const DEFAULT_TITLE = 'Sermon Summary';
+
+const MALFORMED_OUTPUT_MESSAGE = 'The summarization service returned malformed output. Please try again.';
+
+/**
+ * Recovers the title from a markdown completion. `method` says how: 'prefix'
+ * when the model followed the TITLE: instruction, 'fallback' when the title had
+ * to be guessed from the first line or sentence.
+ */
+function extractSummaryTitle(fullContent) {
+  const content = fullContent || '';
+
+  // Robust title extraction that handles multiple formats:
+  // - "TITLE: Title Text"
+  // - "**TITLE: Title Text**"
+  // - "**TITLE: Title Text**\n\n"
+  // - "TITLE: Title with **bold** text"
+  // - "**TITLE: Title with **bold** text**"
+
+  // First, try to match the entire title line (more reliable than trying to match markdown)
+  // Match: optional opening **, "TITLE:", whitespace, then everything until end of line or closing ** + newline
+  const titleLineMatch = content.match(/^(\*\*)?TITLE:\s*(.+?)(?:\n|$)/);
+
+  if (titleLineMatch) {
+    // Extract the title text (everything after "TITLE: ")
+    let extractedTitle = titleLineMatch[2].trim();
+
+    // Remove closing markdown formatting if present (handle cases like "Title**" or "**Title**")
+    // This handles titles that might have markdown in them or at the end
+    extractedTitle = extractedTitle.replace(/\*\*$/, '').trim();
+
+    // Remove opening markdown if it somehow got included (defensive)
+    extractedTitle = extractedTitle.replace(/^\*\*/, '').trim();
+
+    // Clean up any remaining markdown formatting at the edges
+    extractedTitle = extractedTitle.replace(/^\*\*|\*\*$/g, '').trim();
+
+    // Remove the entire title line (including opening ** if present) from the summary
+    let summary = content.substring(titleLineMatch[0].length).trim();
+
+    // Also remove a stray bold marker left on its own (defensive cleanup).
+    // Only a lone one: stripping any leading `**` turned a first heading like
+    // "**Main Scripture Text**" into "Main Scripture Text**".
+    summary = summary.replace(/^\*\*(?=\s|$)/, '').trim();
+
+    return { title: extractedTitle || DEFAULT_TITLE, summary, method: 'prefix' };
+  }
+
+  // Fallback: try to find title in first line or first sentence
+  // This handles cases where OpenAI doesn't follow the TITLE: format
+  const firstLine = content.split('\n')[0].trim();
+  const firstSentence = content.split(/[.!?]\s/)[0].trim();
+
+  // Use first line if it's reasonable length, otherwise first sentence
+  let fallbackTitle = firstLine.length <= 80 && firstLine.length > 0
+    ? firstLine
+    : (firstSentence.length > 0 ? firstSentence.substring(0, 80) : DEFAULT_TITLE);
+
+  // Clean markdown formatting from fallback title
+  fallbackTitle = fallbackTitle.replace(/^\*\*|\*\*$/g, '').trim();
+
+  // Remove "TITLE:" prefix if present (case-insensitive)
+  fallbackTitle = fallbackTitle.replace(/^(\*\*)?TITLE:\s*/i, '').trim();
+  fallbackTitle = fallbackTitle.replace(/^\*\*|\*\*$/g, '').trim();
+
+  return { title: fallbackTitle || DEFAULT_TITLE, summary: content, method: 'fallback' };
+}
+
+// The model that actually answered, which is not the prompt's model when a
+// local provider or the fallback served the request. Null when `complete`
+// doesn't say, as with the eval harness's stub.
+function answeredBy(completion) {
+  return { model: completion.model || null, provider: completion.provider || null };
+}
+
+/**
+ * Runs one summarization stage.
+ *
+ * `language` and `sermonLanguage` add a language instruction after the
+ * registry's system prompt, outside the frozen template, when the summary or
+ * the sermon is not English (utils/sermonLanguage.js). Section notes stay in
+ * the sermon's language; only the title and summary are translated.
+ *
+ * @returns {Promise<object>} `{ ok: true, title, summary, structured, usage, titleMethod, model, provider }`
+ *   — section notes come back as `summary` with no title — or
+ *   `{ ok: false, statusCode, message, errors }` for output the caller must not
+ *   persist. Errors from `complete` itself propagate.
+ */
+async function generateSummary({
+  complete,
+  prompt,
+  text,
+  serviceType,
+  tier,
+  format = 'markdown',
+  length = 'medium',
+  tone = 'conversational',
+  stage = 'full',
+  section,
+  language,
+  sermonLanguage
+}) {
+  // Map step of a long-transcript summary job: condense one section into
+  // notes and return them as-is. No title, no format, no tier rules — those
+  // are applied once, by the merge over every section's notes.
+  if (stage === 'section') {
+    const completion = await complete({
+      model: prompt.model,
+      messages: [
+        {
+          role: 'system',
+          content: prompt.system({ serviceType, index: section.index, count: section.count })
+        },
+        { role: 'user', content: prompt.user({ text }) }
+      ],
+      max_tokens: 800,
+      temperature: 0.2
+    });
+
+    const notes = (completion.choices[0].message.content || '').trim();
+    if (!notes) {
+      return {
+        ok: false,
+        statusCode: 502,
+        message: 'The summarization service returned an empty response. Please try again.',
+        errors: ['empty section notes']
+      };
+    }
+    return {
+      ok: true,
+      title: null,
+      summary: notes,
+      structured: null,
+      usage: completion.usage,
+      titleMethod: null,
+      ...answeredBy(completion)
+    };
+  }
+
+  const isStructured = format === 'structured';
+  const completion = await complete({
+    model: prompt.model,
+    messages: [
+      {
+        role: 'system',
+        content: prompt.system({ tier, serviceType, format }) + summaryLanguageInstruction({ language, sermonLanguage })
+      },
+      { role: 'user', content: prompt.user({ serviceType, text, stage }) }
+    ],
+    max_tokens: length === 'short' ? 1000 : length === 'long' ? 3000 : 2000,
+    temperature: tone === 'formal' ? 0.3 : tone === 'academic' ? 0.2 : 0.7,
+    ...(isStructured && { response_format: { type: 'json_object' } })
+  });
+
+  const fullContent = completion.choices[0].message.content || '';
+
+  if (isStructured) {
+    const parsed = parseStructuredSummary(fullContent);
+    if (!parsed.valid) {
+      // 502, not a fallback to prose: the caller asked for sections, and the
+      // durable summary job retries a failed attempt with backoff anyway.
+      return {
+        ok: false,
+        statusCode: 502,
+        message: MALFORMED_OUTPUT_MESSAGE,
+        errors: parsed.errors,
+        contentPreview: fullContent.substring(0, 200)
+      };
+    }
+    return {
+      ok: true,
+      title: parsed.data.title,
+      summary: renderStructuredSummaryMarkdown(parsed.data),
+      structured: parsed.data,
+      usage: completion.usage,
+      titleMethod: 'structured',
+      ...answeredBy(completion)
+    };
+  }
+
+  const { title, summary, method } = extractSummaryTitle(fullContent);
+  return {
+    ok: true,
+    title,
+    summary,
+    structured: null,
+    usage: completion.usage,
+    titleMethod: method,
+    ...answeredBy(completion)
+  };
+}
+
+module.exports = {
+  DEFAULT_TITLE,
+  extractSummaryTitle,
+  generateSummary
+};
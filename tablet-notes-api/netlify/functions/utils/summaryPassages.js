@@ -0,0 +1,177 @@
+const { parseReference, parseScriptureReferences } = require('./scriptureReferences');
+const { DEFAULT_BIBLE_ID } = require('./bibleService');
+
+/**
+ * Verse text for the passages a summary cites, stored with the summary
+ * (`summaries.scripture_passages`) so the app can show Romans 8:28 where the
+ * summary mentions it instead of sending the user to another app.
+ *
+ * Runs as a step of the summary job, once the summary row is written and
+ * before the job is marked done. Optional: SUMMARY_VERSE_ENRICHMENT=off turns
+ * it off, and any failure leaves the summary without passages rather than
+ * failing the job.
+ *
+ * References come from the structured summary (main scripture first, then
+ * its listed references) and then from the prose, deduplicated. Each is read
+ * through the Bible source layer (bibleService.createBibleSource) in the
+ * user's preferred translation, `profiles.preferred_bible_id`, or the default.
+ *
+ * Paid tiers get whole passages; free gets the first FREE_PASSAGE_VERSES of
+ * each. Either way a summary stores at most SUMMARY_VERSE_CAP verses in total
+ * from at most MAX_SUMMARY_PASSAGES lookups, so "Psalm 119" can't fill a row
+ * or a sweep. Cut passages say so with `truncated`.
+ */
+
+const SUMMARY_VERSE_CAP = 60;
+const FREE_PASSAGE_VERSES = 3;
+const MAX_SUMMARY_PASSAGES = 12;
+const ENRICHMENT_BUDGET_MS = 30000;
+
+function isEnrichmentEnabled(env = process.env) {
+  return (env.SUMMARY_VERSE_ENRICHMENT || 'on').toLowerCase() !== 'off';
+}
+
+/**
+ * The distinct passages a summary cites, in the order it cites them.
+ *
+ * @returns {Array<{ osis, passageId, display, chapter, verse, endChapter, endVerse }>}
+ */
+function summaryReferences({ summary, structured }) {
+  const found = [];
+  if (structured?.mainScripture) {
+    found.push(parseReference(structured.mainScripture));
+  }
+  for (const item of structured?.scriptureReferences || []) {
+    found.push(parseReference(item?.reference));
+  }
+  found.push(...parseScriptureReferences(summary || '').map(({ start, end, ...reference }) => reference));
+
+  const seen = new Set();
+  return found.filter((reference) => {
+    if (!reference || seen.has(reference.osis)) return false;
+    seen.add(reference.osis);
+    return true;
+  });
+}
+
+/**
+ * Looks up `references` in `source` within the tier's limits.
+ *
+ * @returns {Promise<{ bibleId, passages: object[], verseCount, capped, failed }>}
+ *   `capped` when references were left out or cut for the verse cap; `failed`
+ *   counts lookups that errored, which are skipped.
+ */
+async function lookupSummaryPassages({
+  source,
+  references,
+  bibleId = DEFAULT_BIBLE_ID,
+  isPaid = false,
+  verseCap = SUMMARY_VERSE_CAP,
+  budgetMs = ENRICHMENT_BUDGET_MS,
+  now = Date.now,
+  logger = null
+}) {
+  const startedAt = now();
+  const passages = [];
+  let verseCount = 0;
+  let capped = references.length > MAX_SUMMARY_PASSAGES;
+  let failed = 0;
+
+  for (const reference of references.slice(0, MAX_SUMMARY_PASSAGES)) {
+    const remaining = verseCap - verseCount;
+    if (remaining <= 0 || now() - startedAt > budgetMs) {
+      capped = true;
+      break;
+    }
+
+    let passage;
+    try {
+      passage = await source.getPassage({ bibleId, reference });
+    } catch (error) {
+      failed += 1;
+      logger?.warn('Summary passage lookup failed', { osis: reference.osis, bibleId, error: error.message });
+      continue;
+    }
+    if (!passage) continue;
+
+    const limit = Math.min(isPaid ? passage.verses.length : FREE_PASSAGE_VERSES, remaining);
+    const verses = passage.verses.slice(0, limit);
+    const truncated = verses.length < passage.verses.length;
+    if (truncated && limit === remaining) capped = true;
+
+    passages.push({
+      osis: reference.osis,
+      passageId: reference.passageId,
+      display: reference.display,
+      verses: verses.map(({ osis, chapter, verse, text }) => ({ osis, chapter, verse, text })),
+      text: verses.map((verse) => verse.text).join(' '),
+      truncated
+    });
+    verseCount += verses.length;
+  }
+
+  return { bibleId, passages, verseCount, capped, failed };
+}
+
+/** The user's preferred translation, or the default. */
+async function preferredBibleId({ supabase, userId }) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('preferred_bible_id')
+    .eq('id', userId)
+    .maybeSingle();
+  if (error) return DEFAULT_BIBLE_ID;
+  return data?.preferred_bible_id || DEFAULT_BIBLE_ID;
+}
+
+/**
+ * Finds, looks up and stores the passages for a sermon's summary.
+ *
+ * @returns {Promise<number|null>} Passages stored, or null when enrichment is off.
+ *   Throws when the summary row can't be updated.
+ */
+async function enrichSummaryPassages({ supabase, sermonId, userId, summary, structured, isPaid, source, logger }) {
+  if (!isEnrichmentEnabled()) return null;
+
+  const references = summaryReferences({ summary, structured });
+  const bibleId = await preferredBibleId({ supabase, userId });
+  const result = references.length === 0
+    ? { bibleId, passages: [], verseCount: 0, capped: false, failed: 0 }
+    : await lookupSummaryPassages({ source, references, bibleId, isPaid, logger });
+
+  const { error } = await supabase
+    .from('summaries')
+    .update({
+      scripture_passages: {
+        bibleId: result.bibleId,
+        tier: isPaid ? 'paid' : 'free',
+        capped: result.capped,
+        passages: result.passages
+      }
+    })
+    .eq('sermon_id', sermonId)
+    .eq('user_id', userId);
+  if (error) {
+    throw new Error(`summary passages write failed: ${error.message}`);
+  }
+
+  logger?.info('Summary passages stored', {
+    sermonId,
+    bibleId: result.bibleId,
+    passages: result.passages.length,
+    verses: result.verseCount,
+    capped: result.capped,
+    failed: result.failed
+  });
+  return result.passages.length;
+}
+
+module.exports = {
+  SUMMARY_VERSE_CAP,
+  FREE_PASSAGE_VERSES,
+  MAX_SUMMARY_PASSAGES,
+  isEnrichmentEnabled,
+  summaryReferences,
+  lookupSummaryPassages,
+  enrichSummaryPassages
+};
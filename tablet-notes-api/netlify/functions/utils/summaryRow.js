@@ -36,10 +36,15 @@ function buildSummaryUpsertRow({
   title,
   text,
   serviceType,
+  structured,
+  promptVersion,
+  sectionPromptVersion,
+  model,
+  language,
   existingSummary,
   now = new Date().toISOString()
 }) {
-  return {
+  const row = {
     local_id: existingSummary?.local_id || localId,
     sermon_id: sermonId,
     user_id: userId,
@@ -50,8 +55,65 @@ function buildSummaryUpsertRow({
     text,
     type: existingSummary?.type || serviceType || 'Sermon',
     status: 'complete',
+    // Provenance: which registry prompt (e.g. 'summary@v1') and model wrote
+    // `text`. Always written, null when unknown, because the text is always
+    // replaced — an older generation's provenance must not outlive its text.
+    prompt_version: promptVersion || null,
+    // A summary merged from section notes also records the prompt those notes
+    // were taken with (utils/chunkedSummary.js); null for a single pass.
+    section_prompt_version: sectionPromptVersion || null,
+    model: model || null,
+    // The language the text is written in; null when the sermon's was never
+    // known (utils/sermonLanguage.js). Replaced with the text, like provenance.
+    language: language || null,
+    // Derived from `text`, so replaced with it: null when this generation
+    // produced no sections, rather than keeping an earlier run's next to new
+    // text. Passages are written after the upsert (utils/summaryPassages.js).
+    structured: structured || null,
+    scripture_passages: null,
     updated_at: now
   };
+
+  return row;
+}
+
+/**
+ * Columns the summary job derives from `text`. Anything that replaces the text
+ * without regenerating them writes them null, so sections, passages and
+ * provenance never describe text the row no longer holds.
+ */
+const DERIVED_COLUMNS = [
+  'structured',
+  'scripture_passages',
+  'prompt_version',
+  'section_prompt_version',
+  'model',
+  'language'
+];
+
+/**
+ * The `summaries` row for a summary the client pushes (update-sermon). A text
+ * the row doesn't already hold clears the derived columns; re-pushing the same
+ * text keeps what the summary job wrote for it.
+ */
+function buildClientSummaryRow({ summary, sermonId, userId, existingSummary }) {
+  const row = {
+    local_id: summary.id,
+    sermon_id: sermonId,
+    user_id: userId,
+    title: summary.title || '',
+    text: summary.text,
+    type: summary.type || 'devotional',
+    status: summary.status || 'complete'
+  };
+
+  if (existingSummary?.text !== summary.text) {
+    for (const column of DERIVED_COLUMNS) {
+      row[column] = null;
+    }
+  }
+
+  return row;
 }
 
 /**
@@ -65,8 +127,26 @@ function missingRequiredSummaryColumns(row) {
   );
 }
 
+/**
+ * Whether an existing summary was written from the transcript as it is now:
+ * it has text and is no older than the transcript. A transcript replaced
+ * since — a re-transcription with different words, a live transcript the
+ * recording superseded (utils/liveSessions.js) — makes it stale, and the
+ * summary job writes it again rather than only marking itself done.
+ */
+function summaryCoversTranscript(summary, transcript) {
+  if (!summary?.text?.trim()) return false;
+  const summarizedAt = Date.parse(summary.updated_at);
+  const transcribedAt = Date.parse(transcript?.updated_at);
+  if (Number.isNaN(summarizedAt) || Number.isNaN(transcribedAt)) return true;
+  return summarizedAt >= transcribedAt;
+}
+
 module.exports = {
   buildSummaryUpsertRow,
+  buildClientSummaryRow,
+  summaryCoversTranscript,
   missingRequiredSummaryColumns,
-  REQUIRED_SUMMARY_COLUMNS: REQUIRED_COLUMNS
+  REQUIRED_SUMMARY_COLUMNS: REQUIRED_COLUMNS,
+  DERIVED_SUMMARY_COLUMNS: DERIVED_COLUMNS
 };
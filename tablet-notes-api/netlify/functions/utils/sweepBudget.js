@@ -0,0 +1,52 @@
+/**
+ * Time budget for one reaper sweep (jobs-reaper-background.js).
+ *
+ * The reaper is a background function: Netlify stops it at 15 minutes,
+ * wherever it is. A job cut off there was claimed and paid for but never
+ * persisted, and waits out the stale window before anyone looks at it again.
+ * So a sweep only starts work it can finish before its deadline; the rest is
+ * left queued for the sweep that runs five minutes later.
+ *
+ * Pure apart from the clock, which is passed in, so the arithmetic is testable.
+ */
+
+/** Netlify's limit for a -background function. */
+const BACKGROUND_FUNCTION_LIMIT_MS = 15 * 60 * 1000;
+
+/** Kept back at the end for the sweep's own closing writes and log line. */
+const SWEEP_MARGIN_MS = 60 * 1000;
+
+/** What a step with no long external call is allowed: a submit, a reconcile, an index rebuild. */
+const SHORT_WORK_MS = 30 * 1000;
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.now] Epoch ms the sweep started.
+ * @param {number} [options.inlineTranscriptions] Inline transcriptions this sweep may run.
+ */
+function createSweep({ now = Date.now(), inlineTranscriptions = 1 } = {}) {
+  return {
+    startedAt: now,
+    deadline: now + BACKGROUND_FUNCTION_LIMIT_MS - SWEEP_MARGIN_MS,
+    inlineRemaining: inlineTranscriptions,
+    deferred: 0
+  };
+}
+
+/**
+ * Whether work expected to take up to `workMs` still fits before the deadline.
+ * A refusal is counted on the sweep, for its closing log line.
+ */
+function sweepHasTimeFor(sweep, workMs = SHORT_WORK_MS, now = Date.now()) {
+  if (now + workMs <= sweep.deadline) return true;
+  sweep.deferred += 1;
+  return false;
+}
+
+module.exports = {
+  BACKGROUND_FUNCTION_LIMIT_MS,
+  SWEEP_MARGIN_MS,
+  SHORT_WORK_MS,
+  createSweep,
+  sweepHasTimeFor
+};
@@ -0,0 +1,278 @@
+const { segmentRows } = require('./transcriptSegments');
+const { speakerTurns } = require('./sermonSpeakers');
+const { detectServiceSpans } = require('./serviceSegments');
+const { queueSearchIndexJob } = require('./searchIndex');
+const { replaceScriptureReferences } = require('./scriptureReferences');
+
+/**
+ * User corrections to a transcript (transcript-edits.js).
+ *
+ * An edit replaces a span of words — `fromWord` up to but not including
+ * `toWord`, indexes into the word segments /transcript-detail serves — with
+ * new text. The new words are re-aligned to the span's stored timings: word
+ * for word when the counts match (a misheard name keeps its exact time), else
+ * spread across the span by length. An empty span inserts at that point; empty
+ * text deletes the span. Corrected words get confidence 1 — the user heard
+ * them — and the speaker of the words they replace.
+ *
+ * Each save is recorded in `transcript_edits` with the before and after text
+ * of every span, and stamps `transcripts.edited_at`. From then on a
+ * re-transcription (a reaper re-run, a retry) keeps the edited transcript
+ * rather than overwriting it with the provider's: see completeTranscriptionJob.
+ *
+ * Saves are conditional on the transcript's `updated_at` the client read, so
+ * an edit made against an older version fails with a conflict instead of
+ * landing on the wrong words.
+ *
+ * A save rebuilds `text` from the words, so only a transcript whose stored
+ * words are the whole of its text can be edited (wordsCoverTranscript). One
+ * with no timed words, or words that leave some of the text out, would lose
+ * everything they don't cover — and keep losing it, since an edited
+ * transcript survives re-transcription.
+ *
+ * A save refreshes what is derived from the words — the served segments,
+ * speaker turns and service spans with the row, then the search index and the
+ * scripture references. An existing summary is not
+ * rewritten.
+ */
+
+const MAX_EDITS_PER_SAVE = 100;
+const MAX_EDIT_TEXT_LENGTH = 2000;
+const HISTORY_LIMIT = 50;
+
+const EDIT_COLUMNS = 'id, base_updated_at, edits, created_at';
+
+/** /transcript-detail word segments (seconds) as provider words (ms). */
+function wordsFromSegments(segments) {
+  return segments.map((segment) => ({
+    text: segment.text,
+    start: Math.round(segment.startTime * 1000),
+    end: Math.round(segment.endTime * 1000),
+    confidence: segment.confidence ?? null,
+    speaker: segment.speaker || null
+  }));
+}
+
+function tokens(text) {
+  return String(text || '').split(/\s+/).filter(Boolean);
+}
+
+function normalizedText(text) {
+  return tokens(text).join(' ');
+}
+
+/**
+ * Whether `words` (/transcript-detail segments or provider words) are the
+ * whole of the transcript's text, so text rebuilt from them after an edit
+ * loses nothing.
+ */
+function wordsCoverTranscript(transcript, words) {
+  if (!Array.isArray(words) || words.length === 0) return false;
+  return normalizedText(words.map((word) => word.text).join(' ')) === normalizedText(transcript?.text);
+}
+
+/**
+ * New words for `text`, timed within the words they replace. An insertion
+ * (no words replaced) is placed at `insertAt`: the time and speaker of the
+ * point between its neighbours.
+ */
+function realignSpan(spanWords, text, insertAt = {}) {
+  const newTokens = tokens(text);
+  if (newTokens.length === 0) return [];
+
+  if (spanWords.length === newTokens.length) {
+    return newTokens.map((token, i) => ({ ...spanWords[i], text: token, confidence: 1 }));
+  }
+
+  const speaker = (spanWords.length ? spanWords[0].speaker : insertAt.speaker) || null;
+  const start = spanWords.length ? spanWords[0].start : (insertAt.time ?? 0);
+  const end = spanWords.length ? spanWords[spanWords.length - 1].end : start;
+
+  // Each token's share of the span is its length plus one for the gap after it.
+  const weights = newTokens.map((token) => token.length + 1);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let elapsed = 0;
+  return newTokens.map((token, i) => {
+    const wordStart = start + Math.round(((end - start) * elapsed) / total);
+    elapsed += weights[i];
+    const wordEnd = i === newTokens.length - 1 ? end : start + Math.round(((end - start) * elapsed) / total);
+    return { text: token, start: wordStart, end: wordEnd, confidence: 1, speaker };
+  });
+}
+
+/**
+ * Apply `edits` to `words` (provider words, ms).
+ *
+ * @returns {{ok: true, words: object[], applied: object[]} | {ok: false, message: string}}
+ */
+function applyTranscriptEdits(words, edits) {
+  const sorted = [...edits].sort((a, b) => a.fromWord - b.fromWord || a.toWord - b.toWord);
+
+  for (let i = 0; i < sorted.length; i += 1) {
+    const { fromWord, toWord } = sorted[i];
+    if (fromWord > toWord || toWord > words.length) {
+      return { ok: false, message: `Edit span ${fromWord}-${toWord} is outside the transcript's ${words.length} words` };
+    }
+    if (i > 0 && fromWord < sorted[i - 1].toWord) {
+      return { ok: false, message: 'Edit spans overlap' };
+    }
+    if (i > 0 && fromWord === toWord && sorted[i - 1].fromWord === fromWord) {
+      return { ok: false, message: 'Edit spans overlap' };
+    }
+  }
+
+  const result = [];
+  const applied = [];
+  let cursor = 0;
+  for (const edit of sorted) {
+    result.push(...words.slice(cursor, edit.fromWord));
+    const spanWords = words.slice(edit.fromWord, edit.toWord);
+    const previous = words[edit.fromWord - 1];
+    const next = words[edit.toWord];
+    const insertAt = previous
+      ? { time: previous.end, speaker: previous.speaker }
+      : { time: next?.start, speaker: next?.speaker };
+    const replacement = realignSpan(spanWords, edit.text, insertAt);
+    result.push(...replacement);
+    applied.push({
+      fromWord: edit.fromWord,
+      toWord: edit.toWord,
+      before: spanWords.map((word) => word.text).join(' '),
+      after: replacement.map((word) => word.text).join(' '),
+      startMs: replacement[0]?.start ?? spanWords[0]?.start ?? insertAt.time ?? null,
+      endMs: replacement[replacement.length - 1]?.end ?? spanWords[spanWords.length - 1]?.end ?? insertAt.time ?? null
+    });
+    cursor = edit.toWord;
+  }
+  result.push(...words.slice(cursor));
+
+  return { ok: true, words: result, applied };
+}
+
+/**
+ * Save edited words over `transcript` (its row, as read) for `sermon`
+ * (id, user_id, local_id). Null when the row changed since `baseUpdatedAt` —
+ * the caller's conflict.
+ *
+ * The transcript row and its segments are written in one transaction
+ * (save_transcript_edit): the next edit reads its words from the segments,
+ * so a save that could not write them must not save at all.
+ *
+ * @returns {Promise<{transcript: object, edit: object|null, segments: number, searchIndexQueued: boolean, scriptureReferences: number|null}|null>}
+ */
+async function saveTranscriptEdits({ supabase, sermon, transcript, baseUpdatedAt, words, applied, logger }) {
+  const sermonId = sermon.id;
+  const text = words.map((word) => word.text).join(' ');
+  const rows = segmentRows({ transcriptId: transcript.id, words });
+  const { data: saved, error } = await supabase
+    .rpc('save_transcript_edit', {
+      p_transcript_id: transcript.id,
+      p_base_updated_at: baseUpdatedAt,
+      p_text: text,
+      p_segments: words.length > 0 ? words : null,
+      p_speaker_turns: speakerTurns({ words }),
+      p_service_spans: detectServiceSpans({ words }),
+      p_rows: rows
+    })
+    .select('id, text, status, updated_at, edited_at')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`transcript edit failed: ${error.message}`);
+  }
+  if (!saved) return null;
+
+  // The edit is saved with its segments; its history and everything else
+  // derived from the words follow it. Any of those failing is logged, never reported as a failed save.
+  let edit = null;
+  const { data: history, error: historyError } = await supabase
+    .from('transcript_edits')
+    .insert({
+      transcript_id: transcript.id,
+      sermon_id: sermonId,
+      user_id: sermon.user_id,
+      base_updated_at: baseUpdatedAt,
+      edits: applied
+    })
+    .select(EDIT_COLUMNS)
+    .maybeSingle();
+  if (historyError) {
+    logger?.error?.('Failed to record transcript edit history', { sermonId, error: historyError.message });
+  } else {
+    edit = history;
+  }
+
+  const searchIndexQueued = await queueSearchIndexJob({
+    supabase,
+    job: { user_id: sermon.user_id, sermon_id: sermonId, sermon_local_id: sermon.local_id },
+    logger
+  });
+
+  let scriptureReferences = null;
+  try {
+    scriptureReferences = await replaceScriptureReferences({ supabase, sermonId, userId: sermon.user_id, text, words });
+  } catch (referenceError) {
+    logger?.error?.('Failed to record edited scripture references', { sermonId, error: referenceError.message });
+  }
+
+  return {
+    transcript: saved,
+    edit: edit ? transformEdit(edit) : null,
+    segments: rows.length,
+    searchIndexQueued,
+    scriptureReferences
+  };
+}
+
+/** A sermon's saved edits, newest first. */
+async function loadTranscriptEdits({ supabase, sermonId, limit = HISTORY_LIMIT }) {
+  const { data, error } = await supabase
+    .from('transcript_edits')
+    .select(EDIT_COLUMNS)
+    .eq('sermon_id', sermonId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) {
+    throw new Error(`transcript edit history lookup failed: ${error.message}`);
+  }
+  return (data || []).map(transformEdit);
+}
+
+/** A stored edit as the client sees it. */
+function transformEdit(row) {
+  return {
+    id: row.id,
+    baseUpdatedAt: row.base_updated_at,
+    edits: row.edits || [],
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * The transcript a completion should keep. A transcript the user has edited
+ * wins over the provider's new one: its text and words replace the
+ * provider's, and speaker turns are rebuilt from its words. The provider's
+ * language and chapters still apply.
+ */
+function transcriptKeepingEdits(existing, providerTranscript) {
+  if (!existing?.edited_at) return providerTranscript;
+  return {
+    ...providerTranscript,
+    text: existing.text || '',
+    words: Array.isArray(existing.segments) ? existing.segments : [],
+    utterances: null
+  };
+}
+
+module.exports = {
+  MAX_EDITS_PER_SAVE,
+  MAX_EDIT_TEXT_LENGTH,
+  wordsFromSegments,
+  wordsCoverTranscript,
+  realignSpan,
+  applyTranscriptEdits,
+  saveTranscriptEdits,
+  loadTranscriptEdits,
+  transformEdit,
+  transcriptKeepingEdits
+};
@@ -0,0 +1,103 @@
+/**
+ * Transcript review: the words the provider was least sure of, for the user
+ * to accept or correct (transcript-review.js).
+ *
+ * AssemblyAI scores every word; a run of words scored under the threshold is
+ * one span to review, served with the words around it and its times so the
+ * app can play it back. Words without a score are never flagged.
+ *
+ * Decisions are transcript edits (utils/transcriptEdits.js) over the same
+ * word indexes: accepting a span rewrites it unchanged, correcting it
+ * replaces it. Either way its words are saved with confidence 1 and leave the
+ * review. Corrections also add to the user's vocabulary (learnVocabulary in
+ * utils/vocabulary.js), so the next sermon gets them right.
+ */
+
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.6;
+const REVIEW_CONTEXT_WORDS = 8;
+
+function joinWords(words) {
+  return words.map((word) => word.text).join(' ');
+}
+
+/**
+ * Runs of words, in /transcript-detail's word segments, whose confidence is
+ * under `threshold`. Indexes are those /transcript-edits takes: `toWord` is
+ * exclusive.
+ */
+function lowConfidenceSpans(words, { threshold = DEFAULT_CONFIDENCE_THRESHOLD, contextWords = REVIEW_CONTEXT_WORDS } = {}) {
+  const isLow = (word) => Number.isFinite(word?.confidence) && word.confidence < threshold;
+  const spans = [];
+
+  for (let i = 0; i < words.length; i += 1) {
+    if (!isLow(words[i])) continue;
+    const fromWord = i;
+    while (i + 1 < words.length && isLow(words[i + 1]) && words[i + 1].speaker === words[fromWord].speaker) i += 1;
+    const toWord = i + 1;
+    const span = words.slice(fromWord, toWord);
+
+    spans.push({
+      fromWord,
+      toWord,
+      text: joinWords(span),
+      startTime: span[0].startTime,
+      endTime: span[span.length - 1].endTime,
+      confidence: Math.min(...span.map((word) => word.confidence)),
+      speaker: span[0].speaker || null,
+      before: joinWords(words.slice(Math.max(0, fromWord - contextWords), fromWord)),
+      after: joinWords(words.slice(toWord, toWord + contextWords))
+    });
+  }
+
+  return spans;
+}
+
+/** The /transcript-review payload. */
+function transcriptReview({ sermonId, transcript, words, threshold = DEFAULT_CONFIDENCE_THRESHOLD }) {
+  const spans = lowConfidenceSpans(words, { threshold });
+  return {
+    sermonId,
+    transcriptId: transcript.id,
+    updatedAt: transcript.updated_at || null,
+    threshold,
+    wordCount: words.length,
+    flaggedWords: spans.reduce((sum, span) => sum + span.toWord - span.fromWord, 0),
+    spans
+  };
+}
+
+/**
+ * Review decisions as transcript edits, and the corrections to learn from.
+ * An accepted span is rewritten as it was; a corrected one with its new text,
+ * and taught to the vocabulary unless `addToVocabulary` is false. Spans
+ * outside the transcript are left for applyTranscriptEdits to refuse.
+ *
+ * @returns {{edits: object[], corrections: {heard: string, term: string}[]}}
+ */
+function reviewEdits(words, decisions) {
+  const edits = [];
+  const corrections = [];
+
+  for (const decision of decisions) {
+    const { fromWord, toWord } = decision;
+    const heard = joinWords(words.slice(fromWord, toWord));
+    if (decision.action === 'accept') {
+      edits.push({ fromWord, toWord, text: heard });
+      continue;
+    }
+    edits.push({ fromWord, toWord, text: decision.text });
+    if (decision.addToVocabulary !== false && decision.text && heard !== decision.text) {
+      corrections.push({ heard, term: decision.text });
+    }
+  }
+
+  return { edits, corrections };
+}
+
+module.exports = {
+  DEFAULT_CONFIDENCE_THRESHOLD,
+  REVIEW_CONTEXT_WORDS,
+  lowConfidenceSpans,
+  transcriptReview,
+  reviewEdits
+};
@@ -0,0 +1,166 @@
+/**
+ * Timed transcript segments for karaoke-style highlighting and tap-to-seek.
+ *
+ * A completed transcription's words are stored one row each in
+ * `transcript_segments` (times in seconds, as the app's TranscriptSegment
+ * has them), written in one transaction with the transcript row
+ * (save_completed_transcript, save_transcript_edit), and served for one
+ * sermon at a time by /transcript-detail — never in the library sync, where
+ * shipped clients decode segments as a string and a word array fails the
+ * whole import (TAB-93, utils/getSermonsPayload.js).
+ *
+ * Transcripts completed before the table was populated still have their words
+ * in `transcripts.segments`; those are served from there.
+ *
+ * The payload is versioned: the request names the `version` it understands
+ * and the response echoes it, so a later shape can be added beside this one
+ * without breaking builds already in the store.
+ */
+
+const TRANSCRIPT_DETAIL_VERSIONS = Object.freeze([1]);
+const SEGMENT_GRANULARITIES = Object.freeze(['word', 'sentence']);
+
+// Rows per page read. PostgREST returns at most 1000 rows a request, and an
+// hour-long sermon is about nine thousand words.
+const SEGMENT_PAGE_SIZE = 1000;
+
+// Words are read in `position` order, never by time: an edited span's words
+// share one start, and providers emit equal timestamps too, so ties in
+// start_time would let a read reorder words or repeat and skip them across
+// pages.
+
+const SEGMENT_COLUMNS = 'text, start_time, end_time, confidence, speaker';
+
+function seconds(ms) {
+  return Math.round(ms) / 1000;
+}
+
+/**
+ * transcript_segments rows for a transcript's provider words (times in ms),
+ * numbered by `position` in the order given.
+ */
+function segmentRows({ transcriptId, words }) {
+  return (Array.isArray(words) ? words : [])
+    .filter((word) => typeof word?.text === 'string' && word.text.trim() &&
+      Number.isFinite(word.start) && Number.isFinite(word.end))
+    .map((word, position) => ({
+      transcript_id: transcriptId,
+      position,
+      text: word.text.trim(),
+      start_time: seconds(word.start),
+      end_time: seconds(word.end),
+      confidence: Number.isFinite(word.confidence) ? word.confidence : null,
+      speaker: word.speaker || null
+    }));
+}
+
+/** A stored segment as the client sees it. */
+function transformSegment(row) {
+  return {
+    text: row.text,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    confidence: row.confidence ?? null,
+    speaker: row.speaker || null
+  };
+}
+
+/**
+ * A sermon's transcript and its word segments, from `transcript_segments`,
+ * else from the words kept on the transcript row. Null without a transcript.
+ *
+ * @returns {Promise<{transcript: object, words: object[], source: 'segments'|'transcript'}|null>}
+ */
+async function loadTranscriptWords({ supabase, sermonId }) {
+  const { data: transcript, error } = await supabase
+    .from('transcripts')
+    .select('id, text, status, segments, updated_at')
+    .eq('sermon_id', sermonId)
+    .maybeSingle();
+  if (error) {
+    throw new Error(`transcript lookup failed: ${error.message}`);
+  }
+  if (!transcript) return null;
+
+  const stored = [];
+  for (let from = 0; ; from += SEGMENT_PAGE_SIZE) {
+    const { data: page, error: pageError } = await supabase
+      .from('transcript_segments')
+      .select(SEGMENT_COLUMNS)
+      .eq('transcript_id', transcript.id)
+      .order('position', { ascending: true })
+      .range(from, from + SEGMENT_PAGE_SIZE - 1);
+    if (pageError) {
+      throw new Error(`transcript segment lookup failed: ${pageError.message}`);
+    }
+    stored.push(...(page || []));
+    if (!page || page.length < SEGMENT_PAGE_SIZE) break;
+  }
+
+  if (stored.length > 0) {
+    return { transcript, words: stored.map(transformSegment), source: 'segments' };
+  }
+  const words = segmentRows({ transcriptId: transcript.id, words: transcript.segments }).map(transformSegment);
+  return { transcript, words, source: 'transcript' };
+}
+
+/**
+ * Word segments joined into sentences: a sentence ends at terminal
+ * punctuation or where the speaker changes. Its confidence is the mean of its
+ * words', null when none had one.
+ */
+function sentenceSegments(words) {
+  const sentences = [];
+  let current = null;
+
+  const close = () => {
+    if (!current) return;
+    const scored = current.confidences;
+    sentences.push({
+      text: current.words.join(' '),
+      startTime: current.startTime,
+      endTime: current.endTime,
+      confidence: scored.length ? Math.round((scored.reduce((sum, c) => sum + c, 0) / scored.length) * 1000) / 1000 : null,
+      speaker: current.speaker
+    });
+    current = null;
+  };
+
+  for (const word of words) {
+    if (current && word.speaker !== current.speaker) close();
+    if (!current) {
+      current = { words: [], confidences: [], startTime: word.startTime, endTime: word.endTime, speaker: word.speaker };
+    }
+    current.words.push(word.text);
+    current.endTime = word.endTime;
+    if (Number.isFinite(word.confidence)) current.confidences.push(word.confidence);
+    if (/[.?!]["')\]]*$/.test(word.text)) close();
+  }
+  close();
+
+  return sentences;
+}
+
+/** The /transcript-detail payload. */
+function transcriptDetail({ sermonId, transcript, words, granularity = 'word', version = 1 }) {
+  return {
+    version,
+    sermonId,
+    transcriptId: transcript.id,
+    text: transcript.text,
+    status: transcript.status,
+    updatedAt: transcript.updated_at || null,
+    granularity,
+    segments: granularity === 'sentence' ? sentenceSegments(words) : words
+  };
+}
+
+module.exports = {
+  TRANSCRIPT_DETAIL_VERSIONS,
+  SEGMENT_GRANULARITIES,
+  segmentRows,
+  transformSegment,
+  loadTranscriptWords,
+  sentenceSegments,
+  transcriptDetail
+};
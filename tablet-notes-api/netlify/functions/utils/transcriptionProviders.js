@@ -0,0 +1,276 @@
+const { randomUUID } = require('crypto');
+const { AssemblyAI } = require('assemblyai');
+const { CircuitBreaker } = require('./security');
+const { providerChaptersRequested } = require('./sermonChapters');
+const { LANGUAGE_NAMES, normalizeLanguage, providerLanguageOptions } = require('./sermonLanguage');
+
+/**
+ * Transcription providers behind the job pipeline (jobs.js, the reaper), so
+ * none of it is hardwired to AssemblyAI.
+ *
+ * Providers come in two modes, because they finish in two different ways:
+ *
+ *   webhook  `submit({ audioUrl, language, vocabulary, webhookUrl, webhookSecret })`
+ *            hands the audio over and returns `{ id }`; the provider calls
+ *            /api/assemblyai-webhook when it is done. `get(id)` and
+ *            `list(params)` let the reaper reconcile a job whose callback
+ *            never came. AssemblyAI.
+ *   inline   `transcribe({ audio, fileName, language })` transcribes the
+ *            bytes it is given and resolves to their transcript. Only the
+ *            reaper calls it, a few minutes of the recording at a time across sweeps
+ *            (utils/chunkedTranscription.js); POST /api/jobs leaves the job
+ *            queued for the next sweep. A Whisper server.
+ *
+ * Either way the finished transcript has AssemblyAI's shape — `{ id, status,
+ * text, words: [{ text, start, end, confidence }], utterances, chapters,
+ * language_code }`, times in milliseconds — since that is what
+ * completeTranscriptionJob and everything after it reads.
+ *
+ * The provider is chosen when a job is created and recorded on it
+ * (`processing_jobs.provider`); the reaper resubmits and reconciles a job
+ * with the provider it names. Selected by configuration:
+ *   TRANSCRIPTION_PROVIDER           assemblyai (default) | whisper
+ *   TRANSCRIPTION_FALLBACK_PROVIDER  provider for new jobs while the primary's
+ *                                    breaker is open, and for jobs whose submit
+ *                                    provably never reached the primary
+ *   WHISPER_BASE_URL                 OpenAI-compatible server, e.g.
+ *                                    http://localhost:8000/v1 (faster-whisper-server,
+ *                                    whisper.cpp's server, or OpenAI itself: pieces
+ *                                    are kept under its 25 MB upload limit)
+ *   WHISPER_MODEL                    model name the server serves (default whisper-1)
+ *   WHISPER_API_KEY                  optional; most self-hosted servers ignore it
+ *
+ * scripts/whisper-stand-in.js serves a fixed transcript over the same API, for
+ * tests and for running the pipeline end to end without either service.
+ */
+
+const TRANSCRIPTION_PROVIDERS = ['assemblyai', 'whisper'];
+const DEFAULT_PROVIDER = 'assemblyai';
+const WEBHOOK_SECRET_HEADER = 'x-tabletnotes-webhook-secret';
+
+// One call, for one piece of at most WHISPER_CHUNK_SECONDS of audio: twice
+// that at the real-time speed of a Whisper server on modest hardware. A
+// recording that can't be cut (not the app's fragmented m4a) goes in one call
+// and must finish within it too.
+const WHISPER_TIMEOUT_MS = 10 * 60 * 1000;
+
+/** AssemblyAI, completing through the webhook. */
+function createAssemblyAIProvider({ apiKey, client = null } = {}) {
+  let assembly = client;
+  // Lazily constructed, like the LLM clients: a process that never talks to
+  // AssemblyAI never needs its key.
+  const sdk = () => {
+    assembly = assembly || new AssemblyAI({ apiKey });
+    return assembly;
+  };
+
+  return {
+    name: 'assemblyai',
+    mode: 'webhook',
+    async submit({ audioUrl, language, vocabulary = {}, webhookUrl, webhookSecret }) {
+      return sdk().transcripts.submit({
+        audio: audioUrl,
+        speaker_labels: true,
+        auto_chapters: providerChaptersRequested(),
+        ...providerLanguageOptions(language),
+        // Key terms (utils/vocabulary.js): none in another language, and they
+        // pin a job that would detect its language to English.
+        ...vocabulary,
+        filter_profanity: false,
+        format_text: true,
+        // The completion path. Without this the job would still need polling —
+        // this single option is what removes the client from the loop.
+        webhook_url: webhookUrl,
+        webhook_auth_header_name: WEBHOOK_SECRET_HEADER,
+        webhook_auth_header_value: webhookSecret
+      });
+    },
+    async get(id) {
+      return sdk().transcripts.get(id);
+    },
+    async list(params) {
+      return sdk().transcripts.list(params);
+    }
+  };
+}
+
+/** ISO 639-1 code for what a Whisper server reports: "en", or "english". */
+function whisperLanguageCode(language) {
+  if (typeof language !== 'string') return null;
+  const byName = Object.keys(LANGUAGE_NAMES)
+    .find((code) => LANGUAGE_NAMES[code].toLowerCase() === language.trim().toLowerCase());
+  return byName || normalizeLanguage(language);
+}
+
+/**
+ * A Whisper `verbose_json` response in AssemblyAI's transcript shape. Words
+ * come top-level with word timestamps, or inside segments from servers that
+ * nest them; `probability` is the closest thing Whisper has to a confidence.
+ * No speaker labels and no chapters: the completion path handles both being
+ * absent (one speaker, segmented chapters).
+ */
+function normalizeWhisperTranscript(body, { id = `whisper-${randomUUID()}` } = {}) {
+  const rawWords = Array.isArray(body?.words)
+    ? body.words
+    : (Array.isArray(body?.segments) ? body.segments.flatMap((segment) => segment.words || []) : []);
+
+  const words = rawWords
+    .map((word) => ({
+      text: String(word.word ?? word.text ?? '').trim(),
+      start: Math.round(Number(word.start) * 1000) || 0,
+      end: Math.round(Number(word.end) * 1000) || 0,
+      confidence: Number.isFinite(word.probability) ? word.probability : null
+    }))
+    .filter((word) => word.text);
+
+  return {
+    id,
+    status: 'completed',
+    text: typeof body?.text === 'string' ? body.text.trim() : '',
+    words,
+    utterances: null,
+    chapters: null,
+    language_code: whisperLanguageCode(body?.language)
+  };
+}
+
+/**
+ * A Whisper-compatible server (POST {baseURL}/audio/transcriptions). The audio
+ * is uploaded to it rather than linked: unlike AssemblyAI, a self-hosted server
+ * may not be able to reach our storage itself, and the reaper sends pieces of
+ * the recording, not the file in storage.
+ */
+function createWhisperProvider({
+  baseURL,
+  model = 'whisper-1',
+  apiKey,
+  fetchImpl = fetch,
+  timeoutMs = WHISPER_TIMEOUT_MS
+} = {}) {
+  if (!baseURL) {
+    throw new Error('WHISPER_BASE_URL is required for the whisper transcription provider');
+  }
+  const endpoint = `${baseURL.replace(/\/+$/, '')}/audio/transcriptions`;
+
+  return {
+    name: 'whisper',
+    mode: 'inline',
+    // `fileName` is the recording's: servers that decode with ffmpeg, and
+    // OpenAI, go by its extension.
+    async transcribe({ audio, fileName = 'audio', language }) {
+      const signal = AbortSignal.timeout(timeoutMs);
+
+      const form = new FormData();
+      form.append('file', new Blob([audio]), fileName);
+      form.append('model', model);
+      form.append('response_format', 'verbose_json');
+      form.append('timestamp_granularities[]', 'word');
+      form.append('timestamp_granularities[]', 'segment');
+      const code = normalizeLanguage(language);
+      if (code) form.append('language', code);
+
+      // fetch reports a refused connection as "fetch failed"; the code is on
+      // the cause. Surfaced so classifySubmitFailure sees a server that was
+      // never reached, which is what lets a job fail over.
+      const response = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: form,
+        signal
+      }).catch((error) => {
+        throw new Error(`whisper server unreachable: ${error.cause?.code || error.message}`);
+      });
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`whisper server returned ${response.status}: ${text.slice(0, 200)}`);
+      }
+
+      return normalizeWhisperTranscript(await response.json());
+    }
+  };
+}
+
+function createTranscriptionProvider(name, env) {
+  switch (name) {
+    case 'assemblyai':
+      return createAssemblyAIProvider({ apiKey: env.ASSEMBLYAI_API_KEY });
+    case 'whisper':
+      return createWhisperProvider({
+        baseURL: env.WHISPER_BASE_URL,
+        model: env.WHISPER_MODEL || undefined,
+        apiKey: env.WHISPER_API_KEY
+      });
+    default:
+      throw new Error(`Unknown transcription provider "${name}" (expected one of: ${TRANSCRIPTION_PROVIDERS.join(', ')})`);
+  }
+}
+
+/**
+ * The configured providers, each behind its own CircuitBreaker.
+ *
+ * Throws on an unknown provider or an incomplete Whisper configuration, for
+ * the same reason createCompletionClient does: a typo should fail loudly, not
+ * send every sermon somewhere unexpected.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env] Configuration source (process.env).
+ * @param {object} [options.primary] Provider to use instead of TRANSCRIPTION_PROVIDER.
+ * @param {object} [options.fallback] Provider to use instead of TRANSCRIPTION_FALLBACK_PROVIDER.
+ * @param {number} [options.threshold] Failures before a breaker opens.
+ * @param {number} [options.timeout] Milliseconds a breaker stays open.
+ */
+function createTranscriptionProviders({
+  env = process.env,
+  primary,
+  fallback,
+  threshold = 3,
+  timeout = 60000
+} = {}) {
+  const primaryProvider = primary || createTranscriptionProvider(env.TRANSCRIPTION_PROVIDER || DEFAULT_PROVIDER, env);
+  const fallbackProvider = fallback ||
+    (env.TRANSCRIPTION_FALLBACK_PROVIDER ? createTranscriptionProvider(env.TRANSCRIPTION_FALLBACK_PROVIDER, env) : null);
+
+  const target = (provider) => ({ provider, breaker: new CircuitBreaker(threshold, timeout) });
+  const targets = {
+    primary: target(primaryProvider),
+    // Failing over to the provider that is failing would be no failover.
+    fallback: fallbackProvider && fallbackProvider.name !== primaryProvider.name ? target(fallbackProvider) : null
+  };
+  // Providers a job names that are no longer configured (the deploy switched
+  // away while it was queued) are built on demand, so the job still finishes.
+  const others = {};
+
+  return {
+    primary: targets.primary,
+    fallback: targets.fallback,
+
+    /** Where a new job goes: the fallback while the primary's breaker is open. */
+    select() {
+      return targets.fallback && targets.primary.breaker.isOpen() ? targets.fallback : targets.primary;
+    },
+
+    /** The provider a job was recorded with; rows from before providers, AssemblyAI. */
+    forJob(job) {
+      const name = job?.provider || DEFAULT_PROVIDER;
+      const configured = [targets.primary, targets.fallback].find((candidate) => candidate?.provider.name === name);
+      if (configured) return configured;
+      others[name] = others[name] || target(createTranscriptionProvider(name, env));
+      return others[name];
+    },
+
+    /** Where a job goes when its submit never reached `name`; null without a fallback. */
+    failoverFrom(name) {
+      return targets.fallback && name === targets.primary.provider.name ? targets.fallback : null;
+    }
+  };
+}
+
+module.exports = {
+  TRANSCRIPTION_PROVIDERS,
+  WEBHOOK_SECRET_HEADER,
+  WHISPER_TIMEOUT_MS,
+  createAssemblyAIProvider,
+  createWhisperProvider,
+  normalizeWhisperTranscript,
+  createTranscriptionProviders
+};
@@ -1,4 +1,9 @@
 const Joi = require('joi');
+const { SUPPORTED_LANGUAGES } = require('./sermonLanguage');
+const { SEGMENT_GRANULARITIES, TRANSCRIPT_DETAIL_VERSIONS } = require('./transcriptSegments');
+const { MAX_EDITS_PER_SAVE, MAX_EDIT_TEXT_LENGTH } = require('./transcriptEdits');
+const { DEFAULT_CONFIDENCE_THRESHOLD } = require('./transcriptReview');
+const { MAX_CHECKPOINT_TURNS, MAX_TURN_TEXT_LENGTH, MAX_TURN_WORDS } = require('./liveSessions');
 
 // File type validation
 const ALLOWED_AUDIO_TYPES = [
@@ -129,7 +134,40 @@ const schemas = {
     
     tone: Joi.string()
       .valid('formal', 'conversational', 'academic')
-      .default('conversational')
+      .default('conversational'),
+
+    // 'structured' returns validated JSON sections alongside the markdown;
+    // 'markdown' is the original free-form contract shipped clients rely on.
+    format: Joi.string()
+      .valid('markdown', 'structured')
+      .default('markdown'),
+
+    // Map-reduce stages for long transcripts (utils/chunkedSummary.js), used
+    // only by the summary job over the internal path. 'section' condenses one
+    // section into notes; 'merge' summarizes the joined notes as a whole.
+    stage: Joi.string()
+      .valid('full', 'section', 'merge')
+      .default('full'),
+
+    section: Joi.object({
+      index: Joi.number().integer().min(0).required(),
+      count: Joi.number().integer().min(1).required()
+    }).when('stage', { is: 'section', then: Joi.required(), otherwise: Joi.forbidden() }),
+
+    // The language to write the summary in, and the one the sermon was
+    // preached in (utils/sermonLanguage.js). Omitted, the summary follows the
+    // transcript as it always has.
+    language: Joi.string()
+      .trim()
+      .lowercase()
+      .valid(...SUPPORTED_LANGUAGES)
+      .optional(),
+
+    sermonLanguage: Joi.string()
+      .trim()
+      .lowercase()
+      .valid(...SUPPORTED_LANGUAGES)
+      .optional()
   }),
 
   // Processing job creation (TAB-72): POST /api/jobs
@@ -161,7 +199,15 @@ const schemas = {
     // .strict() because Joi otherwise coerces the string "true" to true,
     // which would quietly defeat the exact-boolean check in
     // isExhaustedWithoutRetry. A retry is a deliberate act; spell it.
-    retry: Joi.boolean().strict().default(false)
+    retry: Joi.boolean().strict().default(false),
+
+    // Language spoken in the recording (utils/sermonLanguage.js). "auto"
+    // detects it; omitted falls back to the user's default, then detection.
+    language: Joi.string()
+      .trim()
+      .lowercase()
+      .valid('auto', ...SUPPORTED_LANGUAGES)
+      .optional()
   }),
 
   // Bible API request validation
@@ -187,6 +233,279 @@ const schemas = {
       .optional()
   }),
 
+  // Typed Bible lookups (bible.js): a passage by reference, the translation
+  // list, or a search
+  bibleLookup: Joi.object({
+    action: Joi.string()
+      .valid('passage', 'translations', 'search')
+      .required(),
+
+    reference: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .when('action', { is: 'passage', then: Joi.required() }),
+
+    query: Joi.string()
+      .trim()
+      .min(1)
+      .max(200)
+      .when('action', { is: 'search', then: Joi.required() }),
+
+    bibleId: Joi.string()
+      .trim()
+      .pattern(/^[A-Za-z0-9-]{10,50}$/)
+      .optional(),
+
+    language: Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z]{3}$/)
+      .default('eng'),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .default(10),
+
+    offset: Joi.number()
+      .integer()
+      .min(0)
+      .max(1000)
+      .default(0)
+  }),
+
+  // The user's preferred translation (bible-preference.js); null resets it
+  biblePreference: Joi.object({
+    bibleId: Joi.string()
+      .trim()
+      .pattern(/^[A-Za-z0-9-]{10,50}$/)
+      .allow(null)
+      .required()
+  }),
+
+  // The user's default transcription and summary languages
+  // (language-preference.js PUT); null goes back to detection / the sermon's
+  // own language, and an omitted key is left as it is
+  languagePreference: Joi.object({
+    transcriptionLanguage: Joi.string()
+      .trim()
+      .lowercase()
+      .valid(...SUPPORTED_LANGUAGES)
+      .allow(null),
+
+    summaryLanguage: Joi.string()
+      .trim()
+      .lowercase()
+      .valid(...SUPPORTED_LANGUAGES)
+      .allow(null)
+  }).min(1),
+
+  // A sermon's speakers (sermon-speakers.js GET)
+  sermonSpeakersQuery: Joi.object({
+    sermonId: Joi.string()
+      .guid()
+      .required()
+  }),
+
+  // One sermon's timed transcript segments (transcript-detail.js)
+  transcriptDetailQuery: Joi.object({
+    sermonId: Joi.string()
+      .guid()
+      .required(),
+
+    granularity: Joi.string()
+      .valid(...SEGMENT_GRANULARITIES)
+      .default('word'),
+
+    // The payload shape the client understands (utils/transcriptSegments.js).
+    version: Joi.number()
+      .integer()
+      .valid(...TRANSCRIPT_DETAIL_VERSIONS)
+      .default(1)
+  }),
+
+  // Corrections to a transcript (transcript-edits.js POST): word spans of
+  // /transcript-detail's word segments and their new text, against the
+  // transcript version the client read
+  transcriptEdit: Joi.object({
+    sermonId: Joi.string()
+      .guid()
+      .required(),
+
+    updatedAt: Joi.string()
+      .isoDate()
+      .required(),
+
+    edits: Joi.array()
+      .items(Joi.object({
+        fromWord: Joi.number().integer().min(0).required(),
+        toWord: Joi.number().integer().min(Joi.ref('fromWord')).required(),
+        text: Joi.string().trim().allow('').max(MAX_EDIT_TEXT_LENGTH).required()
+      }))
+      .min(1)
+      .max(MAX_EDITS_PER_SAVE)
+      .required()
+  }),
+
+  // A sermon's transcript edit history (transcript-edits.js GET)
+  transcriptEditsQuery: Joi.object({
+    sermonId: Joi.string()
+      .guid()
+      .required()
+  }),
+
+  // A sermon's low-confidence spans (transcript-review.js GET)
+  transcriptReviewQuery: Joi.object({
+    sermonId: Joi.string()
+      .guid()
+      .required(),
+
+    threshold: Joi.number()
+      .min(0.05)
+      .max(0.99)
+      .default(DEFAULT_CONFIDENCE_THRESHOLD)
+  }),
+
+  // Accepting or correcting reviewed spans (transcript-review.js POST); a
+  // correction's text is required, an acceptance has none
+  transcriptReview: Joi.object({
+    sermonId: Joi.string()
+      .guid()
+      .required(),
+
+    updatedAt: Joi.string()
+      .isoDate()
+      .required(),
+
+    // The threshold the client's review was read at, so the review returned
+    // after the save flags the same words
+    threshold: Joi.number()
+      .min(0.05)
+      .max(0.99)
+      .default(DEFAULT_CONFIDENCE_THRESHOLD),
+
+    decisions: Joi.array()
+      .items(Joi.object({
+        fromWord: Joi.number().integer().min(0).required(),
+        toWord: Joi.number().integer().greater(Joi.ref('fromWord')).required(),
+        action: Joi.string().valid('accept', 'correct').required(),
+        text: Joi.when('action', {
+          is: 'correct',
+          then: Joi.string().trim().allow('').max(MAX_EDIT_TEXT_LENGTH).required(),
+          otherwise: Joi.forbidden()
+        }),
+        addToVocabulary: Joi.boolean().default(true)
+      }))
+      .min(1)
+      .max(MAX_EDITS_PER_SAVE)
+      .required()
+  }),
+
+  // Naming a sermon's speaker label (sermon-speakers.js PUT); null name and
+  // role together forget it
+  sermonSpeaker: Joi.object({
+    sermonId: Joi.string()
+      .guid()
+      .required(),
+
+    label: Joi.string()
+      .trim()
+      .pattern(/^[A-Za-z0-9]{1,10}$/)
+      .required(),
+
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .allow(null)
+      .required(),
+
+    role: Joi.string()
+      .valid('preacher', 'worship_leader', 'announcer', 'reader', 'other')
+      .allow(null)
+      .default(null)
+  }),
+
+  // Adding a custom vocabulary term (vocabulary.js POST); organizationId
+  // shares it with an organization the caller administers
+  vocabularyTerm: Joi.object({
+    term: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required(),
+
+    soundsLike: Joi.array()
+      .items(Joi.string().trim().min(1).max(100))
+      .max(10)
+      .default([]),
+
+    organizationId: Joi.string()
+      .guid()
+      .optional()
+  }),
+
+  // Removing a custom vocabulary term (vocabulary.js DELETE)
+  vocabularyDelete: Joi.object({
+    id: Joi.string()
+      .guid()
+      .required()
+  }),
+
+  // Starting a live transcription session (live-sessions.js POST)
+  liveSessionStart: Joi.object({
+    sermonId: Joi.string()
+      .guid()
+      .required(),
+
+    language: Joi.string()
+      .trim()
+      .lowercase()
+      .valid(...SUPPORTED_LANGUAGES)
+      .optional()
+  }),
+
+  // A live session checkpoint: the turns finalized since the last one, times
+  // in ms from the start of the recording (live-sessions.js PUT)
+  liveSessionCheckpoint: Joi.object({
+    sessionId: Joi.string()
+      .guid()
+      .required(),
+
+    sequence: Joi.number()
+      .integer()
+      .min(0)
+      .when('turns', { is: Joi.array().min(1), then: Joi.required() }),
+
+    turns: Joi.array()
+      .items(Joi.object({
+        text: Joi.string().allow('').max(MAX_TURN_TEXT_LENGTH).required(),
+        words: Joi.array()
+          .items(Joi.object({
+            text: Joi.string().allow('').max(200).required(),
+            start: Joi.number().min(0).required(),
+            end: Joi.number().min(0).required(),
+            confidence: Joi.number().min(0).max(1).allow(null).optional()
+          }))
+          .max(MAX_TURN_WORDS)
+          .default([])
+      }))
+      .max(MAX_CHECKPOINT_TURNS)
+      .default([]),
+
+    finalize: Joi.boolean()
+      .default(false)
+  }),
+
+  // One live session with its transcript so far (live-sessions.js GET)
+  liveSessionQuery: Joi.object({
+    sessionId: Joi.string()
+      .guid()
+      .required()
+  }),
+
   // Live transcription token request
   liveToken: Joi.object({
     sampleRate: Joi.number()
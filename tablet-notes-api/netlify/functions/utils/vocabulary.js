@@ -0,0 +1,414 @@
+/**
+ * Custom vocabulary: the names and words a church says that a general speech
+ * model gets wrong. "Pastor Okonkwo", "Habakkuk", "agape", "Mount Zion
+ * Fellowship".
+ *
+ * Terms belong to a user (`vocabulary_terms.user_id`) or to an organization
+ * they are a member of (`organization_id`), and are managed through
+ * /vocabulary. They are used twice:
+ *
+ *   - at submission (jobs.js and the reaper's resubmit), as AssemblyAI's
+ *     `keyterms_prompt`. AssemblyAI deprecated `word_boost`; key terms are
+ *     its replacement and are read by the Slam-1 model, so a submission with
+ *     terms asks for it (providerVocabularyOptions). Slam-1 is English only:
+ *     a job in another language sends no key terms, and a job that would
+ *     detect its language is transcribed as English with them, as every job
+ *     was before languages were detected.
+ *   - after transcription (completeTranscriptionJob), as a find-and-replace
+ *     pass: each term's `sounds_like` spellings, and the term itself in any
+ *     case, become the term as written (applyVocabulary). This catches what
+ *     the model still missed, and fixes transcripts from models that ignore
+ *     key terms.
+ *
+ * Loading vocabulary never fails a submission or a completion: without it the
+ * transcript is what it always was.
+ *
+ * Corrections made in transcript review (/transcript-review) add to the user's
+ * own terms: the corrected words as the term, what was heard as a
+ * `sounds_like` spelling (learnVocabulary). Only corrections to names are
+ * learned; fixing an ordinary word is an edit to that one transcript.
+ */
+
+const { normalizeLanguage } = require('./sermonLanguage');
+const { tokenize } = require('./searchIndex');
+
+const MAX_USER_TERMS = 200;
+const MAX_ORGANIZATION_TERMS = 500;
+// The vocabularyTerm schema's limits, for terms learned from corrections.
+const MAX_TERM_LENGTH = 100;
+const MAX_SOUNDS_LIKE = 10;
+// AssemblyAI's limits on keyterms_prompt.
+const MAX_KEYTERMS = 1000;
+const MAX_KEYTERM_WORDS = 6;
+const KEYTERMS_MODEL = 'slam-1';
+const KEYTERMS_LANGUAGE = 'en';
+
+const TERM_COLUMNS = 'id, user_id, organization_id, term, sounds_like, created_at';
+
+/** A stored term as the client sees it. */
+function transformTerm(row) {
+  return {
+    id: row.id,
+    term: row.term,
+    soundsLike: row.sounds_like || [],
+    scope: row.organization_id ? 'organization' : 'user',
+    organizationId: row.organization_id || null,
+    createdAt: row.created_at
+  };
+}
+
+/** The organizations a user belongs to, with their role in each. */
+async function loadMemberships({ supabase, userId }) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('organization_id, role, organizations ( name )')
+    .eq('user_id', userId);
+  if (error) {
+    throw new Error(`organization membership read failed: ${error.message}`);
+  }
+  return (data || []).map((row) => ({
+    organizationId: row.organization_id,
+    name: row.organizations?.name || null,
+    role: row.role
+  }));
+}
+
+/**
+ * Every term that applies to a user: their own, then their organizations'.
+ * Throws when they can't be read.
+ */
+async function loadVocabulary({ supabase, userId }) {
+  const memberships = await loadMemberships({ supabase, userId });
+
+  const { data: own, error } = await supabase
+    .from('vocabulary_terms')
+    .select(TERM_COLUMNS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+  if (error) {
+    throw new Error(`vocabulary read failed: ${error.message}`);
+  }
+
+  let shared = [];
+  if (memberships.length > 0) {
+    const { data, error: sharedError } = await supabase
+      .from('vocabulary_terms')
+      .select(TERM_COLUMNS)
+      .in('organization_id', memberships.map((membership) => membership.organizationId))
+      .order('created_at', { ascending: true });
+    if (sharedError) {
+      throw new Error(`vocabulary read failed: ${sharedError.message}`);
+    }
+    shared = data || [];
+  }
+
+  return { terms: [...(own || []), ...shared].map(transformTerm), memberships };
+}
+
+/**
+ * Whether a user may add or remove a term: their own, or an organization's
+ * they administer. `row` needs `user_id` and `organization_id`.
+ */
+function canManageTerm(row, userId, memberships) {
+  if (row.organization_id) {
+    return memberships.some((membership) =>
+      membership.organizationId === row.organization_id && membership.role === 'admin');
+  }
+  return row.user_id === userId;
+}
+
+/** Distinct terms the provider accepts as key terms, within its limits. */
+function keytermsFor(terms) {
+  const seen = new Set();
+  const keyterms = [];
+  for (const { term } of terms || []) {
+    const clean = typeof term === 'string' ? term.trim() : '';
+    if (!clean || clean.split(/\s+/).length > MAX_KEYTERM_WORDS) continue;
+    const key = clean.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    keyterms.push(clean);
+    if (keyterms.length === MAX_KEYTERMS) break;
+  }
+  return keyterms;
+}
+
+/** Whether a job in `language` (null when it would be detected) can send key terms. */
+function keytermsLanguage(language) {
+  const code = normalizeLanguage(language);
+  return code === null || code === KEYTERMS_LANGUAGE;
+}
+
+/**
+ * Submission options for a vocabulary in a job's transcription language
+ * (null when detected); empty without terms or in any language but English.
+ * A detected job with terms is pinned to English for the model that reads
+ * them.
+ */
+function providerVocabularyOptions(terms, { language = null } = {}) {
+  if (!keytermsLanguage(language)) return {};
+  const keyterms = keytermsFor(terms);
+  if (keyterms.length === 0) return {};
+  return {
+    ...(normalizeLanguage(language) ? {} : { language_code: KEYTERMS_LANGUAGE, language_detection: false }),
+    speech_model: KEYTERMS_MODEL,
+    keyterms_prompt: keyterms
+  };
+}
+
+/** Submission options for a user's vocabulary, or none when it can't be read. */
+async function submissionVocabulary({ supabase, userId, language = null, logger }) {
+  if (!keytermsLanguage(language)) return {};
+  try {
+    const { terms } = await loadVocabulary({ supabase, userId });
+    return providerVocabularyOptions(terms, { language });
+  } catch (error) {
+    logger?.warn?.('Vocabulary unavailable for submission', { userId, error: error.message });
+    return {};
+  }
+}
+
+function normalizeToken(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Each misheard phrase, longest first, with the term it stands for. */
+function replacementRules(terms) {
+  const rules = [];
+  const seen = new Set();
+  for (const { term, soundsLike } of terms || []) {
+    if (typeof term !== 'string' || !term.trim()) continue;
+    for (const phrase of [term, ...(soundsLike || [])]) {
+      const tokens = String(phrase).split(/\s+/).map(normalizeToken).filter(Boolean);
+      const key = tokens.join(' ');
+      if (tokens.length === 0 || seen.has(key)) continue;
+      seen.add(key);
+      rules.push({ tokens, term: term.trim() });
+    }
+  }
+  return rules.sort((a, b) => b.tokens.length - a.tokens.length);
+}
+
+/**
+ * Rewrites misheard terms in a transcript's text and timed words.
+ *
+ * A multi-word match in `words` becomes one word spanning their times, so word
+ * timings stay aligned with the text.
+ *
+ * @returns {{ text: string, words: Array, replacements: number }}
+ */
+function applyVocabulary({ text, words, terms }) {
+  const rules = replacementRules(terms);
+  if (rules.length === 0) return { text, words, replacements: 0 };
+
+  let replacements = 0;
+  let nextText = text || '';
+  for (const { tokens, term } of rules) {
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{N}])${tokens.map(escapeRegExp).join('[\\s,.-]+')}(?![\\p{L}\\p{N}])`,
+      'giu'
+    );
+    nextText = nextText.replace(pattern, (match) => {
+      if (match === term) return match;
+      replacements += 1;
+      return term;
+    });
+  }
+
+  const source = Array.isArray(words) ? words : [];
+  const nextWords = [];
+  for (let i = 0; i < source.length;) {
+    const rule = rules.find(({ tokens }) =>
+      tokens.every((token, offset) => source[i + offset] && normalizeToken(source[i + offset].text) === token));
+    if (!rule) {
+      nextWords.push(source[i]);
+      i += 1;
+      continue;
+    }
+    const matched = source.slice(i, i + rule.tokens.length);
+    const last = matched[matched.length - 1];
+    const trailing = String(last.text).match(/[^\p{L}\p{N}']+$/u)?.[0] || '';
+    const confidences = matched.map((word) => word.confidence).filter(Number.isFinite);
+    nextWords.push({
+      ...matched[0],
+      text: `${rule.term}${trailing}`,
+      end: last.end,
+      ...(confidences.length ? { confidence: Math.min(...confidences) } : {})
+    });
+    i += rule.tokens.length;
+  }
+
+  return { text: nextText, words: Array.isArray(words) ? nextWords : words, replacements };
+}
+
+/**
+ * A provider transcript with the user's vocabulary applied to its text, words
+ * and utterances. The transcript as given when there are no terms or they
+ * can't be read.
+ */
+async function correctTranscript({ supabase, userId, transcript, logger }) {
+  let terms;
+  try {
+    ({ terms } = await loadVocabulary({ supabase, userId }));
+  } catch (error) {
+    logger?.warn?.('Vocabulary unavailable for correction', { userId, error: error.message });
+    return { transcript, replacements: 0 };
+  }
+  if (terms.length === 0) return { transcript, replacements: 0 };
+
+  const { text, words, replacements } = applyVocabulary({ text: transcript?.text, words: transcript?.words, terms });
+  const utterances = Array.isArray(transcript?.utterances)
+    ? transcript.utterances.map((utterance) => {
+      const corrected = applyVocabulary({ text: utterance.text, words: utterance.words, terms });
+      return { ...utterance, text: corrected.text, words: corrected.words };
+    })
+    : transcript?.utterances;
+
+  return { transcript: { ...transcript, text, words, utterances }, replacements };
+}
+
+// Leading and trailing punctuation: "Habakkuk," is the term Habakkuk.
+function trimPunctuation(text) {
+  return String(text || '').trim().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+// A term names something: a word with a capital ("Okonkwo", "Mount Zion"), or
+// one in a script without case (Hebrew). "loved" is an ordinary word.
+function looksLikeTerm(text) {
+  return /\p{Lu}|\p{Lo}/u.test(text);
+}
+
+// "love" heard for "Loved": the same word inflected, which is a grammar fix.
+// Taught as a spelling it would rewrite every "God is love".
+function isInflection(spoken, written) {
+  const heardWords = spoken.split(/\s+/).map(normalizeToken);
+  const termWords = written.split(/\s+/).map(normalizeToken);
+  if (heardWords.length !== 1) return false;
+  return termWords.some((word) => word && (word.startsWith(heardWords[0]) || heardWords[0].startsWith(word)));
+}
+
+/**
+ * What a transcript correction teaches: the corrected words as a term, what
+ * was heard as its sounds-like spelling. Null when it teaches nothing safe to
+ * replace in every later transcript — a phrase too long to be a term, words
+ * with no keyword in them ("the" corrected to "a" must not rewrite every
+ * "the"), a term that names nothing ("love" corrected to "loved"), or an
+ * inflection of the term heard as its spelling. `known` is set for a term the
+ * user already has: they named it, so it needs no capital. A case-only fix
+ * keeps the term without a spelling; the term already matches in any case.
+ */
+function correctionTerm({ heard, term }, { known = false } = {}) {
+  const written = trimPunctuation(term);
+  const spoken = trimPunctuation(heard).toLowerCase();
+  if (!written || written.length > MAX_TERM_LENGTH || written.split(/\s+/).length > MAX_KEYTERM_WORDS) return null;
+  if (tokenize(written).length === 0) return null;
+  if (!known && !looksLikeTerm(written)) return null;
+
+  const sameWords = spoken.split(/\s+/).map(normalizeToken).join(' ') ===
+    written.split(/\s+/).map(normalizeToken).join(' ');
+  if (sameWords) return { term: written, soundsLike: [] };
+  if (!spoken || spoken.length > MAX_TERM_LENGTH || tokenize(spoken).length === 0) return null;
+  if (isInflection(spoken, written)) return null;
+  return { term: written, soundsLike: [spoken] };
+}
+
+/**
+ * Add what transcript corrections teach to a user's own vocabulary: a new
+ * term, or a new sounds-like spelling on the term they already have. Stops
+ * adding terms at MAX_USER_TERMS. Throws when the vocabulary can't be read;
+ * a correction that can't be written is counted as skipped.
+ *
+ * @returns {Promise<{added: object[], updated: object[], skipped: number}>}
+ */
+async function learnVocabulary({ supabase, userId, corrections, logger }) {
+  const result = { added: [], updated: [], skipped: 0 };
+
+  const { data: own, error } = await supabase
+    .from('vocabulary_terms')
+    .select(TERM_COLUMNS)
+    .eq('user_id', userId);
+  if (error) {
+    throw new Error(`vocabulary read failed: ${error.message}`);
+  }
+  const byTerm = new Map((own || []).map((row) => [row.term.toLowerCase(), row]));
+
+  for (const correction of corrections) {
+    const known = byTerm.has(trimPunctuation(correction.term).toLowerCase());
+    const learned = correctionTerm(correction, { known });
+    if (!learned) {
+      result.skipped += 1;
+      continue;
+    }
+
+    const existing = byTerm.get(learned.term.toLowerCase());
+    if (existing) {
+      const soundsLike = existing.sounds_like || [];
+      const fresh = learned.soundsLike.filter((phrase) => !soundsLike.includes(phrase));
+      if (fresh.length === 0 || soundsLike.length >= MAX_SOUNDS_LIKE) {
+        result.skipped += 1;
+        continue;
+      }
+      const { data: saved, error: updateError } = await supabase
+        .from('vocabulary_terms')
+        .update({ sounds_like: [...soundsLike, ...fresh].slice(0, MAX_SOUNDS_LIKE) })
+        .eq('id', existing.id)
+        .select(TERM_COLUMNS)
+        .maybeSingle();
+      if (updateError || !saved) {
+        logger?.warn?.('Failed to extend vocabulary term', { userId, termId: existing.id, error: updateError?.message });
+        result.skipped += 1;
+        continue;
+      }
+      byTerm.set(learned.term.toLowerCase(), saved);
+      result.updated.push(transformTerm(saved));
+      continue;
+    }
+
+    if (byTerm.size >= MAX_USER_TERMS) {
+      result.skipped += 1;
+      continue;
+    }
+    const { data: saved, error: insertError } = await supabase
+      .from('vocabulary_terms')
+      .insert({
+        user_id: userId,
+        organization_id: null,
+        term: learned.term,
+        sounds_like: learned.soundsLike,
+        created_by: userId
+      })
+      .select(TERM_COLUMNS)
+      .maybeSingle();
+    if (insertError || !saved) {
+      logger?.warn?.('Failed to add vocabulary term', { userId, error: insertError?.message });
+      result.skipped += 1;
+      continue;
+    }
+    byTerm.set(learned.term.toLowerCase(), saved);
+    result.added.push(transformTerm(saved));
+  }
+
+  return result;
+}
+
+module.exports = {
+  MAX_USER_TERMS,
+  MAX_ORGANIZATION_TERMS,
+  MAX_KEYTERMS,
+  TERM_COLUMNS,
+  transformTerm,
+  loadMemberships,
+  loadVocabulary,
+  canManageTerm,
+  keytermsFor,
+  providerVocabularyOptions,
+  submissionVocabulary,
+  applyVocabulary,
+  correctTranscript,
+  correctionTerm,
+  learnVocabulary
+};
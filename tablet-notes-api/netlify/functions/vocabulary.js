@@ -0,0 +1,161 @@
+const { createClient } = require('@supabase/supabase-js');
+const { Validator } = require('./utils/validator');
+const {
+  handleCORS,
+  createAuthMiddleware,
+  createErrorResponse,
+  createSuccessResponse
+} = require('./utils/security');
+const { withLogging } = require('./utils/logger');
+const {
+  MAX_USER_TERMS,
+  MAX_ORGANIZATION_TERMS,
+  TERM_COLUMNS,
+  transformTerm,
+  loadMemberships,
+  loadVocabulary,
+  canManageTerm
+} = require('./utils/vocabulary');
+
+// Custom transcription vocabulary: names and words the speech model should
+// get right.
+//
+//   GET                                         the caller's terms and their
+//                                               organizations' terms, with the
+//                                               organizations they belong to
+//   POST { term, soundsLike?, organizationId? } add a term; with
+//                                               organizationId, to an
+//                                               organization the caller
+//                                               administers
+//   DELETE ?id=...                              remove a term
+//
+// Terms apply to transcriptions submitted afterwards; see utils/vocabulary.js.
+
+exports.handler = withLogging('vocabulary', async (event, context) => {
+  const logger = event.logger;
+
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (!['GET', 'POST', 'DELETE'].includes(event.httpMethod)) {
+    return createErrorResponse(new Error('Method Not Allowed'), 405);
+  }
+
+  // Apply authentication
+  const authMiddleware = createAuthMiddleware();
+  const authResponse = await authMiddleware(event);
+  if (authResponse) {
+    return authResponse;
+  }
+
+  if (event.httpMethod !== 'GET') {
+    const validationMiddleware = event.httpMethod === 'POST'
+      ? Validator.createValidationMiddleware('vocabularyTerm', 'body')
+      : Validator.createValidationMiddleware('vocabularyDelete', 'query');
+    const validationResponse = validationMiddleware(event);
+    if (validationResponse) {
+      return validationResponse;
+    }
+  }
+
+  try {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      logger.error('Missing Supabase configuration');
+      return createErrorResponse(new Error('Server configuration error'), 500);
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseKey);
+    const user = event.user;
+    const origin = event.headers.origin;
+
+    if (event.httpMethod === 'GET') {
+      const { terms, memberships } = await loadVocabulary({ supabase, userId: user.id });
+      return createSuccessResponse({ terms, organizations: memberships }, 200, { origin });
+    }
+
+    const memberships = await loadMemberships({ supabase, userId: user.id });
+
+    if (event.httpMethod === 'DELETE') {
+      const { id } = event.validatedData;
+      const { data: term, error: termError } = await supabase
+        .from('vocabulary_terms')
+        .select('id, user_id, organization_id')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (termError) {
+        throw new Error(`vocabulary read failed: ${termError.message}`);
+      }
+      if (!term) {
+        return createErrorResponse(new Error('Term not found'), 404);
+      }
+      if (!canManageTerm(term, user.id, memberships)) {
+        logger.security('unauthorized_vocabulary_delete_attempt', { userId: user.id, termId: id });
+        return createErrorResponse(new Error('Unauthorized'), 403);
+      }
+
+      const { error: deleteError } = await supabase.from('vocabulary_terms').delete().eq('id', id);
+      if (deleteError) {
+        throw new Error(`vocabulary delete failed: ${deleteError.message}`);
+      }
+      logger.info('Vocabulary term removed', { userId: user.id, termId: id, organizationId: term.organization_id });
+      return createSuccessResponse({ deleted: true }, 200, { origin });
+    }
+
+    const { term, soundsLike, organizationId } = event.validatedData;
+    const owner = organizationId
+      ? { user_id: null, organization_id: organizationId }
+      : { user_id: user.id, organization_id: null };
+
+    if (!canManageTerm(owner, user.id, memberships)) {
+      logger.security('unauthorized_vocabulary_add_attempt', { userId: user.id, organizationId });
+      return createErrorResponse(new Error('Unauthorized'), 403);
+    }
+
+    const limit = organizationId ? MAX_ORGANIZATION_TERMS : MAX_USER_TERMS;
+    const { count, error: countError } = await supabase
+      .from('vocabulary_terms')
+      .select('id', { count: 'exact', head: true })
+      .eq(organizationId ? 'organization_id' : 'user_id', organizationId || user.id);
+
+    if (countError) {
+      throw new Error(`vocabulary count failed: ${countError.message}`);
+    }
+    if ((count || 0) >= limit) {
+      return createErrorResponse(new Error(`Vocabulary is limited to ${limit} terms`), 400);
+    }
+
+    const { data: saved, error: insertError } = await supabase
+      .from('vocabulary_terms')
+      .insert({
+        ...owner,
+        term,
+        sounds_like: soundsLike,
+        created_by: user.id
+      })
+      .select(TERM_COLUMNS)
+      .single();
+
+    if (insertError) {
+      if (insertError.code === '23505') {
+        return createErrorResponse(new Error('Term already exists'), 409);
+      }
+      throw new Error(`vocabulary insert failed: ${insertError.message}`);
+    }
+
+    logger.info('Vocabulary term added', { userId: user.id, termId: saved.id, organizationId: organizationId || null });
+    return createSuccessResponse({ term: transformTerm(saved) }, 201, { origin });
+  } catch (error) {
+    logger.error('Vocabulary request failed', {
+      userId: event.user?.id,
+      method: event.httpMethod,
+      error: error.message,
+      stack: error.stack
+    });
+    return createErrorResponse(new Error('Failed to process vocabulary request'), 500);
+  }
+});
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Builds the deployed data files for the local Bible source
+ * (netlify/functions/utils/localBibleSource.js): the KJV and the WEB, from the
+ * public-domain texts published on npm as `kjv` (the 1769 text) and
+ * `world-english-bible`. Both are devDependencies, pinned, so every build
+ * writes the same verses.
+ *
+ * The files are ~9 MB together, so they are not committed. The Netlify build
+ * runs this (netlify.toml); run it yourself for `netlify dev` or to try the
+ * local source:
+ *
+ *   npm run build:bible
+ *
+ * Each package is turned into VPL lines (see scripts/build-local-bible.js)
+ * first: the KJV's `#` paragraph marks dropped and its `[…]` italics brackets
+ * removed, the WEB's verse fragments joined and its headings left out. Verses
+ * the WEB omits (e.g. Acts 8:37) are absent.
+ *
+ * Usage:
+ *   node scripts/build-bible-data.js [--out=netlify/functions/data/bible]
+ */
+const fs = require('fs');
+const path = require('path');
+const { buildTranslation, writeTranslation } = require('./build-local-bible');
+
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'netlify', 'functions', 'data', 'bible');
+
+// The 66 books in canonical order, as USFM codes.
+const USFM_BOOKS = (
+  'GEN EXO LEV NUM DEU JOS JDG RUT 1SA 2SA 1KI 2KI 1CH 2CH EZR NEH EST JOB PSA PRO ' +
+  'ECC SNG ISA JER LAM EZK DAN HOS JOL AMO OBA JON MIC NAM HAB ZEP HAG ZEC MAL ' +
+  'MAT MRK LUK JHN ACT ROM 1CO 2CO GAL EPH PHP COL 1TH 2TH 1TI 2TI TIT PHM HEB ' +
+  'JAS 1PE 2PE 1JN 2JN 3JN JUD REV'
+).split(' ');
+
+// `kjv` keys verses by book name and reference: "Genesis 1:1".
+const KJV_KEY = /^(.*) (\d+):(\d+)$/;
+
+function kjvPackage() {
+  return require('kjv/json/verses-1769.json');
+}
+
+/** The KJV's book names in canonical order, as its keys spell them. */
+function kjvBookNames(verses) {
+  return [...new Set(Object.keys(verses).map((key) => KJV_KEY.exec(key)[1]))];
+}
+
+function kjvLines() {
+  const verses = kjvPackage();
+  const names = kjvBookNames(verses);
+  return Object.entries(verses).map(([key, text]) => {
+    const [, book, chapter, verse] = KJV_KEY.exec(key);
+    const clean = text.replace(/^#\s*/, '').replace(/[[\]]/g, '');
+    return `${USFM_BOOKS[names.indexOf(book)]} ${chapter}:${verse} ${clean}`;
+  });
+}
+
+// `world-english-bible` has a file per book, named after the KJV's book name.
+function webBookFile(name) {
+  const file = name === "Solomon's Song" ? 'songofsolomon' : name.toLowerCase().replace(/\s+/g, '');
+  return require.resolve(`world-english-bible/json/${file}.json`);
+}
+
+function webLines() {
+  const lines = [];
+  kjvBookNames(kjvPackage()).forEach((name, index) => {
+    // A verse can span several paragraphs or poetry lines; its pieces are
+    // joined. Headings and paragraph markers carry no verse number.
+    const verses = new Map();
+    for (const entry of JSON.parse(fs.readFileSync(webBookFile(name), 'utf8'))) {
+      if (!entry.value || !entry.verseNumber) continue;
+      if (entry.type !== 'paragraph text' && entry.type !== 'line text') continue;
+      const reference = `${entry.chapterNumber}:${entry.verseNumber}`;
+      verses.set(reference, (verses.get(reference) || '') + entry.value);
+    }
+    for (const [reference, text] of verses) {
+      lines.push(`${USFM_BOOKS[index]} ${reference} ${text}`);
+    }
+  });
+  return lines;
+}
+
+const TRANSLATIONS = [
+  {
+    file: 'kjv.json',
+    id: 'de4e12af7f28f599-01',
+    abbreviation: 'KJV',
+    name: 'King James Version',
+    lines: kjvLines
+  },
+  {
+    file: 'web.json',
+    id: '9879dbb7cfe39e4d-04',
+    abbreviation: 'WEB',
+    name: 'World English Bible',
+    lines: webLines
+  }
+];
+
+/** Writes every translation's data file into `outDir`. */
+function buildBibleData(outDir = DEFAULT_OUT_DIR) {
+  for (const { file, lines, ...meta } of TRANSLATIONS) {
+    writeTranslation(path.join(outDir, file), buildTranslation(lines(), meta));
+  }
+}
+
+function parseOut(argv) {
+  let out = DEFAULT_OUT_DIR;
+  for (const arg of argv.slice(2)) {
+    const match = /^--out=(.+)$/.exec(arg);
+    if (!match) throw new Error(`Unknown argument: ${arg}`);
+    out = path.resolve(match[1]);
+  }
+  return out;
+}
+
+if (require.main === module) {
+  try {
+    buildBibleData(parseOut(process.argv));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildBibleData };
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Builds a data file for the local Bible source
+ * (netlify/functions/utils/localBibleSource.js) from a public-domain
+ * translation in verse-per-line (VPL) form, as ebible.org publishes them:
+ *
+ *   GEN 1:1 In the beginning God created the heaven and the earth.
+ *
+ * Book codes are USFM (GEN, JHN, 1CO); lines for books outside the 66-book
+ * canon (the Apocrypha in some KJV releases) are skipped and counted.
+ *
+ * Sources:
+ *   KJV  https://ebible.org/Scriptures/eng-kjv2006_vpl.zip
+ *   WEB  https://ebible.org/Scriptures/engwebp_vpl.zip
+ *
+ * The deployed KJV and WEB are built from their npm packages instead, by
+ * scripts/build-bible-data.js with this file's buildTranslation; this CLI is
+ * for adding a translation from a VPL release.
+ *
+ * Usage:
+ *   node scripts/build-local-bible.js --input=eng-kjv2006_vpl.txt \
+ *     --id=de4e12af7f28f599-01 --abbreviation=KJV --name="King James Version" \
+ *     --out=netlify/functions/data/bible/kjv.json
+ *
+ *   node scripts/build-local-bible.js --input=engwebp_vpl.txt \
+ *     --id=9879dbb7cfe39e4d-04 --abbreviation=WEB --name="World English Bible" \
+ *     --out=netlify/functions/data/bible/web.json
+ *
+ * --id must be the translation's API.Bible id, so the app's bibleId means the
+ * same text from either source. Only use translations that are public domain.
+ */
+const fs = require('fs');
+const path = require('path');
+const { osisFromPassageId } = require('../netlify/functions/utils/scriptureReferences');
+
+const VPL_LINE = /^([1-3]?[A-Z]{2,3})\s+(\d+):(\d+)\s+(.*)$/;
+
+function parseArgs(argv) {
+  const args = { language: 'eng', copyright: 'Public domain' };
+  for (const arg of argv.slice(2)) {
+    const match = /^--([a-z]+)=(.*)$/.exec(arg);
+    if (!match || !['input', 'out', 'id', 'abbreviation', 'name', 'language', 'copyright'].includes(match[1])) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    args[match[1]] = match[2];
+  }
+  for (const required of ['input', 'out', 'id', 'abbreviation', 'name']) {
+    if (!args[required]) {
+      throw new Error(`Missing --${required}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * A data file's contents from VPL lines.
+ *
+ * @returns {{ data: object, count: number, skipped: number }}
+ */
+function buildTranslation(lines, { id, abbreviation, name, language = 'eng', copyright = 'Public domain' }) {
+  const verses = {};
+  let skipped = 0;
+
+  for (const line of lines) {
+    const match = VPL_LINE.exec(line.trim());
+    if (!match) continue;
+
+    const [, code, chapter, verse, text] = match;
+    const osis = osisFromPassageId(`${code}.${chapter}.${verse}`);
+    if (!osis) {
+      skipped += 1;
+      continue;
+    }
+    // Some releases mark paragraphs and verse breaks inline; plain text only.
+    const clean = text.replace(/[¶]/g, '').replace(/\s+/g, ' ').trim();
+    if (clean) verses[osis] = clean;
+  }
+
+  const count = Object.keys(verses).length;
+  if (count === 0) {
+    throw new Error(`No verses read for ${abbreviation}; are these VPL lines?`);
+  }
+
+  return { data: { id, abbreviation, name, language, copyright, verses }, count, skipped };
+}
+
+function writeTranslation(out, { data, count, skipped }) {
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(data));
+  console.log(`Wrote ${count} verses to ${out}${skipped ? ` (skipped ${skipped} outside the 66-book canon)` : ''}`);
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  const lines = fs.readFileSync(args.input, 'utf8').split(/\r?\n/);
+  writeTranslation(args.out, buildTranslation(lines, args));
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildTranslation, writeTranslation };
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * A stand-in for a Whisper-compatible transcription server
+ * (netlify/functions/utils/transcriptionProviders.js), for tests and for
+ * running the job pipeline end to end without AssemblyAI or a GPU.
+ *
+ * POST /v1/audio/transcriptions answers every upload with the same sermon
+ * text as OpenAI's `verbose_json`: word timestamps a little under half a
+ * second apart, in the language the request asked for (English otherwise).
+ * Any GET answers with a few bytes of "audio", so the stand-in can serve the
+ * recording as well.
+ *
+ * Usage:
+ *   node scripts/whisper-stand-in.js --port=8000
+ *
+ *   TRANSCRIPTION_PROVIDER=whisper WHISPER_BASE_URL=http://localhost:8000/v1 netlify dev
+ */
+const http = require('http');
+
+const DEFAULT_TEXT =
+  'Good morning church. Open your Bibles to Romans chapter eight. ' +
+  'There is therefore now no condemnation for those who are in Christ Jesus. ' +
+  'Let us pray.';
+
+const LANGUAGE_NAMES = { en: 'english', es: 'spanish', fr: 'french', de: 'german', pt: 'portuguese' };
+
+// Text fields of a multipart body, and whether it carried a file and under
+// what name. Enough for the fields the provider sends; not a general parser.
+function formFields(body) {
+  const fields = {};
+  const pattern = /name="([^"]+)"(?:; filename="([^"]*)")?[^\r]*\r\n(?:[^\r]+\r\n)*\r\n([^\r]*)/g;
+  let match;
+  while ((match = pattern.exec(body))) {
+    if (match[2] !== undefined) {
+      fields.file = true;
+      fields.fileName = match[2];
+    } else if (fields[match[1]] !== undefined) {
+      fields[match[1]] = [].concat(fields[match[1]], match[3]);
+    } else {
+      fields[match[1]] = match[3];
+    }
+  }
+  return fields;
+}
+
+function verboseJson(text, language) {
+  const words = text.split(/\s+/).filter(Boolean).map((word, index) => ({
+    word,
+    start: index * 0.45,
+    end: index * 0.45 + 0.4,
+    probability: 0.9
+  }));
+  return {
+    task: 'transcribe',
+    language: LANGUAGE_NAMES[language] || language || 'english',
+    duration: words.length ? words[words.length - 1].end : 0,
+    text,
+    words,
+    segments: [{ id: 0, start: 0, end: words.length ? words[words.length - 1].end : 0, text }]
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.text] What every recording "says".
+ * @param {number} [options.status] Status to answer transcriptions with, to simulate a failing server.
+ * @returns {http.Server & { requests: object[] }} Not yet listening; each
+ *   transcription request's form fields are appended to `requests`.
+ */
+function createWhisperStandIn({ text = DEFAULT_TEXT, status = 200 } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'audio/mp4' });
+        res.end(Buffer.from('stand-in audio'));
+        return;
+      }
+      if (req.method !== 'POST' || !req.url.endsWith('/audio/transcriptions')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'not found' } }));
+        return;
+      }
+
+      const fields = formFields(Buffer.concat(chunks).toString('latin1'));
+      requests.push({ ...fields, authorization: req.headers.authorization || null });
+
+      if (status !== 200) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'stand-in failure' } }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(verboseJson(text, fields.language)));
+    });
+  });
+
+  server.requests = requests;
+  return server;
+}
+
+if (require.main === module) {
+  const portArg = process.argv.slice(2).find((arg) => arg.startsWith('--port='));
+  const port = portArg ? Number(portArg.slice('--port='.length)) : 8000;
+  createWhisperStandIn().listen(port, () => {
+    console.log(`Whisper stand-in listening on http://localhost:${port}/v1`);
+  });
+}
+
+module.exports = { createWhisperStandIn };